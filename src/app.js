@@ -14,6 +14,10 @@ import routes from "./routes/index.js";
 import { errorHandler } from "./middlewares/errorHandler.js";
 import { razorpayWebhookHandler } from "./controllers/razorpayWebhookController.js";
 import "./controllers/autoCancelController.js";
+import "./controllers/abandonedCheckoutController.js";
+import "./controllers/preorderReleaseController.js";
+import "./controllers/membershipExpiryController.js";
+import { DOWNLOAD_REDIRECT_PATH } from "./services/download.service.js";
 
 dotenv.config();
 
@@ -73,7 +77,7 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PATCH","PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-API-Secret"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Secret", "X-Session-Id"],
   })
 );
 
@@ -90,6 +94,11 @@ app.use((req, res, next) => {
 
   if (req.path === RAZORPAY_WEBHOOK_PATH) return next();
 
+  // Signed download links are opened by the browser directly (no Origin header)
+  if (req.method === "GET" && req.path.startsWith(`${DOWNLOAD_REDIRECT_PATH}/`)) {
+    return next();
+  }
+
   const origin = req.headers.origin;
   const clientSecret = req.headers["x-api-secret"];
 
@@ -159,8 +168,17 @@ const registerLimiter = rateLimit({
   skip: (req) => req.method === "OPTIONS",
 });
 
+const playBeaconLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => req.method === "OPTIONS",
+});
+
 // app.use("/api/auth/login", loginLimiter); comment out after test
 app.use("/api/auth/register", registerLimiter);
+app.use("/api/products/id/:id/play", playBeaconLimiter);
 app.use("/api", apiLimiter);
 
 // ============================================================
@@ -221,7 +239,11 @@ app.use((req, res, next) => {
 // CACHE CONTROL FOR PUBLIC PRODUCTS
 // ============================================================
 app.use((req, res, next) => {
-  if (req.method === "GET" && req.path.startsWith("/api/products")) {
+  if (
+    req.method === "GET" &&
+    req.path.startsWith("/api/products") &&
+    !req.path.startsWith(DOWNLOAD_REDIRECT_PATH)
+  ) {
     res.setHeader(
       "Cache-Control",
       "public, max-age=60, stale-while-revalidate=30"
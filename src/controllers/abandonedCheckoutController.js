@@ -0,0 +1,426 @@
+import cron from "node-cron";
+import crypto from "node:crypto";
+import mongoose from "mongoose";
+
+import Order from "../models/Order.model.js";
+import User from "../models/User.model.js";
+import Cart from "../models/Cart.model.js";
+import PromoCode from "../models/PromoCode.model.js";
+import { LISTED_VISIBILITIES } from "../models/Product.model.js";
+import { sendEmail } from "../utils/mailer.js";
+import { escapeHtml, getActiveTemplate, renderEmail } from "../utils/emailTemplate.js";
+import { signUnsubscribeToken } from "../utils/jwt.js";
+import { hasMembershipAccess } from "../services/membership.service.js";
+import {
+  buildAbandonedCheckoutSubject,
+  buildAbandonedCheckoutEmailHtml,
+} from "../templates/emailTemplates.js";
+
+/* =========================================================
+   CONFIG
+========================================================= */
+
+const TEMPLATE_KEY = "ABANDONED_CHECKOUT";
+const BATCH_SIZE = 50;
+
+function numberFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Read at run time so env is loaded (dotenv) before first use
+function getReminderConfig() {
+  return {
+    enabled: process.env.ABANDONED_REMINDER_ENABLED !== "false",
+    delayMinutes: numberFromEnv("ABANDONED_REMINDER_DELAY_MINUTES", 60),
+    lookbackHours: numberFromEnv("ABANDONED_REMINDER_LOOKBACK_HOURS", 72),
+    promoPercent: Math.min(numberFromEnv("ABANDONED_REMINDER_PROMO_PERCENT", 0), 100),
+    promoValidHours: numberFromEnv("ABANDONED_REMINDER_PROMO_VALID_HOURS", 72),
+  };
+}
+
+/* =========================================================
+   INTERNAL STATE (SAFETY)
+========================================================= */
+
+let isRunning = false;
+
+/* =========================================================
+   HELPERS
+========================================================= */
+
+function ownedProductIds(user) {
+  return new Set(
+    (user.purchasedProducts || [])
+      .map((item) => item.product?.toString())
+      .filter(Boolean)
+  );
+}
+
+function hasActiveMembership(user) {
+  return hasMembershipAccess(user.membership);
+}
+
+function canReceiveReminder(user) {
+  return (
+    user &&
+    user.email &&
+    !user.isDeleted &&
+    !user.isBanned &&
+    user.emailPreferences?.cartReminders !== false
+  );
+}
+
+/**
+ * Single-use discount code for the reminder. Returns null when disabled.
+ */
+async function createReminderPromo(config, reason) {
+  if (!config.promoPercent) return null;
+
+  const code = `COMEBACK-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+  const expiresAt = new Date(Date.now() + config.promoValidHours * 60 * 60 * 1000);
+
+  return PromoCode.create({
+    code,
+    description: `Abandoned checkout reminder (${reason})`,
+    discountPercent: config.promoPercent,
+    usageLimit: 1,
+    expiresAt,
+    isActive: true,
+  });
+}
+
+async function sendReminderEmail({ user, items, currency, total, promo, config }) {
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:8080";
+  const unsubscribeToken = signUnsubscribeToken(user._id);
+
+  const itemsHtml = items
+    .map((title) => `<li style="margin:2px 0;">${escapeHtml(title)}</li>`)
+    .join("");
+
+  const vars = {
+    CUSTOMER_NAME: user.name || "there",
+    CUSTOMER_EMAIL: user.email,
+    ITEMS_HTML: itemsHtml,
+    ITEMS_TEXT: items.join(", "),
+    ORDER_CURRENCY: currency || "INR",
+    ORDER_TOTAL: typeof total === "number" ? total.toFixed(2) : "",
+    CHECKOUT_URL: `${clientUrl}/cart`,
+    UNSUBSCRIBE_URL: `${clientUrl}/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`,
+    PROMO_CODE: promo?.code || "",
+    PROMO_PERCENT: promo ? config.promoPercent : "",
+    PROMO_EXPIRES_AT: promo?.expiresAt ? promo.expiresAt.toLocaleDateString() : "",
+  };
+
+  let template = null;
+  try {
+    template = await getActiveTemplate(TEMPLATE_KEY);
+  } catch (e) {
+    console.error("[ABANDONED-REMINDER] template load error:", e?.message || e);
+  }
+
+  const { subject, html } = renderEmail(template, vars, {
+    buildSubject: buildAbandonedCheckoutSubject,
+    buildHtml: buildAbandonedCheckoutEmailHtml,
+  });
+
+  await sendEmail({ to: user.email, subject, html });
+}
+
+/* =========================================================
+   ABANDONED CHECKOUTS (timed-out orders)
+========================================================= */
+
+/**
+ * Should this timed-out order still be chased? False when the user has
+ * since paid / retried, or already owns everything in it.
+ */
+async function isStillAbandoned(order, user) {
+  const retried = await Order.exists({
+    user: order.user,
+    status: { $in: ["PENDING", "PAID"] },
+    createdAt: { $gt: order.createdAt },
+  });
+  if (retried) return false;
+
+  if (order.membershipPlanKey) {
+    return !hasActiveMembership(user);
+  }
+
+  const owned = ownedProductIds(user);
+  return order.items.some((item) => !owned.has(item.product?.toString()));
+}
+
+async function markSkipped(orderIds) {
+  if (!orderIds.length) return;
+  await Order.updateMany(
+    { _id: { $in: orderIds }, "abandonedReminder.status": null },
+    { $set: { "abandonedReminder.status": "SKIPPED" } }
+  );
+}
+
+async function processAbandonedOrders(config, now) {
+  const delayCutoff = new Date(now.getTime() - config.delayMinutes * 60 * 1000);
+  const lookbackCutoff = new Date(now.getTime() - config.lookbackHours * 60 * 60 * 1000);
+
+  const orders = await Order.find({
+    status: "CANCELLED",
+    cancelReason: "PAYMENT_TIMEOUT",
+    "abandonedReminder.status": null,
+    // Gift checkouts are for someone else; "still in your cart" doesn't apply
+    isGift: { $ne: true },
+    completedAt: { $gte: lookbackCutoff, $lte: delayCutoff },
+  })
+    .sort({ completedAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  // One email per user per run, covering all of their abandoned orders
+  const byUser = new Map();
+  for (const order of orders) {
+    const key = order.user.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(order);
+  }
+
+  const emailedUsers = new Set();
+
+  for (const [userId, userOrders] of byUser) {
+    const user = await User.findById(userId)
+      .select("name email emailPreferences purchasedProducts membership +isDeleted +isBanned")
+      .lean();
+
+    if (!canReceiveReminder(user)) {
+      await markSkipped(userOrders.map((o) => o._id));
+      continue;
+    }
+
+    const pending = [];
+    const skipped = [];
+    for (const order of userOrders) {
+      if (await isStillAbandoned(order, user)) pending.push(order);
+      else skipped.push(order._id);
+    }
+    await markSkipped(skipped);
+
+    // Claim each order before sending; guarantees at most one reminder per order
+    const claimed = [];
+    for (const order of pending) {
+      const result = await Order.updateOne(
+        { _id: order._id, "abandonedReminder.status": null },
+        { $set: { "abandonedReminder.status": "SENT", "abandonedReminder.sentAt": now } }
+      );
+      if (result.modifiedCount === 1) claimed.push(order);
+    }
+
+    if (!claimed.length) continue;
+
+    const claimedIds = claimed.map((o) => o._id);
+    let promo = null;
+
+    try {
+      const owned = ownedProductIds(user);
+      const items = [];
+      let total = 0;
+
+      for (const order of claimed) {
+        if (order.membershipPlanKey) {
+          items.push(`${order.membershipPlanKey} membership`);
+          total += order.subtotal || 0;
+          continue;
+        }
+        for (const item of order.items) {
+          if (owned.has(item.product?.toString())) continue;
+          items.push(item.titleSnapshot);
+          total += item.priceSnapshot || 0;
+        }
+      }
+
+      promo = await createReminderPromo(config, `order ${claimedIds.join(", ")}`);
+      if (promo) {
+        await Order.updateMany(
+          { _id: { $in: claimedIds } },
+          { $set: { "abandonedReminder.promoCode": promo.code } }
+        );
+      }
+
+      await sendReminderEmail({
+        user,
+        items,
+        currency: claimed[0].currency,
+        total,
+        promo,
+        config,
+      });
+
+      emailedUsers.add(userId);
+    } catch (err) {
+      console.error(
+        `[ABANDONED-REMINDER] Failed for user ${userId}:`,
+        err?.message || err
+      );
+
+      // Release the claim so the next run can retry
+      await Order.updateMany(
+        { _id: { $in: claimedIds } },
+        {
+          $set: {
+            "abandonedReminder.status": null,
+            "abandonedReminder.sentAt": null,
+            "abandonedReminder.promoCode": null,
+          },
+        }
+      );
+      if (promo) {
+        await PromoCode.updateOne({ _id: promo._id }, { $set: { isActive: false } });
+      }
+    }
+  }
+
+  return emailedUsers;
+}
+
+/* =========================================================
+   STALE CARTS
+========================================================= */
+
+async function processStaleCarts(config, now, emailedUsers) {
+  const delayCutoff = new Date(now.getTime() - config.delayMinutes * 60 * 1000);
+  const lookbackCutoff = new Date(now.getTime() - config.lookbackHours * 60 * 60 * 1000);
+
+  const carts = await Cart.find({
+    "items.0": { $exists: true },
+    updatedAt: { $gte: lookbackCutoff, $lte: delayCutoff },
+    $or: [
+      { reminderSentAt: null },
+      { $expr: { $lt: ["$reminderSentAt", "$updatedAt"] } },
+    ],
+  })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE)
+    .populate("items.product", "title price currency visibility")
+    .lean();
+
+  let sent = 0;
+
+  for (const cart of carts) {
+    const userId = cart.user.toString();
+
+    // Checked out after the last edit -> the order's own reminder covers it
+    const checkedOut =
+      cart.checkedOutAt && new Date(cart.checkedOutAt) >= new Date(cart.updatedAt);
+
+    // Claim first; timestamps off so the claim doesn't re-arm the reminder
+    const claim = await Cart.updateOne(
+      {
+        _id: cart._id,
+        updatedAt: cart.updatedAt,
+        $or: [
+          { reminderSentAt: null },
+          { $expr: { $lt: ["$reminderSentAt", "$updatedAt"] } },
+        ],
+      },
+      { $set: { reminderSentAt: now } },
+      { timestamps: false }
+    );
+
+    if (claim.modifiedCount !== 1 || checkedOut || emailedUsers.has(userId)) {
+      continue;
+    }
+
+    const user = await User.findById(userId)
+      .select("name email emailPreferences purchasedProducts +isDeleted +isBanned")
+      .lean();
+
+    if (!canReceiveReminder(user)) continue;
+
+    const owned = ownedProductIds(user);
+    const products = cart.items
+      .map((item) => item.product)
+      .filter((p) => p && LISTED_VISIBILITIES.includes(p.visibility) && !owned.has(p._id.toString()));
+
+    if (!products.length) continue;
+
+    let promo = null;
+
+    try {
+      promo = await createReminderPromo(config, `cart ${cart._id}`);
+
+      await sendReminderEmail({
+        user,
+        items: products.map((p) => p.title),
+        currency: products[0].currency || "INR",
+        total: products.reduce((sum, p) => sum + (p.price || 0), 0),
+        promo,
+        config,
+      });
+
+      emailedUsers.add(userId);
+      sent += 1;
+    } catch (err) {
+      console.error(
+        `[ABANDONED-REMINDER] Cart reminder failed for user ${userId}:`,
+        err?.message || err
+      );
+
+      await Cart.updateOne(
+        { _id: cart._id, reminderSentAt: now },
+        { $set: { reminderSentAt: null } },
+        { timestamps: false }
+      );
+      if (promo) {
+        await PromoCode.updateOne({ _id: promo._id }, { $set: { isActive: false } });
+      }
+    }
+  }
+
+  return sent;
+}
+
+/* =========================================================
+   CORE JOB
+========================================================= */
+
+export const sendAbandonedCheckoutReminders = async () => {
+  const config = getReminderConfig();
+  if (!config.enabled) return;
+
+  if (mongoose.connection.readyState !== 1) {
+    console.warn("[ABANDONED-REMINDER] Skipped: Database not connected.");
+    return;
+  }
+
+  if (isRunning) {
+    console.warn("[ABANDONED-REMINDER] Skipped: Previous job still running.");
+    return;
+  }
+
+  isRunning = true;
+
+  try {
+    const now = new Date();
+    const emailedUsers = await processAbandonedOrders(config, now);
+    const orderReminders = emailedUsers.size;
+    const cartReminders = await processStaleCarts(config, now, emailedUsers);
+
+    if (orderReminders || cartReminders) {
+      console.log(
+        `[ABANDONED-REMINDER] Sent ${orderReminders} checkout and ${cartReminders} cart reminders`
+      );
+    }
+  } catch (err) {
+    console.error("[ABANDONED-REMINDER] Failed:", err?.message || err);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/* =========================================================
+   CRON SCHEDULER
+========================================================= */
+
+cron.schedule("*/10 * * * *", () => {
+  sendAbandonedCheckoutReminders().catch((err) => {
+    console.error("[ABANDONED-REMINDER] Unhandled cron error:", err?.message || err);
+  });
+});
@@ -1,5 +1,6 @@
 
 import HomePageSetting from "../models/Home.model.js";
+import Bundle from "../models/Bundle.model.js";
 import Joi from "joi";
 import {
   createUploadUrl,
@@ -92,6 +93,7 @@ const megaBundleSchema = Joi.object({
   ctaText: Joi.string().default("Pre-Order Now"),
   ctaLink: relativePathSchema,
   releaseDate: Joi.date().allow(null),
+  bundle: Joi.string().hex().length(24).allow(null, "").empty("").default(null),
 }).required();
 
 
@@ -178,6 +180,9 @@ export const getFrontendImageUploadUrl = async (req, res, next) => {
 export const getHomePageSettings = async (req, res, next) => {
   try {
     const settings = await HomePageSetting.findOne().lean();
+    if (settings?.megaBundle?.bundle) {
+      settings.megaBundle.bundleDetails = await getMegaBundleDetails(settings.megaBundle.bundle);
+    }
     return res.status(200).json(settings || {});
   } catch (err) {
     next(err);
@@ -208,6 +213,10 @@ export const saveHomePageSettings = async (req, res, next) => {
     // Prevent accidental overwrite of Mongo _id
     if (value._id) delete value._id;
 
+    if (value.megaBundle?.bundle && !(await Bundle.exists({ _id: value.megaBundle.bundle }))) {
+      return res.status(400).json({ message: "Linked bundle not found" });
+    }
+
     const settings = await HomePageSetting.findOneAndUpdate({}, value, {
       new: true,
       upsert: true,
@@ -250,6 +259,32 @@ function applyDisabledSectionFallbacks(previous, incoming) {
   }
 }
 
+/**
+ * Live price / availability of the bundle linked from the megaBundle block,
+ * so the home page never shows a stale manual price for a real bundle.
+ */
+async function getMegaBundleDetails(bundleId) {
+  const bundle = await Bundle.findOne({ _id: bundleId, ...Bundle.purchasableFilter() })
+    .select("title slug price mrp currency products validUntil")
+    .lean();
+
+  if (!bundle) {
+    return { id: bundleId, isPurchasable: false };
+  }
+
+  return {
+    id: bundle._id,
+    slug: bundle.slug,
+    title: bundle.title,
+    price: bundle.price,
+    mrp: bundle.mrp || bundle.price,
+    currency: bundle.currency || "INR",
+    productCount: bundle.products?.length || 0,
+    validUntil: bundle.validUntil,
+    isPurchasable: true,
+  };
+}
+
 /**
  * Deletes unused frontend assets from S3
  * Runs after settings update to avoid blocking response.
@@ -1,11 +1,38 @@
 import Joi from "joi";
 import mongoose from "mongoose";
 import PromoCode from "../models/PromoCode.model.js";
+import PromoRedemption from "../models/PromoRedemption.model.js";
+import PromoCampaign from "../models/PromoCampaign.model.js";
+import {
+  generateCampaignCodes,
+  getCampaignStats,
+  buildCampaignCsv,
+} from "../services/promoCampaign.service.js";
 
 /* ==========================================================================
    VALIDATION SCHEMAS
    ========================================================================== */
 
+// Who / what a promo applies to (empty lists => everything)
+const targetingFields = {
+  eligibleProducts: Joi.array().items(Joi.string().hex().length(24)).max(500).unique(),
+  eligibleCategories: Joi.array().items(Joi.string().trim().min(1).max(100)).max(50).unique(),
+  eligibleTags: Joi.array().items(Joi.string().trim().min(1).max(100)).max(50).unique(),
+  eligiblePlanKeys: Joi.array().items(Joi.string().trim().uppercase().min(1).max(50)).max(20).unique(),
+  firstPeriodOnly: Joi.boolean(),
+  newCustomersOnly: Joi.boolean(),
+  perUserLimit: Joi.number().integer().min(0),
+};
+
+function checkWindow(value, helpers) {
+  if (value.startsAt && value.expiresAt && value.expiresAt <= value.startsAt) {
+    return helpers.error("any.invalid", {
+      message: "Expiration date must be after the start date",
+    });
+  }
+  return value;
+}
+
 export const promoCreateSchema = Joi.object({
   code: Joi.string()
     .trim()
@@ -28,13 +55,18 @@ export const promoCreateSchema = Joi.object({
 
   usageLimit: Joi.number().integer().min(0).default(0),
 
+  startsAt: Joi.date().allow(null).default(null),
+
   expiresAt: Joi.date()
     .greater("now")
     .allow(null)
     .message("Expiration date must be in the future"),
 
   isActive: Joi.boolean().default(true),
+
+  ...targetingFields,
 })
+.custom(checkWindow)
 .custom((value, helpers) => {
   if ((!value.discountPercent || value.discountPercent === 0) && 
       (!value.discountFlat || value.discountFlat === 0)) {
@@ -75,9 +107,12 @@ export const promoUpdateSchema = Joi.object({
   maxDiscount: Joi.number().min(0).optional(),
   minOrderAmount: Joi.number().min(0).optional(),
   usageLimit: Joi.number().integer().min(0).optional(),
+  startsAt: Joi.date().allow(null).optional(),
   expiresAt: Joi.date().greater("now").allow(null).optional(),
   isActive: Joi.boolean().optional(),
+  ...targetingFields,
 })
+.custom(checkWindow)
 .custom((value, helpers) => {
   if (
     value.discountFlat > 0 &&
@@ -91,6 +126,46 @@ export const promoUpdateSchema = Joi.object({
 })
 .min(1);
 
+export const campaignCreateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(120).required(),
+  description: Joi.string().trim().max(500).allow("", null).optional(),
+
+  prefix: Joi.string()
+    .trim()
+    .uppercase()
+    .regex(/^[A-Z0-9]{2,16}$/)
+    .message("Prefix must be 2-16 uppercase letters or numbers")
+    .required(),
+  codeLength: Joi.number().integer().min(6).max(16).default(8),
+  quantity: Joi.number().integer().min(1).max(10000).required(),
+
+  discountPercent: Joi.number().min(0).max(100).default(0),
+  discountFlat: Joi.number().min(0).default(0),
+  maxDiscount: Joi.number().min(0).default(0),
+  minOrderAmount: Joi.number().min(0).default(0),
+  startsAt: Joi.date().allow(null).default(null),
+  expiresAt: Joi.date().greater("now").allow(null).default(null),
+
+  ...targetingFields,
+})
+.custom(checkWindow)
+.custom((value, helpers) => {
+  if (!value.discountPercent && !value.discountFlat) {
+    return helpers.error("any.invalid", {
+      message: "At least one discount (Percent or Flat) must be greater than 0",
+    });
+  }
+  if (value.discountFlat > 0 && !value.maxDiscount) {
+    return helpers.error("any.invalid", {
+      message: "Flat discount promos must have a max discount cap",
+    });
+  }
+  return value;
+})
+.messages({
+  "any.invalid": "{{#message}}"
+});
+
 
 /* ============= GET /api/admin/promos?search=&isActive=&page=&limit= ============= */
 export const adminListPromos = async (req, res, next) => {
@@ -112,6 +187,14 @@ export const adminListPromos = async (req, res, next) => {
     if (isActiveRaw === "true") filter.isActive = true;
     if (isActiveRaw === "false") filter.isActive = false;
 
+    // Bulk generated codes would drown the list; show them per campaign or when searching
+    const campaignRaw = (req.cleanedQuery?.campaign ?? req.query.campaign ?? "").toString().trim();
+    if (mongoose.Types.ObjectId.isValid(campaignRaw)) {
+      filter.campaign = campaignRaw;
+    } else if (!search) {
+      filter.campaign = null;
+    }
+
     const [items, total] = await Promise.all([
       PromoCode.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
       PromoCode.countDocuments(filter),
@@ -151,6 +234,61 @@ export const adminGetPromoById = async (req, res, next) => {
   }
 };
 
+/* =============== GET /api/admin/promos/:id/redemptions?page=&limit= =============== */
+export const adminListPromoRedemptions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const page = Math.max(Number.parseInt(req.cleanedQuery?.page || req.query.page || "1", 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.cleanedQuery?.limit || req.query.limit || "20", 10) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { promo: id };
+
+    const [items, total, totals] = await Promise.all([
+      PromoRedemption.find(filter)
+        .populate("user", "name email")
+        .populate("order", "total currency status")
+        .sort({ redeemedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PromoRedemption.countDocuments(filter),
+      PromoRedemption.aggregate([
+        { $match: { promo: new mongoose.Types.ObjectId(id) } },
+        {
+          $group: {
+            _id: null,
+            discount: { $sum: "$discount" },
+            users: { $addToSet: "$user" },
+          },
+        },
+      ]),
+    ]);
+
+    return res.json({
+      data: items,
+      summary: {
+        redemptions: total,
+        uniqueUsers: totals[0]?.users.length || 0,
+        totalDiscount: totals[0]?.discount || 0,
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /* =========================== POST /api/admin/promos ============================ */
 export const adminCreatePromo = async (req, res, next) => {
   try {
@@ -293,4 +431,175 @@ export const adminDeletePromo = async (req, res, next) => {
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+/* ==========================================================================
+   CAMPAIGNS (BULK GENERATED SINGLE-USE CODES)
+   ========================================================================== */
+
+/* ===================== POST /api/admin/promos/campaigns ======================== */
+export const adminCreatePromoCampaign = async (req, res, next) => {
+  try {
+    const { error, value } = campaignCreateSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        message: "Validation failed",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const { name, description, prefix, codeLength, quantity, ...rules } = value;
+    rules.description = description || name;
+
+    const campaign = await PromoCampaign.create({
+      name,
+      description: description || "",
+      prefix,
+      codeLength,
+      quantity,
+      rules,
+      createdBy: req.user?.id || null,
+    });
+
+    const generated = await generateCampaignCodes(campaign, rules);
+    campaign.generatedCount = generated;
+    await campaign.save();
+
+    return res.status(201).json({
+      message: generated === quantity
+        ? `Generated ${generated} codes`
+        : `Generated ${generated} of ${quantity} codes`,
+      campaign,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ============ GET /api/admin/promos/campaigns?search=&page=&limit= ============= */
+export const adminListPromoCampaigns = async (req, res, next) => {
+  try {
+    const search = (req.cleanedQuery?.search ?? req.query.search ?? "").toString().trim();
+
+    const page = Math.max(Number.parseInt(req.cleanedQuery?.page || req.query.page || "1", 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.cleanedQuery?.limit || req.query.limit || "20", 10) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (search) {
+      const escaped = search.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+      const regex = new RegExp(escaped, "i");
+      filter.$or = [{ name: regex }, { prefix: regex }];
+    }
+
+    const [campaigns, total] = await Promise.all([
+      PromoCampaign.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      PromoCampaign.countDocuments(filter),
+    ]);
+
+    const stats = await getCampaignStats(campaigns.map((c) => c._id));
+
+    return res.json({
+      data: campaigns.map((c) => ({ ...c, stats: stats.get(c._id.toString()) })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* =================== GET /api/admin/promos/campaigns/:id ======================= */
+export const adminGetPromoCampaign = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const campaign = await PromoCampaign.findById(id).lean();
+    if (!campaign) {
+      return res.status(404).json({ message: "Campaign not found" });
+    }
+
+    const stats = await getCampaignStats([campaign._id]);
+
+    return res.json({ campaign, stats: stats.get(campaign._id.toString()) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ============== GET /api/admin/promos/campaigns/:id/export.csv ================= */
+export const adminExportPromoCampaign = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const campaign = await PromoCampaign.findById(id).select("prefix").lean();
+    if (!campaign) {
+      return res.status(404).json({ message: "Campaign not found" });
+    }
+
+    const csv = await buildCampaignCsv(campaign._id);
+    const filename = `promo-campaign-${campaign.prefix.toLowerCase()}-${id}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.send(csv);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ============== PATCH /api/admin/promos/campaigns/:id/status =================== */
+export const adminSetPromoCampaignStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    if (typeof isActive !== "boolean") {
+      return res.status(400).json({ message: "isActive must be boolean (true/false)" });
+    }
+
+    const campaign = await PromoCampaign.findByIdAndUpdate(
+      id,
+      { isActive },
+      { new: true }
+    ).lean();
+
+    if (!campaign) {
+      return res.status(404).json({ message: "Campaign not found" });
+    }
+
+    // Redeemed codes are left as they are
+    const result = await PromoCode.updateMany(
+      { campaign: campaign._id, usedCount: 0 },
+      { $set: { isActive } }
+    );
+
+    return res.json({
+      message: `Campaign ${isActive ? "activated" : "deactivated"}`,
+      campaign,
+      updatedCodes: result.modifiedCount,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -2,6 +2,8 @@
 import User from "../models/User.model.js";
 import Order from "../models/Order.model.js";
 import MembershipPlan from "../models/MembershipPlan.model.js";
+import DownloadEvent from "../models/DownloadEvent.model.js";
+import WishlistItem from "../models/WishlistItem.model.js";
 
 /**
  * @param {Object} query - Express request query
@@ -116,6 +118,12 @@ export async function membershipsReport(req, res) {
         $group: {
           _id: "$membershipPlanKey",
           signups: { $sum: 1 },
+          // Charged amounts, i.e. already net of promo discounts
+          revenue: { $sum: { $ifNull: ["$total", 0] } },
+          promoDiscount: { $sum: { $ifNull: ["$promoDiscount", 0] } },
+          promoSignups: {
+            $sum: { $cond: [{ $ifNull: ["$promoCode", false] }, 1, 0] },
+          },
         },
       },
       {
@@ -123,6 +131,9 @@ export async function membershipsReport(req, res) {
           _id: 0,
           planKey: "$_id",
           signups: 1,
+          revenue: 1,
+          promoDiscount: 1,
+          promoSignups: 1,
         },
       },
       { $sort: { signups: -1 } },
@@ -138,6 +149,9 @@ export async function membershipsReport(req, res) {
             planKey: plan.key,
             planName: plan.name,
             signups: 0,
+            revenue: 0,
+            promoDiscount: 0,
+            promoSignups: 0,
           })),
         });
       } catch {
@@ -156,6 +170,9 @@ export async function membershipsReport(req, res) {
       planKey: r.planKey,
       planName: planNameMap.get(r.planKey) ?? r.planKey,
       signups: r.signups,
+      revenue: r.revenue,
+      promoDiscount: r.promoDiscount,
+      promoSignups: r.promoSignups,
     }));
 
     return res.json({ points });
@@ -176,17 +193,17 @@ export async function downloadsReport(req, res) {
     const dateFmt = dateFormatFor(groupBy);
 
     const pipeline = [
-      {
-        $match: {
-          status: "PAID",
-          createdAt: { $gte: from, $lte: to },
-        },
-      },
-      { $unwind: { path: "$items", preserveNullAndEmptyArrays: false } },
+      { $match: { createdAt: { $gte: from, $lte: to } } },
       {
         $group: {
           _id: { $dateToString: { format: dateFmt, date: "$createdAt" } },
           downloads: { $sum: 1 },
+          order: { $sum: { $cond: [{ $eq: ["$source", "order"] }, 1, 0] } },
+          membership: {
+            $sum: { $cond: [{ $eq: ["$source", "membership"] }, 1, 0] },
+          },
+          admin: { $sum: { $cond: [{ $eq: ["$source", "admin"] }, 1, 0] } },
+          users: { $addToSet: "$user" },
         },
       },
       { $sort: { _id: 1 } },
@@ -195,11 +212,42 @@ export async function downloadsReport(req, res) {
           _id: 0,
           label: "$_id",
           downloads: 1,
+          bySource: {
+            order: "$order",
+            membership: "$membership",
+            admin: "$admin",
+          },
+          uniqueUsers: { $size: "$users" },
         },
       },
     ];
 
-    const points = await Order.aggregate(pipeline).allowDiskUse(true);
+    const [points, topProducts] = await Promise.all([
+      DownloadEvent.aggregate(pipeline).allowDiskUse(true),
+      DownloadEvent.aggregate([
+        { $match: { createdAt: { $gte: from, $lte: to } } },
+        { $group: { _id: "$product", downloads: { $sum: 1 } } },
+        { $sort: { downloads: -1 } },
+        { $limit: 10 },
+        {
+          $lookup: {
+            from: "products",
+            localField: "_id",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            productId: "$_id",
+            title: "$product.title",
+            downloads: 1,
+          },
+        },
+      ]),
+    ]);
 
     if (!points.length) {
       const label =
@@ -209,10 +257,20 @@ export async function downloadsReport(req, res) {
               to.getUTCDate()
             ).padStart(2, "0")}`;
 
-      return res.json({ points: [{ label, downloads: 0 }] });
+      return res.json({
+        points: [
+          {
+            label,
+            downloads: 0,
+            bySource: { order: 0, membership: 0, admin: 0 },
+            uniqueUsers: 0,
+          },
+        ],
+        topProducts: [],
+      });
     }
 
-    return res.json({ points });
+    return res.json({ points, topProducts });
   } catch (err) {
     console.error("downloadsReport error:", err);
     return res.status(500).json({
@@ -221,3 +279,120 @@ export async function downloadsReport(req, res) {
     });
   }
 }
+
+
+/**
+ * Wishlist -> purchase conversion for items wishlisted within the range.
+ * An item counts as converted once the user bought it after wishlisting.
+ */
+export async function wishlistConversionReport(req, res) {
+  try {
+    const { from, to } = parseRange(req.query);
+    const groupBy = (req.query.groupBy || "day").toLowerCase();
+    const dateFmt = dateFormatFor(groupBy);
+
+    const match = { $match: { createdAt: { $gte: from, $lte: to } } };
+    const isConverted = { $cond: [{ $ne: [{ $ifNull: ["$purchasedAt", null] }, null] }, 1, 0] };
+    const rate = {
+      $cond: [
+        { $gt: ["$wishlisted", 0] },
+        { $round: [{ $multiply: [{ $divide: ["$converted", "$wishlisted"] }, 100] }, 2] },
+        0,
+      ],
+    };
+
+    const [summaryRows, points, topProducts] = await Promise.all([
+      WishlistItem.aggregate([
+        match,
+        {
+          $group: {
+            _id: null,
+            wishlisted: { $sum: 1 },
+            converted: { $sum: isConverted },
+            users: { $addToSet: "$user" },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            wishlisted: 1,
+            converted: 1,
+            uniqueUsers: { $size: "$users" },
+            conversionRate: rate,
+          },
+        },
+      ]).allowDiskUse(true),
+
+      WishlistItem.aggregate([
+        match,
+        {
+          $group: {
+            _id: { $dateToString: { format: dateFmt, date: "$createdAt" } },
+            wishlisted: { $sum: 1 },
+            converted: { $sum: isConverted },
+          },
+        },
+        { $sort: { _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            label: "$_id",
+            wishlisted: 1,
+            converted: 1,
+            conversionRate: rate,
+          },
+        },
+      ]).allowDiskUse(true),
+
+      WishlistItem.aggregate([
+        match,
+        {
+          $group: {
+            _id: "$product",
+            wishlisted: { $sum: 1 },
+            converted: { $sum: isConverted },
+          },
+        },
+        { $sort: { wishlisted: -1, converted: -1 } },
+        { $limit: 10 },
+        {
+          $lookup: {
+            from: "products",
+            localField: "_id",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            productId: "$_id",
+            title: "$product.title",
+            favoriteCount: "$product.favoriteCount",
+            wishlisted: 1,
+            converted: 1,
+            conversionRate: rate,
+          },
+        },
+      ]),
+    ]);
+
+    return res.json({
+      summary: summaryRows[0] || {
+        wishlisted: 0,
+        converted: 0,
+        uniqueUsers: 0,
+        conversionRate: 0,
+      },
+      points,
+      topProducts,
+    });
+  } catch (err) {
+    console.error("wishlistConversionReport error:", err);
+    return res.status(500).json({
+      error: "Failed to generate wishlist conversion report",
+      details: String(err),
+    });
+  }
+}
@@ -2,6 +2,7 @@
 import Joi from "joi";
 import SiteSettings from "../models/SiteSettings.model.js";
 import { deleteObjectWithVerify } from "../services/s3Service.js";
+import { GSTIN_PATTERN, invalidateTaxConfigCache } from "../services/tax.service.js";
 
 /* --------------------------------------------------
    JOI SUB-SCHEMAS
@@ -53,6 +54,16 @@ const testimonialSchema = Joi.object({
   avatarUrl: Joi.string().uri().allow("", null),
 }).unknown(true);
 
+const taxSettingsSchema = Joi.object({
+  enabled: Joi.boolean(),
+  gstin: Joi.string().trim().uppercase().pattern(GSTIN_PATTERN).allow("", null)
+    .messages({ "string.pattern.base": "gstin must be a valid 15 character GSTIN" }),
+  legalName: Joi.string().trim().max(200).allow("", null),
+  rate: Joi.number().min(0).max(28),
+  pricesIncludeTax: Joi.boolean(),
+  sacCode: Joi.string().trim().pattern(/^\d{4,8}$/).allow("", null),
+}).optional();
+
 /* --------------------------------------------------
    MAIN SITE SETTINGS SCHEMA
 -------------------------------------------------- */
@@ -95,6 +106,8 @@ const siteSettingsSchema = Joi.object({
   homepageBanner: homepageBannerSchema.optional(),
 
   discountBanner: discountBannerSchema,
+
+  tax: taxSettingsSchema,
 });
 
 /* --------------------------------------------------
@@ -212,9 +225,21 @@ export const updateSiteSettings = async (req, res, next) => {
     const prevFaviconUrl = doc.faviconUrl;
     const prevBannerUrl = doc.discountBanner?.imageUrl;
 
+    // Tax is merged field by field so a partial update keeps the GSTIN etc.
+    const { tax, ...rest } = value;
+
     // Apply updates (PATCH-style)
-    Object.assign(doc, value);
+    Object.assign(doc, rest);
+    if (tax) {
+      doc.tax = { ...(doc.tax?.toObject?.() || doc.tax || {}), ...tax };
+    }
+
+    if (doc.tax?.enabled && !doc.tax.gstin) {
+      return res.status(400).json({ message: "A GSTIN is required to enable GST" });
+    }
+
     await doc.save();
+    if (tax) invalidateTaxConfigCache();
 
     // Determine assets to cleanup
     const keysToDelete = [];
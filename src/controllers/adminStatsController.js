@@ -1,5 +1,11 @@
+import mongoose from "mongoose";
 import Order from "../models/Order.model.js";
 import User from "../models/User.model.js";
+import Product from "../models/Product.model.js";
+import DownloadEvent from "../models/DownloadEvent.model.js";
+import WishlistItem from "../models/WishlistItem.model.js";
+import ProductPlayDaily from "../models/ProductPlayDaily.model.js";
+import { sumPlays, startOfUtcDay } from "../services/playTracking.service.js";
 
 
 function parseDateOrNull(value) {
@@ -78,6 +84,8 @@ export const getAdminOverviewStats = async (req, res, next) => {
       prevAgg,
       newUsersCurrent,
       newUsersPrev,
+      playsCurrent,
+      playsPrev,
     ] = await Promise.all([
       User.countDocuments({}),
       User.countDocuments({
@@ -127,6 +135,8 @@ export const getAdminOverviewStats = async (req, res, next) => {
       ]),
       User.countDocuments({ createdAt: { $gte: from, $lte: to } }),
       User.countDocuments({ createdAt: { $gte: prevFrom, $lte: prevTo } }),
+      sumPlays({ from, to }),
+      sumPlays({ from: prevFrom, to: prevTo }),
     ]);
 
     const current = currentAgg[0] || {};
@@ -152,6 +162,13 @@ export const getAdminOverviewStats = async (req, res, next) => {
         ? 100
         : 0;
 
+    const playsChangePercent =
+      playsPrev > 0
+        ? ((playsCurrent - playsPrev) / playsPrev) * 100
+        : playsCurrent > 0
+        ? 100
+        : 0;
+
     const growthRatePercent =
       newUsersPrev > 0
         ? ((newUsersCurrent - newUsersPrev) / newUsersPrev) * 100
@@ -169,6 +186,8 @@ export const getAdminOverviewStats = async (req, res, next) => {
       activeMemberships,
       downloadsThisMonth,
       downloadsChangePercent,
+      playsThisMonth: playsCurrent,
+      playsChangePercent,
       growthRatePercent,
     });
   } catch (err) {
@@ -176,6 +195,139 @@ export const getAdminOverviewStats = async (req, res, next) => {
   }
 };
 
+/* =========================================================
+   PER-PRODUCT ANALYTICS
+   ========================================================= */
+
+/**
+ * GET /api/admin/stats/products/:id
+ * Daily plays, downloads, sales and wishlist adds for one product.
+ */
+export const getProductAnalytics = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    const product = await Product.findById(id)
+      .select("title slug visibility price currency playCount downloadCount favoriteCount averageRating ratingCount createdAt")
+      .lean();
+
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const { from, to } = getPeriodFromQuery(req.cleanedQuery || req.query);
+    const productId = product._id;
+    const dayFmt = "%Y-%m-%d";
+
+    const [plays, downloads, sales, wishlistAdds] = await Promise.all([
+      ProductPlayDaily.aggregate([
+        { $match: { product: productId, day: { $gte: startOfUtcDay(from), $lte: to } } },
+        {
+          $project: {
+            _id: 0,
+            label: { $dateToString: { format: dayFmt, date: "$day" } },
+            count: "$plays",
+          },
+        },
+      ]),
+      DownloadEvent.aggregate([
+        { $match: { product: productId, createdAt: { $gte: from, $lte: to } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: dayFmt, date: "$createdAt" } },
+            count: { $sum: 1 },
+          },
+        },
+        { $project: { _id: 0, label: "$_id", count: 1 } },
+      ]),
+      Order.aggregate([
+        {
+          $match: {
+            status: "PAID",
+            "items.product": productId,
+            createdAt: { $gte: from, $lte: to },
+          },
+        },
+        { $unwind: "$items" },
+        { $match: { "items.product": productId } },
+        {
+          $group: {
+            _id: { $dateToString: { format: dayFmt, date: "$createdAt" } },
+            count: { $sum: 1 },
+            // Net of the line's share of any promo discount
+            revenue: {
+              $sum: {
+                $subtract: [
+                  { $ifNull: ["$items.priceSnapshot", 0] },
+                  { $ifNull: ["$items.promoDiscountSnapshot", 0] },
+                ],
+              },
+            },
+          },
+        },
+        { $project: { _id: 0, label: "$_id", count: 1, revenue: 1 } },
+      ]),
+      WishlistItem.aggregate([
+        { $match: { product: productId, createdAt: { $gte: from, $lte: to } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: dayFmt, date: "$createdAt" } },
+            count: { $sum: 1 },
+          },
+        },
+        { $project: { _id: 0, label: "$_id", count: 1 } },
+      ]),
+    ]);
+
+    // Merge the four series into one row per day
+    const byDay = new Map();
+    const rowFor = (label) => {
+      if (!byDay.has(label)) {
+        byDay.set(label, { label, plays: 0, downloads: 0, sales: 0, revenue: 0, wishlistAdds: 0 });
+      }
+      return byDay.get(label);
+    };
+
+    plays.forEach((r) => { rowFor(r.label).plays += toNumber(r.count); });
+    downloads.forEach((r) => { rowFor(r.label).downloads += toNumber(r.count); });
+    sales.forEach((r) => {
+      const row = rowFor(r.label);
+      row.sales += toNumber(r.count);
+      row.revenue += toNumber(r.revenue);
+    });
+    wishlistAdds.forEach((r) => { rowFor(r.label).wishlistAdds += toNumber(r.count); });
+
+    const points = [...byDay.values()].sort((a, b) => a.label.localeCompare(b.label));
+
+    const totals = points.reduce(
+      (acc, p) => {
+        acc.plays += p.plays;
+        acc.downloads += p.downloads;
+        acc.sales += p.sales;
+        acc.revenue += p.revenue;
+        acc.wishlistAdds += p.wishlistAdds;
+        return acc;
+      },
+      { plays: 0, downloads: 0, sales: 0, revenue: 0, wishlistAdds: 0 }
+    );
+
+    return res.json({
+      product,
+      period: { from, to },
+      totals: {
+        ...totals,
+        playToSaleRate: totals.plays > 0 ? (totals.sales / totals.plays) * 100 : 0,
+      },
+      points,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /* =========================================================
    REVENUE REPORT
    ========================================================= */
@@ -2,6 +2,7 @@
 import cron from "node-cron";
 import mongoose from "mongoose";
 import Order from "../models/Order.model.js";
+import { releaseCancelledWalletHolds } from "../services/wallet.service.js";
 
 /* =========================================================
    INTERNAL STATE (SAFETY)
@@ -51,6 +52,12 @@ export const autoCancelPendingOrders = async () => {
         `[AUTO-CANCEL] ${result.modifiedCount} pending orders cancelled`
       );
     }
+
+    // Store credit held by cancelled / failed orders goes back to the wallet
+    const released = await releaseCancelledWalletHolds();
+    if (released > 0) {
+      console.log(`[AUTO-CANCEL] wallet returned for ${released} orders`);
+    }
   } catch (err) {
 
     console.error("[AUTO-CANCEL] Failed:", err?.message || err);
@@ -0,0 +1,304 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import Bundle from "../models/Bundle.model.js";
+import Product, { LISTED_VISIBILITIES } from "../models/Product.model.js";
+import User from "../models/User.model.js";
+import { getPurchasableBundle } from "../services/bundle.service.js";
+import { createQuote, serializeQuote } from "../services/pricing.service.js";
+
+/* -------------------- VALIDATION -------------------- */
+
+const objectId = Joi.string().hex().length(24);
+
+const createSchema = Joi.object({
+  title: Joi.string().trim().min(2).max(200).required(),
+  slug: Joi.string().trim().lowercase().max(80),
+  description: Joi.string().trim().allow("").max(5000).default(""),
+  thumbnail: Joi.object({
+    key: Joi.string().allow("", null),
+    url: Joi.string().uri().allow("", null),
+  }),
+  products: Joi.array().items(objectId).min(2).max(100).unique().required(),
+  price: Joi.number().min(0).required(),
+  mrp: Joi.number().min(0).default(0),
+  currency: Joi.string().trim().uppercase().default("INR"),
+  visibility: Joi.string().valid("public", "private", "draft").default("draft"),
+  validFrom: Joi.date().allow(null).default(null),
+  validUntil: Joi.date().allow(null).default(null),
+});
+
+const updateSchema = createSchema
+  .fork(["title", "products", "price"], (f) => f.optional())
+  .min(1);
+
+const PRODUCT_SUMMARY_FIELDS = "title slug thumbnail price mrp currency category genre averageRating";
+
+async function assertProductsExist(productIds = []) {
+  const count = await Product.countDocuments({
+    _id: { $in: productIds },
+    visibility: { $in: LISTED_VISIBILITIES },
+  });
+  return count === productIds.length;
+}
+
+/* -------------------- PUBLIC -------------------- */
+
+export const getPublicBundles = async (req, res, next) => {
+  try {
+    const bundles = await Bundle.find(Bundle.purchasableFilter())
+      .sort({ createdAt: -1 })
+      .populate({ path: "products", select: PRODUCT_SUMMARY_FIELDS })
+      .lean();
+
+    return res.json({ bundles });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const getPublicBundle = async (req, res, next) => {
+  try {
+    const key = String(req.params.idOrSlug || "").trim();
+    const lookup = mongoose.Types.ObjectId.isValid(key) ? { _id: key } : { slug: key.toLowerCase() };
+
+    const bundle = await Bundle.findOne({ ...lookup, ...Bundle.purchasableFilter() })
+      .populate({ path: "products", select: PRODUCT_SUMMARY_FIELDS })
+      .lean();
+
+    if (!bundle) {
+      return res.status(404).json({ message: "Bundle not found" });
+    }
+
+    return res.json({ bundle });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/bundles/:idOrSlug/quote (auth)
+ * What this user would pay, given the products they already own.
+ */
+export const getBundleQuote = async (req, res, next) => {
+  try {
+    const bundle = await getPurchasableBundle(req.params.idOrSlug);
+    const user = await User.findById(req.user.id).select("purchasedProducts").lean();
+
+    if (!user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const quote = await createQuote(user, {
+      bundleId: bundle._id.toString(),
+      currency: bundle.currency || "INR",
+    });
+
+    return res.json({
+      bundleId: bundle._id,
+      currency: quote.currency,
+      price: quote.subtotal,
+      fullPrice: quote.bundle.snapshot.price,
+      mrp: quote.bundle.snapshot.mrp,
+      productCount: quote.bundle.snapshot.productCount,
+      ownedProductIds: quote.bundle.ownedProductIds,
+      items: quote.lines.map((line) => ({
+        productId: line.product,
+        title: line.title,
+        price: line.amount,
+      })),
+      quote: serializeQuote(quote),
+    });
+  } catch (err) {
+    if (err?.message === "Bundle not available") {
+      return res.status(404).json({ message: "Bundle not found" });
+    }
+    if (err?.alreadyPurchased) {
+      return res.status(400).json({
+        message: err.message,
+        alreadyPurchased: err.alreadyPurchased,
+      });
+    }
+    if (err?.bundleIncomplete) {
+      return res.status(409).json({ message: err.message, code: err.code });
+    }
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN LIST -------------------- */
+
+export const adminGetBundles = async (req, res, next) => {
+  try {
+    const search = String(req.cleanedQuery?.search ?? req.query.search ?? "").trim();
+    const visibility = String(req.cleanedQuery?.visibility ?? req.query.visibility ?? "").trim();
+
+    const page = Math.max(
+      Number.parseInt(req.cleanedQuery?.page || req.query.page || "1", 10) || 1,
+      1
+    );
+    const limit = Math.min(
+      Math.max(
+        Number.parseInt(req.cleanedQuery?.limit || req.query.limit || "20", 10) || 20,
+        1
+      ),
+      100
+    );
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (["public", "private", "draft"].includes(visibility)) {
+      filter.visibility = visibility;
+    }
+    if (search) {
+      const regex = new RegExp(search.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`), "i");
+      filter.$or = [{ title: regex }, { slug: regex }];
+    }
+
+    const [bundles, total] = await Promise.all([
+      Bundle.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Bundle.countDocuments(filter),
+    ]);
+
+    return res.json({
+      data: bundles,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN GET -------------------- */
+
+export const adminGetBundleById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid bundle id" });
+    }
+
+    const bundle = await Bundle.findById(id)
+      .populate({ path: "products", select: `${PRODUCT_SUMMARY_FIELDS} visibility` })
+      .lean();
+
+    if (!bundle) {
+      return res.status(404).json({ message: "Bundle not found" });
+    }
+
+    return res.json({ bundle });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN CREATE -------------------- */
+
+export const adminCreateBundle = async (req, res, next) => {
+  try {
+    const { error, value } = createSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        message: "Validation failed",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    if (!(await assertProductsExist(value.products))) {
+      return res.status(400).json({ message: "One or more products do not exist or are not listed" });
+    }
+
+    try {
+      const bundle = await Bundle.create(value);
+      return res.status(201).json({ bundle });
+    } catch (err) {
+      if (err.code === 11000 && err.keyPattern?.slug) {
+        return res.status(400).json({ message: "Bundle slug already exists" });
+      }
+      if (err.name === "ValidationError") {
+        return res.status(400).json({ message: err.message });
+      }
+      throw err;
+    }
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN UPDATE -------------------- */
+
+export const adminUpdateBundle = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid bundle id" });
+    }
+
+    const { error, value } = updateSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        message: "Validation failed",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    if (value.products && !(await assertProductsExist(value.products))) {
+      return res.status(400).json({ message: "One or more products do not exist or are not listed" });
+    }
+
+    const bundle = await Bundle.findById(id);
+    if (!bundle) {
+      return res.status(404).json({ message: "Bundle not found" });
+    }
+
+    // save() so the window / size validators run against the merged document
+    bundle.set(value);
+
+    try {
+      await bundle.save();
+      return res.json({ bundle });
+    } catch (err) {
+      if (err.code === 11000 && err.keyPattern?.slug) {
+        return res.status(400).json({ message: "Bundle slug already exists" });
+      }
+      if (err.name === "ValidationError") {
+        return res.status(400).json({ message: err.message });
+      }
+      throw err;
+    }
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN DELETE -------------------- */
+
+export const adminDeleteBundle = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid bundle id" });
+    }
+
+    const bundle = await Bundle.findByIdAndDelete(id).lean();
+    if (!bundle) {
+      return res.status(404).json({ message: "Bundle not found" });
+    }
+
+    return res.json({ message: "Bundle deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+};
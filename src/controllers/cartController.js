@@ -0,0 +1,253 @@
+// src/controllers/cartController.js
+import Joi from "joi";
+
+import {
+  priceCart,
+  addToCart,
+  removeFromCart,
+  clearCart,
+  setCartPromo,
+  checkoutCart,
+} from "../services/cart.service.js";
+import { createPaymentOrder, amountDue } from "../services/order.service.js";
+import { serializeQuote } from "../services/pricing.service.js";
+import { sendOrderPaidEmails } from "../services/orderEmail.service.js";
+
+/* ========================= VALIDATION SCHEMAS ========================= */
+
+const addItemSchema = Joi.object({
+  productId: Joi.string().hex().length(24).required(),
+});
+
+const promoSchema = Joi.object({
+  code: Joi.string().trim().uppercase().min(1).required(),
+});
+
+const checkoutSchema = Joi.object({
+  currency: Joi.string().uppercase().default("INR"),
+  quoteId: Joi.string().hex().length(24),
+  useWallet: Joi.boolean().default(false),
+});
+
+// Service errors that are the client's fault rather than a server failure
+const CLIENT_ERRORS = new Set([
+  "Invalid product id",
+  "Product not available",
+  "Item already purchased",
+  "Cart has no purchasable items",
+  "Maximum 50 products per cart",
+  "One or more products are not purchasable",
+]);
+
+function handleCartError(err, res, next) {
+  if (err?.alreadyPurchased) {
+    return res.status(400).json({
+      message: err.message,
+      alreadyPurchased: err.alreadyPurchased,
+    });
+  }
+
+  if (err?.notPurchasable) {
+    return res.status(400).json({
+      message: err.message,
+      notPurchasable: err.notPurchasable,
+    });
+  }
+
+  if (err?.quoteError) {
+    return res.status(err.code === "QUOTE_CHANGED" ? 409 : 400).json({
+      message: err.message,
+      code: err.code,
+      quote: err.quote ? serializeQuote(err.quote) : undefined,
+    });
+  }
+
+  if (err?.promoError) {
+    return res.status(400).json({ message: err.message, code: err.code });
+  }
+
+  if (err?.walletError) {
+    return res.status(409).json({ message: err.message, code: err.code });
+  }
+
+  if (CLIENT_ERRORS.has(err?.message)) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  if (err?.message === "User not found" || err?.message === "Account suspended") {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  return next(err);
+}
+
+/* ========================= CONTROLLERS ========================= */
+
+/**
+ * GET /api/cart
+ * Returns the cart priced against current product prices.
+ */
+export const getCart = async (req, res, next) => {
+  try {
+    const { summary } = await priceCart(req.user.id);
+    return res.json({ cart: summary });
+  } catch (err) {
+    return handleCartError(err, res, next);
+  }
+};
+
+/**
+ * POST /api/cart/items
+ */
+export const addCartItem = async (req, res, next) => {
+  try {
+    const { error, value } = addItemSchema.validate(req.body, {
+      abortEarly: true,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    await addToCart(req.user.id, value.productId);
+    const { summary } = await priceCart(req.user.id);
+
+    return res.status(201).json({ message: "Added to cart", cart: summary });
+  } catch (err) {
+    return handleCartError(err, res, next);
+  }
+};
+
+/**
+ * DELETE /api/cart/items/:productId
+ */
+export const removeCartItem = async (req, res, next) => {
+  try {
+    await removeFromCart(req.user.id, req.params.productId);
+    const { summary } = await priceCart(req.user.id);
+
+    return res.json({ message: "Removed from cart", cart: summary });
+  } catch (err) {
+    return handleCartError(err, res, next);
+  }
+};
+
+/**
+ * DELETE /api/cart
+ */
+export const clearMyCart = async (req, res, next) => {
+  try {
+    await clearCart(req.user.id);
+    const { summary } = await priceCart(req.user.id);
+
+    return res.json({ message: "Cart cleared", cart: summary });
+  } catch (err) {
+    return handleCartError(err, res, next);
+  }
+};
+
+/**
+ * POST /api/cart/promo
+ * Stores the code on the cart. An inapplicable code is rejected and not kept.
+ */
+export const applyCartPromo = async (req, res, next) => {
+  try {
+    const { error, value } = promoSchema.validate(req.body, {
+      abortEarly: true,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    await setCartPromo(req.user.id, value.code);
+    const { summary } = await priceCart(req.user.id);
+
+    if (summary.promo.error) {
+      await setCartPromo(req.user.id, null);
+      return res.status(400).json({ message: summary.promo.error });
+    }
+
+    return res.json({ message: "Promo applied", cart: summary });
+  } catch (err) {
+    return handleCartError(err, res, next);
+  }
+};
+
+/**
+ * DELETE /api/cart/promo
+ */
+export const removeCartPromo = async (req, res, next) => {
+  try {
+    await setCartPromo(req.user.id, null);
+    const { summary } = await priceCart(req.user.id);
+
+    return res.json({ message: "Promo removed", cart: summary });
+  } catch (err) {
+    return handleCartError(err, res, next);
+  }
+};
+
+/**
+ * POST /api/cart/checkout
+ * Creates a pending order + Razorpay order for the purchasable cart items.
+ * Send the `quoteId` from GET /api/cart to charge exactly what was shown, and
+ * `useWallet` to pay from store credit first.
+ * Items stay in the cart until payment is verified.
+ */
+export const checkoutMyCart = async (req, res, next) => {
+  try {
+    const { error, value } = checkoutSchema.validate(req.body || {}, {
+      abortEarly: true,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const order = await checkoutCart(req.user.id, {
+      currency: value.currency,
+      quoteId: value.quoteId,
+      useWallet: value.useWallet,
+    });
+
+    // Wallet covered the whole total: already paid, no Razorpay order
+    if (order.status === "PAID") {
+      sendOrderPaidEmails(order);
+
+      return res.status(201).json({
+        orderId: order._id,
+        paid: true,
+        amount: 0,
+        total: order.total,
+        walletApplied: order.walletApplied,
+        currency: order.currency,
+        promoCode: order.promoCode,
+        promoDiscount: order.promoDiscount,
+        quoteId: order.quoteId,
+      });
+    }
+
+    const razorpayOrder = await createPaymentOrder(order, {
+      type: "cart_checkout",
+    });
+
+    return res.status(201).json({
+      orderId: order._id,
+      amount: amountDue(order),
+      total: order.total,
+      walletApplied: order.walletApplied,
+      currency: order.currency,
+      razorpayOrderId: razorpayOrder.id,
+      razorpayKeyId: process.env.RAZORPAY_KEY_ID,
+      promoCode: order.promoCode,
+      promoDiscount: order.promoDiscount,
+      quoteId: order.quoteId,
+    });
+  } catch (err) {
+    return handleCartError(err, res, next);
+  }
+};
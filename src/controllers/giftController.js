@@ -0,0 +1,360 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+
+import Gift from "../models/Gift.model.js";
+import {
+  createPendingOrderForUser,
+  createMembershipOrderForUser,
+  createPaymentOrder,
+  amountDue,
+} from "../services/order.service.js";
+import {
+  sendOrderPaidEmails,
+  sendMembershipActivatedEmail,
+} from "../services/orderEmail.service.js";
+import {
+  describeGift,
+  redeemGift,
+  revokeGiftForOrder,
+  sendGiftEmail,
+} from "../services/gift.service.js";
+import { sendPricingError } from "./orderController.js";
+
+/* -------------------- VALIDATION -------------------- */
+
+const checkoutSchema = Joi.object({
+  productIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(50),
+  bundleId: Joi.string().trim().max(100),
+  planKey: Joi.string().trim().uppercase(),
+  months: Joi.number().integer().min(1).max(12).default(1),
+  currency: Joi.string().uppercase().default("INR"),
+  promoCode: Joi.string().trim().uppercase().optional().allow("", null),
+  // Quote created with { gift: true }
+  quoteId: Joi.string().hex().length(24),
+  useWallet: Joi.boolean().default(false),
+
+  recipientEmail: Joi.string().trim().lowercase().email().required(),
+  recipientName: Joi.string().trim().max(100).allow("").default(""),
+  message: Joi.string().trim().max(500).allow("").default(""),
+}).xor("productIds", "bundleId", "planKey");
+
+const redeemSchema = Joi.object({
+  code: Joi.string().trim().uppercase().min(4).max(40).required(),
+});
+
+const GIFT_CLIENT_ERRORS = {
+  GIFT_NOT_FOUND: 404,
+  GIFT_REDEEMED: 409,
+  GIFT_REVOKED: 410,
+  GIFT_EXPIRED: 410,
+  GIFT_PLAN_CONFLICT: 409,
+};
+
+function escapeRegex(value) {
+  return value.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+}
+
+function toPublicGift(gift, now = new Date()) {
+  return {
+    id: gift._id,
+    code: gift.code,
+    kind: gift.kind,
+    title: describeGift(gift, gift.order),
+    recipientEmail: gift.recipientEmail,
+    recipientName: gift.recipientName,
+    message: gift.message,
+    status: Gift.displayStatus(gift, now),
+    expiresAt: gift.expiresAt,
+    redeemedAt: gift.redeemedAt,
+    emailSentAt: gift.emailSentAt,
+    createdAt: gift.createdAt,
+  };
+}
+
+/* -------------------- CHECKOUT -------------------- */
+
+/**
+ * POST /api/gifts/checkout
+ * Creates a gift order (products, bundle or membership months) and its
+ * Razorpay order. Payment is verified through /api/orders/verify as usual;
+ * the gift code is then emailed to the recipient.
+ */
+export const createGiftCheckout = async (req, res, next) => {
+  try {
+    const { error, value } = checkoutSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const gift = {
+      email: value.recipientEmail,
+      name: value.recipientName,
+      message: value.message,
+    };
+
+    const common = {
+      userId: req.user.id,
+      currency: value.currency,
+      promoCode: value.promoCode || undefined,
+      quoteId: value.quoteId,
+      useWallet: value.useWallet,
+      gift,
+    };
+
+    const order = value.planKey
+      ? await createMembershipOrderForUser({
+          ...common,
+          planKey: value.planKey,
+          months: value.months,
+        })
+      : await createPendingOrderForUser({
+          ...common,
+          productIds: value.productIds,
+          bundleId: value.bundleId,
+        });
+
+    // Wallet covered the whole total: already paid and the code is issued
+    if (order.status === "PAID") {
+      sendOrderPaidEmails(order);
+
+      return res.status(201).json({
+        orderId: order._id,
+        paid: true,
+        amount: 0,
+        total: order.total,
+        walletApplied: order.walletApplied,
+        currency: order.currency,
+        promoCode: order.promoCode,
+        promoDiscount: order.promoDiscount,
+        quoteId: order.quoteId,
+        recipient: order.giftRecipient,
+      });
+    }
+
+    const razorpayOrder = await createPaymentOrder(order, {
+      type: "gift_purchase",
+      plan: order.membershipPlanKey || undefined,
+      promoCode: order.promoCode || undefined,
+    });
+
+    return res.status(201).json({
+      orderId: order._id,
+      amount: amountDue(order),
+      total: order.total,
+      walletApplied: order.walletApplied,
+      currency: order.currency,
+      razorpayOrderId: razorpayOrder.id,
+      razorpayKeyId: process.env.RAZORPAY_KEY_ID,
+      promoCode: order.promoCode,
+      promoDiscount: order.promoDiscount,
+      quoteId: order.quoteId,
+      recipient: order.giftRecipient,
+    });
+  } catch (err) {
+    if (sendPricingError(err, res)) return;
+    next(err);
+  }
+};
+
+/* -------------------- REDEEM -------------------- */
+
+/**
+ * POST /api/gifts/redeem
+ * Grants the gifted products / membership months to the signed-in user.
+ */
+export const redeemGiftCode = async (req, res, next) => {
+  try {
+    const { error, value } = redeemSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const result = await redeemGift(req.user.id, value.code);
+
+    if (result.gift.kind === "membership") {
+      sendMembershipActivatedEmail(result.gift.order);
+    }
+
+    return res.json({
+      message: "Gift redeemed",
+      kind: result.gift.kind,
+      products: result.gift.kind === "products" ? result.gift.products : undefined,
+      grantedProductIds: result.grantedProductIds,
+      membership: result.membership || undefined,
+    });
+  } catch (err) {
+    if (err?.giftError) {
+      return res
+        .status(GIFT_CLIENT_ERRORS[err.code] || 400)
+        .json({ message: err.message, code: err.code });
+    }
+    if (err?.message === "Invalid user state") {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    next(err);
+  }
+};
+
+/* -------------------- SENT GIFTS -------------------- */
+
+/**
+ * GET /api/gifts/sent
+ * Gifts the signed-in user has bought, newest first.
+ */
+export const getMySentGifts = async (req, res, next) => {
+  try {
+    const gifts = await Gift.find({ purchaser: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate({ path: "order", select: "items bundleSnapshot membershipPlanName total currency" })
+      .lean();
+
+    const now = new Date();
+    return res.json({ gifts: gifts.map((gift) => toPublicGift(gift, now)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN LIST -------------------- */
+
+export const adminListGifts = async (req, res, next) => {
+  try {
+    const status = String(req.cleanedQuery?.status ?? req.query.status ?? "").trim().toUpperCase();
+    const search = String(req.cleanedQuery?.search ?? req.query.search ?? "").trim();
+
+    const page = Math.max(
+      Number.parseInt(req.cleanedQuery?.page || req.query.page || "1", 10) || 1,
+      1
+    );
+    const limit = Math.min(
+      Math.max(
+        Number.parseInt(req.cleanedQuery?.limit || req.query.limit || "20", 10) || 20,
+        1
+      ),
+      100
+    );
+    const skip = (page - 1) * limit;
+
+    const now = new Date();
+    const filter = {};
+    if (status === "ISSUED") Object.assign(filter, { status: "ISSUED", expiresAt: { $gt: now } });
+    if (status === "EXPIRED") Object.assign(filter, { status: "ISSUED", expiresAt: { $lte: now } });
+    if (status === "REDEEMED" || status === "REVOKED") filter.status = status;
+
+    if (search) {
+      const regex = new RegExp(escapeRegex(search), "i");
+      filter.$or = [{ code: regex }, { recipientEmail: regex }];
+    }
+
+    const [gifts, total] = await Promise.all([
+      Gift.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: "purchaser", select: "name email" })
+        .populate({ path: "redeemedBy", select: "name email" })
+        .lean(),
+      Gift.countDocuments(filter),
+    ]);
+
+    return res.json({
+      data: gifts.map((gift) => ({ ...gift, status: Gift.displayStatus(gift, now) })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN GET -------------------- */
+
+export const adminGetGiftById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid gift id" });
+    }
+
+    const gift = await Gift.findById(id)
+      .populate({ path: "purchaser", select: "name email" })
+      .populate({ path: "redeemedBy", select: "name email" })
+      .populate({ path: "order", select: "status total currency items bundleSnapshot membershipPlanName completedAt" })
+      .populate({ path: "products", select: "title slug" })
+      .lean();
+
+    if (!gift) {
+      return res.status(404).json({ message: "Gift not found" });
+    }
+
+    return res.json({ gift: { ...gift, status: Gift.displayStatus(gift) } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN RESEND -------------------- */
+
+export const adminResendGiftEmail = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid gift id" });
+    }
+
+    const gift = await Gift.findById(id).select("order status expiresAt").lean();
+    if (!gift) {
+      return res.status(404).json({ message: "Gift not found" });
+    }
+
+    if (Gift.displayStatus(gift) !== "ISSUED") {
+      return res.status(400).json({
+        message: `Cannot resend a gift that is ${Gift.displayStatus(gift).toLowerCase()}`,
+      });
+    }
+
+    await sendGiftEmail(gift.order, { force: true });
+    return res.json({ message: "Gift email sent" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN REVOKE -------------------- */
+
+export const adminRevokeGift = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid gift id" });
+    }
+
+    const gift = await Gift.findById(id).select("order status").lean();
+    if (!gift) {
+      return res.status(404).json({ message: "Gift not found" });
+    }
+
+    if (gift.status === "REVOKED") {
+      return res.status(400).json({ message: "Gift already revoked" });
+    }
+
+    await revokeGiftForOrder({ _id: gift.order });
+
+    return res.json({ message: "Gift revoked" });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,268 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+
+import User from "../models/User.model.js";
+import { sendEmail } from "../utils/mailer.js";
+import { getActiveTemplate as findActiveTemplate, renderEmail } from "../utils/emailTemplate.js";
+import {
+  GRACE_DAYS,
+  RENEWING_SUBSCRIPTION_STATUSES,
+  sweepMemberships,
+} from "../services/membership.service.js";
+import {
+  buildMembershipExpiringSubject,
+  buildMembershipExpiringEmailHtml,
+  buildMembershipExpiredSubject,
+  buildMembershipExpiredEmailHtml,
+} from "../templates/emailTemplates.js";
+
+/* =========================================================
+   INTERNAL STATE (SAFETY)
+========================================================= */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+// Reminder stages, in days before expiresAt; 0 is the "has ended" email
+const REMINDER_STAGES = [7, 1];
+const ENDED_STAGE = 0;
+
+const TEMPLATES = {
+  reminder: {
+    key: "MEMBERSHIP_EXPIRING",
+    buildSubject: buildMembershipExpiringSubject,
+    buildHtml: buildMembershipExpiringEmailHtml,
+  },
+  ended: {
+    key: "MEMBERSHIP_EXPIRED",
+    buildSubject: buildMembershipExpiredSubject,
+    buildHtml: buildMembershipExpiredEmailHtml,
+  },
+};
+
+let isRunning = false;
+
+/* =========================================================
+   HELPERS
+========================================================= */
+
+// A template that fails to load falls back to the built-in email
+async function getActiveTemplate(key) {
+  try {
+    return await findActiveTemplate(key);
+  } catch (e) {
+    console.error("[MEMBERSHIP-LIFECYCLE] template load error:", e?.message || e);
+    return null;
+  }
+}
+
+// Smallest stage `daysLeft` has reached (7 days out => 7, under a day => 1)
+function reminderStage(daysLeft) {
+  return [...REMINDER_STAGES].sort((a, b) => a - b).find((stage) => daysLeft <= stage) ?? null;
+}
+
+/**
+ * Claims `stage` for this membership period (expiryNoticeFor = expiresAt)
+ * and emails it. Each stage goes out once; a renewal moves expiresAt, which
+ * re-arms them all.
+ */
+async function sendNotice(user, stage, { key, buildSubject, buildHtml }, template, now) {
+  const { expiresAt, expiryNoticeFor = null, expiryNoticeStage = null } = user.membership;
+
+  const claimed = await User.updateOne(
+    {
+      _id: user._id,
+      "membership.expiresAt": expiresAt,
+      "membership.expiryNoticeFor": expiryNoticeFor,
+      "membership.expiryNoticeStage": expiryNoticeStage,
+    },
+    {
+      $set: {
+        "membership.expiryNoticeFor": expiresAt,
+        "membership.expiryNoticeStage": stage,
+      },
+    }
+  );
+
+  if (claimed.modifiedCount === 0) return false;
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:8080";
+
+  const vars = {
+    CUSTOMER_NAME: user.name || "there",
+    CUSTOMER_EMAIL: user.email,
+    MEMBERSHIP_PLAN_KEY: user.membership.planKey,
+    MEMBERSHIP_PLAN: user.membership.planKey,
+    MEMBERSHIP_STATUS: user.membership.status,
+    MEMBERSHIP_EXPIRES_ON: new Date(expiresAt).toLocaleDateString(),
+    DAYS_LEFT: Math.max(Math.ceil((new Date(expiresAt) - now) / DAY_MS), 0),
+    RENEW_URL: `${clientUrl}/membership`,
+  };
+
+  const { subject, html } = renderEmail(template, vars, { buildSubject, buildHtml });
+
+  try {
+    await sendEmail({ to: user.email, subject, html });
+    return true;
+  } catch (err) {
+    // Release the claim so the next run retries
+    await User.updateOne(
+      {
+        _id: user._id,
+        "membership.expiryNoticeFor": expiresAt,
+        "membership.expiryNoticeStage": stage,
+      },
+      {
+        $set: {
+          "membership.expiryNoticeFor": expiryNoticeFor,
+          "membership.expiryNoticeStage": expiryNoticeStage,
+        },
+      }
+    );
+    console.error(`[MEMBERSHIP-LIFECYCLE] ${key} email failed for user ${user._id}:`, err?.message || err);
+    return false;
+  }
+}
+
+/* =========================================================
+   STEPS
+========================================================= */
+
+/**
+ * T-7 / T-1: memberships that will lapse (not auto-renewing) and have not
+ * had the reminder for the stage they are in.
+ */
+async function sendReminders(now) {
+  const maxStage = Math.max(...REMINDER_STAGES);
+  const minStage = Math.min(...REMINDER_STAGES);
+  const within = (days) => ({ $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) });
+
+  const users = await User.find({
+    "membership.status": { $in: ["ACTIVE", "CANCELLED"] },
+    "subscription.status": { $nin: RENEWING_SUBSCRIPTION_STATUSES },
+    // A prepaid plan change takes over at expiresAt
+    "membership.scheduledChange.prepaidMonths": { $not: { $gt: 0 } },
+    isDeleted: { $ne: true },
+    email: { $ne: null },
+    $or: [
+      {
+        "membership.expiresAt": within(maxStage),
+        $expr: { $ne: ["$membership.expiryNoticeFor", "$membership.expiresAt"] },
+      },
+      {
+        "membership.expiresAt": within(minStage),
+        "membership.expiryNoticeStage": { $gt: minStage },
+      },
+    ],
+  })
+    .select("name email membership")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  if (users.length === 0) return 0;
+
+  const template = await getActiveTemplate(TEMPLATES.reminder.key);
+  let sent = 0;
+
+  for (const user of users) {
+    const daysLeft = (new Date(user.membership.expiresAt) - now) / DAY_MS;
+    const stage = reminderStage(daysLeft);
+
+    const alreadySent =
+      String(user.membership.expiryNoticeFor) === String(user.membership.expiresAt) &&
+      user.membership.expiryNoticeStage <= stage;
+
+    if (stage === null || alreadySent) continue;
+
+    if (await sendNotice(user, stage, TEMPLATES.reminder, template, now)) sent += 1;
+  }
+
+  return sent;
+}
+
+/**
+ * T0: memberships that ended recently and have not had the "has ended"
+ * email. Refunds and revoked gifts mark it sent themselves.
+ */
+async function sendEndedNotices(now) {
+  const since = new Date(now.getTime() - (GRACE_DAYS + 1) * DAY_MS);
+
+  const users = await User.find({
+    "membership.status": "EXPIRED",
+    "membership.expiresAt": { $gt: since, $lte: now },
+    isDeleted: { $ne: true },
+    email: { $ne: null },
+    $or: [
+      { $expr: { $ne: ["$membership.expiryNoticeFor", "$membership.expiresAt"] } },
+      { "membership.expiryNoticeStage": { $ne: ENDED_STAGE } },
+    ],
+  })
+    .select("name email membership")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  if (users.length === 0) return 0;
+
+  const template = await getActiveTemplate(TEMPLATES.ended.key);
+  let sent = 0;
+
+  for (const user of users) {
+    if (await sendNotice(user, ENDED_STAGE, TEMPLATES.ended, template, now)) sent += 1;
+  }
+
+  return sent;
+}
+
+/* =========================================================
+   CORE JOB
+========================================================= */
+
+/**
+ * Expires memberships that are due (see membership.service sweepMemberships)
+ * and sends the T-7, T-1 and T0 emails.
+ */
+export const runMembershipLifecycle = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    console.warn("[MEMBERSHIP-LIFECYCLE] Skipped: Database not connected.");
+    return;
+  }
+
+  if (isRunning) {
+    console.warn("[MEMBERSHIP-LIFECYCLE] Skipped: Previous job still running.");
+    return;
+  }
+
+  isRunning = true;
+
+  try {
+    const now = new Date();
+
+    const { expired, grace, changed } = await sweepMemberships({ now, limit: BATCH_SIZE });
+    if (expired.length > 0 || grace.length > 0 || changed.length > 0) {
+      console.log(
+        `[MEMBERSHIP-LIFECYCLE] ${expired.length} expired, ${grace.length} moved to grace, ${changed.length} plan changes applied`
+      );
+    }
+
+    const reminders = await sendReminders(now);
+    const ended = await sendEndedNotices(now);
+
+    if (reminders > 0 || ended > 0) {
+      console.log(`[MEMBERSHIP-LIFECYCLE] ${reminders} reminders and ${ended} expiry emails sent`);
+    }
+  } catch (err) {
+    console.error("[MEMBERSHIP-LIFECYCLE] Failed:", err?.message || err);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/* =========================================================
+   CRON SCHEDULER
+========================================================= */
+
+cron.schedule("*/15 * * * *", () => {
+  runMembershipLifecycle().catch((err) => {
+    console.error("[MEMBERSHIP-LIFECYCLE] Unhandled cron error:", err?.message || err);
+  });
+});
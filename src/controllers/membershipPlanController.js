@@ -1,6 +1,7 @@
 import Joi from "joi";
 import mongoose from "mongoose";
 import MembershipPlan from "../models/MembershipPlan.model.js";
+import { PRODUCT_FORMATS } from "../models/Product.model.js";
 
 /* -------------------- VALIDATION -------------------- */
 
@@ -11,9 +12,11 @@ const createSchema = Joi.object({
   currency: Joi.string().trim().uppercase().default("INR"),
 
   maxDownloadsPerMonth: Joi.number().integer().min(0).allow(null),
-  allowedFormats: Joi.array().items(Joi.string().trim().lowercase()).default([]),
+  // Empty = every format
+  allowedFormats: Joi.array().items(Joi.string().trim().lowercase().valid(...PRODUCT_FORMATS)).unique().default([]),
   commercialUse: Joi.boolean().default(false),
   remixRequestsPerMonth: Joi.number().integer().min(0).default(0),
+  razorpayPlanId: Joi.string().trim().max(100).allow("", null).default(null),
 
   description: Joi.string().trim().allow("").max(5000).default(""),
   features: Joi.array().items(Joi.string().trim()).max(30).default([]),
@@ -29,9 +32,10 @@ const updateSchema = Joi.object({
   currency: Joi.string().trim().uppercase(),
 
   maxDownloadsPerMonth: Joi.number().integer().min(0).allow(null),
-  allowedFormats: Joi.array().items(Joi.string().trim().lowercase()),
+  allowedFormats: Joi.array().items(Joi.string().trim().lowercase().valid(...PRODUCT_FORMATS)).unique(),
   commercialUse: Joi.boolean(),
   remixRequestsPerMonth: Joi.number().integer().min(0),
+  razorpayPlanId: Joi.string().trim().max(100).allow("", null),
 
   description: Joi.string().trim().allow("").max(5000),
   features: Joi.array().items(Joi.string().trim()).max(30),
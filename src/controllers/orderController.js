@@ -6,37 +6,92 @@ import mongoose from "mongoose";
 import Order from "../models/Order.model.js";
 import User from "../models/User.model.js";
 import Product from "../models/Product.model.js";
-import EmailTemplate from "../models/EmailTemplate.model.js";
-import razorpay from "../services/razorpayClient.js";
-import { sendEmail } from "../utils/mailer.js";
 import { initiateRefund } from "../services/refund.service.js";
 
 import {
   createPendingOrderForUser,
   createMembershipOrderForUser,
   markOrderPaidAndGrantAccess,
+  createPaymentOrder,
+  fetchUserSecurely,
+  amountDue,
 } from "../services/order.service.js";
-
+import { createQuote, serializeQuote } from "../services/pricing.service.js";
+import { revokeGiftForOrder } from "../services/gift.service.js";
+import {
+  sendOrderPaidEmails,
+  sendOrderRefundedEmail,
+} from "../services/orderEmail.service.js";
+import {
+  INVOICEABLE_STATUSES,
+  invoiceFilename,
+  renderInvoicePdf,
+} from "../services/invoice.service.js";
+import {
+  startSubscription,
+  verifySubscriptionCheckout,
+  cancelSubscription,
+  resumeSubscription,
+  toPublicSubscription,
+  LIVE_SUBSCRIPTION_STATUSES,
+} from "../services/subscription.service.js";
 import {
-  buildOrderCompleteSubject,
-  buildOrderCompleteEmailHtml,
-} from "../templates/emailTemplates.js";
+  membershipState,
+  assertResumable,
+  expireMembership,
+  cancelMembership as cancelUserMembership,
+  resumeMembership as resumeUserMembership,
+} from "../services/membership.service.js";
+import {
+  quoteMembershipChange,
+  changeMembership,
+  cancelScheduledChange,
+  getMembershipChanges,
+} from "../services/membershipChange.service.js";
 
 /* ========================= VALIDATION SCHEMAS ========================= */
 
 const createOrderSchema = Joi.object({
   productIds: Joi.array()
     .items(Joi.string().hex().length(24))
-    .min(1)
-    .required(),
+    .min(1),
+  bundleId: Joi.string().trim().max(100),
   currency: Joi.string().uppercase().default("INR"),
   promoCode: Joi.string().trim().uppercase().optional().allow("", null),
-});
+  // Pins the order to a quote; its products/promo take precedence
+  quoteId: Joi.string().hex().length(24),
+  // Pay from store credit first; Razorpay only for the rest
+  useWallet: Joi.boolean().default(false),
+})
+  .or("productIds", "bundleId", "quoteId")
+  .oxor("productIds", "bundleId");
 
 const createMembershipOrderSchema = Joi.object({
   planKey: Joi.string().trim().uppercase().required(),
   months: Joi.number().integer().min(1).default(1),
   currency: Joi.string().uppercase().default("INR"),
+  promoCode: Joi.string().trim().uppercase().optional().allow("", null),
+  quoteId: Joi.string().hex().length(24),
+  useWallet: Joi.boolean().default(false),
+});
+
+const quoteSchema = Joi.object({
+  productIds: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .min(1)
+    .max(50),
+  bundleId: Joi.string().trim().max(100),
+  planKey: Joi.string().trim().uppercase(),
+  months: Joi.number().integer().min(1).max(12).default(1),
+  currency: Joi.string().uppercase(),
+  promoCode: Joi.string().trim().uppercase().optional().allow("", null),
+  // Quote for a gift checkout (the buyer's library is not checked)
+  gift: Joi.boolean().default(false),
+}).xor("productIds", "bundleId", "planKey");
+
+const refundSchema = Joi.object({
+  // Refund as store credit instead of back to the card
+  toWallet: Joi.boolean().default(false),
 });
 
 const verifySchema = Joi.object({
@@ -46,148 +101,192 @@ const verifySchema = Joi.object({
   razorpaySignature: Joi.string().required(),
 });
 
-/* ========================= EMAIL HELPERS ========================= */
+const membershipChangeSchema = Joi.object({
+  planKey: Joi.string().trim().uppercase().required(),
+  months: Joi.number().integer().min(1).max(12).default(1),
+  currency: Joi.string().uppercase().default("INR"),
+  promoCode: Joi.string().trim().uppercase().optional().allow("", null),
+  quoteId: Joi.string().hex().length(24),
+  useWallet: Joi.boolean().default(false),
+});
+
+const subscribeSchema = Joi.object({
+  planKey: Joi.string().trim().uppercase().required(),
+});
+
+const subscriptionVerifySchema = Joi.object({
+  razorpaySubscriptionId: Joi.string().required(),
+  razorpayPaymentId: Joi.string().required(),
+  razorpaySignature: Joi.string().required(),
+});
 
-function renderTemplate(template, vars = {}) {
-  if (!template) return "";
+/* ========================= MEMBERSHIP ERRORS ========================= */
+
+const MEMBERSHIP_CLIENT_ERRORS = {
+  MEMBERSHIP_NOT_ACTIVE: 400,
+  MEMBERSHIP_NOT_RESUMABLE: 400,
+  MEMBERSHIP_EXPIRED: 409,
+  MEMBERSHIP_INVALID_TRANSITION: 409,
+  MEMBERSHIP_SAME_PLAN: 400,
+  MEMBERSHIP_PLAN_CHANGE_REQUIRED: 409,
+  MEMBERSHIP_CHANGE_PREPAID: 409,
+  MEMBERSHIP_CHANGE_UNAVAILABLE: 400,
+  MEMBERSHIP_CHANGE_CONFLICT: 409,
+  MEMBERSHIP_CHANGE_NOT_FOUND: 404,
+  SUBSCRIPTION_UNAVAILABLE: 400,
+  SUBSCRIPTION_EXISTS: 409,
+  SUBSCRIPTION_PLAN_CONFLICT: 409,
+  SUBSCRIPTION_NOT_ACTIVE: 400,
+  SUBSCRIPTION_NOT_FOUND: 404,
+  SUBSCRIPTION_SIGNATURE_INVALID: 400,
+};
 
-  return template.replaceAll(/{{\s*(\w+)\s*}}/g, (_, key) => {
-    const upperKey = key.toUpperCase();
-    let v;
-    if (vars[key] !== undefined && vars[key] !== null) {
-      v = vars[key];
-    } else if (vars[upperKey] !== undefined && vars[upperKey] !== null) {
-      v = vars[upperKey];
-    } else {
-      v = "";
-    }
-    return String(v);
-  });
+function sendMembershipError(err, res) {
+  if (err?.membershipError || err?.subscriptionError) {
+    return res
+      .status(MEMBERSHIP_CLIENT_ERRORS[err.code] || 400)
+      .json({ message: err.message, code: err.code });
+  }
+  if (err?.message === "Membership plan not found") {
+    return res.status(400).json({ message: err.message });
+  }
+  if (err?.message === "User not found" || err?.message === "Account suspended") {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+  // Razorpay API errors carry statusCode + error.description
+  if (err?.statusCode && err?.error?.description) {
+    console.error("[SUBSCRIPTION] Razorpay error:", err.error.description);
+    return res.status(502).json({ message: "Payment provider error, please try again" });
+  }
+  return null;
 }
 
-async function getActiveTemplate(key) {
-  if (!key) return null;
-  const tpl = await EmailTemplate.findOne({ key }).lean();
-  if (!tpl || tpl.isActive === false) return null;
-  return tpl;
+function subscriptionCheckoutPayload({ subscription, plan, startAt }) {
+  return {
+    subscriptionId: subscription.id,
+    status: subscription.status,
+    planKey: plan.key,
+    amount: plan.price,
+    currency: plan.currency || "INR",
+    // Set when the current paid period runs first; billing starts then
+    startAt,
+    razorpayKeyId: process.env.RAZORPAY_KEY_ID,
+  };
 }
 
-async function sendOrderCompleteEmail(orderId) {
-  try {
-    const order = await Order.findById(orderId)
-      .populate("user", "name email")
-      .populate("items.product", "title slug")
-      .lean();
+/* ========================= PRICING ERRORS ========================= */
+
+// Maps pricing engine errors to a response; returns null for anything else.
+// Shared by every checkout endpoint (orders, gifts).
+export function sendPricingError(err, res) {
+  if (err?.quoteError) {
+    return res.status(err.code === "QUOTE_CHANGED" ? 409 : 400).json({
+      message: err.message,
+      code: err.code,
+      quote: err.quote ? serializeQuote(err.quote) : undefined,
+      minMonths: err.minMonths,
+    });
+  }
+  if (err?.promoError) {
+    return res.status(400).json({ message: err.message, code: err.code });
+  }
+  if (err?.walletError) {
+    return res.status(409).json({ message: err.message, code: err.code });
+  }
+  if (err?.notPurchasable) {
+    return res.status(400).json({
+      message: err.message,
+      notPurchasable: err.notPurchasable,
+    });
+  }
+  if (err?.alreadyPurchased) {
+    return res.status(400).json({
+      message: err.message,
+      alreadyPurchased: err.alreadyPurchased,
+    });
+  }
+  if (err?.bundleIncomplete) {
+    return res.status(409).json({ message: err.message, code: err.code });
+  }
+  if (err?.message === "Bundle not available" || err?.message === "Membership plan not found") {
+    return res.status(400).json({ message: err.message });
+  }
+  if (err?.message === "User not found" || err?.message === "Account suspended") {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+  return null;
+}
 
-    if (!order || !order.user || !order.user.email) {
-      console.warn(
-        "[sendOrderCompleteEmail] Order or user not found for",
-        orderId
-      );
-      return;
-    }
-
-    if (order.status !== "PAID" && order.status !== "REFUNDED") {
-      return;
-    }
-
-    const realOrderId = order._id.toString();
-    const orderCode = `#${realOrderId.toUpperCase()}`;
-    const isMembership = !!order.membershipPlanKey;
-    const orderType = isMembership ? "Membership" : "Product Purchase";
-    const date = order.completedAt || order.createdAt || new Date();
-
-    const totalStr =
-      order.total?.toFixed && typeof order.total === "number"
-        ? order.total.toFixed(2)
-        : order.total ?? "";
-
-    const createdAtStr = date.toLocaleString();
-    const dateStr = date.toLocaleDateString();
-
-    const vars = {
-      // User details
-      CUSTOMER_NAME: order.user.name || "Customer",
-      CUSTOMER_EMAIL: order.user.email,
-      customerName: order.user.name || "Customer",
-      customerEmail: order.user.email,
-
-      // Order details
-      ORDER_ID: realOrderId,
-      ORDER_CODE: orderCode,
-      ORDER_TYPE: orderType,
-      ORDER_STATUS: order.status,
-      ORDER_CURRENCY: order.currency || "INR",
-      ORDER_TOTAL: totalStr,
-      ORDER_SUBTOTAL: order.subtotal ?? "",
-      ORDER_TAX: order.tax ?? "",
-      ORDER_PROMO_CODE: order.promoCode || "",
-      ORDER_PROMO_DISCOUNT: order.promoDiscount || 0,
-      ORDER_CREATED_AT: createdAtStr,
-      ORDER_DATE: dateStr,
-
-      orderId: realOrderId,
-      orderCode,
-      orderType,
-      status: order.status,
-      currency: order.currency || "INR",
-      total: totalStr,
-      subtotal: order.subtotal ?? "",
-      tax: order.tax ?? "",
-      promoCode: order.promoCode || "",
-      promoDiscount: order.promoDiscount || 0,
-      createdAt: createdAtStr,
-      date: dateStr,
-
-      // Membership details
-      MEMBERSHIP_PLAN_KEY: order.membershipPlanKey || "",
-      MEMBERSHIP_PLAN:
-        order.membershipPlanName || order.membershipPlanKey || "",
-      MEMBERSHIP_MONTHS: order.membershipMonths || "",
-      membershipPlanKey: order.membershipPlanKey || "",
-      membershipPlan: order.membershipPlanName || order.membershipPlanKey || "",
-      membershipMonths: order.membershipMonths || "",
-    };
-
-    let subject;
-    let html;
-
-    try {
-      let template = null;
-
-      if (isMembership) {
-        template = await getActiveTemplate("ORDER_COMPLETE_MEMBERSHIP");
-        if (!template) {
-          template = await getActiveTemplate("ORDER_COMPLETE");
-        }
-      } else {
-        template = await getActiveTemplate("ORDER_COMPLETE");
-      }
+/* ========================= MEMBERSHIP ORDERS ========================= */
+
+// 201 with the Razorpay order to pay, or `paid: true` when the wallet covered it
+async function respondWithMembershipOrder(res, order, extra = {}) {
+  const summary = {
+    orderId: order._id,
+    total: order.total,
+    walletApplied: order.walletApplied,
+    currency: order.currency,
+    membershipPlanKey: order.membershipPlanKey,
+    membershipMonths: order.membershipMonths,
+    membershipChange: order.membershipChange || undefined,
+    promoCode: order.promoCode,
+    promoDiscount: order.promoDiscount,
+    quoteId: order.quoteId,
+    ...extra,
+  };
+
+  if (order.status === "PAID") {
+    sendOrderPaidEmails(order);
+    return res.status(201).json({ ...summary, paid: true, amount: 0 });
+  }
 
-      if (template) {
-        subject = renderTemplate(template.subjectTemplate, vars);
-        html = renderTemplate(template.bodyHtml, vars);
-      } else {
-        subject = buildOrderCompleteSubject(vars);
-        html = buildOrderCompleteEmailHtml(vars);
-      }
-    } catch (e) {
-      console.error("[sendOrderCompleteEmail] template load error:", e);
-      subject = buildOrderCompleteSubject(vars);
-      html = buildOrderCompleteEmailHtml(vars);
+  const razorpayOrder = await createPaymentOrder(order, {
+    type: order.membershipChange ? "membership_upgrade" : "membership_purchase",
+    plan: order.membershipPlanKey,
+    promoCode: order.promoCode || undefined,
+  });
+
+  return res.status(201).json({
+    ...summary,
+    amount: amountDue(order),
+    razorpayOrderId: razorpayOrder.id,
+    razorpayKeyId: process.env.RAZORPAY_KEY_ID,
+  });
+}
+
+/* ========================= CONTROLLERS ========================= */
+
+/**
+ * 0. QUOTE
+ * Itemised price for products, a bundle or a membership plan. The returned
+ * quoteId can be sent to the order endpoints to charge exactly this amount.
+ */
+export const getOrderQuote = async (req, res, next) => {
+  try {
+    const { error, value } = quoteSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
     }
 
-    await sendEmail({
-      to: order.user.email,
-      subject,
-      html,
+    const user = await fetchUserSecurely(req.user.id);
+    const quote = await createQuote(user, {
+      ...value,
+      promoCode: value.promoCode || undefined,
     });
+
+    return res.status(201).json({ quote: serializeQuote(quote) });
   } catch (err) {
-    console.error("[sendOrderCompleteEmail] failed:", err);
+    if (err?.message === "User not found" || err?.message === "Account suspended") {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    if (sendPricingError(err, res)) return;
+    next(err);
   }
-}
-
-/* ========================= CONTROLLERS ========================= */
+};
 
 /**
  * 1. CREATE PRODUCT ORDER
@@ -204,7 +303,7 @@ export const createOrder = async (req, res, next) => {
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const { productIds, currency, promoCode } = value;
+    const { productIds = [], bundleId, currency, promoCode, quoteId, useWallet } = value;
     const authUserId = req.user?.id;
 
     if (!authUserId) {
@@ -244,14 +343,34 @@ export const createOrder = async (req, res, next) => {
       });
     }
 
-    // 3. Create Pending Order (DB)
+    // 3. Create Pending Order (DB) - bundles are prorated against owned items
     const order = await createPendingOrderForUser({
       userId: user._id.toString(),
       productIds,
+      bundleId,
       currency,
       promoCode: promoCode || undefined,
+      quoteId,
+      useWallet,
     });
 
+    // Wallet covered the whole total: already paid, no Razorpay order
+    if (order.status === "PAID") {
+      sendOrderPaidEmails(order);
+
+      return res.status(201).json({
+        orderId: order._id,
+        paid: true,
+        amount: 0,
+        total: order.total,
+        walletApplied: order.walletApplied,
+        currency: order.currency,
+        promoCode: order.promoCode,
+        promoDiscount: order.promoDiscount,
+        quoteId: order.quoteId,
+      });
+    }
+
     // Enforce minimum payable (backend truth)
     const MIN_PAYABLE = 1;
 
@@ -266,40 +385,29 @@ export const createOrder = async (req, res, next) => {
     }
 
 
-    // 4. Create Razorpay Order
-    const amountInPaise = Math.round(order.total * 100);
-    const razorpayOrder = await razorpay.orders.create({
-      amount: amountInPaise,
-      currency: order.currency,
-      receipt: order._id.toString(),
-      notes: {
-        orderId: order._id.toString(),
-        userId: user._id.toString(),
-        type: "product_purchase",
-      },
+    // 4. Create Razorpay Order & link it to the DB Order
+    const razorpayOrder = await createPaymentOrder(order, {
+      type: order.bundleId ? "bundle_purchase" : "product_purchase",
     });
 
-    // 5. Link Razorpay ID to DB Order
-    order.paymentOrderId = razorpayOrder.id;
-    await order.save();
-
     return res.status(201).json({
       orderId: order._id,
-      amount: order.total,
+      amount: amountDue(order),
+      total: order.total,
+      walletApplied: order.walletApplied,
       currency: order.currency,
       razorpayOrderId: razorpayOrder.id,
       razorpayKeyId: process.env.RAZORPAY_KEY_ID,
       promoCode: order.promoCode,
       promoDiscount: order.promoDiscount,
+      bundle: order.bundleId
+        ? { id: order.bundleId, ...order.toObject().bundleSnapshot }
+        : undefined,
+      quoteId: order.quoteId,
     });
   } catch (err) {
-    // Specific error from order.service
-    if (err && err.message === "One or more products are not purchasable") {
-      return res.status(400).json({
-        message: err.message,
-        notPurchasable: err.notPurchasable || [],
-      });
-    }
+    // Specific errors from the pricing engine
+    if (sendPricingError(err, res)) return;
     next(err);
   }
 };
@@ -328,13 +436,14 @@ export const createMembershipOrder = async (req, res, next) => {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
-    const { planKey, months, currency } = value;
+    const { planKey, months, currency, promoCode, quoteId, useWallet } = value;
+    const state = membershipState(user.membership);
 
     // Check if user already has THIS plan active
     if (
       user.membership &&
       user.membership.planKey === planKey &&
-      user.membership.status === "ACTIVE"
+      state === "ACTIVE"
     ) {
       // Optional: Check expiry date?
       // For now, blocking duplicate active plan purchase to prevent accidental double charge
@@ -343,42 +452,43 @@ export const createMembershipOrder = async (req, res, next) => {
       });
     }
 
+    // Another plan still running: buying this one would throw its days away.
+    // Paying ahead for a scheduled downgrade is the exception.
+    const scheduled = user.membership?.scheduledChange;
+    const prepaysChange = scheduled?.planKey === planKey && !scheduled.viaSubscription;
+
+    // Once that downgrade is paid for, only more months of it can be bought
+    if (scheduled?.prepaidMonths > 0 && !prepaysChange) {
+      return res.status(409).json({
+        message: "Your next period is already paid for on another plan.",
+        code: "MEMBERSHIP_CHANGE_PREPAID",
+      });
+    }
+    if (
+      ["ACTIVE", "CANCELLED", "GRACE"].includes(state) &&
+      user.membership.planKey !== planKey &&
+      !prepaysChange
+    ) {
+      return res.status(409).json({
+        message: "You already have a different membership plan. Change plans instead.",
+        code: "MEMBERSHIP_PLAN_CHANGE_REQUIRED",
+      });
+    }
+
     // 1. Create Pending Membership Order (DB)
     const order = await createMembershipOrderForUser({
       userId: user._id.toString(),
       planKey,
       months,
       currency,
+      promoCode: promoCode || undefined,
+      quoteId,
+      useWallet,
     });
 
-    // 2. Create Razorpay Order
-    const amountInPaise = Math.round(order.total * 100);
-    const razorpayOrder = await razorpay.orders.create({
-      amount: amountInPaise,
-      currency: order.currency,
-      receipt: order._id.toString(),
-      notes: {
-        orderId: order._id.toString(),
-        userId: user._id.toString(),
-        type: "membership_purchase",
-        plan: planKey,
-      },
-    });
-
-    // 3. Link
-    order.paymentOrderId = razorpayOrder.id;
-    await order.save();
-
-    return res.status(201).json({
-      orderId: order._id,
-      amount: order.total,
-      currency: order.currency,
-      razorpayOrderId: razorpayOrder.id,
-      razorpayKeyId: process.env.RAZORPAY_KEY_ID,
-      membershipPlanKey: order.membershipPlanKey,
-      membershipMonths: order.membershipMonths,
-    });
+    return await respondWithMembershipOrder(res, order);
   } catch (err) {
+    if (sendPricingError(err, res)) return;
     next(err);
   }
 };
@@ -451,7 +561,7 @@ export const verifyOrder = async (req, res, next) => {
       },
     });
 
-    sendOrderCompleteEmail(orderId).catch(() => {});
+    sendOrderPaidEmails(order);
 
     return res.json({ success: true });
   } catch (err) {
@@ -476,73 +586,263 @@ export const getMyOrders = async (req, res, next) => {
   }
 };
 
+/* ========================= INVOICE PDF ========================= */
+
+async function sendInvoicePdf(res, order) {
+  if (!INVOICEABLE_STATUSES.includes(order.status)) {
+    return res.status(400).json({ message: "Invoice is available once the order is paid" });
+  }
+
+  const pdf = await renderInvoicePdf(order);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${invoiceFilename(order)}"`);
+  return res.send(pdf);
+}
+
+/**
+ * GET /api/orders/:id/invoice.pdf
+ * Invoice of one of the signed-in user's paid orders.
+ */
+export const getMyOrderInvoicePdf = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(id).populate("user", "name email").lean();
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (String(order.user?._id) !== String(req.user.id)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    return sendInvoicePdf(res, order);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ========================= SUBSCRIPTIONS ========================= */
+
+/**
+ * POST /api/orders/membership/subscribe
+ * Starts an auto-renewing membership. The client opens Razorpay Checkout
+ * with `subscriptionId`; charges arrive through the webhook.
+ */
+export const createMembershipSubscription = async (req, res, next) => {
+  try {
+    const { error, value } = subscribeSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const result = await startSubscription(req.user.id, value.planKey);
+
+    return res.status(201).json(subscriptionCheckoutPayload(result));
+  } catch (err) {
+    if (sendMembershipError(err, res)) return;
+    next(err);
+  }
+};
+
+/**
+ * POST /api/orders/membership/subscribe/verify
+ * Checkout callback for a subscription; records the first charge right away
+ * when there is one (the webhook would otherwise do it).
+ */
+export const verifyMembershipSubscription = async (req, res, next) => {
+  try {
+    if (!process.env.RAZORPAY_KEY_SECRET) {
+      return res.status(500).json({ message: "Payment verification unavailable" });
+    }
+
+    const { error, value } = subscriptionVerifySchema.validate(req.body, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { subscription, order } = await verifySubscriptionCheckout(req.user.id, value);
+
+    return res.json({
+      success: true,
+      subscription: toPublicSubscription(subscription),
+      orderId: order?._id,
+    });
+  } catch (err) {
+    if (sendMembershipError(err, res)) return;
+    next(err);
+  }
+};
+
 /* ========================= MEMBERSHIP ACTIONS ========================= */
 
 export const cancelMembership = async (req, res, next) => {
   try {
     const userId = req.user?.id;
-    const user = await User.findById(userId).select("membership +isDeleted");
+    const user = await User.findById(userId).select("membership subscription +isDeleted");
 
     if (!user || user.isDeleted) {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
-    if (!user.membership || !user.membership.planKey) {
-      return res
-        .status(400)
-        .json({ message: "You do not have an active membership." });
-    }
+    // Auto-renewing: stop the billing itself; the membership follows
+    if (LIVE_SUBSCRIPTION_STATUSES.includes(user.subscription?.status)) {
+      const subscription = await cancelSubscription(userId);
+      const updated = await User.findById(userId).select("membership").lean();
 
-    if (user.membership.status !== "ACTIVE") {
-      return res.status(400).json({
-        message: `Cannot cancel membership with status ${user.membership.status}.`,
+      return res.status(200).json({
+        message: "Subscription cancelled. Your membership stays valid until expiry.",
+        membership: updated.membership,
+        subscription: toPublicSubscription(subscription),
       });
     }
 
-    user.membership.status = "CANCELLED";
-    await user.save();
+    const membership = await cancelUserMembership(userId);
 
     return res.status(200).json({
-      message: "Membership cancelled. It will remain valid until expiry.",
-      membership: user.membership,
+      message: membership.status === "EXPIRED"
+        ? "Membership cancelled."
+        : "Membership cancelled. It will remain valid until expiry.",
+      membership,
     });
   } catch (err) {
+    if (sendMembershipError(err, res)) return;
     next(err);
   }
 };
 
+/**
+ * Only a cancelled membership whose paid period is still running can be
+ * resumed; after expiry it has to be bought again.
+ */
 export const resumeMembership = async (req, res, next) => {
   try {
     const userId = req.user?.id;
-    const user = await User.findById(userId).select("membership +isDeleted");
+    const user = await User.findById(userId).select("membership subscription +isDeleted");
 
     if (!user || user.isDeleted) {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
-    if (!user.membership || !user.membership.planKey) {
-      return res
-        .status(400)
-        .json({ message: "No membership history found to resume." });
-    }
+    assertResumable(membershipState(user.membership));
 
-    if (
-      user.membership.status !== "CANCELLED" &&
-      user.membership.status !== "EXPIRED"
-    ) {
-      return res.status(400).json({
-        message: `Cannot resume membership from status ${user.membership.status}.`,
+    // Was auto-renewing: needs a new subscription authorised in Checkout
+    if (user.subscription?.planKey) {
+      const result = await resumeSubscription(userId);
+
+      return res.status(201).json({
+        message: "Authorise the subscription to resume billing.",
+        ...subscriptionCheckoutPayload(result),
       });
     }
 
-    user.membership.status = "ACTIVE";
-    await user.save();
+    const membership = await resumeUserMembership(userId);
 
     return res.status(200).json({
       message: "Membership resumed successfully.",
-      membership: user.membership,
+      membership,
+    });
+  } catch (err) {
+    if (sendMembershipError(err, res)) return;
+    next(err);
+  }
+};
+
+/* ========================= PLAN CHANGES ========================= */
+
+/**
+ * GET /api/orders/membership/change
+ * Current plan, any scheduled change and the change history.
+ */
+export const getMembershipChange = async (req, res, next) => {
+  try {
+    return res.json(await getMembershipChanges(req.user.id));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/orders/membership/change/quote
+ * Previews a plan change. Upgrades include a quote with the credit for the
+ * unused days; its quoteId can be passed to POST /membership/change.
+ */
+export const quoteMembershipPlanChange = async (req, res, next) => {
+  try {
+    const { error, value } = membershipChangeSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { change, quote } = await quoteMembershipChange(req.user.id, {
+      ...value,
+      promoCode: value.promoCode || undefined,
+    });
+
+    return res.status(quote ? 201 : 200).json({
+      change,
+      quote: quote ? serializeQuote(quote) : null,
+    });
+  } catch (err) {
+    if (sendMembershipError(err, res)) return;
+    if (sendPricingError(err, res)) return;
+    next(err);
+  }
+};
+
+/**
+ * POST /api/orders/membership/change
+ * Upgrades return an order to pay (as POST /membership does); downgrades,
+ * and any change under auto-renewal, are scheduled for the period end.
+ */
+export const changeMembershipPlan = async (req, res, next) => {
+  try {
+    const { error, value } = membershipChangeSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { change, order, scheduledChange } = await changeMembership(req.user.id, {
+      ...value,
+      promoCode: value.promoCode || undefined,
+    });
+
+    if (order) {
+      return await respondWithMembershipOrder(res, order, { change });
+    }
+
+    return res.status(200).json({
+      message: "Your plan will change at the end of the current period.",
+      change,
+      scheduledChange,
+    });
+  } catch (err) {
+    if (sendMembershipError(err, res)) return;
+    if (sendPricingError(err, res)) return;
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/orders/membership/change
+ * Drops a scheduled plan change that has not been paid for.
+ */
+export const cancelMembershipPlanChange = async (req, res, next) => {
+  try {
+    const membership = await cancelScheduledChange(req.user.id);
+
+    return res.status(200).json({
+      message: "Scheduled plan change cancelled.",
+      membership,
     });
   } catch (err) {
+    if (sendMembershipError(err, res)) return;
     next(err);
   }
 };
@@ -693,16 +993,14 @@ export const adminGetOrders = async (req, res, next) => {
 async function revokeOrderAccess(order) {
   if (!order.user) return;
 
+  // The buyer never had access to a gift; take it back from the recipient
+  if (order.isGift) {
+    await revokeGiftForOrder(order);
+    return;
+  }
+
   if (order.membershipPlanKey) {
-    await User.updateOne(
-      { _id: order.user },
-      {
-        $set: {
-          "membership.status": "REFUNDED",
-          "membership.expiresAt": new Date(),
-        },
-      }
-    );
+    await expireMembership(order.user);
   } else {
     for (const item of order.items || []) {
       const productId =
@@ -750,12 +1048,24 @@ export const refundOrder = async (req, res, next) => {
       });
     }
 
+    const { error, value } = refundSchema.validate(req.body || {}, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
     await revokeOrderAccess(order);
-    const refund = await initiateRefund(order);
+    const refund = await initiateRefund(order, { toWallet: value.toWallet });
+    sendOrderRefundedEmail(order._id);
 
     return res.json({
-      message: "Refund initiated, access revoked",
+      message: value.toWallet
+        ? "Refunded to wallet, access revoked"
+        : "Refund initiated, access revoked",
       refundId: refund.id,
+      refundedToCard: refund.cardAmount,
+      refundedToWallet: refund.walletAmount,
       orderId: order._id,
       status: order.status, 
     });
@@ -788,5 +1098,26 @@ export const adminGetOrderById = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/admin/orders/:id/invoice.pdf
+ */
+export const adminGetOrderInvoicePdf = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(id).populate("user", "name email").lean();
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    return sendInvoicePdf(res, order);
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Alias if needed by routes
 export const adminGetAllOrders = adminGetOrders;
\ No newline at end of file
@@ -0,0 +1,136 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+
+import Product from "../models/Product.model.js";
+import User from "../models/User.model.js";
+import { sendEmail } from "../utils/mailer.js";
+import { getActiveTemplate, renderEmail } from "../utils/emailTemplate.js";
+import {
+  buildPreorderReleasedSubject,
+  buildPreorderReleasedEmailHtml,
+} from "../templates/emailTemplates.js";
+
+/* =========================================================
+   INTERNAL STATE (SAFETY)
+========================================================= */
+
+const TEMPLATE_KEY = "PREORDER_RELEASED";
+
+let isRunning = false;
+
+/* =========================================================
+   HELPERS
+========================================================= */
+
+/**
+ * Emails everyone who owns the product at release time, i.e. its pre-order buyers.
+ */
+async function notifyPreorderBuyers(product) {
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:8080";
+
+  let template = null;
+  try {
+    template = await getActiveTemplate(TEMPLATE_KEY);
+  } catch (e) {
+    console.error("[PREORDER-RELEASE] template load error:", e?.message || e);
+  }
+
+  const cursor = User.find({
+    "purchasedProducts.product": product._id,
+    isDeleted: { $ne: true },
+  })
+    .select("name email")
+    .lean()
+    .cursor();
+
+  let sent = 0;
+
+  for await (const user of cursor) {
+    if (!user.email) continue;
+
+    const vars = {
+      CUSTOMER_NAME: user.name || "there",
+      CUSTOMER_EMAIL: user.email,
+      PRODUCT_TITLE: product.title,
+      PRODUCT_SLUG: product.slug,
+      LIBRARY_URL: `${clientUrl}/library`,
+    };
+
+    const { subject, html } = renderEmail(template, vars, {
+      buildSubject: buildPreorderReleasedSubject,
+      buildHtml: buildPreorderReleasedEmailHtml,
+    });
+
+    try {
+      await sendEmail({ to: user.email, subject, html });
+      sent += 1;
+    } catch (err) {
+      console.error(
+        `[PREORDER-RELEASE] Email failed for user ${user._id}:`,
+        err?.message || err
+      );
+    }
+  }
+
+  return sent;
+}
+
+/* =========================================================
+   CORE JOB
+========================================================= */
+
+export const releaseDuePreorders = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    console.warn("[PREORDER-RELEASE] Skipped: Database not connected.");
+    return;
+  }
+
+  if (isRunning) {
+    console.warn("[PREORDER-RELEASE] Skipped: Previous job still running.");
+    return;
+  }
+
+  isRunning = true;
+
+  try {
+    const now = new Date();
+    const due = await Product.find({
+      visibility: "preorder",
+      releaseAt: { $ne: null, $lte: now },
+    })
+      .select("_id")
+      .lean();
+
+    for (const { _id } of due) {
+      // Atomic flip: only one run (or instance) gets to publish + notify
+      const product = await Product.findOneAndUpdate(
+        { _id, visibility: "preorder" },
+        { $set: { visibility: "public" } },
+        { new: true }
+      )
+        .select("title slug releaseAt")
+        .lean();
+
+      if (!product) continue;
+
+      const sent = await notifyPreorderBuyers(product);
+      console.log(
+        `[PREORDER-RELEASE] Published ${product._id} (${product.title}); notified ${sent} buyers`
+      );
+    }
+  } catch (err) {
+    console.error("[PREORDER-RELEASE] Failed:", err?.message || err);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/* =========================================================
+   CRON SCHEDULER
+========================================================= */
+
+cron.schedule("* * * * *", () => {
+  releaseDuePreorders().catch((err) => {
+    console.error("[PREORDER-RELEASE] Unhandled cron error:", err?.message || err);
+  });
+});
@@ -7,7 +7,11 @@ import mongoose from "mongoose";
 import sanitizeHtml from "sanitize-html";
 import { DeleteObjectCommand } from "@aws-sdk/client-s3";
 
-import Product from "../models/Product.model.js";
+import Product, {
+  LISTED_VISIBILITIES,
+  PRODUCT_FORMATS,
+  LICENSE_TIERS,
+} from "../models/Product.model.js";
 import User from "../models/User.model.js";
 import s3Client from "../services/s3Client.js";
 
@@ -15,6 +19,21 @@ import {
   userHasPurchasedProduct,
   getActiveMembership,
 } from "../services/order.service.js";
+import {
+  searchCatalog,
+  listCatalog,
+  listCatalogPage,
+} from "../services/productSearch.service.js";
+import {
+  createSignedDownloadLink,
+  resolveDeliverableUrl,
+  recordDownloadEvent,
+  checkMembershipEntitlement,
+} from "../services/download.service.js";
+import { currentUsage } from "../services/membership.service.js";
+import { verifyDownloadToken } from "../utils/jwt.js";
+import { recordPreviewPlay } from "../services/playTracking.service.js";
+import { getActiveSales, resolveSalePrice } from "../services/sale.service.js";
 
 const BUCKET = process.env.S3_BUCKET_NAME;
 
@@ -64,7 +83,8 @@ async function deleteFilesFromS3(keys) {
 
 
 // --- CRITICAL SECURITY: Ensures Main File URL never goes to Public API ---
-function sanitizeProductForPublic(product) {
+// `sales` (from getActiveSales) applies any running scheduled sale to the price
+function sanitizeProductForPublic(product, sales = []) {
   if (!product) return product;
 
   // If it's a Mongoose document, convert to object first (triggers virtuals)
@@ -80,7 +100,16 @@ delete obj.download;
 delete obj.downloadUrl;
 delete obj.downloadType;
 
-  
+  // Sale price shown against the regular one; `sale.endsAt` drives countdowns
+  const onSale = resolveSalePrice(obj, sales);
+  if (onSale) {
+    obj.listPrice = obj.price;
+    obj.price = onSale.price;
+    obj.mrp = onSale.mrp;
+    obj.discountPercent = onSale.sale.discountPercent;
+    obj.sale = onSale.sale;
+  }
+
   return obj;
 }
 
@@ -105,7 +134,7 @@ async function deleteProductDocument(productId) {
 // --- Helper to safely fetch Hidden URL (Collision Free) ---
 async function fetchHiddenDownloadLink(productId) {
   // Explicitly select hidden fields. Because schema has select: false, this avoids path collision.
-  const doc = await Product.findById(productId).select("download.url download.type");
+  const doc = await Product.findById(productId).select("download.url download.type download.key");
   return doc?.download || null;
 }
 
@@ -119,11 +148,22 @@ const productValidationSchema = Joi.object({
     isExclusive: Joi.boolean().default(false),
     
     download: Joi.object({
-        url: Joi.string().uri().required().messages({
-            "string.empty": "Main download URL (Drive/Dropbox) is required",
-            "string.uri": "Download URL must be a valid link"
+        type: Joi.string().valid("drive", "external", "s3").default("drive"),
+        url: Joi.when("type", {
+            is: "s3",
+            then: Joi.string().uri().allow("").optional(),
+            otherwise: Joi.string().uri().required().messages({
+                "string.empty": "Main download URL (Drive/Dropbox) is required",
+                "string.uri": "Download URL must be a valid link"
+            }),
+        }),
+        key: Joi.when("type", {
+            is: "s3",
+            then: Joi.string().required().messages({
+                "any.required": "S3 key is required for S3-hosted downloads"
+            }),
+            otherwise: Joi.string().allow("").optional(),
         }),
-        type: Joi.string().valid("drive", "external").default("drive"),
         note: Joi.string().allow("").optional()
     }).required(),
 
@@ -150,6 +190,8 @@ previewAudio: Joi.object({
     }).required(),
 
     audioFormatText: Joi.string().trim().max(100).required(),
+    formats: Joi.array().items(Joi.string().trim().lowercase().valid(...PRODUCT_FORMATS)).unique().default([]),
+    licenseTier: Joi.string().trim().lowercase().valid(...LICENSE_TIERS).default("personal"),
 
     features: Joi.array().items(Joi.string()).max(20).default([]),
     tracklist: Joi.array().default([]).max(1000),
@@ -161,7 +203,8 @@ previewAudio: Joi.object({
     mrp: Joi.number().min(0),
     price: Joi.number().min(0).required(),
     currency: Joi.string().default("INR"),
-    visibility: Joi.string().valid("public", "private", "draft").default("draft"),
+    visibility: Joi.string().valid("public", "preorder", "private", "draft").default("draft"),
+    releaseAt: Joi.date().allow(null),
     newTagDays: Joi.number().min(0).default(7),
     sampleEnabled: Joi.boolean().default(false),
     sampleYoutubeUrl: Joi.when("sampleEnabled", { 
@@ -173,6 +216,10 @@ previewAudio: Joi.object({
 .unknown(true)
 .custom((value, helpers) => {
 
+    if (value.visibility === "preorder" && !value.releaseAt) {
+        return helpers.message("Pre-order products need a releaseAt date.");
+    }
+
     if (value.mrp !== undefined && value.mrp > 0 && value.mrp < value.price) {
         return helpers.message("MRP cannot be less than the selling Price.");
     }
@@ -201,7 +248,10 @@ const updateProductSchema = productValidationSchema.keys({
     url: Joi.string().uri().required(),
     key: Joi.string().required(),
     duration: Joi.number().min(1)
-  }).optional()
+  }).optional(),
+  // No defaults here: leaving them out keeps the stored values
+  formats: Joi.array().items(Joi.string().trim().lowercase().valid(...PRODUCT_FORMATS)).unique(),
+  licenseTier: Joi.string().trim().lowercase().valid(...LICENSE_TIERS),
 });
 
 
@@ -292,17 +342,33 @@ export const deleteProduct = async (req, res, next) => {
   } catch (error_) { next(error_); }
 };
 
-// --- PUBLIC API: Get All (Latest First) ---
+// --- PUBLIC API: Get All (Cursor Paginated, Filterable) ---
 export const getProducts = async (req, res, next) => {
   try {
     // Note: Schema hides download.url by default (select: false).
-    const products = await Product.find({ visibility: "public" })
-  .sort({ createdAt: -1 })
-  .lean();
+    const query = req.cleanedQuery || req.query;
+    const sales = await getActiveSales();
 
-    
-    const safeProducts = products.map((p) => sanitizeProductForPublic(p));
-    return res.status(200).json(safeProducts);
+    // Without cursor/limit: the whole list as a bare array, as before paging
+    if (query.cursor === undefined && query.limit === undefined) {
+      const products = await listCatalog(query);
+      return res.status(200).json(products.map((p) => sanitizeProductForPublic(p, sales)));
+    }
+
+    const { items, nextCursor, limit, sort, invalidCursor } = await listCatalogPage(query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: "Invalid or expired cursor" });
+    }
+
+    const safeProducts = items.map((p) => sanitizeProductForPublic(p, sales));
+    return res.status(200).json({
+      products: safeProducts,
+      nextCursor,
+      hasMore: Boolean(nextCursor),
+      limit,
+      sort,
+    });
   } catch (error_) { next(error_); }
 };
 
@@ -313,11 +379,11 @@ export const getProductById = async (req, res, next) => {
     if (!product) return res.status(404).json({ message: "Product not found" });
 
     const isAdmin = Boolean(req.user?.roles?.includes("admin"));
-    if (product.visibility !== "public" && !isAdmin) {
+    if (!LISTED_VISIBILITIES.includes(product.visibility) && !isAdmin) {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    const safeProduct = sanitizeProductForPublic(product);
+    const safeProduct = sanitizeProductForPublic(product, await getActiveSales());
     return res.status(200).json(safeProduct);
   } catch (error_) { next(error_); }
 };
@@ -328,7 +394,7 @@ export const getRelatedProducts = async (req, res, next) => {
     const current = await Product.findById(id);
     if (!current) return res.status(404).json({ message: "Product not found" });
 
-    const baseFilter = { _id: { $ne: current._id }, visibility: "public" };
+    const baseFilter = { _id: { $ne: current._id }, visibility: { $in: LISTED_VISIBILITIES } };
     const orConditions = [];
     if (current.category) orConditions.push({ category: current.category });
     if (Array.isArray(current.tags) && current.tags.length > 0) orConditions.push({ tags: { $in: current.tags } });
@@ -338,14 +404,56 @@ export const getRelatedProducts = async (req, res, next) => {
 
     let related = await Product.find(query).sort({ createdAt: -1 }).limit(6);
     if (!related.length) {
-      related = await Product.find({ _id: { $ne: current._id }, visibility: "public" }).sort({ createdAt: -1 }).limit(6);
+      related = await Product.find({ _id: { $ne: current._id }, visibility: { $in: LISTED_VISIBILITIES } }).sort({ createdAt: -1 }).limit(6);
     }
 
-    const safeRelated = related.map((p) => sanitizeProductForPublic(p));
+    const sales = await getActiveSales();
+    const safeRelated = related.map((p) => sanitizeProductForPublic(p, sales));
     return res.json(safeRelated);
   } catch (error_) { next(error_); }
 };
 
+/* ============================================================
+   PREVIEW PLAY BEACON (PUBLIC)
+============================================================ */
+
+const playBeaconSchema = Joi.object({
+  sessionId: Joi.string().trim().max(100).allow("", null),
+}).unknown(true);
+
+export const recordProductPlay = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    // sendBeacon may post text/plain, leaving req.body unparsed
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const { error, value } = playBeaconSchema.validate(body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const sessionId = value.sessionId || req.get("x-session-id") || null;
+
+    const { counted } = await recordPreviewPlay({
+      productId: id,
+      sessionId: sessionId ? String(sessionId).slice(0, 100) : null,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.set("Cache-Control", "no-store");
+    return res.status(202).json({ counted });
+  } catch (error_) {
+    if (error_?.message === "Product not found") {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    next(error_);
+  }
+};
+
 /* ============================================================
    DOWNLOAD URL (SECURE)
 ============================================================ */
@@ -356,11 +464,10 @@ export const getDownloadUrl = async (req, res, next) => {
     if (!productId) return;
 
     // 1. Fetch Product
-    const product = await Product.findById(productId).select("+download.url");
+    const product = await Product.findById(productId).select("+download.url +download.key");
     if (!product) return res.status(404).json({ message: "Product not found" });
 
-    const downloadUrl = product.download?.url;
-    if (!downloadUrl) {
+    if (!hasDeliverable(product)) {
        return res.status(404).json({ message: "Download link not configured" });
     }
 
@@ -369,23 +476,21 @@ export const getDownloadUrl = async (req, res, next) => {
 
     const isAdmin = isUserAdmin(user);
     if (!allowAccessToNonPublicProduct(product, isAdmin, res)) return;
+    if (!allowAccessBeforeRelease(product, isAdmin, res)) return;
 
     // 2. Check Previous Purchase (Orders OR Previous Membership Download)
-    const hasAccess = await checkAccess(user, isAdmin, productId);
+    const accessSource = await resolveAccessSource(user, isAdmin, productId);
     
-    if (hasAccess) {
-      return res.json({
-        download: { url: downloadUrl, type: product.download?.type || "drive" }
-      });
+    if (accessSource) {
+      return respondWithSignedLink({ req, res, user, product });
     }
 
     // 3. Process New Membership Download
     await handleMembershipDownload({ 
+        req,
         user, 
         product, 
-        productId, 
         res,
-        downloadUrl // Pass URL explicitly
     });
 
   } catch (error_) {
@@ -394,6 +499,69 @@ export const getDownloadUrl = async (req, res, next) => {
   }
 };
 
+/* ============================================================
+   DOWNLOAD REDIRECT (SIGNED TOKEN)
+============================================================ */
+
+export const redeemDownloadToken = async (req, res, next) => {
+  try {
+    res.set("Cache-Control", "no-store");
+
+    let payload;
+    try {
+      payload = verifyDownloadToken(req.params.token);
+    } catch (err) {
+      return res.status(err.name === "TokenExpiredError" ? 410 : 400).json({
+        message:
+          err.name === "TokenExpiredError"
+            ? "Download link has expired"
+            : "Invalid download link",
+      });
+    }
+
+    const { sub: userId, pid: productId } = payload;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: "Invalid download link" });
+    }
+
+    const user = await User.findById(userId).select(
+      "+isDeleted +isBanned purchasedProducts roles"
+    );
+    if (!user || user.isDeleted || user.isBanned) {
+      return res.status(403).json({ message: "Download not allowed" });
+    }
+
+    const product = await Product.findById(productId).select("+download.url +download.key");
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    // Access may have been revoked (e.g. refund) after the link was issued
+    const isAdmin = isUserAdmin(user);
+    if (!allowAccessToNonPublicProduct(product, isAdmin, res)) return;
+    if (!allowAccessBeforeRelease(product, isAdmin, res)) return;
+    const source = await resolveAccessSource(user, isAdmin, productId);
+    if (!source) {
+      return res.status(403).json({ message: "Download not allowed" });
+    }
+
+    const target = await resolveDeliverableUrl(product.download);
+    if (!target) {
+      return res.status(404).json({ message: "Download link not configured" });
+    }
+
+    console.log(
+      `[Download] Redeemed token ${payload.jti} user=${userId} product=${productId} ip=${req.ip}`
+    );
+
+    // Counted when the file is fetched, not when the link is handed out
+    await recordDownloadEvent({ req, userId: user._id, productId: product._id, source, tokenId: payload.jti });
+
+    return res.redirect(302, target);
+  } catch (error_) {
+    console.error("[Download] Redeem error:", error_);
+    next(error_);
+  }
+};
+
 
 /* ----------------------------- Helpers ----------------------------------- */
 
@@ -406,7 +574,7 @@ function extractProductId(req, res) {
 async function loadAndValidateUser(req, res) {
   const authUser = req.user;
   const user = authUser
-  ? await User.findById(authUser.id).select("+isDeleted purchasedProducts roles membershipUsage")
+  ? await User.findById(authUser.id).select("+isDeleted purchasedProducts roles membership membershipUsage")
   : null;
 
   if (!user || user.isDeleted) { res.status(401).json({ message: "Unauthorized" }); return null; }
@@ -418,22 +586,39 @@ function isUserAdmin(user) {
 }
 
 function allowAccessToNonPublicProduct(product, isAdmin, res) {
-  if (product.visibility === "public") return true;
+  if (LISTED_VISIBILITIES.includes(product.visibility)) return true;
   if (!isAdmin) { res.status(404).json({ message: "Product not found" }); return false; }
   return true;
 }
 
-async function checkAccess(user, isAdmin, productId) {
-  if (isAdmin) return true;
+// Pre-ordered products can be paid for early but not downloaded until release
+function allowAccessBeforeRelease(product, isAdmin, res) {
+  if (isAdmin || product.isReleased()) return true;
+  res.status(403).json({
+    message: "This product has not been released yet",
+    code: "PREORDER_NOT_RELEASED",
+    releaseAt: product.releaseAt,
+  });
+  return false;
+}
+
+/**
+ * @returns {Promise<"admin"|"order"|"membership"|null>} how the user is entitled
+ * to the product, or null if they are not.
+ */
+async function resolveAccessSource(user, isAdmin, productId) {
+  if (isAdmin) return "admin";
 
   const hasViaOrders = await userHasPurchasedProduct({
     userId: user.id || user._id.toString(),
     productId,
   });
 
-  let hasViaUserCache = false;
+  if (hasViaOrders) return "order";
+
+  let cached = null;
   if (Array.isArray(user.purchasedProducts)) {
-    hasViaUserCache = user.purchasedProducts.some((item) => {
+    cached = user.purchasedProducts.find((item) => {
       const pId =
   item &&
   typeof item === "object" &&
@@ -446,7 +631,31 @@ async function checkAccess(user, isAdmin, productId) {
     });
   }
 
-  return hasViaOrders || hasViaUserCache;
+  if (!cached) return null;
+  return cached.source === "membership" ? "membership" : "order";
+}
+
+function hasDeliverable(product) {
+  const download = product.download;
+  if (!download) return false;
+  return download.type === "s3" ? Boolean(download.key) : Boolean(download.url);
+}
+
+// Never expose the permanent deliverable URL - hand out a short-lived link instead
+function respondWithSignedLink({ req, res, user, product }) {
+  const { url, expiresAt } = createSignedDownloadLink({
+    req,
+    userId: user._id,
+    productId: product._id,
+  });
+
+  return res.json({
+    download: {
+      url,
+      type: product.download?.type || "drive",
+      expiresAt,
+    },
+  });
 }
 
 // Safe URL Fetcher
@@ -463,7 +672,7 @@ async function respondWithHiddenUrl(productId, res) {
     });
 }
 
-async function handleMembershipDownload({ user, product, productId, res, downloadUrl }) {
+async function handleMembershipDownload({ req, user, product, res }) {
 
 
   if (product.isExclusive) {
@@ -485,110 +694,97 @@ async function handleMembershipDownload({ user, product, productId, res, downloa
     });
   }
 
-  // 2. Normalize & Reset Usage
-  let usage = normalizeMembershipUsage(user);
-  usage = resetUsageIfNewMonth(usage);
+  // 2. Check the plan covers the product's formats and license
+  const notEntitled = await checkMembershipEntitlement(meta, product);
+  if (notEntitled) {
+    console.log(`[Download] Blocked: ${planKey} does not cover product ${product._id} (${notEntitled.code})`);
+    return res.status(403).json(notEntitled);
+  }
 
-  // 3. Check Limits
+  // 3. Count it against this month's usage and add it to the library
   const limit = meta.maxDownloadsPerMonth;
-  const used = usage.downloadsUsed || 0;
+  const claim = await claimMembershipDownload(user._id, product._id, limit);
 
-  console.log(`[Download] Plan: ${planKey}, Used: ${used}, Limit: ${limit}`);
-
-  // limit === null means UNLIMITED
-  if (limit !== null && used >= limit) {
+  if (claim.limitReached) {
     return res.status(403).json({ 
       message: `Monthly download limit reached (${limit}/${limit}).`,
       code: "LIMIT_REACHED"
     });
   }
 
-  // 4. Update User State
-  usage.downloadsUsed = used + 1; // Increment
-  ensureProductInLibrary(user, product, productId); // Add to "Purchased" so next time it's free
-
-  user.membershipUsage = usage;
-  
-  user.markModified("membershipUsage"); 
-  user.markModified("purchasedProducts");
-  
-  await User.updateOne(
-  { 
-    _id: user._id,
-    "membershipUsage.downloadsUsed": used 
-  },
-  {
-    $set: { membershipUsage: usage },
-    $addToSet: {
-      purchasedProducts: {
-        product: product._id,
-        purchasedAt: new Date(),
-        source: "membership"
-      }
-    }
+  if (claim.conflict) {
+    return res.status(409).json({
+      message: "Your membership usage changed meanwhile. Please try again.",
+      code: "DOWNLOAD_CONFLICT"
+    });
   }
-);
 
+  console.log(`[Download] Plan: ${planKey}, Used: ${claim.used}, Limit: ${limit}`);
 
-  console.log(`[Download] Success. New Count: ${usage.downloadsUsed}`);
-
-  // 5. Respond
-  return res.json({
-    download: {
-      url: downloadUrl,
-      type: product.download?.type || "drive"
-    }
-  });
+  // 4. Respond
+  return respondWithSignedLink({ req, res, user, product });
 }
 
+const DOWNLOAD_CLAIM_ATTEMPTS = 3;
+
+/**
+ * Counts one membership download (limit === null means UNLIMITED) and adds
+ * the product to the library in a single update, filtered on the usage as
+ * read. A month reset or a parallel download getting there first makes it
+ * miss; it then re-reads and retries.
+ *
+ * @returns {Promise<{used?: number, limitReached?: boolean, conflict?: boolean}>}
+ */
+async function claimMembershipDownload(userId, productId, limit) {
+  for (let attempt = 0; attempt < DOWNLOAD_CLAIM_ATTEMPTS; attempt += 1) {
+    const fresh = await User.findById(userId).select("membershipUsage purchasedProducts.product").lean();
+    if (!fresh) return { conflict: true };
+
+    // A parallel request already added it: nothing more to count
+    const owned = (fresh.purchasedProducts || []).some(
+      (item) => item?.product?.toString() === productId.toString()
+    );
+    if (owned) return { used: fresh.membershipUsage?.downloadsUsed || 0 };
 
-function ensureProductInLibrary(user, product, productId) {
- if (!Array.isArray(user.purchasedProducts)) {
-  throw new TypeError("Invalid purchasedProducts state for user " + user._id);
-}
-  const alreadyOwned = user.purchasedProducts.some((item) => {
-     const pId =
-  item &&
-  typeof item === "object" &&
-  item.product &&
-  mongoose.Types.ObjectId.isValid(item.product)
-    ? item.product.toString()
-    : null;
+    const usage = currentUsage(fresh.membershipUsage);
+    if (limit !== null && usage.downloadsUsed >= limit) return { limitReached: true };
 
-     return pId === productId.toString();
-  });
-  if (!alreadyOwned) {
-    user.purchasedProducts.push({
-      product: product._id,
-      purchasedAt: new Date(),
-      source: "membership"
-    });
-  }
-}
+    const storedPeriod = fresh.membershipUsage?.periodStart ?? null;
+    const newPeriod = !storedPeriod || new Date(storedPeriod).getTime() !== usage.periodStart.getTime();
 
-function normalizeMembershipUsage(user) {
-  if (!user.membershipUsage) {
-    return {
-      periodStart: new Date(),
-      downloadsUsed: 0,
-      remixRequestsUsed: 0,
+    const libraryEntry = {
+      purchasedProducts: { product: productId, purchasedAt: new Date(), source: "membership" },
     };
-  }
 
-  return {
-    periodStart: user.membershipUsage.periodStart || new Date(),
-    downloadsUsed: user.membershipUsage.downloadsUsed || 0,
-    remixRequestsUsed: user.membershipUsage.remixRequestsUsed || 0,
-  };
-}
+    const claimed = newPeriod
+      ? await User.updateOne(
+          {
+            _id: userId,
+            "membershipUsage.periodStart": storedPeriod,
+            "purchasedProducts.product": { $ne: productId },
+          },
+          {
+            $set: { membershipUsage: { ...usage, downloadsUsed: 1 } },
+            $push: libraryEntry,
+          }
+        )
+      : await User.updateOne(
+          {
+            _id: userId,
+            "membershipUsage.periodStart": usage.periodStart,
+            "purchasedProducts.product": { $ne: productId },
+            ...(limit === null ? {} : { "membershipUsage.downloadsUsed": { $not: { $gte: limit } } }),
+          },
+          {
+            $inc: { "membershipUsage.downloadsUsed": 1 },
+            $push: libraryEntry,
+          }
+        );
 
+    if (claimed.modifiedCount > 0) return { used: usage.downloadsUsed + 1 };
+  }
 
-function resetUsageIfNewMonth(usage) {
-  const now = new Date();
-  const { periodStart } = usage;
-  const sameMonth = periodStart.getFullYear() === now.getFullYear() && periodStart.getMonth() === now.getMonth();
-  if (sameMonth) return usage;
-  return { periodStart: now, downloadsUsed: 0, remixRequestsUsed: 0 };
+  return { conflict: true };
 }
 
 /* ============================================================
@@ -597,60 +793,20 @@ function resetUsageIfNewMonth(usage) {
 
 export const searchProducts = async (req, res, next) => {
     try {
-        const q = (req.query.q || "").toString().trim();
-        const sortParam = (req.query.sort || "latest").toString(); // Get sort param
-        const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
-        const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 12, 1), 50);
-        const skip = (page - 1) * limit;
-
-        const filter = { visibility: "public" };
-        if(q) {
-            const regex = new RegExp(q, "i");
-            filter.$or = [
-                { title: regex },
-                { category: regex },
-                { tags: { $in: [regex] } }
-            ];
-        }
+        const { items, total, page, limit, facets } = await searchCatalog(
+            req.cleanedQuery || req.query
+        );
 
-        // Apply Sorting Logic
-        let sort = {};
-        switch (sortParam) {
-            case "price-low":
-                sort = { price: 1 };
-                break;
-            case "price-high":
-                sort = { price: -1 };
-                break;
-            case "rating":
-                sort = { averageRating: -1, createdAt: -1 };
-                break;
-            case "oldest":
-                sort = { createdAt: 1 };
-                break;
-            case "latest":
-            default:
-                sort = { createdAt: -1 };
-                break;
-        }
+        const sales = await getActiveSales();
+        const safeItems = items.map(p => sanitizeProductForPublic(p, sales));
 
-        const [items, total] = await Promise.all([
-            Product.find(filter)
-                .sort(sort) // Apply sort
-                .skip(skip)
-                .limit(limit) 
-                ,
-            Product.countDocuments(filter)
-        ]);
-
-        const safeItems = items.map(p => sanitizeProductForPublic(p));
-        
-        return res.json({ 
-            products: safeItems, 
+        return res.json({
+            products: safeItems,
             total,
             page,
             limit,
-            totalPages: Math.ceil(total / limit)
+            totalPages: Math.ceil(total / limit),
+            facets,
         });
     } catch(e) { next(e); }
 };
@@ -1,7 +1,6 @@
 import Joi from "joi";
-import PromoCode from "../models/PromoCode.model.js";
-import Product from "../models/Product.model.js";
-import mongoose from "mongoose";
+import { fetchUserSecurely } from "../services/order.service.js";
+import { createQuote, serializeQuote } from "../services/pricing.service.js";
 
 /* ============================================================
    VALIDATION
@@ -9,8 +8,11 @@ import mongoose from "mongoose";
 
 const applySchema = Joi.object({
   code: Joi.string().trim().required(),
-  productIds: Joi.array().items(Joi.string()).min(1).required(),
-});
+  productIds: Joi.array().items(Joi.string()).min(1).max(50),
+  // membership preview
+  planKey: Joi.string().trim().uppercase(),
+  months: Joi.number().integer().min(1).max(12).default(1),
+}).xor("productIds", "planKey");
 
 /* ============================================================
    APPLY PROMO CONTROLLER (SECURE)
@@ -30,109 +32,52 @@ export const applyPromo = async (req, res, next) => {
       });
     }
 
-    const { code, productIds } = value;
+    const { code, productIds, planKey, months } = value;
 
     /* ========================================================
-       1 FETCH PROMO (CASE-INSENSITIVE)
+       PRICE WITH THE ORDER ENGINE (QUOTE CAN BE PINNED LATER)
     ======================================================== */
 
-    const promo = await PromoCode.findOne({
-      code: new RegExp(`^${code}$`, "i"),
-      isActive: true,
-    });
+    const user = await fetchUserSecurely(req.user.id);
+    const quote = await createQuote(
+      user,
+      planKey ? { planKey, months, promoCode: code } : { productIds, promoCode: code }
+    );
 
-    if (!promo) {
-      return res.status(404).json({
-        message: "Invalid promo code",
+    return res.json({
+      promoId: quote.promo.id,
+      code: quote.promo.code,
+      subtotal: quote.subtotal,
+      discountAmount: quote.promo.discount,
+      discountedSubtotal: Math.max(0, quote.subtotal - quote.promo.discount),
+      message: "Promo applied successfully",
+      quote: serializeQuote(quote),
+    });
+  } catch (err) {
+    if (err?.promoError) {
+      return res.status(err.code === "PROMO_INVALID" ? 404 : 400).json({
+        message: err.message,
+        code: err.code,
       });
     }
-
-    if (promo.isExpired()) {
+    if (err?.notPurchasable) {
       return res.status(400).json({
-        message: "Promo code has expired",
+        message: err.message,
+        notPurchasable: err.notPurchasable,
       });
     }
-
-    if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+    if (err?.alreadyPurchased) {
       return res.status(400).json({
-        message: "Promo usage limit reached",
+        message: err.message,
+        alreadyPurchased: err.alreadyPurchased,
       });
     }
-
-    /* ========================================================
-       2 RECOMPUTE SUBTOTAL FROM DB (ANTI-HACK)
-    ======================================================== */
-
-    const validIds = productIds
-      .filter((id) => mongoose.Types.ObjectId.isValid(id))
-      .map((id) => new mongoose.Types.ObjectId(id));
-
-    if (!validIds.length) {
-      return res.status(400).json({
-        message: "No valid products found for promo",
-      });
+    if (err?.message === "Membership plan not found") {
+      return res.status(400).json({ message: err.message });
     }
-
-    const products = await Product.find({
-      _id: { $in: validIds },
-      visibility: "public",
-    }).select("price");
-
-    if (products.length !== validIds.length) {
-      return res.status(400).json({
-        message: "One or more products are not purchasable",
-      });
+    if (err?.message === "User not found" || err?.message === "Account suspended") {
+      return res.status(401).json({ message: "Unauthorized" });
     }
-
-    const subtotal = products.reduce((sum, p) => {
-      if (typeof p.price !== "number" || p.price < 0) {
-        throw new Error("Product price misconfigured");
-      }
-      return sum + p.price;
-    }, 0);
-
-    /* ========================================================
-       3 MIN ORDER CHECK (REAL SUBTOTAL)
-    ======================================================== */
-
-    if (promo.minOrderAmount && subtotal < promo.minOrderAmount) {
-      return res.status(400).json({
-        message: `Minimum order amount for this code is ₹${promo.minOrderAmount}`,
-      });
-    }
-
-    /* ========================================================
-       4 DISCOUNT CALCULATION (HARD CLAMP)
-    ======================================================== */
-
-    let discountAmount = promo.computeDiscount(subtotal);
-
-    // HARD SAFETY CLAMP
-    if (discountAmount > subtotal) {
-      discountAmount = subtotal;
-    }
-
-    if (discountAmount <= 0) {
-      return res.status(400).json({
-        message: "Promo code does not apply to this order",
-      });
-    }
-
-    const discountedSubtotal = Math.max(0, subtotal - discountAmount);
-
-    /* ========================================================
-       5️ RESPONSE (NO SIDE EFFECTS)
-    ======================================================== */
-
-    return res.json({
-      promoId: promo._id,
-      code: promo.code,
-      subtotal,
-      discountAmount,
-      discountedSubtotal,
-      message: "Promo applied successfully",
-    });
-  } catch (err) {
     next(err);
   }
 };
@@ -2,6 +2,16 @@ import crypto from "node:crypto";
 import Order from "../models/Order.model.js";
 import { markOrderPaidAndGrantAccess } from "../services/order.service.js";
 import { initiateRefund } from "../services/refund.service.js";
+import { revokeGiftForOrder } from "../services/gift.service.js";
+import {
+  sendOrderPaidEmails,
+  sendOrderRefundedEmail,
+} from "../services/orderEmail.service.js";
+import { releaseOrderWallet } from "../services/wallet.service.js";
+import {
+  recordSubscriptionCharge,
+  syncSubscriptionStatus,
+} from "../services/subscription.service.js";
 
 const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
 
@@ -30,6 +40,7 @@ const handlePaymentEvent = async (event, payment, res) => {
         payload: payment,
       };
       await order.save();
+      await releaseOrderWallet(order._id);
     }
     return res.status(200).send("Payment failed handled");
   }
@@ -51,6 +62,9 @@ const handlePaymentEvent = async (event, payment, res) => {
         },
       });
 
+      // Claimed per order, so a concurrent /verify does not send them twice
+      sendOrderPaidEmails(order);
+
       return res.status(200).send("Payment captured & delivered");
     } catch (err) {
       console.error("Delivery failed:", err);
@@ -101,9 +115,49 @@ const handleRefundEvent = async (refund, res) => {
 
   await order.save();
 
+  // A refunded gift code must not stay redeemable
+  if (order.isGift) {
+    await revokeGiftForOrder(order);
+  }
+
+  sendOrderRefundedEmail(order._id);
+
   return res.status(200).send("Refund completed (status updated)");
 };
 
+// Status-only events; the membership itself is extended by subscription.charged
+const SUBSCRIPTION_STATUS_EVENTS = [
+  "subscription.authenticated",
+  "subscription.activated",
+  "subscription.pending",
+  "subscription.halted",
+  "subscription.cancelled",
+  "subscription.completed",
+];
+
+const handleSubscriptionEvent = async (event, payload, res) => {
+  const subscription = payload?.payload?.subscription?.entity;
+  if (!subscription) return res.status(200).send("Invalid subscription payload");
+
+  if (event === "subscription.charged") {
+    const payment = payload?.payload?.payment?.entity;
+    if (!payment) return res.status(200).send("Invalid payment payload");
+
+    // Throws on failure: the 500 makes Razorpay retry, and the charge is idempotent
+    const order = await recordSubscriptionCharge(subscription, payment);
+    return res
+      .status(200)
+      .send(order ? "Subscription charge recorded" : "Subscription not found");
+  }
+
+  const state = await syncSubscriptionStatus(subscription);
+  if (state && event === "subscription.halted") {
+    console.warn(`[SUBSCRIPTION] ${subscription.id} halted after failed charges`);
+  }
+
+  return res.status(200).send(state ? "Subscription updated" : "Subscription not found");
+};
+
 export const razorpayWebhookHandler = async (req, res) => {
   try {
     if (!WEBHOOK_SECRET) {
@@ -151,6 +205,12 @@ export const razorpayWebhookHandler = async (req, res) => {
       return handleRefundEvent(refund, res);
     }
 
+    /* ================= SUBSCRIPTION EVENTS ================= */
+
+    if (event === "subscription.charged" || SUBSCRIPTION_STATUS_EVENTS.includes(event)) {
+      return handleSubscriptionEvent(event, payload, res);
+    }
+
     return res.status(200).send("Event ignored");
   } catch (err) {
     console.error("Webhook fatal error:", err);
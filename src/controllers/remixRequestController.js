@@ -0,0 +1,348 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+
+import RemixRequest, { REMIX_STATUSES } from "../models/RemixRequest.model.js";
+import {
+  getRemixAllowance,
+  createReferenceUploadUrl,
+  submitRemixRequest,
+  getRemixRequestForUser,
+  getRemixDownload,
+  getReferenceDownload,
+  createDeliveryUploadUrl,
+  updateRemixStatus,
+} from "../services/remixRequest.service.js";
+
+/* -------------------- VALIDATION -------------------- */
+
+const REFERENCE_MIMES = [
+  "audio/mpeg",
+  "audio/wav",
+  "audio/x-wav",
+  "audio/flac",
+  "audio/aiff",
+  "audio/x-aiff",
+  "application/zip",
+  "application/pdf",
+];
+
+const DELIVERY_MIMES = ["audio/mpeg", "audio/wav", "audio/x-wav", "application/zip"];
+
+const fileSchema = Joi.object({
+  key: Joi.string().trim().max(500).required(),
+  filename: Joi.string().trim().max(200).allow(""),
+  contentType: Joi.string().trim().max(100).allow(""),
+});
+
+const uploadUrlSchema = (mimes) =>
+  Joi.object({
+    filename: Joi.string().trim().max(200).required(),
+    contentType: Joi.string().valid(...mimes).required(),
+    size: Joi.number().integer().min(1).optional(),
+  });
+
+const submitSchema = Joi.object({
+  productId: Joi.string().hex().length(24).required(),
+  notes: Joi.string().trim().min(10).max(2000).required(),
+  referenceLinks: Joi.array()
+    .items(Joi.string().trim().uri({ scheme: ["http", "https"] }).max(500))
+    .max(5)
+    .default([]),
+  referenceFile: fileSchema.allow(null).default(null),
+});
+
+const statusSchema = Joi.object({
+  status: Joi.string().trim().uppercase().valid(...REMIX_STATUSES).required(),
+  note: Joi.string().trim().max(1000).allow("").default(""),
+  rejectionReason: Joi.string().trim().max(1000).allow("").default(""),
+  delivery: fileSchema.allow(null).default(null),
+});
+
+/* -------------------- HELPERS -------------------- */
+
+const REMIX_CLIENT_ERRORS = {
+  NO_MEMBERSHIP: 403,
+  REMIX_NOT_IN_PLAN: 403,
+  REMIX_LIMIT_REACHED: 403,
+  REMIX_NOT_FOUND: 404,
+  REMIX_PRODUCT_NOT_FOUND: 404,
+  REMIX_FILE_TOO_LARGE: 413,
+  REMIX_NOT_DELIVERED: 409,
+  REMIX_INVALID_TRANSITION: 409,
+  REMIX_CONFLICT: 409,
+};
+
+function sendRemixError(res, err, next) {
+  if (err?.remixError) {
+    return res.status(REMIX_CLIENT_ERRORS[err.code] || 400).json({
+      message: err.message,
+      code: err.code,
+      limit: err.limit,
+      maxBytes: err.maxBytes,
+    });
+  }
+  if (err?.message === "Invalid user state") {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+  return next(err);
+}
+
+function validId(res, id) {
+  if (mongoose.Types.ObjectId.isValid(id)) return true;
+  res.status(400).json({ message: "Invalid remix request id" });
+  return false;
+}
+
+function pageParams(req) {
+  const page = Math.max(
+    Number.parseInt(req.cleanedQuery?.page || req.query.page || "1", 10) || 1,
+    1
+  );
+  const limit = Math.min(
+    Math.max(
+      Number.parseInt(req.cleanedQuery?.limit || req.query.limit || "20", 10) || 20,
+      1
+    ),
+    100
+  );
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+/* -------------------- MEMBER -------------------- */
+
+/**
+ * GET /api/remix-requests/allowance
+ * Requests the member's plan allows this month and how many are left.
+ */
+export const getMyRemixAllowance = async (req, res, next) => {
+  try {
+    const allowance = await getRemixAllowance(req.user.id);
+    return res.json({ allowance });
+  } catch (err) {
+    return sendRemixError(res, err, next);
+  }
+};
+
+/**
+ * POST /api/remix-requests/reference-upload-url
+ * Presigned PUT for an optional reference file; send the returned key as
+ * referenceFile.key when submitting.
+ */
+export const getReferenceUploadUrl = async (req, res, next) => {
+  try {
+    const { error, value } = uploadUrlSchema(REFERENCE_MIMES).validate(req.body, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const upload = await createReferenceUploadUrl(req.user.id, value);
+    return res.json({ success: true, ...upload });
+  } catch (err) {
+    return sendRemixError(res, err, next);
+  }
+};
+
+/**
+ * POST /api/remix-requests
+ * Submits a request against a product; counts towards this month's allowance.
+ */
+export const createRemixRequest = async (req, res, next) => {
+  try {
+    const { error, value } = submitSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const request = await submitRemixRequest(req.user.id, value);
+    return res.status(201).json({ message: "Remix request submitted", request });
+  } catch (err) {
+    return sendRemixError(res, err, next);
+  }
+};
+
+/**
+ * GET /api/remix-requests?status=&page=&limit=
+ */
+export const getMyRemixRequests = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = pageParams(req);
+    const status = String(req.cleanedQuery?.status ?? req.query.status ?? "").trim().toUpperCase();
+
+    const filter = { user: req.user.id };
+    if (REMIX_STATUSES.includes(status)) filter.status = status;
+
+    const [requests, total] = await Promise.all([
+      RemixRequest.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: "product", select: "title slug thumbnail" })
+        .lean(),
+      RemixRequest.countDocuments(filter),
+    ]);
+
+    return res.json({
+      data: requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/remix-requests/:id
+ */
+export const getMyRemixRequest = async (req, res, next) => {
+  try {
+    if (!validId(res, req.params.id)) return;
+
+    const request = await getRemixRequestForUser(req.user.id, req.params.id);
+    return res.json({ request });
+  } catch (err) {
+    return sendRemixError(res, err, next);
+  }
+};
+
+/**
+ * GET /api/remix-requests/:id/download
+ * Short-lived URL for the delivered remix.
+ */
+export const downloadMyRemix = async (req, res, next) => {
+  try {
+    if (!validId(res, req.params.id)) return;
+
+    const download = await getRemixDownload(req.user.id, req.params.id);
+    return res.json({ download });
+  } catch (err) {
+    return sendRemixError(res, err, next);
+  }
+};
+
+/* -------------------- ADMIN -------------------- */
+
+/**
+ * GET /api/admin/remix-requests?status=&page=&limit=
+ * Oldest first, so the queue is worked in order.
+ */
+export const adminListRemixRequests = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = pageParams(req);
+    const status = String(req.cleanedQuery?.status ?? req.query.status ?? "").trim().toUpperCase();
+
+    const filter = {};
+    if (REMIX_STATUSES.includes(status)) filter.status = status;
+
+    const [requests, total] = await Promise.all([
+      RemixRequest.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: "user", select: "name email" })
+        .populate({ path: "product", select: "title slug" })
+        .lean(),
+      RemixRequest.countDocuments(filter),
+    ]);
+
+    return res.json({
+      data: requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const adminGetRemixRequest = async (req, res, next) => {
+  try {
+    if (!validId(res, req.params.id)) return;
+
+    const request = await RemixRequest.findById(req.params.id)
+      .populate({ path: "user", select: "name email membership" })
+      .populate({ path: "product", select: "title slug thumbnail" })
+      .populate({ path: "statusHistory.by", select: "name email" })
+      .lean();
+
+    if (!request) {
+      return res.status(404).json({ message: "Remix request not found" });
+    }
+
+    return res.json({ request });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/admin/remix-requests/:id/reference
+ */
+export const adminDownloadReference = async (req, res, next) => {
+  try {
+    if (!validId(res, req.params.id)) return;
+
+    const download = await getReferenceDownload(req.params.id);
+    return res.json({ download });
+  } catch (err) {
+    return sendRemixError(res, err, next);
+  }
+};
+
+/**
+ * POST /api/admin/remix-requests/:id/delivery-upload-url
+ * Presigned PUT for the finished remix; pass the key as delivery.key when
+ * marking the request DELIVERED.
+ */
+export const adminGetDeliveryUploadUrl = async (req, res, next) => {
+  try {
+    if (!validId(res, req.params.id)) return;
+
+    const { error, value } = uploadUrlSchema(DELIVERY_MIMES).validate(req.body, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const upload = await createDeliveryUploadUrl(req.params.id, value);
+    return res.json({ success: true, ...upload });
+  } catch (err) {
+    return sendRemixError(res, err, next);
+  }
+};
+
+/**
+ * PATCH /api/admin/remix-requests/:id/status
+ */
+export const adminUpdateRemixStatus = async (req, res, next) => {
+  try {
+    if (!validId(res, req.params.id)) return;
+
+    const { error, value } = statusSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const request = await updateRemixStatus(req.params.id, value, req.user.id);
+    return res.json({ message: `Remix request ${request.status.toLowerCase()}`, request });
+  } catch (err) {
+    return sendRemixError(res, err, next);
+  }
+};
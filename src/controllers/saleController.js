@@ -0,0 +1,227 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import Sale from "../models/Sale.model.js";
+import { getActiveSales, invalidateSalesCache } from "../services/sale.service.js";
+
+/* -------------------- VALIDATION -------------------- */
+
+const objectId = Joi.string().hex().length(24);
+
+const createSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(120).required(),
+  description: Joi.string().trim().allow("").max(1000).default(""),
+  sitewide: Joi.boolean().default(false),
+  products: Joi.array().items(objectId).max(1000).unique().default([]),
+  categories: Joi.array().items(Joi.string().trim().min(1).max(100)).max(50).unique().default([]),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(100)).max(50).unique().default([]),
+  discountType: Joi.string().valid("percent", "fixed").required(),
+  discountValue: Joi.number().greater(0).required(),
+  startsAt: Joi.date().required(),
+  endsAt: Joi.date().required(),
+  isActive: Joi.boolean().default(true),
+});
+
+const updateSchema = createSchema
+  .fork(["name", "discountType", "discountValue", "startsAt", "endsAt"], (f) => f.optional())
+  .min(1);
+
+function saleStatus(sale, now = new Date()) {
+  if (!sale.isActive) return "inactive";
+  if (sale.startsAt > now) return "scheduled";
+  if (sale.endsAt <= now) return "ended";
+  return "running";
+}
+
+/* -------------------- PUBLIC -------------------- */
+
+/**
+ * GET /api/sales/active
+ * Running sales with their end time, for countdown banners.
+ */
+export const getActiveSalesPublic = async (req, res, next) => {
+  try {
+    const sales = await getActiveSales();
+
+    return res.json({
+      sales: sales.map((sale) => ({
+        id: sale._id,
+        name: sale.name,
+        description: sale.description,
+        sitewide: sale.sitewide,
+        categories: sale.categories,
+        tags: sale.tags,
+        productCount: sale.products?.length || 0,
+        discountType: sale.discountType,
+        discountValue: sale.discountValue,
+        startsAt: sale.startsAt,
+        endsAt: sale.endsAt,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN LIST -------------------- */
+
+export const adminGetSales = async (req, res, next) => {
+  try {
+    const status = String(req.cleanedQuery?.status ?? req.query.status ?? "").trim();
+
+    const page = Math.max(
+      Number.parseInt(req.cleanedQuery?.page || req.query.page || "1", 10) || 1,
+      1
+    );
+    const limit = Math.min(
+      Math.max(
+        Number.parseInt(req.cleanedQuery?.limit || req.query.limit || "20", 10) || 20,
+        1
+      ),
+      100
+    );
+    const skip = (page - 1) * limit;
+
+    const now = new Date();
+    const filter = {};
+    if (status === "running") Object.assign(filter, Sale.activeFilter(now));
+    if (status === "scheduled") Object.assign(filter, { isActive: true, startsAt: { $gt: now } });
+    if (status === "ended") filter.endsAt = { $lte: now };
+    if (status === "inactive") filter.isActive = false;
+
+    const [sales, total] = await Promise.all([
+      Sale.find(filter).sort({ startsAt: -1 }).skip(skip).limit(limit).lean(),
+      Sale.countDocuments(filter),
+    ]);
+
+    return res.json({
+      data: sales.map((sale) => ({ ...sale, status: saleStatus(sale, now) })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN GET -------------------- */
+
+export const adminGetSaleById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid sale id" });
+    }
+
+    const sale = await Sale.findById(id)
+      .populate({ path: "products", select: "title slug price mrp currency" })
+      .lean();
+
+    if (!sale) {
+      return res.status(404).json({ message: "Sale not found" });
+    }
+
+    return res.json({ sale: { ...sale, status: saleStatus(sale) } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN CREATE -------------------- */
+
+export const adminCreateSale = async (req, res, next) => {
+  try {
+    const { error, value } = createSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        message: "Validation failed",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    try {
+      const sale = await Sale.create(value);
+      invalidateSalesCache();
+      return res.status(201).json({ sale });
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        return res.status(400).json({ message: err.message });
+      }
+      throw err;
+    }
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN UPDATE -------------------- */
+
+export const adminUpdateSale = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid sale id" });
+    }
+
+    const { error, value } = updateSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        message: "Validation failed",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const sale = await Sale.findById(id);
+    if (!sale) {
+      return res.status(404).json({ message: "Sale not found" });
+    }
+
+    // save() so the window / target validators run against the merged document
+    sale.set(value);
+
+    try {
+      await sale.save();
+      invalidateSalesCache();
+      return res.json({ sale });
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        return res.status(400).json({ message: err.message });
+      }
+      throw err;
+    }
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN DELETE -------------------- */
+
+export const adminDeleteSale = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid sale id" });
+    }
+
+    const sale = await Sale.findByIdAndDelete(id).lean();
+    if (!sale) {
+      return res.status(404).json({ message: "Sale not found" });
+    }
+
+    invalidateSalesCache();
+    return res.json({ message: "Sale deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+};
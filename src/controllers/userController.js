@@ -1,16 +1,38 @@
 // src/controllers/userController.js
 import User from "../models/User.model.js";
+import { LISTED_VISIBILITIES } from "../models/Product.model.js";
+import DownloadEvent from "../models/DownloadEvent.model.js";
 import Joi from "joi";
 import mongoose from "mongoose";
 import crypto from "node:crypto";
+import { verifyUnsubscribeToken } from "../utils/jwt.js";
+import { GSTIN_PATTERN, GST_STATE_CODES } from "../services/tax.service.js";
+import { toPublicSubscription } from "../services/subscription.service.js";
+import { grantMembershipDays } from "../services/membership.service.js";
+import {
+  addToWishlist,
+  removeFromWishlist,
+  listWishlist,
+} from "../services/wishlist.service.js";
+import { getDeliveredRemixes } from "../services/remixRequest.service.js";
 
 /* --------------------------- Validation Schemas --------------------------- */
 
+// Billing details used for GST (place of supply) and printed on invoices
+const billingSchema = Joi.object({
+  name: Joi.string().trim().max(120).allow("", null),
+  gstin: Joi.string().trim().uppercase().pattern(GSTIN_PATTERN).allow("", null)
+    .messages({ "string.pattern.base": "gstin must be a valid 15 character GSTIN" }),
+  stateCode: Joi.string().valid(...Object.keys(GST_STATE_CODES)).allow("", null),
+  country: Joi.string().trim().uppercase().length(2).default("IN"),
+});
+
 const profileUpdateSchema = Joi.object({
   name: Joi.string().min(2).max(50).optional(),
   phone: Joi.string().max(20).allow("", null).optional(),
   avatarUrl: Joi.string().uri().allow("", null).optional(),
-}).or("name", "phone", "avatarUrl");
+  billing: billingSchema.optional(),
+}).or("name", "phone", "avatarUrl", "billing");
 
 const changePasswordSchema = Joi.object({
   currentPassword: Joi.string().required(),
@@ -22,6 +44,18 @@ const adminProfileUpdateSchema = Joi.object({
   avatarUrl: Joi.string().uri().allow("", null).optional(),
 
 });
+const emailPreferencesSchema = Joi.object({
+  cartReminders: Joi.boolean().required(),
+});
+
+const wishlistAddSchema = Joi.object({
+  productId: Joi.string().hex().length(24).required(),
+});
+
+const unsubscribeSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
 const roleUpdateSchema = Joi.object({
   roles: Joi.array().items(Joi.string().valid("user", "admin")).min(1).required(),
 });
@@ -47,9 +81,11 @@ export const getMe = async (req, res, next) => {
         createdAt: user.createdAt,
         membership: user.membership || null,
         membershipUsage: user.membershipUsage || null,
+        subscription: toPublicSubscription(user.subscription),
         purchasedProducts: user.purchasedProducts || [],
         phone: user.phone ?? null,
         avatarUrl: user.avatarUrl ?? null,
+        billing: user.billing || null,
       },
     });
   } catch (err) {
@@ -78,6 +114,17 @@ export const updateMe = async (req, res, next) => {
     if (typeof value.name === "string") updates.name = value.name.trim();
     if ("phone" in value) updates.phone = value.phone ? value.phone.trim() : null;
     if ("avatarUrl" in value) updates.avatarUrl = value.avatarUrl || null;
+    if (value.billing) {
+      updates.billing = {
+        name: value.billing.name || null,
+        gstin: value.billing.gstin || null,
+        // A registered buyer's GSTIN fixes their state
+        stateCode: value.billing.gstin
+          ? value.billing.gstin.slice(0, 2)
+          : value.billing.stateCode || null,
+        country: value.billing.country,
+      };
+    }
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ message: "No valid fields provided" });
@@ -103,6 +150,7 @@ export const updateMe = async (req, res, next) => {
         purchasedProducts: user.purchasedProducts || [],
         phone: user.phone ?? null,
         avatarUrl: user.avatarUrl ?? null,
+        billing: user.billing || null,
       },
     });
   } catch (err) {
@@ -442,7 +490,225 @@ export const getMyLibrary = async (req, res, next) => {
         source: item.source || "order"
       }));
 
-      return res.json({ libraryItems: items }); 
+      // Finished remix requests sit alongside purchases
+      const remixes = await getDeliveredRemixes(user._id);
+
+      return res.json({ libraryItems: [...items, ...remixes] }); 
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ------------------------ GET /users/me/downloads ------------------------ */
+
+export const getMyDownloads = async (req, res, next) => {
+  try {
+    const page = Math.max(Number(req.cleanedQuery?.page || req.query.page || 1), 1);
+    const limit = Math.min(
+      Math.max(Number(req.cleanedQuery?.limit || req.query.limit || 20), 1),
+      100
+    );
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+
+    const [events, total] = await Promise.all([
+      DownloadEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: "product", select: "title slug thumbnail" })
+        .lean(),
+      DownloadEvent.countDocuments(filter),
+    ]);
+
+    return res.json({
+      data: events.map((e) => ({
+        id: e._id,
+        productId: e.product?._id ?? null,
+        title: e.product?.title || "Product unavailable",
+        slug: e.product?.slug ?? null,
+        thumbnail: e.product?.thumbnail?.url || "",
+        source: e.source,
+        downloadedAt: e.createdAt,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ------------------------- /users/me/wishlist --------------------------- */
+
+const WISHLIST_CLIENT_ERRORS = new Set(["Invalid product id", "Product not available"]);
+
+export const getMyWishlist = async (req, res, next) => {
+  try {
+    const page = Math.max(Number(req.cleanedQuery?.page || req.query.page || 1), 1);
+    const limit = Math.min(
+      Math.max(Number(req.cleanedQuery?.limit || req.query.limit || 20), 1),
+      100
+    );
+
+    const [{ items, total }, user] = await Promise.all([
+      listWishlist(req.user.id, { page, limit }),
+      User.findById(req.user.id).select("purchasedProducts").lean(),
+    ]);
+
+    const owned = new Set(
+      (user?.purchasedProducts || []).map((p) => p.product?.toString())
+    );
+
+    return res.json({
+      data: items.map((item) => {
+        const product = item.product;
+        const available = Boolean(product) && LISTED_VISIBILITIES.includes(product.visibility);
+
+        return {
+          id: item._id,
+          productId: product?._id ?? null,
+          title: product?.title || "Product unavailable",
+          slug: product?.slug ?? null,
+          thumbnail: product?.thumbnail?.url || "",
+          price: product?.price ?? null,
+          mrp: product?.mrp ?? null,
+          currency: product?.currency || "INR",
+          category: product?.category ?? null,
+          genre: product?.genre ?? null,
+          averageRating: product?.averageRating ?? 0,
+          available,
+          owned: product ? owned.has(product._id.toString()) : false,
+          addedAt: item.createdAt,
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const addMyWishlistItem = async (req, res, next) => {
+  try {
+    const { error, value } = wishlistAddSchema.validate(req.body, {
+      abortEarly: true,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { added } = await addToWishlist(req.user.id, value.productId);
+
+    return res.status(added ? 201 : 200).json({
+      message: added ? "Added to wishlist" : "Already in wishlist",
+      productId: value.productId,
+    });
+  } catch (err) {
+    if (WISHLIST_CLIENT_ERRORS.has(err?.message)) {
+      return res.status(400).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+export const removeMyWishlistItem = async (req, res, next) => {
+  try {
+    const { removed } = await removeFromWishlist(req.user.id, req.params.productId);
+
+    if (!removed) {
+      return res.status(404).json({ message: "Product not in wishlist" });
+    }
+
+    return res.json({
+      message: "Removed from wishlist",
+      productId: req.params.productId,
+    });
+  } catch (err) {
+    if (WISHLIST_CLIENT_ERRORS.has(err?.message)) {
+      return res.status(400).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+/* -------------------- PUT /users/me/email-preferences -------------------- */
+
+export const updateMyEmailPreferences = async (req, res, next) => {
+  try {
+    const { error, value } = emailPreferencesSchema.validate(req.body, {
+      abortEarly: true,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, isDeleted: { $ne: true } },
+      { $set: { "emailPreferences.cartReminders": value.cartReminders } },
+      { new: true }
+    )
+      .select("emailPreferences")
+      .lean();
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    return res.json({
+      message: "Email preferences updated",
+      emailPreferences: user.emailPreferences,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* ----------------------- POST /users/unsubscribe ------------------------- */
+
+// Public: token comes from the link in reminder emails
+export const unsubscribeFromReminders = async (req, res, next) => {
+  try {
+    const { error, value } = unsubscribeSchema.validate(req.body, {
+      abortEarly: true,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    let payload;
+    try {
+      payload = verifyUnsubscribeToken(value.token);
+    } catch {
+      return res.status(400).json({ message: "Invalid or expired unsubscribe link" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(payload?.unsubscribe)) {
+      return res.status(400).json({ message: "Invalid or expired unsubscribe link" });
+    }
+
+    await User.updateOne(
+      { _id: payload.unsubscribe },
+      { $set: { "emailPreferences.cartReminders": false } }
+    );
+
+    return res.json({ message: "You have been unsubscribed from reminder emails" });
   } catch (err) {
     next(err);
   }
@@ -466,35 +732,16 @@ export const adminExtendMembership = async (req, res, next) => {
       return res.status(400).json({ message: "Cannot extend membership for a deleted user" });
     }
 
-    const now = new Date();
-    const membership = user.membership || {};
-
-    let base = null;
-    if (membership.expiresAt) {
-      const expires = new Date(membership.expiresAt);
-      if (!Number.isNaN(expires.getTime()) && expires > now) {
-        base = expires;
-      }
-    }
-    if (!base) base = now;
-
-    const newExpiry = new Date(base.getTime() + days * 24 * 60 * 60 * 1000);
-
-    user.membership = {
-      ...membership,
-      status: "ACTIVE",
-      planKey: membership.planKey || undefined,
-      startedAt: membership.startedAt || now,
-      expiresAt: newExpiry,
-    };
-
-    await user.save();
+    await grantMembershipDays(user, days);
 
     return res.json({
       message: `Membership extended by ${days} day(s)`,
       user: user.toJSON(),
     });
   } catch (err) {
+    if (err?.membershipError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
     next(err);
   }
 };
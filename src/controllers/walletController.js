@@ -0,0 +1,155 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+
+import User from "../models/User.model.js";
+import WalletTransaction from "../models/WalletTransaction.model.js";
+import { WALLET_CURRENCY, creditWallet } from "../services/wallet.service.js";
+
+/* -------------------- VALIDATION -------------------- */
+
+const creditSchema = Joi.object({
+  amount: Joi.number().precision(2).greater(0).max(100000).required(),
+  note: Joi.string().trim().min(3).max(500).required(),
+});
+
+function readPagination(req) {
+  const page = Math.max(
+    Number.parseInt(req.cleanedQuery?.page || req.query.page || "1", 10) || 1,
+    1
+  );
+  const limit = Math.min(
+    Math.max(
+      Number.parseInt(req.cleanedQuery?.limit || req.query.limit || "20", 10) || 20,
+      1
+    ),
+    100
+  );
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+async function walletPage(userId, { page, limit, skip }) {
+  const filter = { user: userId };
+
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({ path: "order", select: "total currency status createdAt" })
+      .lean(),
+    WalletTransaction.countDocuments(filter),
+  ]);
+
+  return {
+    data: transactions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/* -------------------- USER -------------------- */
+
+/**
+ * GET /api/wallet
+ * Balance and ledger of the signed-in user.
+ */
+export const getMyWallet = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("walletBalance").lean();
+    if (!user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const ledger = await walletPage(user._id, readPagination(req));
+
+    return res.json({
+      balance: user.walletBalance || 0,
+      currency: WALLET_CURRENCY,
+      ...ledger,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* -------------------- ADMIN -------------------- */
+
+/**
+ * GET /api/admin/users/:id/wallet
+ */
+export const adminGetUserWallet = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    const user = await User.findById(id).select("name email walletBalance").lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const ledger = await walletPage(user._id, readPagination(req));
+
+    return res.json({
+      user: { id: user._id, name: user.name, email: user.email },
+      balance: user.walletBalance || 0,
+      currency: WALLET_CURRENCY,
+      ...ledger,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/admin/users/:id/wallet/credit
+ * Grants store credit (goodwill, compensation). The note is shown to the user.
+ */
+export const adminCreditUserWallet = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    const { error, value } = creditSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        message: "Validation failed",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const exists = await User.exists({ _id: id, isDeleted: { $ne: true } });
+    if (!exists) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const result = await creditWallet(id, value.amount, {
+      reason: "ADMIN_GRANT",
+      note: value.note,
+      createdBy: req.user.id,
+    });
+
+    console.log(
+      `[WALLET] admin ${req.user.id} credited ${value.amount} ${WALLET_CURRENCY} to user ${id}`
+    );
+
+    return res.status(201).json({
+      message: "Credit added",
+      balance: result.balance,
+      transaction: result.transaction,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,301 @@
+// src/dev/razorpayMock.js
+//
+// Local stand-in for the parts of the Razorpay API this backend uses, for
+// exercising checkout, subscriptions and webhooks without a Razorpay account.
+//
+//   npm run mock:razorpay
+//   RAZORPAY_API_URL=http://localhost:4010/ npm run dev
+//
+// Besides the API (/v1/...) it has control endpoints that play Razorpay's
+// part: they change a subscription and post the signed webhook to the app.
+//
+//   POST /mock/subscriptions/:id/authenticate
+//   POST /mock/subscriptions/:id/charge   { "amount": 49900 }  (paise)
+//   POST /mock/subscriptions/:id/halt
+//
+// Plan changes (PATCH /v1/subscriptions/:id with schedule_change_at
+// "cycle_end") take effect on the next /charge.
+//
+// /charge also returns the Checkout signature for
+// POST /api/orders/membership/subscribe/verify.
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.env.MOCK_RAZORPAY_PORT) || 4010;
+const WEBHOOK_URL =
+  process.env.MOCK_RAZORPAY_WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 4000}/api/orders/razorpay/webhook`;
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || "";
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || "";
+
+const DAY_S = 24 * 60 * 60;
+
+const orders = new Map();
+const payments = new Map();
+const subscriptions = new Map();
+
+/* -------------------- HELPERS -------------------- */
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(7).toString("hex")}`;
+}
+
+function nowUnix() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function notFound(res, what) {
+  return send(res, 400, {
+    error: {
+      code: "BAD_REQUEST_ERROR",
+      description: `The id provided does not exist (${what})`,
+    },
+  });
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  if (chunks.length === 0) return {};
+
+  const raw = Buffer.concat(chunks).toString("utf8");
+  try {
+    return JSON.parse(raw);
+  } catch {
+    // The SDK posts JSON; anything else is treated as form data
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+}
+
+async function postWebhook(event, payload) {
+  const body = JSON.stringify({
+    entity: "event",
+    event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: nowUnix(),
+  });
+
+  const signature = crypto.createHmac("sha256", WEBHOOK_SECRET).update(body).digest("hex");
+
+  try {
+    const res = await fetch(WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Razorpay-Signature": signature },
+      body,
+    });
+    console.log(`[RAZORPAY-MOCK] ${event} -> ${res.status} ${await res.text()}`);
+  } catch (err) {
+    console.error(`[RAZORPAY-MOCK] ${event} webhook failed:`, err?.message || err);
+  }
+}
+
+/* -------------------- API -------------------- */
+
+function createOrder(body) {
+  const order = {
+    id: newId("order"),
+    entity: "order",
+    amount: Number(body.amount),
+    currency: body.currency || "INR",
+    receipt: body.receipt || null,
+    status: "created",
+    notes: body.notes || {},
+    created_at: nowUnix(),
+  };
+  orders.set(order.id, order);
+  return order;
+}
+
+function createSubscription(body) {
+  const subscription = {
+    id: newId("sub"),
+    entity: "subscription",
+    plan_id: body.plan_id,
+    status: "created",
+    total_count: Number(body.total_count) || 1,
+    paid_count: 0,
+    remaining_count: Number(body.total_count) || 1,
+    customer_notify: body.customer_notify ?? 1,
+    start_at: body.start_at ? Number(body.start_at) : null,
+    has_scheduled_changes: false,
+    scheduled_plan_id: null,
+    current_start: null,
+    current_end: null,
+    ended_at: null,
+    notes: body.notes || {},
+    short_url: `http://localhost:${PORT}/mock/checkout`,
+    created_at: nowUnix(),
+  };
+  subscriptions.set(subscription.id, subscription);
+  return subscription;
+}
+
+function chargeSubscription(subscription, amount) {
+  const order = createOrder({ amount, currency: "INR", notes: subscription.notes });
+  const start = subscription.current_end || nowUnix();
+
+  const payment = {
+    id: newId("pay"),
+    entity: "payment",
+    amount,
+    currency: "INR",
+    status: "captured",
+    order_id: order.id,
+    invoice_id: newId("inv"),
+    method: "card",
+    captured: true,
+    created_at: nowUnix(),
+  };
+  payments.set(payment.id, payment);
+  order.status = "paid";
+
+  // A plan change scheduled for cycle_end applies from this charge
+  if (subscription.scheduled_plan_id) {
+    subscription.plan_id = subscription.scheduled_plan_id;
+    subscription.scheduled_plan_id = null;
+    subscription.has_scheduled_changes = false;
+  }
+
+  Object.assign(subscription, {
+    status: "active",
+    paid_count: subscription.paid_count + 1,
+    remaining_count: Math.max(subscription.total_count - subscription.paid_count - 1, 0),
+    current_start: start,
+    current_end: start + 30 * DAY_S,
+  });
+
+  return payment;
+}
+
+/* -------------------- ROUTER -------------------- */
+
+async function route(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const parts = url.pathname.split("/").filter(Boolean);
+  const body = ["POST", "PATCH"].includes(req.method) ? await readBody(req) : {};
+
+  // Razorpay API
+  if (parts[0] === "v1") {
+    const [, resource, id, action] = parts;
+
+    if (resource === "orders" && req.method === "POST" && !id) {
+      return send(res, 200, createOrder(body));
+    }
+
+    if (resource === "subscriptions") {
+      if (req.method === "POST" && !id) return send(res, 200, createSubscription(body));
+
+      const subscription = subscriptions.get(id);
+      if (!subscription) return notFound(res, id);
+
+      if (req.method === "GET" && !action) return send(res, 200, subscription);
+
+      if (req.method === "PATCH" && !action) {
+        if (body.schedule_change_at === "cycle_end") {
+          Object.assign(subscription, { scheduled_plan_id: body.plan_id, has_scheduled_changes: true });
+        } else {
+          subscription.plan_id = body.plan_id;
+        }
+        return send(res, 200, subscription);
+      }
+
+      if (req.method === "POST" && action === "cancel_scheduled_changes") {
+        Object.assign(subscription, { scheduled_plan_id: null, has_scheduled_changes: false });
+        return send(res, 200, subscription);
+      }
+
+      if (req.method === "POST" && action === "cancel") {
+        Object.assign(subscription, { status: "cancelled", ended_at: nowUnix() });
+        send(res, 200, subscription);
+        return postWebhook("subscription.cancelled", {
+          subscription: { entity: subscription },
+        });
+      }
+    }
+
+    if (resource === "payments") {
+      const payment = payments.get(id);
+      if (!payment) return notFound(res, id);
+
+      if (req.method === "GET" && !action) return send(res, 200, payment);
+
+      if (req.method === "POST" && action === "refund") {
+        return send(res, 200, {
+          id: newId("rfnd"),
+          entity: "refund",
+          amount: Number(body.amount) || payment.amount,
+          payment_id: payment.id,
+          status: "processed",
+          created_at: nowUnix(),
+        });
+      }
+    }
+
+    return send(res, 404, { error: { code: "NOT_FOUND", description: "Not mocked" } });
+  }
+
+  // Control endpoints
+  if (parts[0] === "mock" && parts[1] === "subscriptions" && req.method === "POST") {
+    const subscription = subscriptions.get(parts[2]);
+    if (!subscription) return notFound(res, parts[2]);
+
+    const action = parts[3];
+
+    if (action === "authenticate") {
+      subscription.status = "authenticated";
+      send(res, 200, subscription);
+      return postWebhook("subscription.authenticated", {
+        subscription: { entity: subscription },
+      });
+    }
+
+    if (action === "charge") {
+      const payment = chargeSubscription(subscription, Number(body.amount) || 49900);
+      const signature = crypto
+        .createHmac("sha256", KEY_SECRET)
+        .update(`${payment.id}|${subscription.id}`)
+        .digest("hex");
+
+      send(res, 200, {
+        subscription,
+        payment,
+        checkout: {
+          razorpaySubscriptionId: subscription.id,
+          razorpayPaymentId: payment.id,
+          razorpaySignature: signature,
+        },
+      });
+      return postWebhook("subscription.charged", {
+        subscription: { entity: subscription },
+        payment: { entity: payment },
+      });
+    }
+
+    if (action === "halt") {
+      subscription.status = "halted";
+      send(res, 200, subscription);
+      return postWebhook("subscription.halted", {
+        subscription: { entity: subscription },
+      });
+    }
+  }
+
+  return send(res, 404, { error: { code: "NOT_FOUND", description: "Not mocked" } });
+}
+
+http
+  .createServer((req, res) => {
+    route(req, res).catch((err) => {
+      console.error("[RAZORPAY-MOCK] error:", err);
+      if (!res.headersSent) send(res, 500, { error: { description: err.message } });
+    });
+  })
+  .listen(PORT, () => {
+    console.log(`[RAZORPAY-MOCK] listening on http://localhost:${PORT}, webhooks -> ${WEBHOOK_URL}`);
+  });
@@ -1,5 +1,5 @@
-import jwt from "jsonwebtoken";
 import User from "../models/User.model.js";
+import { verifyAccessToken } from "../utils/jwt.js";
 
 export const protect = async (req, res, next) => {
   try {
@@ -13,7 +13,8 @@ export const protect = async (req, res, next) => {
 
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+      // Checks the audience too: download and unsubscribe links are JWTs as well
+      decoded = verifyAccessToken(token);
     } catch (err) {
       return res.status(401).json({
         message:
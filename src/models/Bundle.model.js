@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import crypto from "node:crypto";
+
+const { Schema, models, model } = mongoose;
+
+const bundleSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true },
+
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    description: { type: String, default: "", trim: true },
+
+    thumbnail: {
+      key: { type: String },
+      url: { type: String },
+    },
+
+    products: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length >= 2 && v.length <= 100,
+        message: "A bundle must contain between 2 and 100 products",
+      },
+    },
+
+    // Price for the whole bundle; buyers who own some items pay a prorated share
+    price: { type: Number, required: true, min: 0 },
+    mrp: { type: Number, default: 0, min: 0 },
+    currency: { type: String, default: "INR", uppercase: true, trim: true },
+
+    visibility: {
+      type: String,
+      enum: ["public", "private", "draft"],
+      default: "draft",
+      index: true,
+    },
+
+    // Optional sale window (null = open ended)
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+bundleSchema.index({ visibility: 1, validFrom: 1, validUntil: 1 });
+
+bundleSchema.pre("validate", function (next) {
+  if (this.title && !this.slug) {
+    const cleaned = this.title
+      .toLowerCase()
+      .replaceAll(/[^a-z0-9]+/g, "-")
+      .replaceAll(/(^-+)|(-+$)/g, "")
+      .substring(0, 60);
+
+    this.slug = `${cleaned}-${crypto.randomBytes(3).toString("hex")}`;
+  }
+
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate("validUntil", "validUntil must be after validFrom");
+  }
+
+  next();
+});
+
+bundleSchema.virtual("discountPercent").get(function () {
+  if (!this.mrp || this.mrp <= this.price) return 0;
+  return Math.round(((this.mrp - this.price) / this.mrp) * 100);
+});
+
+// Public + inside the sale window
+bundleSchema.statics.purchasableFilter = function (now = new Date()) {
+  return {
+    visibility: "public",
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gt: now } }] },
+    ],
+  };
+};
+
+const Bundle = models.Bundle || model("Bundle", bundleSchema);
+export default Bundle;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+const { Schema, model, models } = mongoose;
+
+const cartItemSchema = new Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const cartSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+
+    items: {
+      type: [cartItemSchema],
+      default: [],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length <= 50,
+        message: "Cart cannot contain more than 50 items",
+      },
+    },
+
+    promoCode: {
+      type: String,
+      default: null,
+      uppercase: true,
+      trim: true,
+    },
+
+    // Last pending order created from this cart
+    checkoutOrder: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    checkedOutAt: { type: Date, default: null },
+
+    // Set without touching updatedAt; a newer updatedAt re-arms the reminder
+    reminderSentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Stale / abandoned cart lookups
+cartSchema.index({ updatedAt: 1 });
+
+const Cart = models.Cart || model("Cart", cartSchema);
+export default Cart;
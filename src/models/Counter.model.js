@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+const { Schema, models, model } = mongoose;
+
+// Named sequences (e.g. "invoice:2026-27"); incremented with $inc inside transactions
+const counterSchema = new Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0, min: 0 },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+const Counter = models.Counter || model("Counter", counterSchema);
+export default Counter;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const { Schema, model, models } = mongoose;
+
+const downloadEventSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    // How the user was entitled to this download
+    source: {
+      type: String,
+      enum: ["order", "membership", "admin"],
+      required: true,
+      index: true,
+    },
+
+    // jti of the signed link that was redeemed
+    tokenId: { type: String, default: null },
+
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Per-user history
+downloadEventSchema.index({ user: 1, createdAt: -1 });
+
+// Per-product history / reports
+downloadEventSchema.index({ product: 1, createdAt: -1 });
+downloadEventSchema.index({ createdAt: 1 });
+
+// One event per signed link, however often it is followed
+downloadEventSchema.index(
+  { tokenId: 1 },
+  { unique: true, partialFilterExpression: { tokenId: { $type: "string" } } }
+);
+
+const DownloadEvent =
+  models.DownloadEvent || model("DownloadEvent", downloadEventSchema);
+
+export default DownloadEvent;
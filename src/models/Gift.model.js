@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+const { Schema, models, model } = mongoose;
+
+/* =========================
+   GIFT (issued when a gift order is paid)
+   ========================= */
+
+const giftSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+
+    purchaser: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    recipientEmail: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    recipientName: { type: String, default: "", trim: true },
+    message: { type: String, default: "", trim: true, maxlength: 500 },
+
+    /* ---------- CONTENTS ---------- */
+    kind: {
+      type: String,
+      enum: ["products", "membership"],
+      required: true,
+    },
+
+    products: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+      default: [],
+    },
+    bundle: { type: Schema.Types.ObjectId, ref: "Bundle", default: null },
+
+    membershipPlanKey: { type: String, default: null },
+    membershipMonths: { type: Number, default: null, min: 1 },
+
+    /* ---------- LIFECYCLE ---------- */
+    // EXPIRED is derived from expiresAt, not stored
+    status: {
+      type: String,
+      enum: ["ISSUED", "REDEEMED", "REVOKED"],
+      default: "ISSUED",
+      index: true,
+    },
+
+    expiresAt: { type: Date, required: true },
+
+    redeemedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    redeemedAt: { type: Date, default: null },
+
+    revokedAt: { type: Date, default: null },
+
+    emailSentAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+giftSchema.index({ purchaser: 1, createdAt: -1 });
+giftSchema.index({ status: 1, expiresAt: 1 });
+
+giftSchema.statics.displayStatus = function (gift, now = new Date()) {
+  if (gift.status === "ISSUED" && gift.expiresAt <= now) return "EXPIRED";
+  return gift.status;
+};
+
+const Gift = models.Gift || model("Gift", giftSchema);
+export default Gift;
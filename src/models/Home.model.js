@@ -88,6 +88,8 @@ const MegaBundleSchema = new Schema(
     ctaText: { type: String, default: "Pre-Order Now" },
     ctaLink: { type: String },
     releaseDate: { type: Date },
+    // Optional link to a real, purchasable Bundle
+    bundle: { type: Schema.Types.ObjectId, ref: "Bundle", default: null },
   },
   { _id: false }
 );
@@ -10,10 +10,15 @@ const membershipPlanSchema = new Schema(
     currency: { type: String, default: "INR" },
 
     maxDownloadsPerMonth: { type: Number, default: null }, // null = unlimited
+    // Product.formats members may download (empty = all)
     allowedFormats: [{ type: String }],
+    // Needed for products with licenseTier "commercial"
     commercialUse: { type: Boolean, default: false },
     remixRequestsPerMonth: { type: Number, default: 0 },
 
+    // Razorpay plan (monthly, at `price`) used for auto-renewing subscriptions
+    razorpayPlanId: { type: String, trim: true, default: null },
+
     description: { type: String },
     features: [{ type: String }],
 
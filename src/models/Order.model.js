@@ -41,6 +41,48 @@ const orderItemSchema = new Schema(
       required: true,
       min: 0,
     },
+
+    // Share of the order promo discount allocated to this line
+    promoDiscountSnapshot: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // GST on this line (included in or added to the price, see taxBreakdown)
+    taxSnapshot: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Scheduled sale the price came from (priceSnapshot is the sale price)
+    sale: {
+      type: Schema.Types.ObjectId,
+      ref: "Sale",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/* =========================
+   GST BREAKDOWN
+   ========================= */
+
+const taxBreakdownSchema = new Schema(
+  {
+    rate: { type: Number, default: 0, min: 0 },
+    pricesIncludeTax: { type: Boolean, default: true },
+    supplierGstin: { type: String, trim: true },
+    // GST state code of the buyer (or supplier when unknown); null for exports
+    placeOfSupply: { type: String, default: null },
+    interState: { type: Boolean, default: false },
+    exempt: { type: Boolean, default: false },
+    taxableValue: { type: Number, default: 0, min: 0 },
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 },
+    igst: { type: Number, default: 0, min: 0 },
   },
   { _id: false }
 );
@@ -84,6 +126,50 @@ const orderSchema = new Schema(
       min: 1,
     },
 
+    // Upgrade from a paid-up plan; `credit` (its unused days) is already off the total
+    membershipChange: {
+      type: new Schema(
+        {
+          fromPlanKey: { type: String, required: true },
+          unusedDays: { type: Number, default: 0 },
+          credit: { type: Number, default: 0 },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    /* ---------- BUNDLE ---------- */
+    bundleId: {
+      type: Schema.Types.ObjectId,
+      ref: "Bundle",
+      default: null,
+      index: true,
+    },
+
+    // Bundle as sold; items hold the (prorated) products actually granted
+    bundleSnapshot: {
+      title: { type: String },
+      price: { type: Number, min: 0 },
+      mrp: { type: Number, min: 0 },
+      productCount: { type: Number, min: 0 },
+      ownedCount: { type: Number, min: 0 },
+    },
+
+    /* ---------- GIFT ---------- */
+    // Gift orders grant nothing to the buyer; payment issues a Gift code instead
+    isGift: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    giftRecipient: {
+      email: { type: String, lowercase: true, trim: true },
+      name: { type: String, trim: true },
+      message: { type: String, trim: true, maxlength: 500 },
+    },
+
     /* ---------- AMOUNTS ---------- */
     currency: {
       type: String,
@@ -104,7 +190,12 @@ const orderSchema = new Schema(
       min: 0,
     },
 
-    
+    // null when GST was not configured at the time of the order
+    taxBreakdown: {
+      type: taxBreakdownSchema,
+      default: null,
+    },
+
     convenienceFee: {
     type: Number,
     default: 0,
@@ -155,7 +246,7 @@ const orderSchema = new Schema(
     /* ---------- PAYMENT ---------- */
     paymentProvider: {
       type: String,
-      enum: ["razorpay", "stripe", "paypal", "manual", "test"],
+      enum: ["razorpay", "wallet", "stripe", "paypal", "manual", "test"],
       default: "razorpay",
     },
 
@@ -180,6 +271,12 @@ const orderSchema = new Schema(
 
     paymentRaw: Schema.Types.Mixed,
 
+    // Razorpay subscription this renewal charge belongs to
+    subscriptionId: {
+      type: String,
+      default: null,
+    },
+
     /* ---------- PROMO ---------- */
     promoCode: {
       type: String,
@@ -192,6 +289,67 @@ const orderSchema = new Schema(
       min: 0,
     },
 
+    /* ---------- INVOICE ---------- */
+    // Sequential per financial year, assigned in the same transaction that marks the order PAID
+    invoiceNumber: {
+      type: String,
+      default: undefined,
+    },
+
+    invoiceDate: {
+      type: Date,
+      default: null,
+    },
+
+    // Buyer's billing details at the time of purchase
+    billing: {
+      name: { type: String, trim: true },
+      gstin: { type: String, trim: true },
+      stateCode: { type: String, trim: true },
+      country: { type: String, trim: true },
+    },
+
+    /* ---------- WALLET ---------- */
+    // Part of total paid from store credit; the card is charged the rest
+    walletApplied: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Set when the wallet part of an unpaid (cancelled/failed) order is returned
+    walletReleasedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /* ---------- PRICING ---------- */
+    // Quote the amounts were taken from (see services/pricing.service.js)
+    quoteId: {
+      type: Schema.Types.ObjectId,
+      ref: "Quote",
+      default: null,
+    },
+
+    /* ---------- ABANDONED CHECKOUT REMINDER ---------- */
+    abandonedReminder: {
+      status: {
+        type: String,
+        enum: ["SENT", "SKIPPED", null],
+        default: null,
+      },
+      sentAt: { type: Date, default: null },
+      promoCode: { type: String, default: null },
+    },
+
+    /* ---------- NOTIFICATIONS ---------- */
+    // Claimed atomically before sending, so verify + webhook send each once
+    notifications: {
+      orderCompleteSentAt: { type: Date, default: null },
+      membershipActivatedSentAt: { type: Date, default: null },
+      refundSentAt: { type: Date, default: null },
+    },
+
     /* ---------- META ---------- */
     metadata: Schema.Types.Mixed,
     completedAt: Date,
@@ -211,5 +369,17 @@ orderSchema.index({ user: 1, status: 1, createdAt: -1 });
 // CRON OPTIMIZATION (auto-cancel pending orders)
 orderSchema.index({ status: 1, createdAt: 1 });
 
+// Abandoned checkout reminder job
+orderSchema.index({ status: 1, cancelReason: 1, "abandonedReminder.status": 1, completedAt: 1 });
+
+// One order per subscription charge (verify and webhook may both record it)
+orderSchema.index(
+  { subscriptionId: 1, paymentId: 1 },
+  { unique: true, partialFilterExpression: { subscriptionId: { $type: "string" } } }
+);
+
+// One order per invoice number
+orderSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+
 const Order = models.Order || model("Order", orderSchema);
 export default Order;
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+const { Schema, model, models } = mongoose;
+
+// Short-lived markers used to count a preview play once per session / IP
+const playDedupeSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: false, versionKey: false }
+);
+
+// TTL: Mongo removes markers once the de-dup window has passed
+playDedupeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PlayDedupe = models.PlayDedupe || model("PlayDedupe", playDedupeSchema);
+
+export default PlayDedupe;
@@ -3,6 +3,10 @@ import crypto from "node:crypto";
 
 const { Schema, models, model } = mongoose;
 
+// Deliverable formats, as listed in MembershipPlan.allowedFormats
+export const PRODUCT_FORMATS = ["wav", "mp3", "stems", "midi"];
+export const LICENSE_TIERS = ["personal", "commercial"];
+
 /* ============================================================
    SUB-SCHEMAS (Tracklist & Ratings)
 ============================================================ */
@@ -87,19 +91,40 @@ const productSchema = new Schema(
       index: true 
     },
 
+    /* --- DELIVERABLE & LICENSE (membership entitlements) --- */
+    // What the download contains; a membership plan must allow every one
+    formats: {
+      type: [{ type: String, enum: PRODUCT_FORMATS }],
+      default: [],
+    },
+    // "commercial" products need a plan with commercialUse
+    licenseTier: {
+      type: String,
+      enum: LICENSE_TIERS,
+      default: "personal",
+      index: true,
+    },
+
     /* --- DELIVERY (DRIVE ARCHITECTURE) - SECURED --- */
     download: {
       type: {
         type: String,
-        enum: ["drive", "external"],
+        enum: ["drive", "external", "s3"],
         default: "drive",
         required: true,
       },
       url: { 
         type: String, 
-        required: true, 
+        required: function () {
+          return this.download?.type !== "s3";
+        },
         select: false 
       }, 
+      // S3 object key (only for type "s3", served via presigned GET)
+      key: {
+        type: String,
+        select: false,
+      },
       note: { type: String, default: "" },
     },
 
@@ -174,11 +199,15 @@ const productSchema = new Schema(
     /* --- VISIBILITY & STATS --- */
     visibility: {
       type: String,
-      enum: ["public", "private", "draft"],
+      enum: ["public", "preorder", "private", "draft"],
       default: "draft",
       index: true,
     },
 
+    // Pre-orders: sellable before this moment, downloadable from it.
+    // The release job flips "preorder" -> "public" once it passes.
+    releaseAt: { type: Date, default: null },
+
     downloadCount: { type: Number, default: 0 },
     playCount: { type: Number, default: 0 },
     favoriteCount: { type: Number, default: 0 },
@@ -201,7 +230,20 @@ const productSchema = new Schema(
 ============================================================ */
 
 productSchema.index({ visibility: 1, createdAt: -1 });
+productSchema.index({ visibility: 1, releaseAt: 1 });
 productSchema.index({ category: 1, createdAt: -1 });
+productSchema.index({ visibility: 1, price: 1, _id: 1 });
+productSchema.index({ visibility: 1, favoriteCount: -1, _id: -1 });
+
+// Catalog full-text search (relevance ranked via $meta: "textScore")
+productSchema.index(
+  { title: "text", tags: "text", category: "text", genre: "text", mood: "text", description: "text" },
+  {
+    name: "product_text_search",
+    weights: { title: 10, tags: 5, category: 4, genre: 4, mood: 3, description: 1 },
+    default_language: "none",
+  }
+);
 
 // Auto-Slug Generation logic
 productSchema.pre("validate", function (next) {
@@ -249,5 +291,14 @@ productSchema.methods.updateRatingStats = function () {
   this.averageRating = this.ratingCount ? total / this.ratingCount : 0;
 };
 
+// Downloads unlock at releaseAt (even if the release job hasn't run yet)
+productSchema.methods.isReleased = function (now = new Date()) {
+  if (this.releaseAt) return this.releaseAt <= now;
+  return this.visibility !== "preorder";
+};
+
+// Visible in the catalog and purchasable
+export const LISTED_VISIBILITIES = ["public", "preorder"];
+
 const Product = models.Product || model("Product", productSchema);
 export default Product;
\ No newline at end of file
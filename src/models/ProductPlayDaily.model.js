@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+const { Schema, model, models } = mongoose;
+
+// One row per product per UTC day
+const productPlayDailySchema = new Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    // UTC midnight of the day being counted
+    day: { type: Date, required: true },
+
+    plays: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: false, versionKey: false }
+);
+
+productPlayDailySchema.index({ product: 1, day: 1 }, { unique: true });
+productPlayDailySchema.index({ day: 1 });
+
+const ProductPlayDaily =
+  models.ProductPlayDaily || model("ProductPlayDaily", productPlayDailySchema);
+
+export default ProductPlayDaily;
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+const { Schema, models, model } = mongoose;
+
+// A batch of generated single-use codes (giveaways, influencer drops, ...)
+const promoCampaignSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "", trim: true },
+
+    prefix: { type: String, required: true, uppercase: true, trim: true },
+    codeLength: { type: Number, required: true, min: 4, max: 16 },
+
+    quantity: { type: Number, required: true, min: 1 },
+    generatedCount: { type: Number, default: 0, min: 0 },
+
+    // Discount / targeting rules copied onto every code at generation time
+    rules: Schema.Types.Mixed,
+
+    isActive: { type: Boolean, default: true },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoCampaignSchema.index({ createdAt: -1 });
+
+const PromoCampaign =
+  models.PromoCampaign || model("PromoCampaign", promoCampaignSchema);
+
+export default PromoCampaign;
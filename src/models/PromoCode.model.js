@@ -60,15 +60,76 @@ const promoCodeSchema = new Schema(
       default: 0,
     },
 
+    // optional start of the validity window
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+
     expiresAt: {
       type: Date,
       default: null,
     },
 
+    // ---------- TARGETING (empty => no restriction) ----------
+
+    eligibleProducts: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+      default: [],
+    },
+
+    eligibleCategories: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+
+    eligibleTags: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+
+    eligiblePlanKeys: {
+      type: [{ type: String, trim: true, uppercase: true }],
+      default: [],
+    },
+
+    // memberships: discount only the first month of a multi-month purchase
+    firstPeriodOnly: {
+      type: Boolean,
+      default: false,
+    },
+
+    // only for users without a previous paid order
+    newCustomersOnly: {
+      type: Boolean,
+      default: false,
+    },
+
+    // redemptions allowed per user
+    perUserLimit: {
+      type: Number,
+      min: 0,
+      default: 0, // 0 => unlimited
+    },
+
+    // written by every order reservation so concurrent ones conflict
+    lastReservedAt: {
+      type: Date,
+      default: null,
+    },
+
     isActive: {
       type: Boolean,
       default: true,
     },
+
+    // set for codes generated in bulk (see PromoCampaign)
+    campaign: {
+      type: Schema.Types.ObjectId,
+      ref: "PromoCampaign",
+      default: null,
+      index: true,
+    },
   },
   {
     timestamps: true,
@@ -88,6 +149,44 @@ promoCodeSchema.methods.isExpired = function () {
   return false;
 };
 
+// promo window has opened
+promoCodeSchema.methods.hasStarted = function (now = new Date()) {
+  return !this.startsAt || this.startsAt <= now;
+};
+
+// any product / plan targeting configured
+promoCodeSchema.methods.isTargeted = function () {
+  return (
+    this.eligibleProducts?.length > 0 ||
+    this.eligibleCategories?.length > 0 ||
+    this.eligibleTags?.length > 0 ||
+    this.eligiblePlanKeys?.length > 0
+  );
+};
+
+// line eligibility: { productId, category, tags } or { planKey }
+// Untargeted promos apply to everything; product rules never match plans and vice versa
+promoCodeSchema.methods.appliesTo = function ({ productId, category, tags, planKey } = {}) {
+  if (!this.isTargeted()) return true;
+
+  if (planKey) {
+    return (this.eligiblePlanKeys || []).includes(String(planKey).toUpperCase());
+  }
+
+  const lower = (v) => String(v).toLowerCase();
+
+  if (productId && (this.eligibleProducts || []).some((id) => id.toString() === productId.toString())) {
+    return true;
+  }
+
+  if (category && (this.eligibleCategories || []).map(lower).includes(lower(category))) {
+    return true;
+  }
+
+  const productTags = new Set((tags || []).map(lower));
+  return (this.eligibleTags || []).some((tag) => productTags.has(lower(tag)));
+};
+
 // subtotal basis actual discount
 promoCodeSchema.methods.computeDiscount = function (subtotal) {
   if (typeof subtotal !== "number" || subtotal <= 0) return 0;
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const { Schema, models, model } = mongoose;
+
+// Ledger: one row per paid order that used a promo code
+const promoRedemptionSchema = new Schema(
+  {
+    promo: {
+      type: Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: true,
+    },
+
+    // code as applied (promos can be renamed later)
+    code: { type: String, required: true, uppercase: true, trim: true },
+
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+
+    campaign: {
+      type: Schema.Types.ObjectId,
+      ref: "PromoCampaign",
+      default: null,
+      index: true,
+    },
+
+    discount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "INR", uppercase: true, trim: true },
+  },
+  {
+    timestamps: { createdAt: "redeemedAt", updatedAt: false },
+  }
+);
+
+// Per-user limit checks + admin listing per promo
+promoRedemptionSchema.index({ promo: 1, user: 1 });
+promoRedemptionSchema.index({ promo: 1, redeemedAt: -1 });
+
+const PromoRedemption =
+  models.PromoRedemption || model("PromoRedemption", promoRedemptionSchema);
+
+export default PromoRedemption;
@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+const { Schema, models, model } = mongoose;
+
+/* =========================
+   QUOTE LINE
+   ========================= */
+
+const quoteLineSchema = new Schema(
+  {
+    kind: { type: String, enum: ["product", "membership"], required: true },
+
+    product: { type: Schema.Types.ObjectId, ref: "Product", default: null },
+    planKey: { type: String, default: null },
+
+    title: { type: String, required: true },
+    currency: { type: String, required: true },
+
+    // Price per unit (product price, or plan price per month)
+    unitPrice: { type: Number, required: true, min: 0 },
+    quantity: { type: Number, default: 1, min: 1 },
+    mrp: { type: Number, default: 0, min: 0 },
+    discountPercent: { type: Number, default: 0, min: 0 },
+    // Membership upgrades: value of the unused days on the old plan, off `amount`
+    credit: { type: Number, default: 0, min: 0 },
+
+    // Scheduled sale that set unitPrice, if any
+    sale: { type: Schema.Types.ObjectId, ref: "Sale", default: null },
+    saleEndsAt: { type: Date, default: null },
+
+    // amount = line price before promo; total = what is paid for the line
+    // (amount - promoDiscount, plus tax when prices exclude GST)
+    amount: { type: Number, required: true, min: 0 },
+    promoDiscount: { type: Number, default: 0, min: 0 },
+    taxableValue: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/* =========================
+   QUOTE SCHEMA
+   ========================= */
+
+const quoteSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    kind: {
+      type: String,
+      enum: ["products", "bundle", "membership"],
+      required: true,
+    },
+
+    // What was asked for; re-priced when an order is pinned to the quote
+    input: {
+      productIds: { type: [String], default: undefined },
+      bundleId: { type: String, default: null },
+      planKey: { type: String, default: null },
+      months: { type: Number, default: null },
+      // Membership plan change: priced with credit for the current plan
+      upgrade: { type: Boolean, default: false },
+      promoCode: { type: String, default: null },
+      // Priced for someone else: the buyer's library is not checked
+      gift: { type: Boolean, default: false },
+    },
+
+    currency: { type: String, default: "INR", uppercase: true, trim: true },
+
+    lines: { type: [quoteLineSchema], default: [] },
+
+    subtotal: { type: Number, required: true, min: 0 },
+    promoCode: { type: String, default: null },
+    promoDiscount: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 },
+    // CGST/SGST/IGST split (services/tax.service.js); null when GST is off
+    taxBreakdown: { type: Schema.Types.Mixed, default: null },
+    convenienceFee: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+
+    bundleSnapshot: Schema.Types.Mixed,
+
+    expiresAt: { type: Date, required: true },
+
+    // Set once an order has been created from this quote
+    usedAt: { type: Date, default: null },
+    order: { type: Schema.Types.ObjectId, ref: "Order", default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// TTL: quotes are kept for a week after they lapse (order history keeps the id)
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Quote = models.Quote || model("Quote", quoteSchema);
+export default Quote;
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+const { Schema, models, model } = mongoose;
+
+/* =========================
+   REMIX REQUEST (membership perk, see services/remixRequest.service.js)
+   ========================= */
+
+export const REMIX_STATUSES = ["NEW", "ACCEPTED", "IN_PROGRESS", "DELIVERED", "REJECTED"];
+
+const fileSchema = new Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    filename: { type: String, default: "", trim: true },
+    contentType: { type: String, default: "", trim: true },
+    size: { type: Number, default: null, min: 0 },
+  },
+  { _id: false }
+);
+
+const remixRequestSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      index: true,
+    },
+
+    // Plan the request was counted against
+    planKey: { type: String, required: true },
+    // membershipUsage.periodStart it was counted in; a rejection in the same
+    // period gives the request back
+    usagePeriodStart: { type: Date, required: true },
+
+    /* ---------- BRIEF ---------- */
+    notes: { type: String, required: true, trim: true, maxlength: 2000 },
+    referenceLinks: { type: [String], default: [] },
+    // Optional upload under remix-references/<userId>/
+    referenceFile: { type: fileSchema, default: null },
+
+    /* ---------- LIFECYCLE ---------- */
+    status: {
+      type: String,
+      enum: REMIX_STATUSES,
+      default: "NEW",
+      index: true,
+    },
+
+    statusHistory: {
+      type: [
+        {
+          _id: false,
+          status: { type: String, enum: REMIX_STATUSES, required: true },
+          note: { type: String, default: "", trim: true },
+          by: { type: Schema.Types.ObjectId, ref: "User", default: null },
+          at: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+
+    // Shown to the user
+    rejectionReason: { type: String, default: "", trim: true, maxlength: 1000 },
+
+    /* ---------- DELIVERY ---------- */
+    // The finished file, under remix-deliveries/<requestId>/
+    delivery: { type: fileSchema, default: null },
+    deliveredAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+remixRequestSchema.index({ user: 1, createdAt: -1 });
+remixRequestSchema.index({ status: 1, createdAt: 1 });
+
+const RemixRequest = models.RemixRequest || model("RemixRequest", remixRequestSchema);
+export default RemixRequest;
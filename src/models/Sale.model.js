@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+const { Schema, models, model } = mongoose;
+
+/* =========================
+   SALE / PRICE SCHEDULE
+   ========================= */
+
+const saleSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "", trim: true },
+
+    // ---------- TARGETS (a product matching any of them is on sale) ----------
+    sitewide: { type: Boolean, default: false },
+
+    products: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+      default: [],
+    },
+
+    categories: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+
+    tags: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+
+    // ---------- DISCOUNT ----------
+    discountType: {
+      type: String,
+      enum: ["percent", "fixed"],
+      required: true,
+    },
+
+    // percent: 20 => 20% off, fixed: 50 => ₹50 off
+    discountValue: { type: Number, required: true, min: 0 },
+
+    // ---------- WINDOW ----------
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+
+    isActive: { type: Boolean, default: true, index: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+saleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+saleSchema.pre("validate", function (next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt");
+  }
+
+  if (this.discountType === "percent" && this.discountValue > 100) {
+    this.invalidate("discountValue", "Percent discount cannot exceed 100");
+  }
+
+  const hasTargets =
+    this.sitewide ||
+    this.products?.length > 0 ||
+    this.categories?.length > 0 ||
+    this.tags?.length > 0;
+
+  if (!hasTargets) {
+    this.invalidate("products", "A sale needs target products, categories, tags or sitewide");
+  }
+
+  next();
+});
+
+// Running right now
+saleSchema.statics.activeFilter = function (now = new Date()) {
+  return {
+    isActive: true,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+  };
+};
+
+const Sale = models.Sale || model("Sale", saleSchema);
+export default Sale;
@@ -69,6 +69,27 @@ const discountBannerSchema = new Schema(
   { _id: false }
 );
 
+// --- GST / INVOICING ---
+const taxSettingsSchema = new Schema(
+  {
+    enabled: { type: Boolean, default: false },
+
+    // Supplier GSTIN; its first two digits are the supplier's state code
+    gstin: { type: String, trim: true, uppercase: true },
+    legalName: { type: String, trim: true },
+
+    // Percent, e.g. 18
+    rate: { type: Number, default: 18, min: 0, max: 28 },
+
+    // true: catalog prices already include GST; false: GST is added at checkout
+    pricesIncludeTax: { type: Boolean, default: true },
+
+    // SAC printed on invoices (998439: online content)
+    sacCode: { type: String, trim: true, default: "998439" },
+  },
+  { _id: false }
+);
+
 const siteSettingsSchema = new Schema(
   {
     key: { type: String, default: "global", unique: true },
@@ -150,6 +171,14 @@ const siteSettingsSchema = new Schema(
     },
 
     faqs: { type: [faqSchema], default: [] },
+
+    /* -----------------------------------
+       TAX (GST)
+    ----------------------------------- */
+    tax: {
+      type: taxSettingsSchema,
+      default: {},
+    },
   },
   { timestamps: true }
 );
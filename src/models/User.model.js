@@ -82,11 +82,68 @@ const userSchema = new Schema(
         type: Date,
         default: null,
       },
+      // Transitions live in services/membership.service.js
       status: {
         type: String,
-        enum: ["NONE", "ACTIVE", "EXPIRED", "CANCELLED"],
+        enum: ["NONE", "ACTIVE", "CANCELLED", "GRACE", "EXPIRED"],
         default: "NONE",
       },
+      // GRACE: access continues until then while a renewal is retried
+      graceEndsAt: {
+        type: Date,
+        default: null,
+      },
+      // Last expiry notice (days before expiresAt: 7, 1, 0 = ended) and the period it was for
+      expiryNoticeFor: {
+        type: Date,
+        default: null,
+      },
+      expiryNoticeStage: {
+        type: Number,
+        default: null,
+      },
+      // Plan change waiting for the end of the paid period (downgrades, or
+      // any change under auto-renewal); prepaidMonths = renewal already paid
+      scheduledChange: {
+        type: new Schema(
+          {
+            planKey: { type: String, required: true },
+            kind: { type: String, enum: ["UPGRADE", "DOWNGRADE"], required: true },
+            effectiveAt: { type: Date, required: true },
+            requestedAt: { type: Date, default: Date.now },
+            prepaidMonths: { type: Number, default: 0, min: 0 },
+            viaSubscription: { type: Boolean, default: false },
+          },
+          { _id: false }
+        ),
+        default: null,
+      },
+    },
+
+    // Plan changes, newest last (capped in services/membership.service.js)
+    membershipHistory: {
+      type: [
+        new Schema(
+          {
+            kind: {
+              type: String,
+              enum: ["UPGRADE", "DOWNGRADE", "CHANGE_SCHEDULED", "CHANGE_CANCELLED"],
+              required: true,
+            },
+            fromPlanKey: { type: String, default: null },
+            toPlanKey: { type: String, default: null },
+            effectiveAt: { type: Date, default: null },
+            // Upgrades: value of the unused days taken off the new plan
+            unusedDays: { type: Number, default: 0 },
+            credit: { type: Number, default: 0 },
+            order: { type: Schema.Types.ObjectId, ref: "Order", default: null },
+            at: { type: Date, default: Date.now },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+      select: false,
     },
 
     membershipUsage: {
@@ -104,6 +161,52 @@ const userSchema = new Schema(
       },
     },
 
+    /* ===============================
+       BILLING (GST invoices)
+    ================================ */
+    billing: {
+      // Name / business name printed on invoices (defaults to `name`)
+      name: { type: String, trim: true, maxlength: 120 },
+      gstin: { type: String, trim: true, uppercase: true },
+      // GST state code, e.g. "27" for Maharashtra; decides CGST+SGST vs IGST
+      stateCode: { type: String, trim: true },
+      country: { type: String, trim: true, uppercase: true, default: "IN" },
+    },
+
+    /* ===============================
+       SUBSCRIPTION (Razorpay auto-renew)
+    ================================ */
+    // Kept apart from `membership`, which each paid period rewrites
+    subscription: {
+      razorpaySubscriptionId: { type: String, default: null, index: true },
+      planKey: { type: String, default: null },
+      // Razorpay's status: created, authenticated, active, pending, halted, cancelled, completed
+      status: { type: String, default: null },
+      currentPeriodEnd: { type: Date, default: null },
+      cancelledAt: { type: Date, default: null },
+    },
+
+    /* ===============================
+       WALLET (store credit, INR)
+    ================================ */
+    // Cached balance; WalletTransaction is the ledger behind it
+    walletBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    /* ===============================
+       EMAIL PREFERENCES
+    ================================ */
+    emailPreferences: {
+      // Abandoned cart / checkout reminders
+      cartReminders: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
     /* ===============================
        AUTH / SECURITY
     ================================ */
@@ -160,6 +263,9 @@ const userSchema = new Schema(
   { timestamps: true }
 );
 
+// Membership lifecycle sweeper (expiry and reminders)
+userSchema.index({ "membership.status": 1, "membership.expiresAt": 1 });
+
 /* ===============================
    PASSWORD HASH
 ================================ */
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+const { Schema, models, model } = mongoose;
+
+// Ledger: every change to User.walletBalance has one row here
+const walletTransactionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: ["CREDIT", "DEBIT"],
+      required: true,
+    },
+
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, default: "INR", uppercase: true, trim: true },
+
+    // ADMIN_GRANT: credit from support; REFUND: order refunded to wallet;
+    // ORDER_PAYMENT: spent at checkout; ORDER_REVERSAL: unpaid order's spend returned
+    reason: {
+      type: String,
+      enum: ["ADMIN_GRANT", "REFUND", "ORDER_PAYMENT", "ORDER_REVERSAL"],
+      required: true,
+    },
+
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+
+    note: { type: String, default: "", trim: true, maxlength: 500 },
+
+    // Admin who granted the credit
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    balanceAfter: { type: Number, required: true, min: 0 },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+
+// An order is paid, reversed or refunded from the wallet at most once each
+walletTransactionSchema.index(
+  { order: 1, reason: 1 },
+  { unique: true, partialFilterExpression: { order: { $type: "objectId" } } }
+);
+
+const WalletTransaction =
+  models.WalletTransaction || model("WalletTransaction", walletTransactionSchema);
+
+export default WalletTransaction;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const { Schema, model, models } = mongoose;
+
+const wishlistItemSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    // Set when the user later buys the product (conversion reporting)
+    purchasedAt: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// One entry per user/product; also backs the user's list
+wishlistItemSchema.index({ user: 1, product: 1 }, { unique: true });
+wishlistItemSchema.index({ user: 1, createdAt: -1 });
+
+// Conversion reports
+wishlistItemSchema.index({ product: 1, createdAt: -1 });
+wishlistItemSchema.index({ createdAt: 1 });
+
+const WishlistItem =
+  models.WishlistItem || model("WishlistItem", wishlistItemSchema);
+
+export default WishlistItem;
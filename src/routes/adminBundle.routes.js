@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  adminGetBundles,
+  adminGetBundleById,
+  adminCreateBundle,
+  adminUpdateBundle,
+  adminDeleteBundle,
+} from "../controllers/bundleController.js";
+
+const router = express.Router();
+
+// GET /api/admin/bundles
+router.get("/", adminGetBundles);
+
+// GET /api/admin/bundles/:id
+router.get("/:id", adminGetBundleById);
+
+// POST /api/admin/bundles
+router.post("/", adminCreateBundle);
+
+// PUT /api/admin/bundles/:id
+router.put("/:id", adminUpdateBundle);
+
+// DELETE /api/admin/bundles/:id
+router.delete("/:id", adminDeleteBundle);
+
+export default router;
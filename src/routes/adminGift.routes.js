@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  adminListGifts,
+  adminGetGiftById,
+  adminResendGiftEmail,
+  adminRevokeGift,
+} from "../controllers/giftController.js";
+
+const router = express.Router();
+
+// GET /api/admin/gifts?status=ISSUED|REDEEMED|EXPIRED|REVOKED&search=
+router.get("/", adminListGifts);
+
+// GET /api/admin/gifts/:id
+router.get("/:id", adminGetGiftById);
+
+// POST /api/admin/gifts/:id/resend
+router.post("/:id/resend", adminResendGiftEmail);
+
+// PATCH /api/admin/gifts/:id/revoke
+router.patch("/:id/revoke", adminRevokeGift);
+
+export default router;
@@ -2,7 +2,8 @@ import express from "express";
 import {
   adminGetOrders,
   adminGetOrderById,
-  refundOrder
+  refundOrder,
+  adminGetOrderInvoicePdf,
 } from "../controllers/orderController.js";
 
 const router = express.Router();
@@ -11,6 +12,9 @@ const router = express.Router();
 router.get("/", adminGetOrders);
 router.patch("/:id/mark-refunded",refundOrder);
 
+// GET /api/admin/orders/:id/invoice.pdf
+router.get("/:id/invoice.pdf", adminGetOrderInvoicePdf);
+
 // GET /api/admin/orders/:id
 router.get("/:id", adminGetOrderById);
 
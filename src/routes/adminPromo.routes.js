@@ -2,20 +2,36 @@ import express from "express";
 import {
   adminListPromos,
   adminGetPromoById,
+  adminListPromoRedemptions,
   adminCreatePromo,
   adminUpdatePromo,
   adminTogglePromoStatus,
   adminDeletePromo,
+  adminCreatePromoCampaign,
+  adminListPromoCampaigns,
+  adminGetPromoCampaign,
+  adminExportPromoCampaign,
+  adminSetPromoCampaignStatus,
 } from "../controllers/adminPromoController.js";
 
 const router = express.Router();
 
+// Campaigns (bulk generated codes) - registered before "/:id"
+router.get("/campaigns", adminListPromoCampaigns);
+router.post("/campaigns", adminCreatePromoCampaign);
+router.get("/campaigns/:id", adminGetPromoCampaign);
+router.get("/campaigns/:id/export.csv", adminExportPromoCampaign);
+router.patch("/campaigns/:id/status", adminSetPromoCampaignStatus);
+
 // GET /api/admin/promos
 router.get("/", adminListPromos);
 
 // GET /api/admin/promos/:id
 router.get("/:id", adminGetPromoById);
 
+// GET /api/admin/promos/:id/redemptions
+router.get("/:id/redemptions", adminListPromoRedemptions);
+
 // POST /api/admin/promos
 router.post("/", adminCreatePromo);
 
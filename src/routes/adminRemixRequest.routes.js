@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  adminListRemixRequests,
+  adminGetRemixRequest,
+  adminDownloadReference,
+  adminGetDeliveryUploadUrl,
+  adminUpdateRemixStatus,
+} from "../controllers/remixRequestController.js";
+
+const router = express.Router();
+
+// GET /api/admin/remix-requests?status=NEW|ACCEPTED|IN_PROGRESS|DELIVERED|REJECTED
+router.get("/", adminListRemixRequests);
+
+// GET /api/admin/remix-requests/:id
+router.get("/:id", adminGetRemixRequest);
+
+// GET /api/admin/remix-requests/:id/reference
+router.get("/:id/reference", adminDownloadReference);
+
+// POST /api/admin/remix-requests/:id/delivery-upload-url
+router.post("/:id/delivery-upload-url", adminGetDeliveryUploadUrl);
+
+// PATCH /api/admin/remix-requests/:id/status
+router.patch("/:id/status", adminUpdateRemixStatus);
+
+export default router;
@@ -8,6 +8,7 @@ import {
   usersReport,
   membershipsReport,
   downloadsReport,
+  wishlistConversionReport,
 } from "../controllers/adminReports.controller.js";
 
 const router = express.Router();
@@ -33,4 +34,7 @@ router.get("/memberships", membershipsReport);
 // GET /api/admin/reports/downloads
 router.get("/downloads", downloadsReport);
 
+// GET /api/admin/reports/wishlist-conversion
+router.get("/wishlist-conversion", wishlistConversionReport);
+
 export default router;
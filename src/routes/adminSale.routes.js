@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  adminGetSales,
+  adminGetSaleById,
+  adminCreateSale,
+  adminUpdateSale,
+  adminDeleteSale,
+} from "../controllers/saleController.js";
+
+const router = express.Router();
+
+// GET /api/admin/sales?status=running|scheduled|ended|inactive
+router.get("/", adminGetSales);
+
+// GET /api/admin/sales/:id
+router.get("/:id", adminGetSaleById);
+
+// POST /api/admin/sales
+router.post("/", adminCreateSale);
+
+// PUT /api/admin/sales/:id
+router.put("/:id", adminUpdateSale);
+
+// DELETE /api/admin/sales/:id
+router.delete("/:id", adminDeleteSale);
+
+export default router;
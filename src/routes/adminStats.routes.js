@@ -1,10 +1,16 @@
 // src/routes/adminStats.routes.js
 import express from "express";
-import { getAdminOverviewStats } from "../controllers/adminStatsController.js";
+import {
+  getAdminOverviewStats,
+  getProductAnalytics,
+} from "../controllers/adminStatsController.js";
 
 const router = express.Router();
 
 // GET /api/admin/stats/overview
 router.get("/overview", getAdminOverviewStats);
 
+// GET /api/admin/stats/products/:id
+router.get("/products/:id", getProductAnalytics);
+
 export default router;
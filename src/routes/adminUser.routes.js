@@ -11,6 +11,10 @@ import {
   adminToggleBan,
   adminUpdateUser
 } from "../controllers/userController.js";
+import {
+  adminGetUserWallet,
+  adminCreditUserWallet,
+} from "../controllers/walletController.js";
 
 const router = express.Router();
 
@@ -25,6 +29,10 @@ router.patch("/:id/extend-membership", adminExtendMembership);
 router.patch("/:id/lock-toggle", adminLockControl);
 router.put("/:id/ban-toggle/", adminToggleBan);
 
+// Store credit: balance + ledger, and admin grants
+router.get("/:id/wallet", adminGetUserWallet);
+router.post("/:id/wallet/credit", adminCreditUserWallet);
+
 
 
 
@@ -0,0 +1,20 @@
+import express from "express";
+import { protect } from "../middlewares/auth.middleware.js";
+import {
+  getPublicBundles,
+  getPublicBundle,
+  getBundleQuote,
+} from "../controllers/bundleController.js";
+
+const router = express.Router();
+
+// GET /api/bundles
+router.get("/", getPublicBundles);
+
+// GET /api/bundles/:idOrSlug/quote  (price for the logged-in user)
+router.get("/:idOrSlug/quote", protect, getBundleQuote);
+
+// GET /api/bundles/:idOrSlug
+router.get("/:idOrSlug", getPublicBundle);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from "express";
+import { protect } from "../middlewares/auth.middleware.js";
+import {
+  getCart,
+  addCartItem,
+  removeCartItem,
+  clearMyCart,
+  applyCartPromo,
+  removeCartPromo,
+  checkoutMyCart,
+} from "../controllers/cartController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", getCart);
+router.delete("/", clearMyCart);
+
+router.post("/items", addCartItem);
+router.delete("/items/:productId", removeCartItem);
+
+router.post("/promo", applyCartPromo);
+router.delete("/promo", removeCartPromo);
+
+// Creates pending order + Razorpay order; verify via /api/orders/verify
+router.post("/checkout", checkoutMyCart);
+
+export default router;
@@ -20,11 +20,12 @@ router.get("/library", protect, async (req, res, next) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // 1️ Load PAID product orders only (exclude membership orders)
+    // 1️ Load PAID product orders only (exclude membership and gift orders)
     const orders = await Order.find({
       user: userId,
       status: "PAID",
       membershipPlanKey: null,
+      isGift: { $ne: true },
     })
       .select("_id items completedAt createdAt")
       .lean();
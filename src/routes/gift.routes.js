@@ -0,0 +1,20 @@
+import express from "express";
+import { protect } from "../middlewares/auth.middleware.js";
+import {
+  createGiftCheckout,
+  redeemGiftCode,
+  getMySentGifts,
+} from "../controllers/giftController.js";
+
+const router = express.Router();
+
+// POST /api/gifts/checkout (verify payment via /api/orders/verify)
+router.post("/checkout", protect, createGiftCheckout);
+
+// POST /api/gifts/redeem
+router.post("/redeem", protect, redeemGiftCode);
+
+// GET /api/gifts/sent
+router.get("/sent", protect, getMySentGifts);
+
+export default router;
@@ -10,6 +10,12 @@ import orderRoutes from "./order.route.js";
 import promoRoutes from "./promoRoutes.js";
 import membershipPlanRoutes from "./membershipPlan.route.js";
 import contactRoutes from "./contact.routes.js";
+import cartRoutes from "./cart.routes.js";
+import bundleRoutes from "./bundle.routes.js";
+import saleRoutes from "./sale.routes.js";
+import giftRoutes from "./gift.routes.js";
+import walletRoutes from "./wallet.routes.js";
+import remixRequestRoutes from "./remixRequest.routes.js";
 
 import { protect, requireAdmin } from "../middlewares/auth.middleware.js";
 
@@ -23,6 +29,10 @@ import adminUploadRoutes from "./adminupload.routes.js";
 import adminStatsRoutes from "./adminStats.routes.js";
 import adminReportsRoutes from "./adminReports.routes.js";
 import adminPromoRoutes from "./adminPromo.routes.js";
+import adminBundleRoutes from "./adminBundle.routes.js";
+import adminSaleRoutes from "./adminSale.routes.js";
+import adminGiftRoutes from "./adminGift.routes.js";
+import adminRemixRequestRoutes from "./adminRemixRequest.routes.js";
 import adminSettingsRoutes from "./adminSettings.routes.js";
 import adminEmailTemplateRoutes from "./adminEmailTemplate.routes.js";
 import dashboardRoutes from "./dashboard.routes.js";
@@ -50,6 +60,12 @@ router.use("/users", userRoutes);
 router.use("/products", productRoutes);
 router.use("/ratings", ratingRoutes);
 router.use("/orders", orderRoutes);
+router.use("/cart", cartRoutes);
+router.use("/bundles", bundleRoutes);
+router.use("/sales", saleRoutes);
+router.use("/gifts", giftRoutes);
+router.use("/wallet", walletRoutes);
+router.use("/remix-requests", remixRequestRoutes);
 router.use("/promos", promoRoutes);
 router.use("/dashboard", dashboardRoutes);
 router.get("/legal/:slug", getLegalPagePublic);
@@ -72,6 +88,10 @@ adminRouter.use("/uploads", adminUploadRoutes);
 adminRouter.use("/stats", adminStatsRoutes);
 adminRouter.use("/reports", adminReportsRoutes);
 adminRouter.use("/promos", adminPromoRoutes);
+adminRouter.use("/bundles", adminBundleRoutes);
+adminRouter.use("/sales", adminSaleRoutes);
+adminRouter.use("/gifts", adminGiftRoutes);
+adminRouter.use("/remix-requests", adminRemixRequestRoutes);
 adminRouter.use("/settings", adminSettingsRoutes);
 adminRouter.use("/email-templates", adminEmailTemplateRoutes);
 adminRouter.use("/legal", legalRoutes);
@@ -1,28 +1,46 @@
 import express from "express";
 import { protect } from "../middlewares/auth.middleware.js";
 import {
+  getOrderQuote,
   createOrder,
   createMembershipOrder,
   verifyOrder,
   getMyOrders,
+  getMyOrderInvoicePdf,
   cancelMembership,
   resumeMembership,
+  createMembershipSubscription,
+  verifyMembershipSubscription,
+  getMembershipChange,
+  quoteMembershipPlanChange,
+  changeMembershipPlan,
+  cancelMembershipPlanChange,
 } from "../controllers/orderController.js";
 
 const router = express.Router();
 
+// Itemised price quote (products, bundle or membership)
+router.post("/quote", protect, getOrderQuote);
+
 // Product order + Razorpay
 router.post("/", protect, createOrder);
 
 // Membership order + Razorpay
 router.post("/membership", protect, createMembershipOrder);
+router.post("/membership/subscribe", protect, createMembershipSubscription);
+router.post("/membership/subscribe/verify", protect, verifyMembershipSubscription);
 router.post("/membership/cancel", protect, cancelMembership);
 router.post("/membership/resume", protect, resumeMembership);
+router.get("/membership/change", protect, getMembershipChange);
+router.post("/membership/change/quote", protect, quoteMembershipPlanChange);
+router.post("/membership/change", protect, changeMembershipPlan);
+router.delete("/membership/change", protect, cancelMembershipPlanChange);
 
 // Verify Razorpay payment (product + membership both)
 router.post("/verify", protect, verifyOrder);
 
 // User orders
 router.get("/", protect, getMyOrders);
+router.get("/:id/invoice.pdf", protect, getMyOrderInvoicePdf);
 
 export default router;
@@ -4,29 +4,37 @@ import {
   getProducts,
   getProductById,
   getDownloadUrl,  
+  redeemDownloadToken,
   getRelatedProducts,
   searchProducts,
+  recordProductPlay,
 } from "../controllers/productController.js";
 
 import { protect } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
-// 1. Public Search (Filters, Sorting, Pagination)
+// 1. Public Search (Full-text, Filters, Facets, Sorting, Pagination)
 router.get("/search", searchProducts);
 
-// 2. Public List (Latest products)
+// 2. Public List (Cursor pagination + filters)
 router.get("/", getProducts);
 
 // 3. Protected Download URL (Authenticated users only)
 router.get("/download", protect, getDownloadUrl);
 
+// 3b. Signed download redirect (token carries user + product, short-lived)
+router.get("/download/:token", redeemDownloadToken);
+
 // 4. Public Detail (ID based)
 router.get("/id/:id", getProductById);
 
 // 5. Related Products (Category/Tag based)
 router.get("/id/:id/related", getRelatedProducts);
 
+// 5b. Preview play beacon (de-duplicated per session / IP, rate limited in app.js)
+router.post("/id/:id/play", recordProductPlay);
+
 // 6. Public Detail (Slug based) - Placeholder for future implementation
 router.get("/:slug", (req, res) => {
   res.status(404).json({ message: "Slug route not implemented yet" });
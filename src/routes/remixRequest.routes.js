@@ -0,0 +1,32 @@
+import express from "express";
+import { protect } from "../middlewares/auth.middleware.js";
+import {
+  getMyRemixAllowance,
+  getReferenceUploadUrl,
+  createRemixRequest,
+  getMyRemixRequests,
+  getMyRemixRequest,
+  downloadMyRemix,
+} from "../controllers/remixRequestController.js";
+
+const router = express.Router();
+
+// GET /api/remix-requests/allowance
+router.get("/allowance", protect, getMyRemixAllowance);
+
+// POST /api/remix-requests/reference-upload-url
+router.post("/reference-upload-url", protect, getReferenceUploadUrl);
+
+// POST /api/remix-requests
+router.post("/", protect, createRemixRequest);
+
+// GET /api/remix-requests?status=NEW|ACCEPTED|IN_PROGRESS|DELIVERED|REJECTED
+router.get("/", protect, getMyRemixRequests);
+
+// GET /api/remix-requests/:id
+router.get("/:id", protect, getMyRemixRequest);
+
+// GET /api/remix-requests/:id/download
+router.get("/:id/download", protect, downloadMyRemix);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { getActiveSalesPublic } from "../controllers/saleController.js";
+
+const router = express.Router();
+
+// GET /api/sales/active
+router.get("/active", getActiveSalesPublic);
+
+export default router;
@@ -7,6 +7,12 @@ import {
   changeMyPassword,
   deleteMe,
   getMyLibrary,
+  getMyDownloads,
+  updateMyEmailPreferences,
+  getMyWishlist,
+  addMyWishlistItem,
+  removeMyWishlistItem,
+  unsubscribeFromReminders,
 } from "../controllers/userController.js";
 
 const router = express.Router();
@@ -16,6 +22,14 @@ router.get("/me", protect, getMe);
 router.put("/me", protect, updateMe);
 router.put("/me/password", protect, changeMyPassword);
 router.delete("/me", protect, deleteMe);
+router.get("/me/downloads", protect, getMyDownloads);
 router.get("/library", protect, getMyLibrary);
+router.get("/me/wishlist", protect, getMyWishlist);
+router.post("/me/wishlist", protect, addMyWishlistItem);
+router.delete("/me/wishlist/:productId", protect, removeMyWishlistItem);
+router.put("/me/email-preferences", protect, updateMyEmailPreferences);
+
+// Public (token from reminder email)
+router.post("/unsubscribe", unsubscribeFromReminders);
 
 export default router;
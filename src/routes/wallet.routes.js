@@ -0,0 +1,10 @@
+import express from "express";
+import { protect } from "../middlewares/auth.middleware.js";
+import { getMyWallet } from "../controllers/walletController.js";
+
+const router = express.Router();
+
+// GET /api/wallet?page=&limit=
+router.get("/", protect, getMyWallet);
+
+export default router;
@@ -12,6 +12,14 @@ if (!MONGO_URI) {
   process.exit(1);
 }
 
+// Tokens in emailed or shared links must never work as API access tokens
+for (const name of ["DOWNLOAD_TOKEN_SECRET", "UNSUBSCRIBE_TOKEN_SECRET"]) {
+  if (!process.env[name] || process.env[name] === process.env.JWT_ACCESS_SECRET) {
+    console.error(`${name} environment variable is required and must differ from JWT_ACCESS_SECRET`);
+    process.exit(1);
+  }
+}
+
 
 // Handle unexpected errors
 process.on("uncaughtException", (err) => {
@@ -0,0 +1,116 @@
+// services/bundle.service.js
+import mongoose from "mongoose";
+import Bundle from "../models/Bundle.model.js";
+import Product, { LISTED_VISIBILITIES } from "../models/Product.model.js";
+import { round2 } from "../utils/money.js";
+
+/**
+ * Loads a bundle that can be bought right now (public, inside its window).
+ * Accepts an ObjectId or a slug.
+ */
+export async function getPurchasableBundle(idOrSlug) {
+  if (!idOrSlug) throw new Error("Bundle not available");
+
+  const key = String(idOrSlug);
+  const lookup = mongoose.Types.ObjectId.isValid(key) ? { _id: key } : { slug: key.toLowerCase() };
+
+  const bundle = await Bundle.findOne({ ...lookup, ...Bundle.purchasableFilter() }).lean();
+  if (!bundle) throw new Error("Bundle not available");
+
+  return bundle;
+}
+
+/**
+ * Prices a bundle for a buyer.
+ *
+ * Buyers who already own some of the contained products pay only for the
+ * rest: the bundle price is scaled by the share of (list) value they don't
+ * own yet. The result is split across the remaining products so the order
+ * item snapshots add up to exactly the charged amount.
+ *
+ * @param {Object} bundle - lean bundle
+ * @param {Object} user - needs `purchasedProducts`
+ * @returns {Promise<{ items: Object[], subtotal: number, ownedProductIds: string[], snapshot: Object }>}
+ */
+export async function priceBundleForUser(bundle, user, currency = "INR") {
+  if ((bundle.currency || "INR") !== currency) {
+    throw new Error(`Currency mismatch: expected ${currency}, found ${bundle.currency}`);
+  }
+
+  const products = await Product.find({ _id: { $in: bundle.products } })
+    .select("title price mrp currency visibility")
+    .lean();
+
+  if (products.length === 0) {
+    throw new Error("Bundle not available");
+  }
+
+  // The price is for every product in the bundle, so it is not sold while
+  // one is deleted or unlisted (the download routes hide those from buyers)
+  const complete =
+    products.length === new Set(bundle.products.map(String)).size &&
+    products.every((p) => LISTED_VISIBILITIES.includes(p.visibility));
+
+  if (!complete) {
+    const error = new Error("Some products in this bundle are not available right now");
+    error.bundleIncomplete = true;
+    error.code = "BUNDLE_INCOMPLETE";
+    throw error;
+  }
+
+  const owned = new Set(
+    (user.purchasedProducts || [])
+      .map((item) => item.product?.toString())
+      .filter(Boolean)
+  );
+
+  const remaining = products.filter((p) => !owned.has(p._id.toString()));
+  const ownedProductIds = products
+    .filter((p) => owned.has(p._id.toString()))
+    .map((p) => p._id.toString());
+
+  if (remaining.length === 0) {
+    const error = new Error("You already own every product in this bundle");
+    error.alreadyPurchased = products.map((p) => ({ id: p._id.toString(), title: p.title }));
+    throw error;
+  }
+
+  // Weight by list price; fall back to an even split for all-free catalogues
+  const weightOf = (p) => (typeof p.price === "number" && p.price > 0 ? p.price : 0);
+  const fullValue = products.reduce((sum, p) => sum + weightOf(p), 0);
+  const remainingValue = remaining.reduce((sum, p) => sum + weightOf(p), 0);
+
+  const share = fullValue > 0 ? remainingValue / fullValue : remaining.length / products.length;
+  const subtotal = round2(bundle.price * share);
+
+  let allocated = 0;
+  const items = remaining.map((product, idx) => {
+    const isLast = idx === remaining.length - 1;
+    const weight = remainingValue > 0 ? weightOf(product) / remainingValue : 1 / remaining.length;
+    const price = isLast ? round2(subtotal - allocated) : round2(subtotal * weight);
+    allocated = round2(allocated + price);
+
+    const mrp = product.mrp || product.price || price;
+    return {
+      product: product._id,
+      titleSnapshot: product.title,
+      priceSnapshot: price,
+      mrpSnapshot: Math.max(mrp, price),
+      currencySnapshot: product.currency || currency,
+      discountPercentSnapshot: mrp > price ? Math.round(((mrp - price) / mrp) * 100) : 0,
+    };
+  });
+
+  return {
+    items,
+    subtotal,
+    ownedProductIds,
+    snapshot: {
+      title: bundle.title,
+      price: bundle.price,
+      mrp: bundle.mrp || bundle.price,
+      productCount: products.length,
+      ownedCount: ownedProductIds.length,
+    },
+  };
+}
@@ -0,0 +1,218 @@
+// services/cart.service.js
+import mongoose from "mongoose";
+import Cart from "../models/Cart.model.js";
+import { fetchUserSecurely, createPendingOrderForUser } from "./order.service.js";
+import {
+  fetchProductDetails,
+  checkDuplicatePurchases,
+  createQuote,
+  serializeQuote,
+} from "./pricing.service.js";
+import { applySalePricing } from "./sale.service.js";
+
+const MAX_CART_ITEMS = 50;
+
+export async function getOrCreateCart(userId) {
+  return Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { new: true, upsert: true }
+  );
+}
+
+function cartProductIds(cart) {
+  return (cart.items || []).map((item) => item.product.toString());
+}
+
+/**
+ * Adds a product to the user's cart. Rejects products that are not public
+ * or already in the user's library.
+ */
+export async function addToCart(userId, productId) {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new Error("Invalid product id");
+  }
+
+  const user = await fetchUserSecurely(userId);
+
+  if (checkDuplicatePurchases(user, [productId.toString()]).length > 0) {
+    const error = new Error("Item already purchased");
+    error.alreadyPurchased = [{ id: productId.toString() }];
+    throw error;
+  }
+
+  const [product] = await fetchProductDetails([productId.toString()]);
+  if (!product) {
+    throw new Error("Product not available");
+  }
+
+  const cart = await getOrCreateCart(userId);
+  if (cartProductIds(cart).includes(product._id.toString())) {
+    return cart;
+  }
+
+  if (cart.items.length >= MAX_CART_ITEMS) {
+    throw new Error(`Maximum ${MAX_CART_ITEMS} products per cart`);
+  }
+
+  cart.items.push({ product: product._id, addedAt: new Date() });
+  await cart.save();
+  return cart;
+}
+
+export async function removeFromCart(userId, productId) {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new Error("Invalid product id");
+  }
+
+  return Cart.findOneAndUpdate(
+    { user: userId },
+    { $pull: { items: { product: new mongoose.Types.ObjectId(productId) } } },
+    { new: true }
+  );
+}
+
+export async function clearCart(userId) {
+  return Cart.findOneAndUpdate(
+    { user: userId },
+    { $set: { items: [], promoCode: null } },
+    { new: true }
+  );
+}
+
+export async function setCartPromo(userId, code) {
+  const cart = await getOrCreateCart(userId);
+  cart.promoCode = code ? code.trim().toUpperCase() : null;
+  await cart.save();
+  return cart;
+}
+
+/**
+ * Prices the cart against current DB prices. Items that are no longer
+ * public or already owned are reported but excluded from the totals.
+ * A promo that no longer applies is reported via `promo.error`, not thrown.
+ */
+export async function priceCart(userId, { currency = "INR" } = {}) {
+  const user = await fetchUserSecurely(userId);
+  const cart = await getOrCreateCart(userId);
+  const ids = cartProductIds(cart);
+
+  const products = ids.length ? await applySalePricing(await fetchProductDetails(ids)) : [];
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+  const ownedSet = new Set(checkDuplicatePurchases(user, ids));
+
+  const items = [];
+  const payable = [];
+
+  for (const item of cart.items) {
+    const id = item.product.toString();
+    const product = productMap.get(id);
+
+    if (!product) {
+      items.push({ productId: id, status: "unavailable", addedAt: item.addedAt });
+      continue;
+    }
+
+    const status = ownedSet.has(id) ? "owned" : "available";
+    if (status === "available") payable.push(product);
+
+    items.push({
+      productId: id,
+      title: product.title,
+      slug: product.slug,
+      thumbnail: product.thumbnail?.url || "",
+      price: product.price,
+      mrp: product.mrp || product.price,
+      currency: product.currency || currency,
+      sale: product.sale || null,
+      status,
+      addedAt: item.addedAt,
+    });
+  }
+
+  if (payable.length === 0) {
+    return {
+      cart,
+      summary: {
+        items,
+        itemCount: 0,
+        currency,
+        subtotal: 0,
+        tax: 0,
+        promo: { code: cart.promoCode, discount: 0, error: null },
+        convenienceFee: 0,
+        total: 0,
+        quote: null,
+      },
+    };
+  }
+
+  const quote = await createQuote(
+    user,
+    {
+      productIds: payable.map((p) => p._id.toString()),
+      currency,
+      promoCode: cart.promoCode,
+    },
+    { strictPromo: false }
+  );
+  const { promo, ...publicQuote } = serializeQuote(quote);
+
+  return {
+    cart,
+    summary: {
+      items,
+      itemCount: payable.length,
+      currency,
+      subtotal: quote.subtotal,
+      tax: quote.tax,
+      promo,
+      convenienceFee: quote.convenienceFee,
+      total: quote.total,
+      quote: publicQuote,
+    },
+  };
+}
+
+/**
+ * Converts the purchasable part of the cart into a pending order. The order
+ * is pinned to `quoteId` (from priceCart) when given, else to a fresh quote.
+ * Purchased items are removed from the cart once payment succeeds.
+ */
+export async function checkoutCart(userId, { currency = "INR", quoteId, useWallet = false } = {}) {
+  let cart;
+
+  if (!quoteId) {
+    const priced = await priceCart(userId, { currency });
+    cart = priced.cart;
+
+    if (priced.summary.itemCount === 0) {
+      throw new Error("Cart has no purchasable items");
+    }
+
+    if (priced.summary.promo.error) {
+      const error = new Error(priced.summary.promo.error);
+      error.promoError = true;
+      throw error;
+    }
+
+    quoteId = priced.summary.quote.quoteId;
+  } else {
+    cart = await getOrCreateCart(userId);
+  }
+
+  const order = await createPendingOrderForUser({ userId, quoteId, useWallet });
+
+  await markCheckedOut(cart, order);
+  return order;
+}
+
+// Leave updatedAt alone: a cart that was checked out is covered by the
+// abandoned-checkout reminder of its order, not the stale-cart one
+async function markCheckedOut(cart, order) {
+  await Cart.updateOne(
+    { _id: cart._id },
+    { $set: { checkoutOrder: order._id, checkedOutAt: new Date() } },
+    { timestamps: false }
+  );
+}
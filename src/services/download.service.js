@@ -0,0 +1,144 @@
+// services/download.service.js
+import { GetObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import jwt from "jsonwebtoken";
+import s3Client from "./s3Client.js";
+import DownloadEvent from "../models/DownloadEvent.model.js";
+import Product from "../models/Product.model.js";
+import MembershipPlan from "../models/MembershipPlan.model.js";
+import { signDownloadToken } from "../utils/jwt.js";
+
+const BUCKET = process.env.S3_BUCKET_NAME;
+const S3_DOWNLOAD_EXP = Math.min(
+  Math.max(Number(process.env.S3_URL_EXPIRATION ?? 300), 60),
+  3600
+);
+
+export const DOWNLOAD_REDIRECT_PATH = "/api/products/download";
+
+function apiBaseUrl(req) {
+  const configured = (process.env.API_BASE_URL || "").replace(/\/+$/, "");
+  if (configured) return configured;
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+/**
+ * Issues a short-lived, single-user download link for a product.
+ * The link points at our own redirect route, never at the raw deliverable.
+ */
+export function createSignedDownloadLink({ req, userId, productId }) {
+  const token = signDownloadToken({
+    sub: userId.toString(),
+    pid: productId.toString(),
+  });
+
+  const { exp } = jwt.decode(token);
+
+  return {
+    url: `${apiBaseUrl(req)}${DOWNLOAD_REDIRECT_PATH}/${encodeURIComponent(token)}`,
+    expiresAt: new Date(exp * 1000),
+  };
+}
+
+/**
+ * Resolves the real location of a product deliverable.
+ * S3-hosted files get a presigned GET; Drive/external links are returned as-is.
+ *
+ * @param {Object} download - Product.download with url/key selected
+ */
+export async function resolveDeliverableUrl(download) {
+  if (!download) return null;
+
+  if (download.type === "s3") {
+    if (!download.key) return null;
+
+    return getSignedUrl(
+      s3Client,
+      new GetObjectCommand({ Bucket: BUCKET, Key: download.key }),
+      { expiresIn: S3_DOWNLOAD_EXP }
+    );
+  }
+
+  return download.url || null;
+}
+
+/**
+ * Records a download (a redeemed signed link) in the event log and bumps
+ * Product.downloadCount, once per link.
+ * Never throws - a logging failure must not block the user's download.
+ */
+export async function recordDownloadEvent({ req, userId, productId, source, tokenId = null }) {
+  try {
+    await DownloadEvent.create({
+      user: userId,
+      product: productId,
+      source,
+      tokenId,
+      ip: req.ip,
+      userAgent: (req.get("user-agent") || "").slice(0, 500),
+    });
+
+    await Product.updateOne({ _id: productId }, { $inc: { downloadCount: 1 } });
+  } catch (err) {
+    // Same link followed again (reload, resumed download): already counted
+    if (err?.code === 11000) return;
+    console.error("[Download] Failed to record download event:", err?.message || err);
+  }
+}
+
+/* =========================================================
+   MEMBERSHIP ENTITLEMENTS
+   ========================================================= */
+
+// What `plan` lacks for `product`; a plan without allowedFormats allows all
+function missingEntitlements(plan, product) {
+  const allowed = (plan.allowedFormats || []).map((f) => String(f).toLowerCase());
+  const missingFormats = allowed.length
+    ? (product.formats || []).filter((format) => !allowed.includes(format))
+    : [];
+
+  return {
+    missingFormats,
+    needsCommercial: product.licenseTier === "commercial" && !plan.commercialUse,
+  };
+}
+
+/**
+ * Checks that a membership plan (getMembershipMeta) covers a product's
+ * formats and license tier. Returns null when it does, otherwise an error
+ * body with the active plans that would (cheapest first) to upsell.
+ */
+export async function checkMembershipEntitlement(meta, product) {
+  const { missingFormats, needsCommercial } = missingEntitlements(meta, product);
+  if (missingFormats.length === 0 && !needsCommercial) return null;
+
+  const plans = await MembershipPlan.find({ isActive: true, key: { $ne: meta.key } })
+    .select("key name price currency allowedFormats commercialUse")
+    .sort({ price: 1, sortOrder: 1 })
+    .lean();
+
+  const upgradeTo = plans
+    .filter((plan) => {
+      const missing = missingEntitlements(plan, product);
+      return missing.missingFormats.length === 0 && !missing.needsCommercial;
+    })
+    .map(({ key, name, price, currency }) => ({ key, name, price, currency: currency || "INR" }));
+
+  if (needsCommercial) {
+    return {
+      message: "This product needs a plan with a commercial license.",
+      code: "COMMERCIAL_LICENSE_REQUIRED",
+      licenseTier: product.licenseTier,
+      missingFormats,
+      upgradeTo,
+    };
+  }
+
+  return {
+    message: `Your plan does not include ${missingFormats.map((f) => f.toUpperCase()).join(", ")} downloads.`,
+    code: "FORMAT_NOT_IN_PLAN",
+    missingFormats,
+    allowedFormats: meta.allowedFormats,
+    upgradeTo,
+  };
+}
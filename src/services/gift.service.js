@@ -0,0 +1,254 @@
+// services/gift.service.js
+import mongoose from "mongoose";
+import Gift from "../models/Gift.model.js";
+import Order from "../models/Order.model.js";
+import User from "../models/User.model.js";
+import { sendEmail } from "../utils/mailer.js";
+import { getActiveTemplate, renderEmail } from "../utils/emailTemplate.js";
+import { grantProducts } from "./order.service.js";
+import {
+  extendMembership,
+  expireMembership,
+  membershipState,
+} from "./membership.service.js";
+import {
+  buildGiftReceivedSubject,
+  buildGiftReceivedEmailHtml,
+} from "../templates/emailTemplates.js";
+
+/*
+ * Gift codes are issued inside the payment transaction (order.service); this
+ * module emails them, redeems them into the recipient's account and takes
+ * them back when the gift order is refunded.
+ */
+
+const TEMPLATE_KEY = "GIFT_RECEIVED";
+
+function giftError(message, code) {
+  const error = new Error(message);
+  error.giftError = true;
+  error.code = code;
+  return error;
+}
+
+/* =========================================================
+   EMAIL
+   ========================================================= */
+
+export function describeGift(gift, order) {
+  if (gift.kind === "membership") {
+    const plan = order?.membershipPlanName || gift.membershipPlanKey;
+    const months = gift.membershipMonths || 1;
+    return `${plan} membership (${months} month${months === 1 ? "" : "s"})`;
+  }
+
+  if (order?.bundleSnapshot?.title) return order.bundleSnapshot.title;
+
+  const titles = (order?.items || []).map((item) => item.titleSnapshot);
+  if (titles.length === 1) return titles[0];
+  if (titles.length > 1) return `${titles[0]} and ${titles.length - 1} more`;
+  return "a gift";
+}
+
+/**
+ * Emails the gift code to the recipient. Safe to call from both the verify
+ * endpoint and the webhook: only the caller that claims `emailSentAt` sends.
+ * `force` re-sends regardless (admin / buyer resend).
+ *
+ * @returns {Promise<boolean>} whether an email was sent
+ */
+export async function sendGiftEmail(orderId, { force = false } = {}) {
+  const filter = { order: orderId, status: "ISSUED" };
+  if (!force) filter.emailSentAt = null;
+
+  const gift = await Gift.findOneAndUpdate(
+    filter,
+    { $set: { emailSentAt: new Date() } },
+    { new: true }
+  ).lean();
+
+  if (!gift) return false;
+
+  try {
+    const [order, purchaser] = await Promise.all([
+      Order.findById(gift.order)
+        .select("items bundleSnapshot membershipPlanName")
+        .lean(),
+      User.findById(gift.purchaser).select("name").lean(),
+    ]);
+
+    const clientUrl = process.env.CLIENT_URL || "http://localhost:8080";
+
+    const vars = {
+      RECIPIENT_NAME: gift.recipientName || "there",
+      RECIPIENT_EMAIL: gift.recipientEmail,
+      SENDER_NAME: purchaser?.name || "A friend",
+      GIFT_TITLE: describeGift(gift, order),
+      GIFT_MESSAGE: gift.message || "",
+      GIFT_CODE: gift.code,
+      REDEEM_URL: `${clientUrl}/gifts/redeem?code=${encodeURIComponent(gift.code)}`,
+      EXPIRES_ON: gift.expiresAt.toLocaleDateString(),
+    };
+
+    let template = null;
+    try {
+      template = await getActiveTemplate(TEMPLATE_KEY);
+    } catch (e) {
+      console.error("[GIFT] template load error:", e?.message || e);
+    }
+
+    const { subject, html } = renderEmail(template, vars, {
+      buildSubject: buildGiftReceivedSubject,
+      buildHtml: buildGiftReceivedEmailHtml,
+    });
+
+    await sendEmail({ to: gift.recipientEmail, subject, html });
+    return true;
+  } catch (err) {
+    // Release the claim so a later resend (or the other payment path) can retry
+    await Gift.updateOne({ _id: gift._id }, { $set: { emailSentAt: null } });
+    throw err;
+  }
+}
+
+/* =========================================================
+   REDEEM
+   ========================================================= */
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+/**
+ * Redeems a gift code into `userId`'s account. The code is claimed atomically
+ * in the same transaction that grants access, so it can be redeemed once.
+ */
+export async function redeemGift(userId, code) {
+  const normalized = normalizeCode(code);
+  const now = new Date();
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const gift = await Gift.findOneAndUpdate(
+      { code: normalized, status: "ISSUED", expiresAt: { $gt: now } },
+      { $set: { status: "REDEEMED", redeemedBy: userId, redeemedAt: now } },
+      { new: true, session }
+    );
+
+    if (!gift) {
+      const existing = await Gift.findOne({ code: normalized })
+        .select("status expiresAt")
+        .session(session)
+        .lean();
+
+      if (!existing) throw giftError("Gift code not found", "GIFT_NOT_FOUND");
+      if (existing.status === "REDEEMED") {
+        throw giftError("Gift code has already been redeemed", "GIFT_REDEEMED");
+      }
+      if (existing.status === "REVOKED") {
+        throw giftError("Gift code is no longer valid", "GIFT_REVOKED");
+      }
+      throw giftError("Gift code has expired", "GIFT_EXPIRED");
+    }
+
+    const user = await User.findById(userId)
+      .select("+isDeleted +isBanned purchasedProducts membership membershipUsage")
+      .session(session);
+
+    if (!user || user.isDeleted || user.isBanned) {
+      throw new Error("Invalid user state");
+    }
+
+    let granted = [];
+
+    if (gift.kind === "membership") {
+      const current = user.membership || {};
+      const hasOtherPlan =
+        ["ACTIVE", "CANCELLED", "GRACE"].includes(membershipState(current, now)) &&
+        current.planKey !== gift.membershipPlanKey;
+
+      if (hasOtherPlan) {
+        throw giftError(
+          "You already have a different active membership plan",
+          "GIFT_PLAN_CONFLICT"
+        );
+      }
+
+      await extendMembership(
+        user,
+        { planKey: gift.membershipPlanKey, months: gift.membershipMonths },
+        session
+      );
+    } else {
+      granted = await grantProducts(
+        user,
+        gift.products.map((id) => id.toString()),
+        "gift",
+        session
+      );
+    }
+
+    await session.commitTransaction();
+
+    return {
+      gift,
+      grantedProductIds: granted,
+      membership: gift.kind === "membership" ? user.membership : null,
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/* =========================================================
+   REVOKE (refunds)
+   ========================================================= */
+
+/**
+ * Revokes the gift issued for a refunded order. If it was already redeemed,
+ * the access it granted is taken back from the recipient.
+ */
+export async function revokeGiftForOrder(order) {
+  const gift = await Gift.findOneAndUpdate(
+    { order: order._id, status: { $ne: "REVOKED" } },
+    { $set: { status: "REVOKED", revokedAt: new Date() } }
+  ).lean(); // pre-update document: tells us whether it had been redeemed
+
+  if (!gift || gift.status !== "REDEEMED" || !gift.redeemedBy) return gift;
+
+  if (gift.kind === "membership") {
+    const user = await User.findById(gift.redeemedBy).select("membership");
+    const current = user?.membership;
+
+    if (current?.planKey === gift.membershipPlanKey && current.expiresAt) {
+      const expiresAt = new Date(current.expiresAt);
+      expiresAt.setMonth(expiresAt.getMonth() - (gift.membershipMonths || 1));
+
+      if (expiresAt > new Date()) {
+        await User.updateOne({ _id: user._id }, { $set: { "membership.expiresAt": expiresAt } });
+      } else {
+        await expireMembership(user._id);
+      }
+    }
+  } else if (gift.products.length > 0) {
+    // Only the copies that came from this gift; separate purchases stay
+    await User.updateOne(
+      { _id: gift.redeemedBy },
+      {
+        $pull: {
+          purchasedProducts: {
+            product: { $in: gift.products },
+            source: "gift",
+          },
+        },
+      }
+    );
+  }
+
+  return gift;
+}
@@ -0,0 +1,295 @@
+// services/invoice.service.js
+import PDFDocument from "pdfkit";
+import Counter from "../models/Counter.model.js";
+import SiteSettings from "../models/SiteSettings.model.js";
+import { GST_STATE_CODES } from "./tax.service.js";
+
+/*
+ * Invoice numbers are PREFIX/FY/NNNNN, e.g. INV/2026-27/00042. The counter is
+ * incremented inside the transaction that marks the order PAID, so an aborted
+ * payment rolls the number back and the series has no gaps.
+ *
+ * The PDF is rendered from the order's snapshots, so it reads the same no
+ * matter how products or settings change later (seller details excepted).
+ */
+
+const INVOICE_PREFIX = (process.env.INVOICE_PREFIX || "INV").trim().toUpperCase();
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Indian financial year (April-March, IST) of a date, e.g. "2026-27"
+export function financialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, "0")}`;
+}
+
+/**
+ * Takes the next invoice number. Must run in the caller's transaction.
+ */
+export async function nextInvoiceNumber(session, date = new Date()) {
+  const fy = financialYear(date);
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `invoice:${fy}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+
+  return `${INVOICE_PREFIX}/${fy}/${String(counter.seq).padStart(5, "0")}`;
+}
+
+/* =========================================================
+   PDF
+   ========================================================= */
+
+export const INVOICEABLE_STATUSES = ["PAID", "REFUND_INITIATED", "REFUNDED"];
+
+const LOGO_TIMEOUT_MS = 3000;
+
+function money(currency, amount) {
+  return `${currency} ${Number(amount || 0).toFixed(2)}`;
+}
+
+// PNG/JPEG only (what PDFKit can embed); anything else is skipped
+async function fetchLogo(url) {
+  if (!url || !/^https?:\/\//i.test(url)) return null;
+
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(LOGO_TIMEOUT_MS) });
+    const type = res.headers.get("content-type") || "";
+    if (!res.ok || !/image\/(png|jpe?g)/i.test(type)) return null;
+    return Buffer.from(await res.arrayBuffer());
+  } catch (err) {
+    console.warn("[INVOICE] logo fetch failed:", err?.message || err);
+    return null;
+  }
+}
+
+export function invoiceFilename(order) {
+  const ref = order.invoiceNumber
+    ? order.invoiceNumber.replaceAll("/", "-")
+    : order._id.toString();
+  return `invoice-${ref}.pdf`;
+}
+
+function invoiceLines(order) {
+  const inclusive = order.taxBreakdown?.pricesIncludeTax !== false;
+
+  if (order.membershipPlanKey) {
+    const months = order.membershipMonths || 1;
+    const price = order.subtotal || 0;
+    const discount = order.promoDiscount || 0;
+    const tax = order.tax || 0;
+    const change = order.membershipChange;
+    const upgrade = change?.fromPlanKey
+      ? `, upgrade from ${change.fromPlanKey} less ${order.currency || "INR"} ${Number(change.credit || 0).toFixed(2)} for ${change.unusedDays} unused days`
+      : "";
+    return [
+      {
+        title: `${order.membershipPlanName || order.membershipPlanKey} membership (${months} month${months === 1 ? "" : "s"}${upgrade})`,
+        price,
+        discount,
+        tax,
+        amount: price - discount + (inclusive ? 0 : tax),
+      },
+    ];
+  }
+
+  return (order.items || []).map((item) => {
+    const price = item.priceSnapshot || 0;
+    const discount = item.promoDiscountSnapshot || 0;
+    const tax = item.taxSnapshot || 0;
+    return {
+      title: item.titleSnapshot,
+      price,
+      discount,
+      tax,
+      amount: price - discount + (inclusive ? 0 : tax),
+    };
+  });
+}
+
+/**
+ * Renders the invoice of a paid order as a PDF.
+ *
+ * @param {Object} order - lean order with `user` populated (name, email)
+ * @returns {Promise<Buffer>}
+ */
+export async function renderInvoicePdf(order) {
+  const settings = (await SiteSettings.findOne({ key: "global" }).lean()) || {};
+  const logo = await fetchLogo(settings.logoUrl);
+
+  const currency = order.currency || "INR";
+  const breakdown = order.taxBreakdown || null;
+  const isTaxInvoice = Boolean(breakdown && !breakdown.exempt && order.tax > 0);
+  const sellerName = settings.tax?.legalName || settings.brandName || "Kumar Music";
+
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const width = right - left;
+
+  /* ---------- SELLER ---------- */
+  let y = 50;
+  if (logo) {
+    try {
+      doc.image(logo, left, y, { fit: [120, 48] });
+      y += 56;
+    } catch {
+      // Corrupt image: carry on without it
+    }
+  }
+
+  doc.font("Helvetica-Bold").fontSize(14).text(sellerName, left, y, { width: width / 2 });
+  doc.font("Helvetica").fontSize(9).fillColor("#444444");
+
+  const address = [
+    settings.addressLine1,
+    settings.addressLine2,
+    [settings.city, settings.state, settings.postalCode].filter(Boolean).join(", "),
+    settings.country,
+  ].filter(Boolean);
+
+  for (const line of address) doc.text(line, { width: width / 2 });
+  if (settings.tax?.gstin) doc.text(`GSTIN: ${settings.tax.gstin}`, { width: width / 2 });
+  if (settings.supportEmail) doc.text(settings.supportEmail, { width: width / 2 });
+  const sellerBottom = doc.y;
+
+  /* ---------- INVOICE META ---------- */
+  const metaX = left + width / 2;
+  doc.fillColor("#111111").font("Helvetica-Bold").fontSize(16)
+    .text(isTaxInvoice ? "TAX INVOICE" : "INVOICE", metaX, 50, { width: width / 2, align: "right" });
+
+  doc.font("Helvetica").fontSize(9).fillColor("#444444");
+  const meta = [
+    `Invoice no: ${order.invoiceNumber || `#${order._id.toString().toUpperCase()}`}`,
+    `Invoice date: ${new Date(order.invoiceDate || order.completedAt || order.createdAt).toLocaleDateString("en-IN")}`,
+    `Order: #${order._id.toString().toUpperCase()}`,
+  ];
+  if (order.paymentId) meta.push(`Payment: ${order.paymentId}`);
+  if (order.status !== "PAID") meta.push(`Status: ${order.status.replace("_", " ")}`);
+  for (const line of meta) doc.text(line, metaX, doc.y, { width: width / 2, align: "right" });
+
+  y = Math.max(sellerBottom, doc.y) + 20;
+
+  /* ---------- BUYER ---------- */
+  const billing = order.billing || {};
+  doc.fillColor("#111111").font("Helvetica-Bold").fontSize(10).text("Bill to", left, y);
+  doc.font("Helvetica").fontSize(9).fillColor("#444444");
+  doc.text(billing.name || order.user?.name || "Customer");
+  if (order.user?.email) doc.text(order.user.email);
+  if (billing.gstin) doc.text(`GSTIN: ${billing.gstin}`);
+  if (breakdown && !breakdown.exempt && breakdown.placeOfSupply) {
+    const state = GST_STATE_CODES[breakdown.placeOfSupply] || breakdown.placeOfSupply;
+    doc.text(`Place of supply: ${state} (${breakdown.placeOfSupply})`);
+  }
+  if (order.isGift && order.giftRecipient?.email) {
+    doc.text(`Gift for: ${order.giftRecipient.name || order.giftRecipient.email}`);
+  }
+
+  y = doc.y + 20;
+
+  /* ---------- LINES ---------- */
+  const cols = [
+    { label: "Description", x: left, w: width - 300, align: "left" },
+    { label: "Price", x: right - 300, w: 75, align: "right" },
+    { label: "Discount", x: right - 225, w: 75, align: "right" },
+    { label: isTaxInvoice ? "GST" : "Tax", x: right - 150, w: 70, align: "right" },
+    { label: "Amount", x: right - 80, w: 80, align: "right" },
+  ];
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor("#111111");
+    const height = Math.max(
+      ...cells.map((text, i) => doc.heightOfString(String(text), { width: cols[i].w }))
+    );
+
+    if (y + height > doc.page.height - doc.page.margins.bottom - 140) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+
+    cells.forEach((text, i) => {
+      doc.text(String(text), cols[i].x, y, { width: cols[i].w, align: cols[i].align });
+    });
+    y += height + 6;
+  };
+
+  drawRow(cols.map((c) => c.label), { bold: true });
+  doc.moveTo(left, y - 3).lineTo(right, y - 3).strokeColor("#dddddd").stroke();
+
+  for (const line of invoiceLines(order)) {
+    drawRow([
+      line.title,
+      money(currency, line.price),
+      line.discount > 0 ? `-${money(currency, line.discount)}` : "-",
+      line.tax > 0 ? money(currency, line.tax) : "-",
+      money(currency, line.amount),
+    ]);
+  }
+
+  if (order.bundleSnapshot?.title) {
+    doc.font("Helvetica-Oblique").fontSize(8).fillColor("#666666")
+      .text(`Bundle: ${order.bundleSnapshot.title}`, left, y, { width: cols[0].w });
+    y = doc.y + 6;
+  }
+
+  doc.moveTo(left, y).lineTo(right, y).strokeColor("#dddddd").stroke();
+  y += 10;
+
+  /* ---------- TOTALS ---------- */
+  const totals = [["Subtotal", money(currency, order.subtotal)]];
+  if (order.promoDiscount > 0) {
+    totals.push([
+      `Promo${order.promoCode ? ` (${order.promoCode})` : ""}`,
+      `-${money(currency, order.promoDiscount)}`,
+    ]);
+  }
+  if (isTaxInvoice) {
+    totals.push(["Taxable value", money(currency, breakdown.taxableValue)]);
+    if (breakdown.igst > 0) {
+      totals.push([`IGST @ ${breakdown.rate}%`, money(currency, breakdown.igst)]);
+    } else {
+      totals.push([`CGST @ ${breakdown.rate / 2}%`, money(currency, breakdown.cgst)]);
+      totals.push([`SGST @ ${breakdown.rate / 2}%`, money(currency, breakdown.sgst)]);
+    }
+  }
+  if (order.convenienceFee > 0) {
+    totals.push(["Convenience fee", money(currency, order.convenienceFee)]);
+  }
+  totals.push(["Total", money(currency, order.total)]);
+  if (order.walletApplied > 0) {
+    totals.push(["Paid from wallet", money(currency, order.walletApplied)]);
+    totals.push(["Paid online", money(currency, order.total - order.walletApplied)]);
+  }
+
+  for (const [label, value] of totals) {
+    const bold = label === "Total";
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 11 : 9).fillColor("#111111");
+    doc.text(label, right - 260, y, { width: 170, align: "right" });
+    doc.text(value, right - 80, y, { width: 80, align: "right" });
+    y = doc.y + 4;
+  }
+
+  /* ---------- FOOTER ---------- */
+  y += 20;
+  doc.font("Helvetica").fontSize(8).fillColor("#666666");
+  if (isTaxInvoice && breakdown.pricesIncludeTax) {
+    doc.text("Prices are inclusive of GST.", left, y, { width });
+  }
+  if (settings.tax?.sacCode && isTaxInvoice) {
+    doc.text(`SAC: ${settings.tax.sacCode}`, left, doc.y, { width });
+  }
+  doc.text("This is a computer generated invoice and does not require a signature.", left, doc.y + 4, { width });
+
+  doc.end();
+  return done;
+}
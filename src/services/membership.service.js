@@ -0,0 +1,590 @@
+// services/membership.service.js
+import User from "../models/User.model.js";
+import { round2 } from "../utils/money.js";
+
+/*
+ * Membership lifecycle. Every change to User.membership.status goes through
+ * this module:
+ *
+ *   NONE ── pay ──▶ ACTIVE ── cancel ──▶ CANCELLED ── expiresAt ──▶ EXPIRED
+ *                    │  ▲                    │
+ *                    │  └──── resume ────────┘   (only before expiresAt)
+ *                    │
+ *                    └─ expiresAt, renewal pending ─▶ GRACE ── graceEndsAt ─▶ EXPIRED
+ *
+ * ACTIVE and CANCELLED give access until expiresAt, GRACE until graceEndsAt
+ * (an auto-renewal charge is being retried). Paying (extendMembership) makes
+ * any state ACTIVE; apart from that only an admin extension
+ * (grantMembershipDays) leaves EXPIRED.
+ *
+ * Plan changes (services/membershipChange.service.js) either replace the
+ * plan at once (upgradeMembership, paid upgrades) or wait in
+ * membership.scheduledChange for expiresAt; a renewal bought ahead for that
+ * plan is queued there and applied by the sweeper.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_LIMIT = 50;
+
+export const GRACE_DAYS = Math.max(Number(process.env.MEMBERSHIP_GRACE_DAYS ?? 3) || 0, 0);
+
+const TRANSITIONS = {
+  NONE: ["ACTIVE"],
+  ACTIVE: ["ACTIVE", "CANCELLED", "GRACE", "EXPIRED"],
+  CANCELLED: ["ACTIVE", "EXPIRED"],
+  GRACE: ["ACTIVE", "EXPIRED"],
+  EXPIRED: ["ACTIVE"],
+};
+
+// Subscription statuses in which Razorpay will still try to renew
+export const RENEWING_SUBSCRIPTION_STATUSES = ["authenticated", "active", "pending"];
+
+function membershipError(message, code) {
+  const error = new Error(message);
+  error.membershipError = true;
+  error.code = code;
+  return error;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + (months || 1));
+  return result;
+}
+
+// A downgrade with its first period paid, whose start has come
+function prepaidChangeDue(membership, now) {
+  const change = membership?.scheduledChange;
+  return Boolean(change?.prepaidMonths > 0 && toDate(change.effectiveAt) <= now);
+}
+
+/* =========================================================
+   READS
+   ========================================================= */
+
+/**
+ * Status as it stands at `now`, i.e. including expiries the sweeper has not
+ * written yet.
+ */
+export function membershipState(membership, now = new Date()) {
+  const status = membership?.status || "NONE";
+  if (!membership?.planKey) return "NONE";
+
+  if (status === "ACTIVE" || status === "CANCELLED") {
+    const expiresAt = toDate(membership.expiresAt);
+    if (expiresAt && expiresAt > now) return status;
+    // The sweeper has yet to switch to the prepaid plan
+    return prepaidChangeDue(membership, now) ? "ACTIVE" : "EXPIRED";
+  }
+
+  if (status === "GRACE") {
+    const graceEndsAt = toDate(membership.graceEndsAt);
+    return graceEndsAt && graceEndsAt > now ? "GRACE" : "EXPIRED";
+  }
+
+  return status;
+}
+
+export function hasMembershipAccess(membership, now = new Date()) {
+  return ["ACTIVE", "CANCELLED", "GRACE"].includes(membershipState(membership, now));
+}
+
+/**
+ * Plan whose limits apply at `now`.
+ */
+export function currentPlanKey(membership, now = new Date()) {
+  return prepaidChangeDue(membership, now)
+    ? membership.scheduledChange.planKey
+    : membership?.planKey || null;
+}
+
+/**
+ * Value of the whole days left on a paid-up membership, at `monthlyPrice`.
+ * Used as the credit when upgrading.
+ */
+export function unusedCredit(membership, monthlyPrice, now = new Date()) {
+  const state = membershipState(membership, now);
+  const expiresAt = toDate(membership?.expiresAt);
+
+  if ((state !== "ACTIVE" && state !== "CANCELLED") || !expiresAt || expiresAt <= now) {
+    return { unusedDays: 0, credit: 0 };
+  }
+
+  const unusedDays = Math.floor((expiresAt - now) / DAY_MS);
+  const credit = round2((Number(monthlyPrice) || 0) * 12 / 365 * unusedDays);
+
+  return { unusedDays, credit };
+}
+
+/**
+ * This month's usage counters (User.membershipUsage), reset when the
+ * calendar month has turned since periodStart.
+ */
+export function currentUsage(membershipUsage, now = new Date()) {
+  const periodStart = toDate(membershipUsage?.periodStart);
+
+  const sameMonth =
+    periodStart &&
+    periodStart.getFullYear() === now.getFullYear() &&
+    periodStart.getMonth() === now.getMonth();
+
+  if (!sameMonth) {
+    return { periodStart: now, downloadsUsed: 0, remixRequestsUsed: 0 };
+  }
+
+  return {
+    periodStart,
+    downloadsUsed: membershipUsage.downloadsUsed || 0,
+    remixRequestsUsed: membershipUsage.remixRequestsUsed || 0,
+  };
+}
+
+export function isRenewing(subscription) {
+  return RENEWING_SUBSCRIPTION_STATUSES.includes(subscription?.status);
+}
+
+/* =========================================================
+   TRANSITIONS
+   ========================================================= */
+
+/**
+ * Moves a membership from one of `from` to `to`, atomically. `filter` adds
+ * conditions (e.g. on expiresAt). Returns false if the membership was not
+ * in `from` (anymore).
+ */
+async function transition(userId, from, to, { set = {}, filter = {}, session } = {}) {
+  const allowed = [].concat(from).filter((state) => TRANSITIONS[state]?.includes(to));
+
+  if (allowed.length === 0) {
+    throw membershipError(
+      `Cannot move a membership from ${[].concat(from).join("/")} to ${to}`,
+      "MEMBERSHIP_INVALID_TRANSITION"
+    );
+  }
+
+  const result = await User.updateOne(
+    { _id: userId, "membership.status": { $in: allowed }, ...filter },
+    { $set: { "membership.status": to, ...set } },
+    { session }
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Starts or extends `planKey` on `user` by `months` (a payment). Renewing
+ * the current plan, including from GRACE or CANCELLED, extends from its
+ * expiry; anything else starts today. Paying for a scheduled downgrade
+ * before it starts queues the months on it instead, and a prepaid one is
+ * pushed back when the current plan is extended.
+ */
+export async function extendMembership(user, { planKey, months, order = null }, session) {
+  const now = new Date();
+  const current = user.membership || {};
+  const currentExpiry = toDate(current.expiresAt);
+  const state = membershipState(current, now);
+  const scheduled = current.scheduledChange;
+
+  if (
+    scheduled?.planKey === planKey &&
+    !scheduled.viaSubscription &&
+    toDate(scheduled.effectiveAt) > now &&
+    (state === "ACTIVE" || state === "CANCELLED")
+  ) {
+    user.membership.scheduledChange.prepaidMonths = (scheduled.prepaidMonths || 0) + (months || 1);
+    user.markModified("membership");
+    await user.save({ session });
+    return;
+  }
+
+  const continues =
+    current.planKey === planKey &&
+    currentExpiry &&
+    (state === "ACTIVE" || state === "CANCELLED" || state === "GRACE");
+
+  if (!continues) {
+    user.membershipUsage = {
+      periodStart: now,
+      downloadsUsed: 0,
+      remixRequestsUsed: 0,
+    };
+  }
+
+  const expiresAt = addMonths(continues ? currentExpiry : now, months);
+
+  // A downgrade already paid for still follows, now from the new expiry
+  const carried =
+    continues && scheduled?.prepaidMonths > 0
+      ? { ...(scheduled.toObject?.() ?? scheduled), effectiveAt: expiresAt }
+      : null;
+
+  user.membership = {
+    planKey,
+    status: "ACTIVE",
+    startedAt: continues ? current.startedAt : now,
+    expiresAt,
+    graceEndsAt: null,
+    expiryNoticeFor: null,
+    expiryNoticeStage: null,
+    scheduledChange: carried,
+  };
+
+  user.markModified("membership");
+  user.markModified("membershipUsage");
+
+  await user.save({ session });
+
+  // A change scheduled under auto-renewal lands with its first charge
+  if (scheduled?.planKey === planKey && current.planKey !== planKey) {
+    await recordMembershipChange(
+      user._id,
+      { kind: scheduled.kind, fromPlanKey: current.planKey, toPlanKey: planKey, effectiveAt: now, order },
+      session
+    );
+  }
+}
+
+/**
+ * Admin courtesy extension: `days` more on the current plan, from its expiry
+ * while that is ahead, else from today. GRACE and EXPIRED become ACTIVE;
+ * CANCELLED stays cancelled. A downgrade waiting for the expiry moves with it.
+ */
+export async function grantMembershipDays(user, days) {
+  const now = new Date();
+  const current = user.membership || {};
+
+  if (!current.planKey) {
+    throw membershipError("User has no membership plan to extend", "MEMBERSHIP_NO_PLAN");
+  }
+
+  const state = membershipState(current, now);
+  const currentExpiry = toDate(current.expiresAt);
+  const expiresAt = new Date(
+    (currentExpiry && currentExpiry > now ? currentExpiry : now).getTime() + days * DAY_MS
+  );
+
+  // One under auto-renewal lands with the subscription's charge instead
+  const scheduled = current.scheduledChange;
+  const scheduledChange =
+    scheduled && !scheduled.viaSubscription
+      ? { ...(scheduled.toObject?.() ?? scheduled), effectiveAt: expiresAt }
+      : scheduled || null;
+
+  user.membership = {
+    planKey: current.planKey,
+    status: state === "CANCELLED" ? "CANCELLED" : "ACTIVE",
+    startedAt: current.startedAt || now,
+    expiresAt,
+    graceEndsAt: null,
+    expiryNoticeFor: null,
+    expiryNoticeStage: null,
+    scheduledChange,
+  };
+
+  user.markModified("membership");
+  await user.save();
+}
+
+/**
+ * Paid upgrade: `planKey` replaces the current plan today for `months`. The
+ * unused days were credited on the order, so they are not carried over;
+ * this month's usage is, and counts against the new plan's limits.
+ */
+export async function upgradeMembership(user, { planKey, months, change, order = null }, session) {
+  const now = new Date();
+  const current = user.membership || {};
+  const state = membershipState(current, now);
+
+  // Lapsed or changed since the quote: an ordinary purchase
+  if (current.planKey !== change.fromPlanKey || (state !== "ACTIVE" && state !== "CANCELLED")) {
+    console.warn(
+      `[MEMBERSHIP] upgrade order ${order} no longer matches user ${user._id}; starting ${planKey} fresh`
+    );
+    return extendMembership(user, { planKey, months, order }, session);
+  }
+
+  user.membership = {
+    planKey,
+    status: "ACTIVE",
+    startedAt: current.startedAt || now,
+    expiresAt: addMonths(now, months),
+    graceEndsAt: null,
+    expiryNoticeFor: null,
+    expiryNoticeStage: null,
+    scheduledChange: null,
+  };
+
+  user.markModified("membership");
+  await user.save({ session });
+
+  await recordMembershipChange(
+    user._id,
+    {
+      kind: "UPGRADE",
+      fromPlanKey: change.fromPlanKey,
+      toPlanKey: planKey,
+      effectiveAt: now,
+      unusedDays: change.unusedDays,
+      credit: change.credit,
+      order,
+    },
+    session
+  );
+}
+
+/**
+ * Appends to User.membershipHistory, keeping the last HISTORY_LIMIT entries.
+ */
+export async function recordMembershipChange(userId, entry, session) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        membershipHistory: {
+          $each: [{ ...entry, at: new Date() }],
+          $slice: -HISTORY_LIMIT,
+        },
+      },
+    },
+    { session }
+  );
+}
+
+/**
+ * Stops renewal; the paid period keeps running. Cancelling during GRACE
+ * ends it, as nothing paid is left.
+ */
+export async function cancelMembership(userId) {
+  const user = await User.findById(userId).select("membership").lean();
+  const state = membershipState(user?.membership);
+
+  if (state === "GRACE") {
+    await transition(userId, "GRACE", "EXPIRED", { set: { "membership.graceEndsAt": null } });
+  } else if (state === "ACTIVE") {
+    const moved = await transition(userId, "ACTIVE", "CANCELLED", {
+      filter: { "membership.expiresAt": { $gt: new Date() } },
+    });
+    if (!moved) {
+      throw membershipError("Your membership is no longer active.", "MEMBERSHIP_NOT_ACTIVE");
+    }
+  } else {
+    throw membershipError(
+      state === "CANCELLED"
+        ? "Your membership is already cancelled."
+        : "You do not have an active membership.",
+      "MEMBERSHIP_NOT_ACTIVE"
+    );
+  }
+
+  return getMembership(userId);
+}
+
+/**
+ * Undoes a cancellation while the paid period is still running. An expired
+ * membership has to be bought again.
+ */
+export async function resumeMembership(userId) {
+  const user = await User.findById(userId).select("membership").lean();
+  const state = membershipState(user?.membership);
+
+  assertResumable(state);
+
+  const moved = await transition(userId, "CANCELLED", "ACTIVE", {
+    filter: { "membership.expiresAt": { $gt: new Date() } },
+  });
+  if (!moved) {
+    throw membershipError(
+      "Your membership has ended. Purchase a new period to continue.",
+      "MEMBERSHIP_EXPIRED"
+    );
+  }
+
+  return getMembership(userId);
+}
+
+export function assertResumable(state) {
+  if (state === "CANCELLED") return;
+
+  if (state === "EXPIRED") {
+    throw membershipError(
+      "Your membership has ended. Purchase a new period to continue.",
+      "MEMBERSHIP_EXPIRED"
+    );
+  }
+
+  throw membershipError(
+    state === "NONE"
+      ? "No membership to resume."
+      : `Cannot resume a membership that is ${state.toLowerCase()}.`,
+    "MEMBERSHIP_NOT_RESUMABLE"
+  );
+}
+
+/**
+ * Ends a membership now (refund, revoked gift). The user already hears about
+ * that, so the expiry notice is marked as sent.
+ */
+export async function expireMembership(userId, { session } = {}) {
+  const now = new Date();
+  return transition(userId, ["ACTIVE", "CANCELLED", "GRACE"], "EXPIRED", {
+    set: {
+      "membership.expiresAt": now,
+      "membership.graceEndsAt": null,
+      "membership.expiryNoticeFor": now,
+      "membership.expiryNoticeStage": 0,
+    },
+    session,
+  });
+}
+
+/**
+ * Follows the auto-renewal: a cancelled subscription cancels the membership
+ * (ending GRACE), a halted one ends GRACE, and re-authorising resumes a
+ * cancelled membership that is still paid up.
+ */
+export async function applySubscriptionStatus(userId, planKey, status) {
+  const now = new Date();
+  const samePlan = { "membership.planKey": planKey };
+
+  if (status === "cancelled") {
+    await transition(userId, "ACTIVE", "CANCELLED", {
+      filter: { ...samePlan, "membership.expiresAt": { $gt: now } },
+    });
+  }
+
+  if (status === "cancelled" || status === "halted") {
+    await transition(userId, "GRACE", "EXPIRED", {
+      set: { "membership.graceEndsAt": null },
+      filter: samePlan,
+    });
+  }
+
+  if (status === "authenticated" || status === "active") {
+    await transition(userId, "CANCELLED", "ACTIVE", {
+      filter: { ...samePlan, "membership.expiresAt": { $gt: now } },
+    });
+  }
+}
+
+async function getMembership(userId) {
+  const user = await User.findById(userId).select("membership").lean();
+  return user?.membership || null;
+}
+
+/* =========================================================
+   SWEEPER
+   ========================================================= */
+
+/**
+ * Writes the expiries that are due: ACTIVE/CANCELLED past expiresAt and
+ * GRACE past graceEndsAt. An ACTIVE membership whose subscription is still
+ * renewing gets GRACE_DAYS first.
+ *
+ * @returns {Promise<{ expired: Object[], grace: Object[] }>} users moved
+ */
+export async function sweepMemberships({ now = new Date(), limit = 200 } = {}) {
+  const changed = await applyScheduledChanges({ now, limit });
+
+  const due = await User.find({
+    $or: [
+      {
+        "membership.status": { $in: ["ACTIVE", "CANCELLED"] },
+        "membership.expiresAt": { $lte: now },
+        "membership.scheduledChange.prepaidMonths": { $not: { $gt: 0 } },
+      },
+      { "membership.status": "GRACE", "membership.graceEndsAt": { $lte: now } },
+    ],
+  })
+    .select("name email membership subscription")
+    .limit(limit)
+    .lean();
+
+  const expired = [];
+  const grace = [];
+
+  for (const user of due) {
+    const { status, expiresAt } = user.membership;
+
+    if (status === "ACTIVE" && isRenewing(user.subscription)) {
+      const graceEndsAt = new Date(new Date(expiresAt).getTime() + GRACE_DAYS * DAY_MS);
+
+      if (graceEndsAt > now) {
+        const moved = await transition(user._id, "ACTIVE", "GRACE", {
+          set: { "membership.graceEndsAt": graceEndsAt },
+          filter: { "membership.expiresAt": expiresAt },
+        });
+        if (moved) grace.push({ ...user, membership: { ...user.membership, status: "GRACE", graceEndsAt } });
+        continue;
+      }
+    }
+
+    // Matching on the values read keeps a renewal that just landed intact
+    const moved = await transition(user._id, status, "EXPIRED", {
+      set: { "membership.graceEndsAt": null },
+      filter:
+        status === "GRACE"
+          ? { "membership.graceEndsAt": user.membership.graceEndsAt }
+          : { "membership.expiresAt": expiresAt },
+    });
+    if (moved) expired.push({ ...user, membership: { ...user.membership, status: "EXPIRED" } });
+  }
+
+  return { expired, grace, changed };
+}
+
+/**
+ * Starts prepaid downgrades whose effectiveAt has come: the new plan runs
+ * from effectiveAt for the months paid, with a fresh usage period.
+ */
+async function applyScheduledChanges({ now, limit }) {
+  const due = await User.find({
+    "membership.status": { $in: ["ACTIVE", "CANCELLED"] },
+    "membership.scheduledChange.prepaidMonths": { $gt: 0 },
+    "membership.scheduledChange.effectiveAt": { $lte: now },
+  })
+    .select("membership")
+    .limit(limit)
+    .lean();
+
+  const changed = [];
+
+  for (const user of due) {
+    const { planKey: fromPlanKey, status, scheduledChange: change } = user.membership;
+    const effectiveAt = new Date(change.effectiveAt);
+
+    const moved = await transition(user._id, status, "ACTIVE", {
+      set: {
+        "membership.planKey": change.planKey,
+        "membership.startedAt": effectiveAt,
+        "membership.expiresAt": addMonths(effectiveAt, change.prepaidMonths),
+        "membership.graceEndsAt": null,
+        "membership.expiryNoticeFor": null,
+        "membership.expiryNoticeStage": null,
+        "membership.scheduledChange": null,
+        membershipUsage: { periodStart: now, downloadsUsed: 0, remixRequestsUsed: 0 },
+      },
+      filter: {
+        "membership.scheduledChange.effectiveAt": change.effectiveAt,
+        "membership.scheduledChange.prepaidMonths": change.prepaidMonths,
+      },
+    });
+
+    if (!moved) continue;
+
+    await recordMembershipChange(user._id, {
+      kind: change.kind,
+      fromPlanKey,
+      toPlanKey: change.planKey,
+      effectiveAt,
+    });
+    changed.push(user._id);
+  }
+
+  return changed;
+}
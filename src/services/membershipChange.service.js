@@ -0,0 +1,271 @@
+// services/membershipChange.service.js
+import User from "../models/User.model.js";
+import MembershipPlan from "../models/MembershipPlan.model.js";
+import razorpay from "./razorpayClient.js";
+import { createQuote } from "./pricing.service.js";
+import { createMembershipOrderForUser, fetchUserSecurely } from "./order.service.js";
+import { isRenewing, membershipState, recordMembershipChange } from "./membership.service.js";
+
+/*
+ * Switching between membership plans (POST /api/orders/membership/change).
+ * A dearer plan is an upgrade, anything else a downgrade.
+ *
+ *  - Upgrade: paid now. The new plan starts today; the unused days of the
+ *    current one are credited on the order (pricing.service) and this
+ *    month's downloads carry over to the new limits.
+ *  - Downgrade: waits in membership.scheduledChange until expiresAt. A
+ *    renewal bought for the new plan before then is queued on it and starts
+ *    with a fresh usage period (membership.service).
+ *  - Auto-renewing members: both are scheduled. Razorpay switches the
+ *    subscription's plan at the end of the cycle and the next charge
+ *    applies it.
+ */
+
+function membershipError(message, code) {
+  const error = new Error(message);
+  error.membershipError = true;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validates a change to `planKey` and works out how it is made.
+ */
+async function planChange(userId, planKey) {
+  const user = await User.findById(userId).select("membership subscription").lean();
+  const membership = user?.membership || {};
+  const state = membershipState(membership);
+  const viaSubscription = isRenewing(user?.subscription);
+
+  const paidUp = state === "ACTIVE" || state === "CANCELLED" || (state === "GRACE" && viaSubscription);
+  if (!paidUp) {
+    throw membershipError(
+      "You do not have an active membership to change. Buy a plan instead.",
+      "MEMBERSHIP_NOT_ACTIVE"
+    );
+  }
+
+  const key = String(planKey || "").trim().toUpperCase();
+  const toPlan = await MembershipPlan.findOne({ key, isActive: true }).lean();
+  if (!toPlan) {
+    throw new Error("Membership plan not found");
+  }
+
+  if (key === membership.planKey) {
+    throw membershipError(`You are already on the ${toPlan.name || key} plan.`, "MEMBERSHIP_SAME_PLAN");
+  }
+
+  if (membership.scheduledChange?.prepaidMonths > 0) {
+    throw membershipError(
+      "Your next period is already paid for on another plan.",
+      "MEMBERSHIP_CHANGE_PREPAID"
+    );
+  }
+
+  if (viaSubscription && !toPlan.razorpayPlanId) {
+    throw membershipError(
+      "This plan cannot be billed automatically. Cancel auto-renewal to switch to it.",
+      "MEMBERSHIP_CHANGE_UNAVAILABLE"
+    );
+  }
+
+  const fromPlan = await MembershipPlan.findOne({ key: membership.planKey }).lean();
+  const kind = toPlan.price > (fromPlan?.price ?? 0) ? "UPGRADE" : "DOWNGRADE";
+
+  return {
+    user,
+    membership,
+    fromPlan,
+    toPlan,
+    kind,
+    viaSubscription,
+    immediate: kind === "UPGRADE" && !viaSubscription,
+    // The subscription's cycle end is when Razorpay switches plans
+    effectiveAt:
+      (viaSubscription && user.subscription.currentPeriodEnd) || membership.expiresAt,
+  };
+}
+
+function changeSummary(change) {
+  return {
+    kind: change.kind,
+    immediate: change.immediate,
+    fromPlanKey: change.membership.planKey,
+    toPlanKey: change.toPlan.key,
+    effectiveAt: change.immediate ? new Date() : change.effectiveAt,
+    viaSubscription: change.viaSubscription,
+  };
+}
+
+/* =========================================================
+   QUOTE
+   ========================================================= */
+
+/**
+ * What changing to `planKey` would do. Upgrades come with a stored quote
+ * (credit included) whose quoteId can be sent to changeMembership.
+ */
+export async function quoteMembershipChange(userId, { planKey, months, currency, promoCode }) {
+  const change = await planChange(userId, planKey);
+
+  if (!change.immediate) {
+    return { change: changeSummary(change), quote: null };
+  }
+
+  const buyer = await fetchUserSecurely(userId);
+  const quote = await createQuote(
+    buyer,
+    { planKey: change.toPlan.key, months, currency, promoCode, upgrade: true },
+    { strictPromo: false }
+  );
+
+  return { change: changeSummary(change), quote };
+}
+
+/* =========================================================
+   CHANGE
+   ========================================================= */
+
+/**
+ * Performs a change: an upgrade returns the PENDING (or wallet-paid) order
+ * to pay, a downgrade the scheduled change.
+ */
+export async function changeMembership(
+  userId,
+  { planKey, months, currency, promoCode, quoteId, useWallet }
+) {
+  const change = await planChange(userId, planKey);
+
+  if (change.immediate) {
+    const order = await createMembershipOrderForUser({
+      userId,
+      planKey: change.toPlan.key,
+      months,
+      currency,
+      promoCode,
+      quoteId,
+      upgrade: true,
+      useWallet,
+    });
+
+    return { change: changeSummary(change), order, scheduledChange: null };
+  }
+
+  const scheduledChange = await scheduleChange(userId, change);
+  return { change: changeSummary(change), order: null, scheduledChange };
+}
+
+async function scheduleChange(userId, change) {
+  const { membership, toPlan, kind, viaSubscription, effectiveAt } = change;
+
+  if (viaSubscription) {
+    const subscriptionId = change.user.subscription.razorpaySubscriptionId;
+
+    // Razorpay keeps one pending update per subscription
+    if (membership.scheduledChange?.viaSubscription) {
+      await razorpay.subscriptions.cancelScheduledChanges(subscriptionId);
+    }
+
+    await razorpay.subscriptions.update(subscriptionId, {
+      plan_id: toPlan.razorpayPlanId,
+      schedule_change_at: "cycle_end",
+      customer_notify: 1,
+    });
+  }
+
+  const scheduledChange = {
+    planKey: toPlan.key,
+    kind,
+    effectiveAt,
+    requestedAt: new Date(),
+    prepaidMonths: 0,
+    viaSubscription,
+  };
+
+  const saved = await User.updateOne(
+    {
+      _id: userId,
+      "membership.planKey": membership.planKey,
+      "membership.scheduledChange.prepaidMonths": { $not: { $gt: 0 } },
+    },
+    { $set: { "membership.scheduledChange": scheduledChange } }
+  );
+
+  if (saved.modifiedCount === 0) {
+    throw membershipError(
+      "Your membership changed meanwhile. Please try again.",
+      "MEMBERSHIP_CHANGE_CONFLICT"
+    );
+  }
+
+  await recordMembershipChange(userId, {
+    kind: "CHANGE_SCHEDULED",
+    fromPlanKey: membership.planKey,
+    toPlanKey: toPlan.key,
+    effectiveAt,
+  });
+
+  console.log(
+    `[MEMBERSHIP] ${kind.toLowerCase()} ${membership.planKey} -> ${toPlan.key} scheduled for user ${userId}`
+  );
+
+  return scheduledChange;
+}
+
+/**
+ * Drops a scheduled change that has not been paid for.
+ */
+export async function cancelScheduledChange(userId) {
+  const user = await User.findById(userId).select("membership subscription").lean();
+  const scheduled = user?.membership?.scheduledChange;
+
+  if (!scheduled) {
+    throw membershipError("No plan change is scheduled.", "MEMBERSHIP_CHANGE_NOT_FOUND");
+  }
+
+  if (scheduled.prepaidMonths > 0) {
+    throw membershipError(
+      "Your next period is already paid for on this plan.",
+      "MEMBERSHIP_CHANGE_PREPAID"
+    );
+  }
+
+  if (scheduled.viaSubscription && user.subscription?.razorpaySubscriptionId) {
+    await razorpay.subscriptions.cancelScheduledChanges(user.subscription.razorpaySubscriptionId);
+  }
+
+  const cleared = await User.updateOne(
+    {
+      _id: userId,
+      "membership.scheduledChange.planKey": scheduled.planKey,
+      "membership.scheduledChange.prepaidMonths": { $not: { $gt: 0 } },
+    },
+    { $set: { "membership.scheduledChange": null } }
+  );
+
+  if (cleared.modifiedCount > 0) {
+    await recordMembershipChange(userId, {
+      kind: "CHANGE_CANCELLED",
+      fromPlanKey: user.membership.planKey,
+      toPlanKey: scheduled.planKey,
+      effectiveAt: scheduled.effectiveAt,
+    });
+  }
+
+  const updated = await User.findById(userId).select("membership").lean();
+  return updated.membership;
+}
+
+/* =========================================================
+   HISTORY
+   ========================================================= */
+
+export async function getMembershipChanges(userId) {
+  const user = await User.findById(userId).select("membership +membershipHistory").lean();
+
+  return {
+    membership: user?.membership || null,
+    scheduledChange: user?.membership?.scheduledChange || null,
+    history: [...(user?.membershipHistory || [])].reverse(),
+  };
+}
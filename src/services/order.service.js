@@ -1,29 +1,42 @@
+import crypto from "node:crypto";
 import mongoose from "mongoose";
 import Order from "../models/Order.model.js";
-import Product from "../models/Product.model.js";
 import User from "../models/User.model.js";
 import PromoCode from "../models/PromoCode.model.js";
+import PromoRedemption from "../models/PromoRedemption.model.js";
 import MembershipPlan from "../models/MembershipPlan.model.js";
-
-const PROMO_CACHE = new Map();
-const CACHE_TTL = 5 * 60 * 1000;
-
-function getCachedPromo(code) {
-  const cached = PROMO_CACHE.get(code);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-}
-
-function setCachedPromo(code, data) {
-  PROMO_CACHE.set(code, { data, timestamp: Date.now() });
-  
-  if (PROMO_CACHE.size > 100) {
-    const firstKey = PROMO_CACHE.keys().next().value;
-    PROMO_CACHE.delete(firstKey);
-  }
-}
+import Cart from "../models/Cart.model.js";
+import Gift from "../models/Gift.model.js";
+import { markWishlistPurchased } from "./wishlist.service.js";
+import {
+  createQuote,
+  claimQuote,
+  releaseQuote,
+  linkQuoteToOrder,
+  quoteToOrderItems,
+  reservePromo,
+} from "./pricing.service.js";
+import {
+  WALLET_CURRENCY,
+  debitWallet,
+  getWalletBalance,
+  releaseOrderWallet,
+} from "./wallet.service.js";
+import { nextInvoiceNumber } from "./invoice.service.js";
+import {
+  currentPlanKey,
+  extendMembership,
+  hasMembershipAccess,
+  upgradeMembership,
+} from "./membership.service.js";
+import razorpay from "./razorpayClient.js";
+import { round2 } from "../utils/money.js";
+
+const GIFT_EXPIRY_DAYS = Number(process.env.GIFT_EXPIRY_DAYS || 365);
+const GIFT_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// Smallest amount Razorpay will charge; a wallet part never leaves less than this
+const MIN_CARD_PAYABLE = 1;
 
 export async function getMembershipMeta(planKey) {
   if (!planKey || typeof planKey !== "string") return null;
@@ -68,17 +81,12 @@ export async function getActiveMembership(user) {
     return { planKey: null, meta: null };
   }
 
-  const { planKey, status, expiresAt } = user.membership;
-
-  if (!planKey || status !== "ACTIVE" || !expiresAt) {
+  // ACTIVE, CANCELLED (until expiry) and GRACE all keep member access
+  if (!hasMembershipAccess(user.membership)) {
     return { planKey: null, meta: null };
   }
 
-  const expiry = expiresAt instanceof Date ? expiresAt : new Date(expiresAt);
-  
-  if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
-    return { planKey: null, meta: null };
-  }
+  const planKey = currentPlanKey(user.membership);
 
   const meta = await getMembershipMeta(planKey);
   if (!meta) {
@@ -88,21 +96,9 @@ export async function getActiveMembership(user) {
   return { planKey, meta };
 }
 
-function validateProductIds(productIds) {
-  if (!Array.isArray(productIds) || productIds.length === 0) {
-    throw new Error("Products array is required");
-  }
-
-  if (productIds.length > 50) {
-    throw new Error("Maximum 50 products per order");
-  }
-
-  return [...new Set(productIds.map((id) => id.toString()))];
-}
-
-async function fetchUserSecurely(userId) {
+export async function fetchUserSecurely(userId) {
   const user = await User.findById(userId)
-    .select("+isDeleted +isBanned purchasedProducts");
+    .select("+isDeleted +isBanned purchasedProducts billing name membership");
 
   if (!user || user.isDeleted) {
     throw new Error("User not found");
@@ -115,328 +111,346 @@ async function fetchUserSecurely(userId) {
   return user;
 }
 
-function checkDuplicatePurchases(user, productIds) {
-  const owned = Array.isArray(user.purchasedProducts)
-    ? user.purchasedProducts
-        .map((item) => item.product?.toString())
-        .filter(Boolean)
-    : [];
-
-  const ownedSet = new Set(owned);
-  return productIds.filter((id) => ownedSet.has(id));
-}
-
-async function fetchProductDetails(productIds) {
-  const objectIds = [];
-  const slugs = [];
-
-  productIds.forEach((id) => {
-    if (mongoose.Types.ObjectId.isValid(id)) {
-      objectIds.push(new mongoose.Types.ObjectId(id));
-    } else {
-      slugs.push(id);
-    }
-  });
-
-  const query = {
-    visibility: "public",
-    $or: []
-  };
-
-  if (objectIds.length > 0) {
-    query.$or.push({ _id: { $in: objectIds } });
-  }
-  if (slugs.length > 0) {
-    query.$or.push({ slug: { $in: slugs } });
-  }
-
-  if (query.$or.length === 0) {
-    throw new Error("No valid product identifiers");
-  }
-
-  return Product.find(query).lean();
+/**
+ * Creates a PENDING order for a list of products or a bundle, priced by the
+ * pricing engine. Passing `quoteId` pins the order to a quote the buyer has
+ * already seen; it is rejected if prices moved since.
+ *
+ * With `gift` ({ email, name, message }) the order is bought for someone
+ * else: payment issues a gift code instead of granting the buyer access.
+ */
+export async function createPendingOrderForUser({
+  userId,
+  productIds,
+  bundleId,
+  currency = "INR",
+  promoCode,
+  quoteId,
+  gift,
+  useWallet = false,
+}) {
+  const user = await fetchUserSecurely(userId);
+  const isGift = Boolean(gift);
+
+  const quote = quoteId
+    ? await claimQuote(user, quoteId, { kind: "products", gift: isGift })
+    : await createQuote(
+        user,
+        { productIds, bundleId, currency, promoCode, gift: isGift },
+        { claim: true }
+      );
+
+  return createOrderFromQuote(
+    user,
+    quote,
+    {
+      bundleId: quote.bundle?.id || null,
+      bundleSnapshot: quote.bundle?.snapshot,
+      ...giftFields(gift),
+    },
+    { useWallet }
+  );
 }
 
-function validateProducts(products, requestedIds) {
-  if (products.length !== requestedIds.length) {
-    const found = new Set([
-      ...products.map((p) => p._id.toString()),
-      ...products.map((p) => p.slug)
-    ]);
-
-    const missing = requestedIds.filter((id) => !found.has(id));
-    
-    const formatted = missing.map((id) => ({ 
-      id, 
-      title: "Product not available" 
-    }));
-
-    const error = new Error("Some products are unavailable");
-    error.notPurchasable = formatted;
+/**
+ * With `upgrade` the order is priced as a change from the buyer's current
+ * plan (credit for its unused days) and replaces it when paid.
+ */
+export async function createMembershipOrderForUser({
+  userId,
+  planKey,
+  months = 1,
+  currency = "INR",
+  promoCode,
+  quoteId,
+  gift,
+  upgrade = false,
+  useWallet = false,
+}) {
+  const user = await fetchUserSecurely(userId);
+  const isGift = Boolean(gift);
+
+  const quote = quoteId
+    ? await claimQuote(user, quoteId, { kind: "membership", gift: isGift })
+    : await createQuote(
+        user,
+        { planKey, months, currency, promoCode, gift: isGift, upgrade },
+        { claim: true }
+      );
+
+  if (
+    quote.membership.planKey !== planKey.trim().toUpperCase() ||
+    Boolean(quote.membership.upgrade) !== Boolean(upgrade)
+  ) {
+    await releaseQuote(quote.quoteId);
+    const error = new Error("Quote does not match this order");
+    error.quoteError = true;
+    error.code = "QUOTE_MISMATCH";
     throw error;
   }
 
-  products.forEach((product) => {
-    if (typeof product.price !== "number" || product.price < 0) {
-      throw new Error("Invalid product pricing");
-    }
-  });
+  return createOrderFromQuote(
+    user,
+    quote,
+    {
+      membershipPlanKey: quote.membership.planKey,
+      membershipMonths: quote.membership.months,
+      membershipChange: quote.membership.upgrade || null,
+      ...giftFields(gift),
+    },
+    { useWallet }
+  );
 }
 
-function calculateOrderTotals(products, currency) {
-  const mismatch = products.find((p) => p.currency && p.currency !== currency);
-  if (mismatch) {
-    throw new Error(`Currency mismatch: expected ${currency}, found ${mismatch.currency}`);
-  }
+export function billingSnapshot(user) {
+  const billing = user.billing || {};
+  return {
+    name: billing.name || user.name,
+    gstin: billing.gstin || undefined,
+    stateCode: billing.stateCode || undefined,
+    country: billing.country || "IN",
+  };
+}
 
-  const subtotal = products.reduce((sum, p) => sum + p.price, 0);
-  const tax = 0;
+function giftFields(gift) {
+  if (!gift) return {};
 
   return {
-    subtotal: Number(subtotal.toFixed(2)),
-    tax: Number(tax.toFixed(2)),
-    total: Number((subtotal + tax).toFixed(2))
+    isGift: true,
+    giftRecipient: {
+      email: gift.email,
+      name: gift.name || "",
+      message: gift.message || "",
+    },
   };
 }
 
-async function applyPromoCode(promoCode, subtotal) {
-  if (!promoCode) {
-    return { discount: 0, code: null };
-  }
-
-  const code = promoCode.trim().toUpperCase();
-  
-  let promo = getCachedPromo(code);
-  
-  if (!promo) {
-    promo = await PromoCode.findOne({ code, isActive: true }).lean();
-    if (promo) {
-      setCachedPromo(code, promo);
-    }
-  }
+async function createOrderFromQuote(user, quote, extra, { useWallet = false } = {}) {
+  const fields = {
+    user: user._id,
+    items: quoteToOrderItems(quote),
+    currency: quote.currency,
+    subtotal: quote.subtotal,
+    tax: quote.tax,
+    taxBreakdown: quote.taxBreakdown,
+    billing: billingSnapshot(user),
+    convenienceFee: quote.convenienceFee,
+    total: quote.total,
+    status: "PENDING",
+    paymentProvider: "razorpay",
+    promoCode: quote.input.promoCode,
+    promoDiscount: quote.promo.discount,
+    quoteId: quote.quoteId,
+    ...extra,
+  };
+  let order;
 
-  if (!promo) {
-    throw new Error("Invalid or expired promo code");
-  }
+  try {
+    order = fields.promoCode
+      ? await createPromoOrder(fields)
+      : await Order.create(fields);
 
-  if (typeof promo.expiresAt === "string" || promo.expiresAt instanceof Date) {
-    const expiry = new Date(promo.expiresAt);
-    if (expiry <= new Date()) {
-      throw new Error("Promo code has expired");
-    }
+    await linkQuoteToOrder(quote.quoteId, order._id);
+  } catch (err) {
+    await releaseQuote(quote.quoteId).catch(() => {});
+    throw err;
   }
 
-  if (promo.minOrderAmount && subtotal < promo.minOrderAmount) {
-    throw new Error(`Minimum order amount: ₹${promo.minOrderAmount}`);
-  }
+  return useWallet ? payFromWallet(order) : order;
+}
 
-  let discount = 0;
+/* =========================
+   WALLET
+   ========================= */
 
-  if (promo.discountType === "PERCENTAGE") {
-    discount = (subtotal * promo.discountValue) / 100;
-    if (promo.maxDiscount) {
-      discount = Math.min(discount, promo.maxDiscount);
-    }
-  } else if (promo.discountType === "FIXED") {
-    discount = promo.discountValue;
-  }
+// What the card still has to pay
+export function amountDue(order) {
+  return round2(Math.max(order.total - (order.walletApplied || 0), 0));
+}
 
-  discount = Math.min(discount, subtotal);
-  discount = Number(discount.toFixed(2));
+function walletShare(total, balance) {
+  const share = round2(Math.min(balance, total));
+  const rest = round2(total - share);
 
-  if (discount <= 0) {
-    throw new Error("Promo code cannot be applied");
+  if (rest > 0 && rest < MIN_CARD_PAYABLE) {
+    return Math.max(round2(total - MIN_CARD_PAYABLE), 0);
   }
-
-  return { discount, code };
+  return share;
 }
 
-function prepareOrderItems(products, currency) {
-  return products.map((product) => ({
-    product: product._id,
-    titleSnapshot: product.title,
-    priceSnapshot: product.price,
-    mrpSnapshot: product.mrp || product.price,
-    currencySnapshot: product.currency || currency,
-    discountPercentSnapshot: product.mrp && product.mrp > product.price
-      ? Math.round(((product.mrp - product.price) / product.mrp) * 100)
-      : 0,
-  }));
-}
+/**
+ * Pays as much of a fresh PENDING order as the wallet covers. The wallet part
+ * is debited now (so it cannot be spent twice) and returned by the wallet
+ * sweeper if the order is never paid. When the wallet covers everything the
+ * order is marked PAID here and Razorpay is not involved.
+ */
+async function payFromWallet(order) {
+  if (order.currency !== WALLET_CURRENCY) return order;
 
-export async function createPendingOrderForUser({
-  userId,
-  productIds,
-  currency = "INR",
-  promoCode,
-}) {
-  const uniqueIds = validateProductIds(productIds);
-  const user = await fetchUserSecurely(userId);
+  const share = walletShare(order.total, await getWalletBalance(order.user));
+  if (share <= 0) return order;
 
-  const duplicates = checkDuplicatePurchases(user, uniqueIds);
-  
-  if (duplicates.length > 0) {
-    const products = await Product.find({ _id: { $in: duplicates } })
-      .select("title")
-      .lean();
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-    const formatted = products.map((p) => ({
-      id: p._id.toString(),
-      title: p.title,
-    }));
+  try {
+    await debitWallet(order.user, share, {
+      reason: "ORDER_PAYMENT",
+      order: order._id,
+      session,
+    });
 
-    if (formatted.length === 0) {
-      duplicates.forEach((id) => formatted.push({ 
-        id, 
-        title: "Already owned" 
-      }));
-    }
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          walletApplied: share,
+          paymentProvider: share >= order.total ? "wallet" : "razorpay",
+        },
+      },
+      { session }
+    );
 
-    const error = new Error("Items already purchased");
-    error.alreadyPurchased = formatted;
-    throw error;
-  }
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
 
-  const products = await fetchProductDetails(uniqueIds);
-  validateProducts(products, uniqueIds);
+    // Balance moved since it was read; don't leave the order hanging
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { status: "CANCELLED", cancelReason: "SYSTEM_CANCELLED" } }
+    );
+    throw err;
+  } finally {
+    session.endSession();
+  }
 
-  const { subtotal, tax, total: baseTotal } = calculateOrderTotals(products, currency);
-  const { discount, code } = await applyPromoCode(promoCode, subtotal);
+  order.walletApplied = share;
+  if (share >= order.total) order.paymentProvider = "wallet";
 
-  let total = Number((baseTotal - discount).toFixed(2));
-  let convenienceFee = 0;
+  if (amountDue(order) > 0) return order;
 
-  if (total <= 0) {
-    convenienceFee = 1;
-    total = 1;
+  try {
+    return await markOrderPaidAndGrantAccess({
+      orderId: order._id.toString(),
+      paymentId: `wallet_${order._id}`,
+      paymentSignature: "wallet",
+      paymentRaw: { source: "wallet", walletApplied: share },
+    });
+  } catch (err) {
+    await Order.updateOne(
+      { _id: order._id, status: "PENDING" },
+      { $set: { status: "FAILED", cancelReason: "SYSTEM_CANCELLED" } }
+    );
+    await releaseOrderWallet(order._id).catch((releaseErr) =>
+      console.error("[WALLET] release failed:", releaseErr?.message || releaseErr)
+    );
+    throw err;
   }
+}
 
-  const finalTotal = Number((Math.max(0, subtotal + tax - discount) + convenienceFee).toFixed(2));
+const PROMO_ORDER_ATTEMPTS = 3;
 
-  if (Math.abs(finalTotal - total) > 0.01) {
-    throw new Error("Order calculation mismatch");
-  }
+/**
+ * Creates an order that uses a promo together with its reservation, so the
+ * promo limits are enforced before any money is taken (nothing is checked
+ * once the payment is captured).
+ */
+async function createPromoOrder(fields) {
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
 
-  const items = prepareOrderItems(products, currency);
+    try {
+      await reservePromo(fields.promoCode, fields.user, session);
+      const [order] = await Order.create([fields], { session });
 
-  return Order.create({
-    user: userId,
-    items,
-    currency,
-    subtotal,
-    tax,
-    total,
-    convenienceFee,
-    status: "PENDING",
-    paymentProvider: "razorpay",
-    promoCode: code,
-    promoDiscount: discount,
-  });
+      await session.commitTransaction();
+      return order;
+    } catch (error) {
+      await session.abortTransaction();
+      const transient = error?.hasErrorLabel?.("TransientTransactionError");
+      if (!transient || attempt >= PROMO_ORDER_ATTEMPTS) throw error;
+    } finally {
+      session.endSession();
+    }
+  }
 }
 
-export async function createMembershipOrderForUser({
-  userId,
-  planKey,
-  months = 1,
-  currency = "INR",
-}) {
-  const user = await fetchUserSecurely(userId);
-
-  const key = planKey.trim().toUpperCase();
-  const plan = await MembershipPlan.findOne({ key, isActive: true }).lean();
+/**
+ * Creates the Razorpay order for a pending Order and links it.
+ */
+export async function createPaymentOrder(order, notes = {}) {
+  const amountInPaise = Math.round(amountDue(order) * 100);
+  const razorpayOrder = await razorpay.orders.create({
+    amount: amountInPaise,
+    currency: order.currency,
+    receipt: order._id.toString(),
+    notes: {
+      orderId: order._id.toString(),
+      userId: order.user.toString(),
+      walletApplied: order.walletApplied || 0,
+      ...notes,
+    },
+  });
 
-  if (!plan) {
-    throw new Error("Membership plan not found");
-  }
+  order.paymentOrderId = razorpayOrder.id;
+  await order.save();
 
-  const duration = Math.max(1, Math.min(months, 12));
-  const subtotal = Number((plan.price * duration).toFixed(2));
-  const tax = 0;
-  const total = Number((subtotal + tax).toFixed(2));
-
-  return Order.create({
-    user: userId,
-    items: [],
-    currency: currency || plan.currency || "INR",
-    subtotal,
-    tax,
-    convenienceFee: 0,
-    total,
-    status: "PENDING",
-    paymentProvider: "razorpay",
-    membershipPlanKey: key,
-    membershipMonths: duration,
-  });
+  return razorpayOrder;
 }
 
-async function updatePromoUsage(promoCode, session) {
-  const result = await PromoCode.updateOne(
-    {
-      code: promoCode,
-      isActive: true,
-      $or: [
-        { usageLimit: null },
-        { usageLimit: 0 },
-        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
-      ],
-    },
+// The limits were enforced when the order was created (reservePromo) and the
+// money is taken by now, so the use is recorded whatever the promo's state
+async function updatePromoUsage(order, session) {
+  const promo = await PromoCode.findOneAndUpdate(
+    { code: order.promoCode },
     { $inc: { usedCount: 1 } },
-    { session }
+    { session, new: true, projection: { _id: 1, code: 1, campaign: 1 } }
   );
 
-  if (result.modifiedCount !== 1) {
-    throw new Error("Promo code usage limit exceeded");
-  }
-
-  PROMO_CACHE.delete(promoCode);
+  if (!promo) {
+    console.error(`[PROMO] Code ${order.promoCode} of paid order ${order._id} no longer exists`);
+    return;
+  }
+
+  // Ledger row; the unique order index keeps a replayed payment from counting twice
+  await PromoRedemption.create(
+    [
+      {
+        promo: promo._id,
+        code: promo.code,
+        campaign: promo.campaign || null,
+        user: order.user,
+        order: order._id,
+        discount: order.promoDiscount || 0,
+        currency: order.currency,
+      },
+    ],
+    { session }
+  );
 }
 
 async function activateMembership(order, user, session) {
-  const now = new Date();
-  const current = user.membership || {};
-  
-  const currentExpiry = current.expiresAt instanceof Date 
-    ? current.expiresAt 
-    : current.expiresAt 
-      ? new Date(current.expiresAt) 
-      : null;
-
-  const isActive = current.status === "ACTIVE" 
-    && currentExpiry 
-    && currentExpiry > now 
-    && current.planKey === order.membershipPlanKey;
-
-  if (!isActive) {
-    user.membershipUsage = {
-      periodStart: now,
-      downloadsUsed: 0,
-      remixRequestsUsed: 0,
-    };
-  }
-
-  const baseDate = isActive ? currentExpiry : now;
-  const expiresAt = new Date(baseDate);
-  expiresAt.setMonth(expiresAt.getMonth() + (order.membershipMonths || 1));
-
-  user.membership = {
+  const purchase = {
     planKey: order.membershipPlanKey,
-    status: "ACTIVE",
-    startedAt: isActive ? current.startedAt : now,
-    expiresAt,
+    months: order.membershipMonths,
+    order: order._id,
   };
 
-  user.markModified("membership");
-  user.markModified("membershipUsage");
-  
-  await user.save({ session });
+  if (order.membershipChange?.fromPlanKey) {
+    await upgradeMembership(user, { ...purchase, change: order.membershipChange }, session);
+  } else {
+    await extendMembership(user, purchase, session);
+  }
 }
 
-async function grantProductAccess(order, user, session) {
-  const productIds = order.items
-    .map((item) => item.product?.toString())
-    .filter(Boolean);
-
-  if (productIds.length === 0) return;
+/**
+ * Adds products to the user's library, skipping ones already owned.
+ * @returns {Promise<string[]>} ids that were newly granted
+ */
+export async function grantProducts(user, productIds, source, session) {
+  if (productIds.length === 0) return [];
 
   const existing = new Set(
     (user.purchasedProducts || []).map((p) => p.product?.toString())
@@ -447,7 +461,7 @@ async function grantProductAccess(order, user, session) {
     .map((id) => ({
       product: id,
       purchasedAt: new Date(),
-      source: "order",
+      source,
     }));
 
   if (newPurchases.length > 0) {
@@ -455,18 +469,46 @@ async function grantProductAccess(order, user, session) {
     user.markModified("purchasedProducts");
     await user.save({ session });
   }
+
+  return newPurchases.map((p) => p.product);
+}
+
+async function grantProductAccess(order, user, session) {
+  const productIds = order.items
+    .map((item) => item.product?.toString())
+    .filter(Boolean);
+
+  await grantProducts(user, productIds, order.bundleId ? "bundle" : "order", session);
+}
+
+const PAYMENT_TXN_ATTEMPTS = 3;
+
+/**
+ * Marks an order PAID, grants access and assigns the invoice number, all in
+ * one transaction. Concurrent payments contend on the invoice counter, so
+ * transient transaction errors are retried.
+ */
+export async function markOrderPaidAndGrantAccess(payment) {
+  if (!mongoose.Types.ObjectId.isValid(payment.orderId)) {
+    throw new Error("Invalid order ID");
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await markOrderPaidOnce(payment);
+    } catch (error) {
+      const transient = error?.hasErrorLabel?.("TransientTransactionError");
+      if (!transient || attempt >= PAYMENT_TXN_ATTEMPTS) throw error;
+    }
+  }
 }
 
-export async function markOrderPaidAndGrantAccess({
+async function markOrderPaidOnce({
   orderId,
   paymentId,
   paymentSignature,
   paymentRaw,
 }) {
-  if (!mongoose.Types.ObjectId.isValid(orderId)) {
-    throw new Error("Invalid order ID");
-  }
-
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -495,7 +537,7 @@ export async function markOrderPaidAndGrantAccess({
     await order.save({ session });
 
     if (order.promoCode) {
-      await updatePromoUsage(order.promoCode, session);
+      await updatePromoUsage(order, session);
     }
 
     const user = await User.findById(order.user)
@@ -506,13 +548,29 @@ export async function markOrderPaidAndGrantAccess({
       throw new Error("Invalid user state");
     }
 
-    if (order.membershipPlanKey) {
+    if (order.isGift) {
+      await issueGift(order, session);
+    } else if (order.membershipPlanKey) {
       await activateMembership(order, user, session);
     } else {
       await grantProductAccess(order, user, session);
     }
 
+    // Last write before commit: the shared counter stays locked only briefly
+    order.invoiceNumber = await nextInvoiceNumber(session, order.completedAt);
+    order.invoiceDate = order.completedAt;
+    await order.save({ session });
+
     await session.commitTransaction();
+
+    if (!order.membershipPlanKey && !order.isGift) {
+      await removePurchasedFromCart(order);
+      await markWishlistPurchased(
+        order.user,
+        order.items.map((item) => item.product).filter(Boolean)
+      );
+    }
+
     return order;
 
   } catch (error) {
@@ -523,6 +581,66 @@ export async function markOrderPaidAndGrantAccess({
   }
 }
 
+/* =========================
+   GIFTS
+   ========================= */
+
+function generateGiftCode() {
+  const groups = [];
+  for (let g = 0; g < 3; g++) {
+    let group = "";
+    for (let i = 0; i < 4; i++) {
+      group += GIFT_CODE_ALPHABET[crypto.randomInt(GIFT_CODE_ALPHABET.length)];
+    }
+    groups.push(group);
+  }
+  return `GIFT-${groups.join("-")}`;
+}
+
+// A paid gift order grants nothing to the buyer; it issues a code instead
+async function issueGift(order, session) {
+  const expiresAt = new Date(Date.now() + GIFT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  const isMembership = Boolean(order.membershipPlanKey);
+
+  await Gift.create(
+    [
+      {
+        code: generateGiftCode(),
+        order: order._id,
+        purchaser: order.user,
+        recipientEmail: order.giftRecipient?.email,
+        recipientName: order.giftRecipient?.name || "",
+        message: order.giftRecipient?.message || "",
+        kind: isMembership ? "membership" : "products",
+        products: isMembership
+          ? []
+          : order.items.map((item) => item.product).filter(Boolean),
+        bundle: order.bundleId || null,
+        membershipPlanKey: order.membershipPlanKey || null,
+        membershipMonths: isMembership ? order.membershipMonths || 1 : null,
+        expiresAt,
+      },
+    ],
+    { session }
+  );
+}
+
+async function removePurchasedFromCart(order) {
+  const productIds = order.items.map((item) => item.product).filter(Boolean);
+  if (productIds.length === 0) return;
+
+  try {
+    const update = { $pull: { items: { product: { $in: productIds } } } };
+    if (order.promoCode) {
+      update.$set = { promoCode: null };
+    }
+    await Cart.updateOne({ user: order.user }, update);
+  } catch (error) {
+    // Cart cleanup is best-effort; access has already been granted
+    console.error("Error clearing purchased items from cart:", error);
+  }
+}
+
 export async function userHasPurchasedProduct({ userId, productId }) {
   if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(productId)) {
     return false;
@@ -532,6 +650,8 @@ export async function userHasPurchasedProduct({ userId, productId }) {
     const count = await Order.countDocuments({
       user: userId,
       status: "PAID",
+      // A gift order's products belong to whoever redeems the code
+      isGift: { $ne: true },
       "items.product": productId,
     });
 
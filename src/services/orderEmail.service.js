@@ -0,0 +1,329 @@
+// services/orderEmail.service.js
+import Order from "../models/Order.model.js";
+import User from "../models/User.model.js";
+import Gift from "../models/Gift.model.js";
+import { sendEmail } from "../utils/mailer.js";
+import { getActiveTemplate, renderEmail } from "../utils/emailTemplate.js";
+import { sendGiftEmail } from "./gift.service.js";
+import {
+  INVOICEABLE_STATUSES,
+  invoiceFilename,
+  renderInvoicePdf,
+} from "./invoice.service.js";
+import {
+  buildOrderCompleteSubject,
+  buildOrderCompleteEmailHtml,
+  buildMembershipActivatedSubject,
+  buildMembershipActivatedEmailHtml,
+  buildOrderRefundedSubject,
+  buildOrderRefundedEmailHtml,
+} from "../templates/emailTemplates.js";
+
+/*
+ * Transactional emails tied to an order: receipt, membership activation and
+ * refund. Each one is claimed on order.notifications before sending, so the
+ * verify endpoint and the Razorpay webhook can both trigger it and the buyer
+ * still gets it once. A failed send releases the claim for the next trigger.
+ */
+
+/* ========================= EMAIL HELPERS ========================= */
+
+/**
+ * First active template among `keys` (most specific first), else the
+ * built-in fallback.
+ */
+async function composeEmail(keys, vars, buildSubject, buildHtml, tag) {
+  try {
+    for (const key of keys) {
+      const template = await getActiveTemplate(key);
+      if (template) return renderEmail(template, vars, { buildSubject, buildHtml });
+    }
+  } catch (e) {
+    console.error(`[${tag}] template load error:`, e);
+  }
+
+  return renderEmail(null, vars, { buildSubject, buildHtml });
+}
+
+/* ========================= ONCE-ONLY CLAIMS ========================= */
+
+async function claimNotification(orderId, field, statuses) {
+  const path = `notifications.${field}`;
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: orderId, status: { $in: statuses }, [path]: null },
+    { $set: { [path]: new Date() } },
+    { projection: { _id: 1 } }
+  ).lean();
+
+  return Boolean(claimed);
+}
+
+async function releaseNotification(orderId, field) {
+  await Order.updateOne(
+    { _id: orderId },
+    { $set: { [`notifications.${field}`]: null } }
+  );
+}
+
+/* ========================= ORDER COMPLETE ========================= */
+
+/**
+ * Receipt for a paid order, sent once. Never throws; failures are logged.
+ */
+export async function sendOrderCompleteEmail(orderId) {
+  let claimed = false;
+
+  try {
+    claimed = await claimNotification(orderId, "orderCompleteSentAt", ["PAID", "REFUNDED"]);
+    if (!claimed) return;
+
+    const order = await Order.findById(orderId)
+      .populate("user", "name email")
+      .populate("items.product", "title slug")
+      .lean();
+
+    if (!order || !order.user || !order.user.email) {
+      console.warn(
+        "[sendOrderCompleteEmail] Order or user not found for",
+        orderId
+      );
+      return;
+    }
+
+    const realOrderId = order._id.toString();
+    const orderCode = `#${realOrderId.toUpperCase()}`;
+    const isMembership = !!order.membershipPlanKey;
+    const orderType = isMembership ? "Membership" : "Product Purchase";
+    const date = order.completedAt || order.createdAt || new Date();
+
+    const totalStr =
+      order.total?.toFixed && typeof order.total === "number"
+        ? order.total.toFixed(2)
+        : order.total ?? "";
+
+    const createdAtStr = date.toLocaleString();
+    const dateStr = date.toLocaleDateString();
+
+    const vars = {
+      // User details
+      CUSTOMER_NAME: order.user.name || "Customer",
+      CUSTOMER_EMAIL: order.user.email,
+      customerName: order.user.name || "Customer",
+      customerEmail: order.user.email,
+
+      // Order details
+      ORDER_ID: realOrderId,
+      ORDER_CODE: orderCode,
+      ORDER_TYPE: orderType,
+      ORDER_STATUS: order.status,
+      ORDER_CURRENCY: order.currency || "INR",
+      ORDER_TOTAL: totalStr,
+      ORDER_SUBTOTAL: order.subtotal ?? "",
+      ORDER_TAX: order.tax ?? "",
+      ORDER_PROMO_CODE: order.promoCode || "",
+      ORDER_PROMO_DISCOUNT: order.promoDiscount || 0,
+      ORDER_WALLET_APPLIED: order.walletApplied || 0,
+      ORDER_CGST: order.taxBreakdown?.cgst || 0,
+      ORDER_SGST: order.taxBreakdown?.sgst || 0,
+      ORDER_IGST: order.taxBreakdown?.igst || 0,
+      INVOICE_NUMBER: order.invoiceNumber || "",
+      ORDER_CREATED_AT: createdAtStr,
+      ORDER_DATE: dateStr,
+
+      orderId: realOrderId,
+      orderCode,
+      orderType,
+      status: order.status,
+      currency: order.currency || "INR",
+      total: totalStr,
+      subtotal: order.subtotal ?? "",
+      tax: order.tax ?? "",
+      promoCode: order.promoCode || "",
+      promoDiscount: order.promoDiscount || 0,
+      walletApplied: order.walletApplied || 0,
+      invoiceNumber: order.invoiceNumber || "",
+      createdAt: createdAtStr,
+      date: dateStr,
+
+      // Membership details
+      MEMBERSHIP_PLAN_KEY: order.membershipPlanKey || "",
+      MEMBERSHIP_PLAN:
+        order.membershipPlanName || order.membershipPlanKey || "",
+      MEMBERSHIP_MONTHS: order.membershipMonths || "",
+      membershipPlanKey: order.membershipPlanKey || "",
+      membershipPlan: order.membershipPlanName || order.membershipPlanKey || "",
+      membershipMonths: order.membershipMonths || "",
+    };
+
+    const { subject, html } = await composeEmail(
+      isMembership ? ["ORDER_COMPLETE_MEMBERSHIP", "ORDER_COMPLETE"] : ["ORDER_COMPLETE"],
+      vars,
+      buildOrderCompleteSubject,
+      buildOrderCompleteEmailHtml,
+      "sendOrderCompleteEmail"
+    );
+
+    // The receipt still goes out if the PDF cannot be rendered
+    const attachments = [];
+    if (INVOICEABLE_STATUSES.includes(order.status)) {
+      try {
+        attachments.push({
+          filename: invoiceFilename(order),
+          content: await renderInvoicePdf(order),
+          contentType: "application/pdf",
+        });
+      } catch (e) {
+        console.error("[sendOrderCompleteEmail] invoice render failed:", e?.message || e);
+      }
+    }
+
+    await sendEmail({
+      to: order.user.email,
+      subject,
+      html,
+      attachments,
+    });
+  } catch (err) {
+    console.error("[sendOrderCompleteEmail] failed:", err);
+    if (claimed) {
+      await releaseNotification(orderId, "orderCompleteSentAt").catch(() => {});
+    }
+  }
+}
+
+/* ========================= MEMBERSHIP ACTIVATED ========================= */
+
+/**
+ * Welcome email once a membership order is active: to the buyer, or for a
+ * gift to whoever redeemed it. Sent once per order; never throws.
+ */
+export async function sendMembershipActivatedEmail(orderId) {
+  let claimed = false;
+
+  try {
+    const order = await Order.findById(orderId)
+      .select("user isGift membershipPlanKey membershipPlanName membershipMonths")
+      .lean();
+
+    if (!order?.membershipPlanKey) return;
+
+    let recipientId = order.user;
+    if (order.isGift) {
+      const gift = await Gift.findOne({ order: order._id, status: "REDEEMED" })
+        .select("redeemedBy")
+        .lean();
+      recipientId = gift?.redeemedBy;
+    }
+    if (!recipientId) return;
+
+    claimed = await claimNotification(orderId, "membershipActivatedSentAt", ["PAID"]);
+    if (!claimed) return;
+
+    const user = await User.findById(recipientId).select("name email membership").lean();
+    if (!user?.email) return;
+
+    const clientUrl = process.env.CLIENT_URL || "http://localhost:8080";
+    const plan = order.membershipPlanName || order.membershipPlanKey;
+    const expiresAt = user.membership?.expiresAt;
+
+    const vars = {
+      CUSTOMER_NAME: user.name || "there",
+      CUSTOMER_EMAIL: user.email,
+      ORDER_ID: order._id.toString(),
+      MEMBERSHIP_PLAN_KEY: order.membershipPlanKey,
+      MEMBERSHIP_PLAN: plan,
+      MEMBERSHIP_MONTHS: order.membershipMonths || "",
+      MEMBERSHIP_EXPIRES_ON: expiresAt ? new Date(expiresAt).toLocaleDateString() : "",
+      LIBRARY_URL: `${clientUrl}/library`,
+    };
+
+    const { subject, html } = await composeEmail(
+      ["MEMBERSHIP_ACTIVATED"],
+      vars,
+      buildMembershipActivatedSubject,
+      buildMembershipActivatedEmailHtml,
+      "sendMembershipActivatedEmail"
+    );
+
+    await sendEmail({ to: user.email, subject, html });
+  } catch (err) {
+    console.error("[sendMembershipActivatedEmail] failed:", err);
+    if (claimed) {
+      await releaseNotification(orderId, "membershipActivatedSentAt").catch(() => {});
+    }
+  }
+}
+
+/* ========================= REFUNDED ========================= */
+
+/**
+ * Tells the buyer a refund is on its way, once per order, whether it was
+ * started by an admin or came in from the Razorpay dashboard. Never throws.
+ */
+export async function sendOrderRefundedEmail(orderId) {
+  let claimed = false;
+
+  try {
+    claimed = await claimNotification(orderId, "refundSentAt", ["REFUND_INITIATED", "REFUNDED"]);
+    if (!claimed) return;
+
+    const order = await Order.findById(orderId).populate("user", "name email").lean();
+    if (!order?.user?.email) return;
+
+    const currency = order.currency || "INR";
+    const walletAmount = order.paymentRaw?.walletRefund?.amount || 0;
+    // refund.processed carries the refunded amount (paise); otherwise the rest of the total
+    const cardAmount = order.paymentRaw?.refund?.amount
+      ? order.paymentRaw.refund.amount / 100
+      : Math.max(order.total - walletAmount, 0);
+
+    const vars = {
+      CUSTOMER_NAME: order.user.name || "there",
+      CUSTOMER_EMAIL: order.user.email,
+      ORDER_ID: order._id.toString(),
+      ORDER_CODE: `#${order._id.toString().toUpperCase()}`,
+      ORDER_CURRENCY: currency,
+      ORDER_TOTAL: Number(order.total || 0).toFixed(2),
+      INVOICE_NUMBER: order.invoiceNumber || "",
+      REFUND_CARD_AMOUNT: cardAmount.toFixed(2),
+      REFUND_WALLET_AMOUNT: Number(walletAmount).toFixed(2),
+    };
+
+    const { subject, html } = await composeEmail(
+      ["ORDER_REFUNDED"],
+      vars,
+      buildOrderRefundedSubject,
+      buildOrderRefundedEmailHtml,
+      "sendOrderRefundedEmail"
+    );
+
+    await sendEmail({ to: order.user.email, subject, html });
+  } catch (err) {
+    console.error("[sendOrderRefundedEmail] failed:", err);
+    if (claimed) {
+      await releaseNotification(orderId, "refundSentAt").catch(() => {});
+    }
+  }
+}
+
+/* ========================= AFTER PAYMENT ========================= */
+
+/**
+ * Emails that follow a successful payment: the buyer's receipt, the welcome
+ * email for a membership and, for gift orders, the code to the recipient.
+ * Fire-and-forget; safe to call from every payment path.
+ */
+export function sendOrderPaidEmails(order) {
+  sendOrderCompleteEmail(order._id).catch(() => {});
+
+  if (order.membershipPlanKey && !order.isGift) {
+    sendMembershipActivatedEmail(order._id).catch(() => {});
+  }
+
+  if (order.isGift) {
+    sendGiftEmail(order._id).catch((err) =>
+      console.error("[GIFT] email failed:", err?.message || err)
+    );
+  }
+}
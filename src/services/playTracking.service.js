@@ -0,0 +1,93 @@
+// services/playTracking.service.js
+import crypto from "node:crypto";
+import Product, { LISTED_VISIBILITIES } from "../models/Product.model.js";
+import PlayDedupe from "../models/PlayDedupe.model.js";
+import ProductPlayDaily from "../models/ProductPlayDaily.model.js";
+
+const DUPLICATE_KEY_CODE = 11000;
+
+function dedupeWindowMs() {
+  const minutes = Number(process.env.PLAY_DEDUPE_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 30) * 60 * 1000;
+}
+
+function hashKey(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+export function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * @returns {Promise<boolean>} true if the marker was newly created
+ */
+async function claimMarker(key, expiresAt) {
+  try {
+    const result = await PlayDedupe.updateOne(
+      { key },
+      { $setOnInsert: { key, expiresAt } },
+      { upsert: true }
+    );
+    return result.upsertedCount === 1;
+  } catch (err) {
+    if (err?.code === DUPLICATE_KEY_CODE) return false;
+    throw err;
+  }
+}
+
+/**
+ * Counts a preview play for a public product.
+ *
+ * A play is counted at most once per de-dup window for the client session
+ * and for the IP + user agent it came from, so rotating the session id
+ * alone does not inflate the count.
+ *
+ * @returns {Promise<{ counted: boolean }>}
+ */
+export async function recordPreviewPlay({ productId, sessionId, ip, userAgent }) {
+  const exists = await Product.exists({ _id: productId, visibility: { $in: LISTED_VISIBILITIES } });
+  if (!exists) {
+    throw new Error("Product not found");
+  }
+
+  const expiresAt = new Date(Date.now() + dedupeWindowMs());
+  const id = productId.toString();
+
+  const markers = [hashKey(`ip:${id}:${ip || ""}:${userAgent || ""}`)];
+  if (sessionId) {
+    markers.unshift(hashKey(`s:${id}:${sessionId}`));
+  }
+
+  // Claim every marker (no short-circuit) so both stay armed for the window
+  const claimed = await Promise.all(markers.map((key) => claimMarker(key, expiresAt)));
+  if (!claimed.every(Boolean)) {
+    return { counted: false };
+  }
+
+  await Promise.all([
+    ProductPlayDaily.updateOne(
+      { product: id, day: startOfUtcDay() },
+      { $inc: { plays: 1 } },
+      { upsert: true }
+    ),
+    Product.updateOne({ _id: id }, { $inc: { playCount: 1 } }),
+  ]);
+
+  return { counted: true };
+}
+
+/**
+ * Total plays between two dates (day granularity).
+ */
+export async function sumPlays({ from, to, productId } = {}) {
+  const match = { day: { $gte: startOfUtcDay(from), $lte: to } };
+  if (productId) match.product = productId;
+
+  const [row] = await ProductPlayDaily.aggregate([
+    { $match: match },
+    { $group: { _id: null, plays: { $sum: "$plays" } } },
+  ]);
+
+  return row?.plays || 0;
+}
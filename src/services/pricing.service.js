@@ -0,0 +1,697 @@
+// services/pricing.service.js
+import mongoose from "mongoose";
+import Product, { LISTED_VISIBILITIES } from "../models/Product.model.js";
+import PromoCode from "../models/PromoCode.model.js";
+import PromoRedemption from "../models/PromoRedemption.model.js";
+import Order from "../models/Order.model.js";
+import MembershipPlan from "../models/MembershipPlan.model.js";
+import Quote from "../models/Quote.model.js";
+import { getPurchasableBundle, priceBundleForUser } from "./bundle.service.js";
+import { applySalePricing } from "./sale.service.js";
+import { getTaxConfig, placeOfSupply, taxLine, taxBreakdown } from "./tax.service.js";
+import { unusedCredit } from "./membership.service.js";
+import { round2 } from "../utils/money.js";
+
+/*
+ * Single source of truth for prices. Promo previews, the cart, bundle quotes
+ * and order creation all go through buildQuote(), so what the buyer is shown
+ * is what the order charges.
+ */
+
+const QUOTE_TTL_MINUTES = Number(process.env.QUOTE_TTL_MINUTES || 30);
+
+function promoError(message, code) {
+  const error = new Error(message);
+  error.promoError = true;
+  error.code = code;
+  return error;
+}
+
+function quoteError(message, code) {
+  const error = new Error(message);
+  error.quoteError = true;
+  error.code = code;
+  return error;
+}
+
+/* =========================================================
+   PRODUCT HELPERS
+========================================================= */
+
+export function validateProductIds(productIds) {
+  if (!Array.isArray(productIds) || productIds.length === 0) {
+    throw new Error("Products array is required");
+  }
+
+  if (productIds.length > 50) {
+    throw new Error("Maximum 50 products per order");
+  }
+
+  return [...new Set(productIds.map((id) => id.toString()))];
+}
+
+export function checkDuplicatePurchases(user, productIds) {
+  const owned = Array.isArray(user.purchasedProducts)
+    ? user.purchasedProducts
+        .map((item) => item.product?.toString())
+        .filter(Boolean)
+    : [];
+
+  const ownedSet = new Set(owned);
+  return productIds.filter((id) => ownedSet.has(id));
+}
+
+export async function fetchProductDetails(productIds) {
+  const objectIds = [];
+  const slugs = [];
+
+  productIds.forEach((id) => {
+    if (mongoose.Types.ObjectId.isValid(id)) {
+      objectIds.push(new mongoose.Types.ObjectId(id));
+    } else {
+      slugs.push(id);
+    }
+  });
+
+  const query = {
+    visibility: { $in: LISTED_VISIBILITIES },
+    $or: []
+  };
+
+  if (objectIds.length > 0) {
+    query.$or.push({ _id: { $in: objectIds } });
+  }
+  if (slugs.length > 0) {
+    query.$or.push({ slug: { $in: slugs } });
+  }
+
+  if (query.$or.length === 0) {
+    throw new Error("No valid product identifiers");
+  }
+
+  return Product.find(query).lean();
+}
+
+function validateProducts(products, requestedIds) {
+  if (products.length !== requestedIds.length) {
+    const found = new Set([
+      ...products.map((p) => p._id.toString()),
+      ...products.map((p) => p.slug)
+    ]);
+
+    const missing = requestedIds.filter((id) => !found.has(id));
+
+    const formatted = missing.map((id) => ({
+      id,
+      title: "Product not available"
+    }));
+
+    const error = new Error("One or more products are not purchasable");
+    error.notPurchasable = formatted;
+    throw error;
+  }
+
+  products.forEach((product) => {
+    if (typeof product.price !== "number" || product.price < 0) {
+      throw new Error("Invalid product pricing");
+    }
+  });
+}
+
+async function assertNotOwned(user, productIds) {
+  const duplicates = checkDuplicatePurchases(user, productIds);
+  if (duplicates.length === 0) return;
+
+  const products = await Product.find({ _id: { $in: duplicates } })
+    .select("title")
+    .lean();
+
+  const formatted = products.map((p) => ({
+    id: p._id.toString(),
+    title: p.title,
+  }));
+
+  if (formatted.length === 0) {
+    duplicates.forEach((id) => formatted.push({
+      id,
+      title: "Already owned"
+    }));
+  }
+
+  const error = new Error("Items already purchased");
+  error.alreadyPurchased = formatted;
+  throw error;
+}
+
+/* =========================================================
+   LINE BUILDERS
+========================================================= */
+
+function productLine({ product, title, price, mrp, currency, sale = null }) {
+  const listMrp = Math.max(mrp || price, price);
+
+  return {
+    kind: "product",
+    product,
+    planKey: null,
+    title,
+    currency,
+    unitPrice: price,
+    quantity: 1,
+    mrp: listMrp,
+    discountPercent: listMrp > price ? Math.round(((listMrp - price) / listMrp) * 100) : 0,
+    sale: sale?.id || null,
+    saleEndsAt: sale?.endsAt || null,
+    amount: price,
+  };
+}
+
+async function priceProducts(user, productIds, currency) {
+  const uniqueIds = validateProductIds(productIds);
+  await assertNotOwned(user, uniqueIds);
+
+  const listed = await fetchProductDetails(uniqueIds);
+  validateProducts(listed, uniqueIds);
+
+  // Scheduled sales are applied here so snapshots carry the price actually charged
+  const products = await applySalePricing(listed);
+
+  const mismatch = products.find((p) => p.currency && p.currency !== currency);
+  if (mismatch) {
+    throw new Error(`Currency mismatch: expected ${currency}, found ${mismatch.currency}`);
+  }
+
+  return {
+    kind: "products",
+    currency,
+    lines: products.map((p) =>
+      productLine({
+        product: p._id,
+        title: p.title,
+        price: p.price,
+        mrp: p.mrp,
+        currency: p.currency || currency,
+        sale: p.sale,
+      })
+    ),
+  };
+}
+
+async function priceBundle(user, bundleId, currency) {
+  const bundle = await getPurchasableBundle(bundleId);
+  const { items, ownedProductIds, snapshot } = await priceBundleForUser(bundle, user, currency);
+
+  return {
+    kind: "bundle",
+    currency,
+    lines: items.map((item) =>
+      productLine({
+        product: item.product,
+        title: item.titleSnapshot,
+        price: item.priceSnapshot,
+        mrp: item.mrpSnapshot,
+        currency: item.currencySnapshot,
+      })
+    ),
+    bundle: { id: bundle._id, snapshot, ownedProductIds },
+  };
+}
+
+/**
+ * With `upgradeFrom` (the buyer's membership) the value of its unused days
+ * is taken off the line as `credit`; see membership.service unusedCredit.
+ */
+async function priceMembership(planKey, months, currency, upgradeFrom = null) {
+  const key = String(planKey || "").trim().toUpperCase();
+  const plan = await MembershipPlan.findOne({ key, isActive: true }).lean();
+
+  if (!plan) {
+    throw new Error("Membership plan not found");
+  }
+
+  const duration = Math.max(1, Math.min(Number(months) || 1, 12));
+  const fullAmount = round2(plan.price * duration);
+  const lineCurrency = currency || plan.currency || "INR";
+
+  let upgrade = null;
+  if (upgradeFrom?.planKey && upgradeFrom.planKey !== key) {
+    const fromPlan = await MembershipPlan.findOne({ key: upgradeFrom.planKey }).lean();
+    const { unusedDays, credit } = unusedCredit(upgradeFrom, fromPlan?.price);
+
+    if (credit > fullAmount) {
+      const error = quoteError(
+        "Your remaining membership is worth more than this period; choose more months",
+        "UPGRADE_CREDIT_EXCEEDS_PRICE"
+      );
+      error.minMonths = Math.ceil(credit / plan.price);
+      throw error;
+    }
+
+    upgrade = { fromPlanKey: upgradeFrom.planKey, unusedDays, credit };
+  }
+
+  const amount = round2(fullAmount - (upgrade?.credit || 0));
+
+  return {
+    kind: "membership",
+    currency: lineCurrency,
+    lines: [
+      {
+        kind: "membership",
+        product: null,
+        planKey: key,
+        title: plan.name || key,
+        currency: lineCurrency,
+        unitPrice: plan.price,
+        quantity: duration,
+        mrp: fullAmount,
+        discountPercent: 0,
+        credit: upgrade?.credit || 0,
+        amount,
+      },
+    ],
+    membership: {
+      planKey: key,
+      planName: plan.name || key,
+      months: duration,
+      ...(upgrade ? { upgrade } : {}),
+    },
+  };
+}
+
+/* =========================================================
+   PROMO / TAX / FEE
+========================================================= */
+
+// Loads category/tags for product lines when a promo targets them
+async function lineTargets(promo, lines) {
+  const needsProductMeta = promo.eligibleCategories?.length > 0 || promo.eligibleTags?.length > 0;
+  const productIds = lines.filter((l) => l.product).map((l) => l.product);
+
+  const meta = needsProductMeta && productIds.length
+    ? await Product.find({ _id: { $in: productIds } }).select("category tags").lean()
+    : [];
+  const metaById = new Map(meta.map((p) => [p._id.toString(), p]));
+
+  return lines.map((line) => {
+    if (line.kind === "membership") return { planKey: line.planKey };
+
+    const product = metaById.get(line.product.toString());
+    return {
+      productId: line.product,
+      category: product?.category,
+      tags: product?.tags,
+    };
+  });
+}
+
+async function isReturningCustomer(userId, session = null) {
+  return Boolean(
+    await Order.exists({
+      user: userId,
+      status: { $in: ["PAID", "REFUND_INITIATED", "REFUNDED"] },
+    }).session(session)
+  );
+}
+
+/**
+ * Looks up a promo and checks it can be used by `user` on `lines`.
+ * Targeted promos only discount the eligible lines (`eligible[i]`).
+ * Throws errors flagged with `promoError` and a machine readable `code`.
+ */
+export async function resolvePromo(promoCode, { user, lines }) {
+  const code = String(promoCode).trim().toUpperCase();
+  const promo = await PromoCode.findOne({ code });
+
+  if (!promo || !promo.isActive) {
+    throw promoError("Invalid promo code", "PROMO_INVALID");
+  }
+
+  if (!promo.hasStarted()) {
+    throw promoError("Promo code is not active yet", "PROMO_NOT_STARTED");
+  }
+
+  if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+    throw promoError("Promo usage limit reached", "PROMO_LIMIT_REACHED");
+  }
+
+  if (promo.isExpired()) {
+    throw promoError("Promo code has expired", "PROMO_EXPIRED");
+  }
+
+  if (promo.newCustomersOnly && (await isReturningCustomer(user._id))) {
+    throw promoError("Promo code is only valid on your first order", "PROMO_NEW_CUSTOMERS_ONLY");
+  }
+
+  if (promo.perUserLimit) {
+    const used = await PromoRedemption.countDocuments({ promo: promo._id, user: user._id });
+    if (used >= promo.perUserLimit) {
+      throw promoError("You have already used this promo code", "PROMO_USER_LIMIT");
+    }
+  }
+
+  const targets = await lineTargets(promo, lines);
+  const eligible = targets.map((target) => promo.appliesTo(target));
+
+  if (!eligible.some(Boolean)) {
+    throw promoError("Promo code does not apply to these items", "PROMO_NOT_ELIGIBLE");
+  }
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+  if (promo.minOrderAmount && subtotal < promo.minOrderAmount) {
+    throw promoError(
+      `Minimum order amount for this code is ₹${promo.minOrderAmount}`,
+      "PROMO_MIN_ORDER"
+    );
+  }
+
+  // firstPeriodOnly: a multi-month membership is discounted on one month's price
+  const discountBase = (line) =>
+    line.kind === "membership" && promo.firstPeriodOnly
+      ? Math.min(line.unitPrice, line.amount)
+      : line.amount;
+
+  const eligibleSubtotal = round2(
+    lines.reduce((sum, line, idx) => (eligible[idx] ? sum + discountBase(line) : sum), 0)
+  );
+  const discount = Math.min(promo.computeDiscount(eligibleSubtotal), eligibleSubtotal);
+
+  if (discount <= 0) {
+    throw promoError("Promo code does not apply to this order", "PROMO_NOT_APPLICABLE");
+  }
+
+  return { promo, discount: round2(discount), eligible };
+}
+
+/**
+ * Holds a use of promo `code` for a new order of `userId`, inside the
+ * transaction that creates it. Unpaid orders carrying the code count as uses
+ * until they are paid or cancelled, so the limits checked here cannot be
+ * overrun by orders paid later. Touching the promo makes concurrent
+ * reservations of the same code conflict (the caller retries).
+ */
+export async function reservePromo(code, userId, session) {
+  const promo = await PromoCode.findOneAndUpdate(
+    { code, isActive: true },
+    { $set: { lastReservedAt: new Date() } },
+    { session, new: true }
+  );
+
+  if (!promo) {
+    throw promoError("Invalid promo code", "PROMO_INVALID");
+  }
+
+  const pending = { promoCode: promo.code, status: "PENDING" };
+
+  if (promo.usageLimit) {
+    const held = await Order.countDocuments(pending).session(session);
+    if (promo.usedCount + held >= promo.usageLimit) {
+      throw promoError("Promo usage limit reached", "PROMO_LIMIT_REACHED");
+    }
+  }
+
+  if (promo.perUserLimit || promo.newCustomersOnly) {
+    const held = await Order.countDocuments({ ...pending, user: userId }).session(session);
+    const used = await PromoRedemption.countDocuments({ promo: promo._id, user: userId }).session(session);
+
+    if (promo.perUserLimit && used >= promo.perUserLimit) {
+      throw promoError("You have already used this promo code", "PROMO_USER_LIMIT");
+    }
+    if ((promo.perUserLimit && used + held >= promo.perUserLimit) || (promo.newCustomersOnly && held > 0)) {
+      throw promoError(
+        "An unpaid order of yours already uses this promo code; pay it or try again in a few minutes",
+        "PROMO_PENDING"
+      );
+    }
+  }
+
+  if (promo.newCustomersOnly && (await isReturningCustomer(userId, session))) {
+    throw promoError("Promo code is only valid on your first order", "PROMO_NEW_CUSTOMERS_ONLY");
+  }
+}
+
+/**
+ * Splits an order level discount across the eligible lines by amount; the
+ * last eligible line absorbs rounding so the parts add up exactly.
+ */
+function allocateDiscount(lines, discount, eligible = lines.map(() => true)) {
+  const base = lines.reduce((sum, line, idx) => (eligible[idx] ? sum + line.amount : sum), 0);
+  const lastIdx = eligible.lastIndexOf(true);
+  let allocated = 0;
+
+  return lines.map((line, idx) => {
+    if (!eligible[idx] || discount <= 0) return { ...line, promoDiscount: 0 };
+
+    const share = idx === lastIdx
+      ? round2(discount - allocated)
+      : round2(base > 0 ? (discount * line.amount) / base : 0);
+    allocated = round2(allocated + share);
+    return { ...line, promoDiscount: Math.min(share, line.amount) };
+  });
+}
+
+/**
+ * Razorpay cannot charge 0 - fully discounted orders pay a ₹1 convenience fee.
+ */
+export function applyMinimumPayable(amount) {
+  const total = Number(amount.toFixed(2));
+  if (total <= 0) {
+    return { total: 1, convenienceFee: 1 };
+  }
+  return { total, convenienceFee: 0 };
+}
+
+/* =========================================================
+   QUOTES
+========================================================= */
+
+/**
+ * Prices products, a bundle or a membership plan for a buyer.
+ *
+ * With `strictPromo: false` a promo that doesn't apply is reported on
+ * `promo.error` (and ignored) instead of being thrown.
+ *
+ * @param {Object} user - needs `purchasedProducts`, `billing` for GST, and `membership` for upgrades
+ * @param {Object} input - { productIds } | { bundleId } | { planKey, months, upgrade }, plus currency / promoCode / gift
+ * @returns {Promise<Object>} quote with itemised `lines` and order level totals
+ */
+export async function buildQuote(user, input = {}, { strictPromo = true } = {}) {
+  const { productIds, bundleId, planKey, months, promoCode } = input;
+  const gift = Boolean(input.gift);
+
+  // Gifts are priced as if the buyer owned nothing
+  const owner = gift ? { _id: user._id, purchasedProducts: [] } : user;
+
+  let priced;
+  if (planKey) {
+    const upgradeFrom = input.upgrade && !gift ? user.membership : null;
+    priced = await priceMembership(planKey, months, input.currency, upgradeFrom);
+  } else if (bundleId) {
+    priced = await priceBundle(owner, bundleId, input.currency || "INR");
+  } else {
+    priced = await priceProducts(owner, productIds, input.currency || "INR");
+  }
+
+  const subtotal = round2(priced.lines.reduce((sum, line) => sum + line.amount, 0));
+
+  const promo = { id: null, code: promoCode ? String(promoCode).trim().toUpperCase() : null, discount: 0, error: null };
+  let eligible;
+  if (promo.code) {
+    try {
+      const resolved = await resolvePromo(promo.code, { user, lines: priced.lines });
+      promo.id = resolved.promo._id;
+      promo.code = resolved.promo.code;
+      promo.discount = resolved.discount;
+      eligible = resolved.eligible;
+    } catch (err) {
+      if (strictPromo || !err.promoError) throw err;
+      promo.error = err.message;
+    }
+  }
+
+  // GST is charged on what is paid for each line, i.e. after its promo share
+  const taxConfig = await getTaxConfig();
+  const supply = taxConfig ? placeOfSupply(taxConfig, user.billing) : null;
+
+  const lines = allocateDiscount(priced.lines, promo.discount, eligible).map((line) => {
+    const payable = round2(line.amount - line.promoDiscount);
+    return { ...line, ...taxLine(payable, taxConfig, supply) };
+  });
+
+  const tax = round2(lines.reduce((sum, line) => sum + line.tax, 0));
+  const taxableValue = round2(lines.reduce((sum, line) => sum + line.taxableValue, 0));
+  const { total, convenienceFee } = applyMinimumPayable(
+    lines.reduce((sum, line) => sum + line.total, 0)
+  );
+
+  return {
+    kind: priced.kind,
+    currency: priced.currency,
+    input: {
+      productIds: priced.kind === "products" ? lines.map((l) => l.product.toString()) : undefined,
+      bundleId: bundleId ? String(bundleId) : null,
+      planKey: priced.membership?.planKey || null,
+      months: priced.membership?.months || null,
+      upgrade: Boolean(priced.membership?.upgrade),
+      // A promo that failed is not part of what the buyer would be charged
+      promoCode: promo.discount > 0 ? promo.code : null,
+      gift,
+    },
+    lines,
+    subtotal,
+    promo,
+    tax,
+    taxBreakdown: taxBreakdown(taxConfig, supply, { taxableValue, tax }),
+    convenienceFee,
+    total,
+    bundle: priced.bundle || null,
+    membership: priced.membership || null,
+  };
+}
+
+/**
+ * Builds and stores a quote; orders can later be pinned to its id.
+ */
+export async function createQuote(user, input, options = {}) {
+  const quote = await buildQuote(user, input, options);
+
+  const doc = await Quote.create({
+    user: user._id,
+    kind: quote.kind,
+    input: quote.input,
+    currency: quote.currency,
+    lines: quote.lines,
+    subtotal: quote.subtotal,
+    promoCode: quote.input.promoCode,
+    promoDiscount: quote.promo.discount,
+    tax: quote.tax,
+    taxBreakdown: quote.taxBreakdown,
+    convenienceFee: quote.convenienceFee,
+    total: quote.total,
+    bundleSnapshot: quote.bundle?.snapshot,
+    expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000),
+    usedAt: options.claim ? new Date() : null,
+  });
+
+  return { ...quote, quoteId: doc._id, expiresAt: doc.expiresAt };
+}
+
+/**
+ * Claims a stored quote for an order. The quote is re-priced and rejected
+ * (QUOTE_CHANGED, with the fresh quote attached) if anything moved since.
+ */
+export async function claimQuote(user, quoteId, { kind, gift = false } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(quoteId)) {
+    throw quoteError("Quote not found", "QUOTE_NOT_FOUND");
+  }
+
+  const stored = await Quote.findOne({ _id: quoteId, user: user._id }).lean();
+
+  if (!stored) throw quoteError("Quote not found", "QUOTE_NOT_FOUND");
+  if (stored.usedAt) throw quoteError("Quote has already been used", "QUOTE_USED");
+  if (stored.expiresAt <= new Date()) throw quoteError("Quote has expired", "QUOTE_EXPIRED");
+
+  const isMembership = stored.kind === "membership";
+  if (
+    (kind && (kind === "membership") !== isMembership) ||
+    Boolean(stored.input?.gift) !== Boolean(gift)
+  ) {
+    throw quoteError("Quote does not match this order", "QUOTE_MISMATCH");
+  }
+
+  const fresh = await buildQuote(user, { ...stored.input, currency: stored.currency });
+
+  if (
+    fresh.total !== stored.total ||
+    fresh.subtotal !== stored.subtotal ||
+    fresh.promo.discount !== stored.promoDiscount ||
+    fresh.tax !== stored.tax ||
+    fresh.lines.length !== stored.lines.length
+  ) {
+    const error = quoteError("Prices have changed since this quote was issued", "QUOTE_CHANGED");
+    error.quote = fresh;
+    throw error;
+  }
+
+  const claimed = await Quote.updateOne(
+    { _id: stored._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  if (claimed.modifiedCount !== 1) {
+    throw quoteError("Quote has already been used", "QUOTE_USED");
+  }
+
+  return { ...fresh, quoteId: stored._id, expiresAt: stored.expiresAt };
+}
+
+export async function linkQuoteToOrder(quoteId, orderId) {
+  await Quote.updateOne({ _id: quoteId }, { $set: { order: orderId } });
+}
+
+// Lets a claimed quote be used again when the order could not be created
+export async function releaseQuote(quoteId) {
+  await Quote.updateOne({ _id: quoteId, order: null }, { $set: { usedAt: null } });
+}
+
+/**
+ * Order item snapshots for the product lines of a quote.
+ */
+export function quoteToOrderItems(quote) {
+  return quote.lines
+    .filter((line) => line.kind === "product")
+    .map((line) => ({
+      product: line.product,
+      titleSnapshot: line.title,
+      priceSnapshot: line.amount,
+      mrpSnapshot: line.mrp,
+      currencySnapshot: line.currency,
+      discountPercentSnapshot: line.discountPercent,
+      promoDiscountSnapshot: line.promoDiscount,
+      taxSnapshot: line.tax,
+      sale: line.sale || null,
+    }));
+}
+
+/**
+ * Public shape of a quote (API responses).
+ */
+export function serializeQuote(quote) {
+  return {
+    quoteId: quote.quoteId || null,
+    expiresAt: quote.expiresAt || null,
+    kind: quote.kind,
+    currency: quote.currency,
+    lines: quote.lines.map((line) => ({
+      kind: line.kind,
+      productId: line.product || undefined,
+      planKey: line.planKey || undefined,
+      title: line.title,
+      unitPrice: line.unitPrice,
+      quantity: line.quantity,
+      mrp: line.mrp,
+      credit: line.credit || undefined,
+      sale: line.sale ? { id: line.sale, endsAt: line.saleEndsAt } : undefined,
+      amount: line.amount,
+      promoDiscount: line.promoDiscount,
+      taxableValue: line.taxableValue,
+      tax: line.tax,
+      total: line.total,
+    })),
+    subtotal: quote.subtotal,
+    promo: {
+      code: quote.promo.code,
+      discount: quote.promo.discount,
+      error: quote.promo.error,
+    },
+    tax: quote.tax,
+    taxBreakdown: quote.taxBreakdown || undefined,
+    convenienceFee: quote.convenienceFee,
+    total: quote.total,
+    bundle: quote.bundle
+      ? { id: quote.bundle.id, ...quote.bundle.snapshot, ownedProductIds: quote.bundle.ownedProductIds }
+      : undefined,
+    membership: quote.membership || undefined,
+    gift: quote.input?.gift || undefined,
+  };
+}
@@ -0,0 +1,383 @@
+// services/productSearch.service.js
+import mongoose from "mongoose";
+import Product, { LISTED_VISIBILITIES } from "../models/Product.model.js";
+
+/* ============================================================
+   CONSTANTS
+============================================================ */
+
+// Upper bounds (exclusive) of the price buckets shown in the shop sidebar.
+// Anything at or above the last boundary falls into the "5000+" bucket.
+const PRICE_BUCKET_BOUNDARIES = [0, 500, 1000, 2500, 5000];
+const PRICE_BUCKET_OVERFLOW = "5000+";
+
+const MAX_TAG_FACETS = 30;
+const MAX_LIMIT = 50;
+
+// MongoDB "IndexNotFound" - thrown by $text when the text index is missing
+const TEXT_INDEX_MISSING_CODE = 27;
+
+/* ============================================================
+   QUERY PARSING
+============================================================ */
+
+function escapeRegex(value) {
+  return value.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+}
+
+function parseList(raw) {
+  if (raw == null) return [];
+  const values = Array.isArray(raw) ? raw : String(raw).split(",");
+  return values.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function parseNumber(raw) {
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseBoolean(raw) {
+  if (raw === true || raw === "true") return true;
+  if (raw === false || raw === "false") return false;
+  return null;
+}
+
+/**
+ * Builds the public catalog filter from request query params.
+ * Shared by the search endpoint and the paginated product listing.
+ *
+ * Supported params: category, genre, mood, tags, collectionType, formats,
+ * licenseTier (comma lists), minPrice, maxPrice, minRating, isExclusive.
+ */
+export function buildCatalogFilter(query = {}) {
+  const filter = { visibility: { $in: LISTED_VISIBILITIES } };
+
+  const listFilters = {
+    category: parseList(query.category),
+    genre: parseList(query.genre),
+    mood: parseList(query.mood),
+    tags: parseList(query.tags),
+    collectionType: parseList(query.collectionType),
+    formats: parseList(query.formats).map((v) => v.toLowerCase()),
+    licenseTier: parseList(query.licenseTier).map((v) => v.toLowerCase()),
+  };
+
+  for (const [field, values] of Object.entries(listFilters)) {
+    if (values.length) filter[field] = { $in: values };
+  }
+
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  if (minPrice !== null || maxPrice !== null) {
+    filter.price = {};
+    if (minPrice !== null) filter.price.$gte = minPrice;
+    if (maxPrice !== null) filter.price.$lte = maxPrice;
+  }
+
+  const minRating = parseNumber(query.minRating);
+  if (minRating !== null) {
+    filter.averageRating = { $gte: minRating };
+  }
+
+  const isExclusive = parseBoolean(query.isExclusive);
+  if (isExclusive !== null) {
+    filter.isExclusive = isExclusive;
+  }
+
+  return filter;
+}
+
+/**
+ * Maps the public `sort` param to a Mongo sort spec.
+ * "relevance" is only meaningful for text searches; it falls back to latest.
+ */
+export function resolveCatalogSort(sortParam = "latest", { hasTextScore = false } = {}) {
+  switch (sortParam) {
+    case "relevance":
+      return hasTextScore
+        ? { score: { $meta: "textScore" }, createdAt: -1, _id: -1 }
+        : { createdAt: -1, _id: -1 };
+    case "price-low":
+      return { price: 1, _id: 1 };
+    case "price-high":
+      return { price: -1, _id: -1 };
+    case "rating":
+      return { averageRating: -1, createdAt: -1, _id: -1 };
+    case "most-wishlisted":
+      return { favoriteCount: -1, createdAt: -1, _id: -1 };
+    case "oldest":
+      return { createdAt: 1, _id: 1 };
+    case "latest":
+    default:
+      return { createdAt: -1, _id: -1 };
+  }
+}
+
+/* ============================================================
+   CURSOR PAGINATION
+============================================================ */
+
+// Single sort key per option (+ _id tie-breaker) so the cursor stays stable.
+const CURSOR_SORTS = {
+  latest: { field: "createdAt", dir: -1 },
+  oldest: { field: "createdAt", dir: 1 },
+  "price-low": { field: "price", dir: 1 },
+  "price-high": { field: "price", dir: -1 },
+  rating: { field: "averageRating", dir: -1 },
+  "most-wishlisted": { field: "favoriteCount", dir: -1 },
+};
+
+export function encodeCursor(doc, sortKey) {
+  const { field } = CURSOR_SORTS[sortKey];
+  const raw = doc[field];
+  const payload = {
+    s: sortKey,
+    v: raw instanceof Date ? raw.toISOString() : raw ?? null,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * @returns {{ v: any, id: mongoose.Types.ObjectId } | null} null if the cursor
+ * is malformed or was issued for a different sort order.
+ */
+export function decodeCursor(cursor, sortKey) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!payload || payload.s !== sortKey || !mongoose.Types.ObjectId.isValid(payload.id)) {
+      return null;
+    }
+
+    const { field } = CURSOR_SORTS[sortKey];
+    let v = payload.v;
+    if (field === "createdAt") {
+      v = new Date(v);
+      if (Number.isNaN(v.getTime())) return null;
+    } else if (typeof v !== "number") {
+      return null;
+    }
+
+    return { v, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every listed product matching the filters, in `sort` order: the unpaged
+ * listing for clients that send neither `cursor` nor `limit`.
+ */
+export async function listCatalog(query = {}) {
+  const sortParam = (query.sort || "latest").toString();
+  const { field, dir } = CURSOR_SORTS[sortParam] || CURSOR_SORTS.latest;
+
+  return Product.find(buildCatalogFilter(query))
+    .sort({ [field]: dir, _id: dir })
+    .lean();
+}
+
+/**
+ * Keyset-paginated public listing. Returns `invalidCursor: true` instead of
+ * throwing so the controller can answer with a 400.
+ *
+ * @returns {Promise<{ items: Object[], nextCursor: string|null, limit: number, sort: string, invalidCursor?: boolean }>}
+ */
+export async function listCatalogPage(query = {}) {
+  const sortParam = (query.sort || "latest").toString();
+  const sortKey = CURSOR_SORTS[sortParam] ? sortParam : "latest";
+  const { field, dir } = CURSOR_SORTS[sortKey];
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || 24, 1), MAX_LIMIT);
+
+  const filter = buildCatalogFilter(query);
+  const conditions = [filter];
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sortKey);
+    if (!cursor) {
+      return { items: [], nextCursor: null, limit, sort: sortKey, invalidCursor: true };
+    }
+
+    const op = dir === 1 ? "$gt" : "$lt";
+    conditions.push({
+      $or: [
+        { [field]: { [op]: cursor.v } },
+        { [field]: cursor.v, _id: { [op]: cursor.id } },
+      ],
+    });
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const items = await Product.find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort({ [field]: dir, _id: dir })
+    .limit(limit + 1);
+
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items.at(-1), sortKey) : null,
+    limit,
+    sort: sortKey,
+  };
+}
+
+/* ============================================================
+   FACETS
+============================================================ */
+
+function countBy(field, { unwind = false, limit } = {}) {
+  const stages = [];
+  if (unwind) stages.push({ $unwind: `$${field}` });
+  stages.push(
+    { $match: { [field]: { $nin: [null, ""] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  );
+  if (limit) stages.push({ $limit: limit });
+  stages.push({ $project: { _id: 0, value: "$_id", count: 1 } });
+  return stages;
+}
+
+function buildFacetStages({ sort, skip, limit }) {
+  return {
+    items: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+    total: [{ $count: "count" }],
+    category: countBy("category"),
+    genre: countBy("genre"),
+    mood: countBy("mood", { unwind: true }),
+    tags: countBy("tags", { unwind: true, limit: MAX_TAG_FACETS }),
+    formats: countBy("formats", { unwind: true }),
+    licenseTier: countBy("licenseTier"),
+    price: [
+      {
+        $bucket: {
+          groupBy: "$price",
+          boundaries: PRICE_BUCKET_BOUNDARIES,
+          default: PRICE_BUCKET_OVERFLOW,
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ],
+    isExclusive: [
+      { $group: { _id: { $ifNull: ["$isExclusive", false] }, count: { $sum: 1 } } },
+      { $project: { _id: 0, value: "$_id", count: 1 } },
+    ],
+  };
+}
+
+function formatPriceBuckets(rows = []) {
+  return rows.map((row) => {
+    if (row._id === PRICE_BUCKET_OVERFLOW) {
+      const min = PRICE_BUCKET_BOUNDARIES.at(-1);
+      return { label: PRICE_BUCKET_OVERFLOW, min, max: null, count: row.count };
+    }
+
+    const idx = PRICE_BUCKET_BOUNDARIES.indexOf(row._id);
+    const min = row._id;
+    const max = PRICE_BUCKET_BOUNDARIES[idx + 1];
+    return { label: `${min}-${max}`, min, max, count: row.count };
+  });
+}
+
+/* ============================================================
+   SEARCH
+============================================================ */
+
+async function runFacetedAggregate({ match, textSearch, sortParam, skip, limit }) {
+  const sort = resolveCatalogSort(sortParam, { hasTextScore: textSearch });
+
+  const pipeline = [{ $match: match }];
+  if (textSearch) {
+    pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+  }
+  pipeline.push(
+    { $project: { download: 0 } },
+    { $facet: buildFacetStages({ sort, skip, limit }) }
+  );
+
+  const [result] = await Product.aggregate(pipeline);
+  return result || {};
+}
+
+/**
+ * Full-text catalog search with facet counts.
+ *
+ * Uses the Product text index (relevance ranked). If the index is not
+ * available (e.g. autoIndex disabled and not yet built) it falls back to an
+ * escaped, case-insensitive regex over the same fields.
+ *
+ * @returns {Promise<{ items: Object[], total: number, page: number, limit: number, facets: Object }>}
+ */
+export async function searchCatalog(query = {}) {
+  const q = (query.q || "").toString().trim();
+  const sortParam = (query.sort || (q ? "relevance" : "latest")).toString();
+  const page = Math.max(Number.parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || 12, 1), MAX_LIMIT);
+  const skip = (page - 1) * limit;
+
+  const filter = buildCatalogFilter(query);
+
+  let result;
+  if (q) {
+    try {
+      result = await runFacetedAggregate({
+        match: { ...filter, $text: { $search: q } },
+        textSearch: true,
+        sortParam,
+        skip,
+        limit,
+      });
+    } catch (err) {
+      if (err?.code !== TEXT_INDEX_MISSING_CODE) throw err;
+
+      console.warn("[Search] Text index missing, falling back to regex search");
+      const regex = new RegExp(escapeRegex(q), "i");
+      result = await runFacetedAggregate({
+        match: {
+          ...filter,
+          $or: [
+            { title: regex },
+            { category: regex },
+            { genre: regex },
+            { tags: regex },
+            { mood: regex },
+          ],
+        },
+        textSearch: false,
+        sortParam,
+        skip,
+        limit,
+      });
+    }
+  } else {
+    result = await runFacetedAggregate({
+      match: filter,
+      textSearch: false,
+      sortParam,
+      skip,
+      limit,
+    });
+  }
+
+  const items = (result.items || []).map((doc) => Product.hydrate(doc));
+
+  return {
+    items,
+    total: result.total?.[0]?.count || 0,
+    page,
+    limit,
+    facets: {
+      category: result.category || [],
+      genre: result.genre || [],
+      mood: result.mood || [],
+      tags: result.tags || [],
+      formats: result.formats || [],
+      licenseTier: result.licenseTier || [],
+      price: formatPriceBuckets(result.price),
+      isExclusive: result.isExclusive || [],
+    },
+  };
+}
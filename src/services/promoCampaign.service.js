@@ -0,0 +1,216 @@
+// services/promoCampaign.service.js
+import crypto from "node:crypto";
+import mongoose from "mongoose";
+import PromoCode from "../models/PromoCode.model.js";
+import PromoRedemption from "../models/PromoRedemption.model.js";
+
+// No 0/O/1/I so codes survive being read out or typed from a story
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INSERT_BATCH = 1000;
+const MAX_STALLS = 5;
+
+function randomCode(prefix, length) {
+  let suffix = "";
+  for (let i = 0; i < length; i += 1) {
+    suffix += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `${prefix}_${suffix}`;
+}
+
+function isDuplicateKeyOnly(err) {
+  if (err?.code === 11000) return true;
+  return Array.isArray(err?.writeErrors) && err.writeErrors.length > 0
+    && err.writeErrors.every((e) => (e.code ?? e.err?.code) === 11000);
+}
+
+/**
+ * Generates `campaign.quantity` unique single-use codes carrying `rules`.
+ * Collisions (with any existing code) are retried with fresh codes.
+ *
+ * @returns {Promise<number>} how many codes the campaign now has
+ */
+export async function generateCampaignCodes(campaign, rules) {
+  let created = await PromoCode.countDocuments({ campaign: campaign._id });
+  let stalls = 0;
+
+  while (created < campaign.quantity && stalls < MAX_STALLS) {
+    const batchSize = Math.min(campaign.quantity - created, INSERT_BATCH);
+
+    const codes = new Set();
+    while (codes.size < batchSize) {
+      codes.add(randomCode(campaign.prefix, campaign.codeLength));
+    }
+
+    const docs = [...codes].map((code) => ({
+      ...rules,
+      code,
+      usageLimit: 1,
+      usedCount: 0,
+      isActive: true,
+      campaign: campaign._id,
+    }));
+
+    try {
+      await PromoCode.insertMany(docs, { ordered: false });
+    } catch (err) {
+      // Collisions only: the rest of the batch was inserted, top up next round
+      if (!isDuplicateKeyOnly(err)) throw err;
+    }
+
+    const total = await PromoCode.countDocuments({ campaign: campaign._id });
+    stalls = total > created ? 0 : stalls + 1;
+    created = total;
+  }
+
+  return created;
+}
+
+/**
+ * Redemption / revenue totals per campaign, keyed by campaign id.
+ * Revenue is what was actually charged on paid orders that used a code.
+ */
+export async function getCampaignStats(campaignIds) {
+  const ids = campaignIds.map((id) => new mongoose.Types.ObjectId(id.toString()));
+
+  const [codes, redemptions] = await Promise.all([
+    PromoCode.aggregate([
+      { $match: { campaign: { $in: ids } } },
+      {
+        $group: {
+          _id: "$campaign",
+          codes: { $sum: 1 },
+          activeCodes: { $sum: { $cond: ["$isActive", 1, 0] } },
+          usedCodes: { $sum: { $cond: [{ $gt: ["$usedCount", 0] }, 1, 0] } },
+        },
+      },
+    ]),
+    PromoRedemption.aggregate([
+      { $match: { campaign: { $in: ids } } },
+      {
+        $lookup: {
+          from: "orders",
+          localField: "order",
+          foreignField: "_id",
+          as: "order",
+          pipeline: [{ $project: { total: 1, status: 1 } }],
+        },
+      },
+      { $unwind: { path: "$order", preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: "$campaign",
+          redemptions: { $sum: 1 },
+          users: { $addToSet: "$user" },
+          discount: { $sum: "$discount" },
+          revenue: {
+            $sum: { $cond: [{ $eq: ["$order.status", "PAID"] }, "$order.total", 0] },
+          },
+          refunded: {
+            $sum: { $cond: [{ $in: ["$order.status", ["REFUND_INITIATED", "REFUNDED"]] }, 1, 0] },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const stats = new Map();
+  for (const id of ids) {
+    stats.set(id.toString(), {
+      codes: 0,
+      activeCodes: 0,
+      usedCodes: 0,
+      redemptions: 0,
+      uniqueUsers: 0,
+      totalDiscount: 0,
+      revenue: 0,
+      refundedRedemptions: 0,
+      redemptionRate: 0,
+    });
+  }
+
+  for (const row of codes) {
+    Object.assign(stats.get(row._id.toString()), {
+      codes: row.codes,
+      activeCodes: row.activeCodes,
+      usedCodes: row.usedCodes,
+    });
+  }
+
+  for (const row of redemptions) {
+    Object.assign(stats.get(row._id.toString()), {
+      redemptions: row.redemptions,
+      uniqueUsers: row.users.length,
+      totalDiscount: Number(row.discount.toFixed(2)),
+      revenue: Number(row.revenue.toFixed(2)),
+      refundedRedemptions: row.refunded,
+    });
+  }
+
+  for (const entry of stats.values()) {
+    entry.redemptionRate = entry.codes
+      ? Number(((entry.usedCodes / entry.codes) * 100).toFixed(2))
+      : 0;
+  }
+
+  return stats;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replaceAll('"', '""')}"` : str;
+}
+
+/**
+ * CSV of every code in a campaign with its redemption (if any).
+ */
+export async function buildCampaignCsv(campaignId) {
+  const [codes, redemptions] = await Promise.all([
+    PromoCode.find({ campaign: campaignId })
+      .select("code isActive usedCount startsAt expiresAt")
+      .sort({ createdAt: 1, _id: 1 })
+      .lean(),
+    PromoRedemption.find({ campaign: campaignId })
+      .populate("user", "email")
+      .select("promo user order discount redeemedAt")
+      .lean(),
+  ]);
+
+  const byPromo = new Map(redemptions.map((r) => [r.promo.toString(), r]));
+  const now = new Date();
+
+  const header = [
+    "code",
+    "status",
+    "starts_at",
+    "expires_at",
+    "redeemed_at",
+    "redeemed_by",
+    "order_id",
+    "discount",
+  ];
+
+  const rows = codes.map((promo) => {
+    const redemption = byPromo.get(promo._id.toString());
+
+    let status = "available";
+    if (promo.usedCount > 0) status = "redeemed";
+    else if (!promo.isActive) status = "inactive";
+    else if (promo.expiresAt && promo.expiresAt < now) status = "expired";
+
+    return [
+      promo.code,
+      status,
+      promo.startsAt,
+      promo.expiresAt,
+      redemption?.redeemedAt,
+      redemption?.user?.email,
+      redemption?.order,
+      redemption?.discount,
+    ]
+      .map(csvCell)
+      .join(",");
+  });
+
+  return [header.join(","), ...rows].join("\n") + "\n";
+}
@@ -5,4 +5,14 @@ const razorpay = new Razorpay({
   key_secret: process.env.RAZORPAY_KEY_SECRET,
 });
 
+// Development: send API calls to a local mock (npm run mock:razorpay)
+if (process.env.RAZORPAY_API_URL) {
+  if (razorpay.api?.rq?.defaults) {
+    razorpay.api.rq.defaults.baseURL = process.env.RAZORPAY_API_URL;
+    console.warn(`[RAZORPAY] Using API at ${process.env.RAZORPAY_API_URL}`);
+  } else {
+    console.warn("[RAZORPAY] RAZORPAY_API_URL ignored: unsupported SDK version");
+  }
+}
+
 export default razorpay;
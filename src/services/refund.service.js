@@ -1,6 +1,8 @@
 // services/refund.service.js
 import Razorpay from "razorpay";
 import Order from "../models/Order.model.js";
+import { creditWallet } from "./wallet.service.js";
+import { round2 } from "../utils/money.js";
 
 /* --------------------------------------------------
    RAZORPAY CLIENT (SAFE INIT)
@@ -16,8 +18,11 @@ const razorpay = new Razorpay({
 
 /* --------------------------------------------------
    INITIATE REFUND (IDEMPOTENT & SAFE)
+   The card part goes back through Razorpay and the wallet
+   part back to the wallet; `toWallet` puts all of it in
+   the wallet instead.
 -------------------------------------------------- */
-export const initiateRefund = async (order) => {
+export const initiateRefund = async (order, { toWallet = false } = {}) => {
   if (!order || !order.paymentId) {
     throw new Error("Invalid order or missing paymentId");
   }
@@ -45,19 +50,18 @@ export const initiateRefund = async (order) => {
     throw new Error("Refund already in progress or completed");
   }
 
+  const walletPart = toWallet ? locked.total : round2(locked.walletApplied || 0);
+  const cardPart = round2(locked.total - walletPart);
+
+  let refund = null;
+
   try {
-    const refund = await razorpay.payments.refund(locked.paymentId, {
-      amount: Math.round(locked.total * 100),
-      speed: "optimum",
-    });
-
-    locked.paymentRaw = {
-      ...locked.paymentRaw,
-      refundRequest: refund,
-    };
-
-    await locked.save();
-    return refund;
+    if (cardPart > 0) {
+      refund = await razorpay.payments.refund(locked.paymentId, {
+        amount: Math.round(cardPart * 100),
+        speed: "optimum",
+      });
+    }
   } catch (err) {
     console.error("Refund API failed:", err);
 
@@ -78,4 +82,55 @@ export const initiateRefund = async (order) => {
 
     throw err;
   }
+
+  let walletCredit = null;
+
+  if (walletPart > 0) {
+    try {
+      // Unique (order, reason) in the ledger: a retry never credits twice
+      walletCredit = await creditWallet(locked.user, walletPart, {
+        reason: "REFUND",
+        order: locked._id,
+        note: toWallet ? "Order refunded to wallet" : "Wallet part of refunded order",
+      });
+    } catch (err) {
+      // Card refund (if any) is already on its way; leave REFUND_INITIATED for follow-up
+      console.error(`[WALLET] refund credit failed for order ${locked._id}:`, err);
+      await Order.updateOne(
+        { _id: locked._id },
+        {
+          $push: {
+            "paymentRaw.refundErrors": {
+              message: `Wallet credit failed: ${err.message}`,
+              at: new Date(),
+            },
+          },
+        }
+      );
+      throw err;
+    }
+  }
+
+  locked.paymentRaw = {
+    ...locked.paymentRaw,
+    refundRequest: refund || undefined,
+    walletRefund: walletPart > 0
+      ? { amount: walletPart, transactionId: walletCredit?.transaction?._id }
+      : undefined,
+  };
+
+  // Nothing to wait for from Razorpay
+  if (cardPart <= 0) {
+    locked.status = "REFUNDED";
+    locked.paymentRaw.refundCompletedAt = new Date();
+  }
+
+  await locked.save();
+
+  return {
+    id: refund?.id || walletCredit?.transaction?._id?.toString() || null,
+    cardAmount: cardPart,
+    walletAmount: walletPart,
+    razorpay: refund,
+  };
 };
@@ -0,0 +1,441 @@
+// services/remixRequest.service.js
+import path from "node:path";
+import RemixRequest from "../models/RemixRequest.model.js";
+import Product, { LISTED_VISIBILITIES } from "../models/Product.model.js";
+import User from "../models/User.model.js";
+import { sendEmail } from "../utils/mailer.js";
+import { getActiveTemplate, renderEmail } from "../utils/emailTemplate.js";
+import { createUploadUrl, generateKey, headObject } from "./s3Service.js";
+import { resolveDeliverableUrl } from "./download.service.js";
+import { getActiveMembership } from "./order.service.js";
+import { currentUsage } from "./membership.service.js";
+import {
+  buildRemixDeliveredSubject,
+  buildRemixDeliveredEmailHtml,
+  buildRemixRejectedSubject,
+  buildRemixRejectedEmailHtml,
+} from "../templates/emailTemplates.js";
+
+/*
+ * Remix requests: a member asks for a remix of a product, counted against
+ * the plan's remixRequestsPerMonth (membershipUsage.remixRequestsUsed, same
+ * calendar-month period as downloads). Admins work the queue:
+ *
+ *   NEW ─▶ ACCEPTED ─▶ IN_PROGRESS ─▶ DELIVERED
+ *    └────────┴────────────┴──────────▶ REJECTED
+ *
+ * Reference files and deliveries are uploaded straight to S3 with presigned
+ * PUTs and only ever handed out as presigned GETs. A delivered remix shows
+ * up in the member's library; a rejection gives the request back if the
+ * usage period has not turned since.
+ */
+
+const REFERENCE_MAX_BYTES =
+  Math.max(Number(process.env.REMIX_REFERENCE_MAX_MB ?? 200) || 0, 1) * 1024 * 1024;
+
+const CLAIM_ATTEMPTS = 3;
+
+const TRANSITIONS = {
+  NEW: ["ACCEPTED", "REJECTED"],
+  ACCEPTED: ["IN_PROGRESS", "REJECTED"],
+  IN_PROGRESS: ["DELIVERED", "REJECTED"],
+  DELIVERED: [],
+  REJECTED: [],
+};
+
+const TEMPLATES = {
+  DELIVERED: {
+    key: "REMIX_DELIVERED",
+    buildSubject: buildRemixDeliveredSubject,
+    buildHtml: buildRemixDeliveredEmailHtml,
+  },
+  REJECTED: {
+    key: "REMIX_REJECTED",
+    buildSubject: buildRemixRejectedSubject,
+    buildHtml: buildRemixRejectedEmailHtml,
+  },
+};
+
+function remixError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.remixError = true;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+function referenceFolder(userId) {
+  return `remix-references/${userId}`;
+}
+
+function deliveryFolder(requestId) {
+  return `remix-deliveries/${requestId}`;
+}
+
+/**
+ * Checks an uploaded object is where the caller was allowed to put it and
+ * returns what S3 knows about it.
+ */
+async function verifyUpload(file, folder, maxBytes = null) {
+  if (!file?.key?.startsWith(`${folder}/`)) {
+    throw remixError("File does not belong to this request", "REMIX_FILE_INVALID");
+  }
+
+  let head;
+  try {
+    head = await headObject(file.key);
+  } catch {
+    throw remixError("File has not been uploaded", "REMIX_FILE_MISSING");
+  }
+
+  const size = Number(head.ContentLength) || 0;
+  if (maxBytes && size > maxBytes) {
+    throw remixError("File is too large", "REMIX_FILE_TOO_LARGE", {
+      maxBytes,
+    });
+  }
+
+  return {
+    key: file.key,
+    filename: file.filename || path.basename(file.key),
+    contentType: head.ContentType || file.contentType || "",
+    size,
+  };
+}
+
+/* =========================================================
+   QUOTA
+   ========================================================= */
+
+/**
+ * The member's plan and how many requests it leaves this month.
+ */
+async function remixAllowance(userId) {
+  const user = await User.findById(userId)
+    .select("+isDeleted +isBanned membership membershipUsage")
+    .lean();
+
+  if (!user || user.isDeleted || user.isBanned) {
+    throw new Error("Invalid user state");
+  }
+
+  const { planKey, meta } = await getActiveMembership(user);
+  if (!meta) {
+    throw remixError("Active membership required.", "NO_MEMBERSHIP");
+  }
+
+  const limit = meta.remixRequestsPerMonth || 0;
+  if (limit <= 0) {
+    throw remixError(`Remix requests are not included in the ${meta.name || planKey} plan.`, "REMIX_NOT_IN_PLAN");
+  }
+
+  const usage = currentUsage(user.membershipUsage);
+
+  return { user, planKey, limit, usage, remaining: Math.max(limit - usage.remixRequestsUsed, 0) };
+}
+
+/**
+ * Counts one request against this month's allowance, atomically. Returns the
+ * periodStart it was counted in.
+ */
+async function claimRemixRequest(userId) {
+  for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt += 1) {
+    const { user, planKey, limit, usage } = await remixAllowance(userId);
+
+    if (usage.remixRequestsUsed >= limit) {
+      throw remixError(`Monthly remix request limit reached (${limit}/${limit}).`, "REMIX_LIMIT_REACHED", {
+        limit,
+      });
+    }
+
+    const storedPeriod = user.membershipUsage?.periodStart ?? null;
+    const newPeriod = !storedPeriod || new Date(storedPeriod).getTime() !== usage.periodStart.getTime();
+
+    // A download resetting the period first makes this miss; re-read and retry
+    const claimed = newPeriod
+      ? await User.updateOne(
+          { _id: userId, "membershipUsage.periodStart": storedPeriod },
+          { $set: { membershipUsage: { ...usage, remixRequestsUsed: 1 } } }
+        )
+      : await User.updateOne(
+          {
+            _id: userId,
+            "membershipUsage.periodStart": usage.periodStart,
+            "membershipUsage.remixRequestsUsed": { $not: { $gte: limit } },
+          },
+          { $inc: { "membershipUsage.remixRequestsUsed": 1 } }
+        );
+
+    if (claimed.modifiedCount > 0) {
+      return { planKey, periodStart: usage.periodStart };
+    }
+  }
+
+  throw remixError("Your membership usage changed meanwhile. Please try again.", "REMIX_CONFLICT");
+}
+
+// Gives a request back, unless its usage period is over
+async function releaseRemixRequest(userId, periodStart) {
+  await User.updateOne(
+    {
+      _id: userId,
+      "membershipUsage.periodStart": periodStart,
+      "membershipUsage.remixRequestsUsed": { $gt: 0 },
+    },
+    { $inc: { "membershipUsage.remixRequestsUsed": -1 } }
+  );
+}
+
+export async function getRemixAllowance(userId) {
+  const { planKey, limit, usage, remaining } = await remixAllowance(userId);
+  return { planKey, limit, used: usage.remixRequestsUsed, remaining, periodStart: usage.periodStart };
+}
+
+/* =========================================================
+   MEMBER
+   ========================================================= */
+
+/**
+ * Presigned PUT for a reference file. Members with no requests left are
+ * turned away here already.
+ */
+export async function createReferenceUploadUrl(userId, { filename, contentType, size }) {
+  const { limit, remaining } = await remixAllowance(userId);
+
+  if (remaining <= 0) {
+    throw remixError(`Monthly remix request limit reached (${limit}/${limit}).`, "REMIX_LIMIT_REACHED", {
+      limit,
+    });
+  }
+
+  if (size && size > REFERENCE_MAX_BYTES) {
+    throw remixError("File is too large", "REMIX_FILE_TOO_LARGE", { maxBytes: REFERENCE_MAX_BYTES });
+  }
+
+  const key = generateKey({ folder: referenceFolder(userId), filename });
+  const { uploadUrl, expiresIn } = await createUploadUrl({ key, contentType });
+
+  return { uploadUrl, key, expiresIn, maxBytes: REFERENCE_MAX_BYTES };
+}
+
+export async function submitRemixRequest(userId, { productId, notes, referenceLinks = [], referenceFile = null }) {
+  const product = await Product.findOne({
+    _id: productId,
+    visibility: { $in: LISTED_VISIBILITIES },
+  })
+    .select("_id title")
+    .lean();
+
+  if (!product) {
+    throw remixError("Product not found", "REMIX_PRODUCT_NOT_FOUND");
+  }
+
+  const reference = referenceFile
+    ? await verifyUpload(referenceFile, referenceFolder(userId), REFERENCE_MAX_BYTES)
+    : null;
+
+  const { planKey, periodStart } = await claimRemixRequest(userId);
+
+  try {
+    const request = await RemixRequest.create({
+      user: userId,
+      product: product._id,
+      planKey,
+      usagePeriodStart: periodStart,
+      notes,
+      referenceLinks,
+      referenceFile: reference,
+      statusHistory: [{ status: "NEW", by: userId }],
+    });
+
+    console.log(`[REMIX] request ${request._id} for product ${product._id} by user ${userId}`);
+
+    return request.toObject();
+  } catch (err) {
+    await releaseRemixRequest(userId, periodStart);
+    throw err;
+  }
+}
+
+export async function getRemixRequestForUser(userId, requestId) {
+  const request = await RemixRequest.findOne({ _id: requestId, user: userId })
+    .populate({ path: "product", select: "title slug thumbnail" })
+    .lean();
+
+  if (!request) {
+    throw remixError("Remix request not found", "REMIX_NOT_FOUND");
+  }
+
+  return request;
+}
+
+/**
+ * Short-lived URL for a delivered remix.
+ */
+export async function getRemixDownload(userId, requestId) {
+  const request = await RemixRequest.findOne({ _id: requestId, user: userId }).lean();
+
+  if (!request) {
+    throw remixError("Remix request not found", "REMIX_NOT_FOUND");
+  }
+
+  if (request.status !== "DELIVERED" || !request.delivery?.key) {
+    throw remixError("This remix has not been delivered yet", "REMIX_NOT_DELIVERED");
+  }
+
+  const url = await resolveDeliverableUrl({ type: "s3", key: request.delivery.key });
+  return { url, filename: request.delivery.filename };
+}
+
+/**
+ * Delivered remixes in the shape of library items (userController getMyLibrary).
+ */
+export async function getDeliveredRemixes(userId) {
+  const requests = await RemixRequest.find({ user: userId, status: "DELIVERED" })
+    .sort({ deliveredAt: -1 })
+    .populate({ path: "product", select: "title slug thumbnail" })
+    .lean();
+
+  return requests.map((request) => ({
+    id: request._id,
+    remixRequestId: request._id,
+    productId: request.product?._id ?? null,
+    title: `${request.product?.title || "Remix"} (Remix)`,
+    slug: request.product?.slug ?? null,
+    thumbnail: request.product?.thumbnail?.url || "",
+    previewAudio: "",
+    format: path.extname(request.delivery?.filename || "").slice(1).toUpperCase() || "Remix",
+    purchaseDate: request.deliveredAt,
+    source: "remix",
+  }));
+}
+
+/* =========================================================
+   ADMIN
+   ========================================================= */
+
+export async function getReferenceDownload(requestId) {
+  const request = await RemixRequest.findById(requestId).select("referenceFile").lean();
+
+  if (!request) {
+    throw remixError("Remix request not found", "REMIX_NOT_FOUND");
+  }
+
+  if (!request.referenceFile?.key) {
+    throw remixError("This request has no reference file", "REMIX_FILE_MISSING");
+  }
+
+  const url = await resolveDeliverableUrl({ type: "s3", key: request.referenceFile.key });
+  return { url, filename: request.referenceFile.filename };
+}
+
+/**
+ * Presigned PUT for the finished remix, once the request has been accepted.
+ */
+export async function createDeliveryUploadUrl(requestId, { filename, contentType }) {
+  const request = await RemixRequest.findById(requestId).select("status").lean();
+
+  if (!request) {
+    throw remixError("Remix request not found", "REMIX_NOT_FOUND");
+  }
+
+  if (!["ACCEPTED", "IN_PROGRESS"].includes(request.status)) {
+    throw remixError(`Cannot deliver a ${request.status} request`, "REMIX_INVALID_TRANSITION");
+  }
+
+  const key = generateKey({ folder: deliveryFolder(requestId), filename });
+  const { uploadUrl, expiresIn } = await createUploadUrl({ key, contentType });
+
+  return { uploadUrl, key, expiresIn };
+}
+
+/**
+ * Moves a request along the queue. DELIVERED needs the uploaded `delivery`
+ * file, REJECTED a `rejectionReason`. Both email the member.
+ */
+export async function updateRemixStatus(requestId, { status, note = "", rejectionReason = "", delivery = null }, adminId) {
+  const request = await RemixRequest.findById(requestId).lean();
+
+  if (!request) {
+    throw remixError("Remix request not found", "REMIX_NOT_FOUND");
+  }
+
+  if (!TRANSITIONS[request.status]?.includes(status)) {
+    throw remixError(
+      `Cannot move a remix request from ${request.status} to ${status}`,
+      "REMIX_INVALID_TRANSITION"
+    );
+  }
+
+  const now = new Date();
+  const set = { status };
+
+  if (status === "REJECTED") {
+    if (!rejectionReason) {
+      throw remixError("A rejection reason is required", "REMIX_REASON_REQUIRED");
+    }
+    set.rejectionReason = rejectionReason;
+  }
+
+  if (status === "DELIVERED") {
+    if (!delivery) {
+      throw remixError("Upload the finished remix first", "REMIX_FILE_MISSING");
+    }
+    set.delivery = await verifyUpload(delivery, deliveryFolder(requestId));
+    set.deliveredAt = now;
+  }
+
+  const updated = await RemixRequest.findOneAndUpdate(
+    { _id: requestId, status: request.status },
+    {
+      $set: set,
+      $push: { statusHistory: { status, note, by: adminId, at: now } },
+    },
+    { new: true }
+  )
+    .populate({ path: "user", select: "name email" })
+    .populate({ path: "product", select: "title slug" })
+    .lean();
+
+  if (!updated) {
+    throw remixError("The request changed meanwhile. Please reload it.", "REMIX_CONFLICT");
+  }
+
+  console.log(`[REMIX] request ${requestId} ${request.status} -> ${status} by admin ${adminId}`);
+
+  if (status === "REJECTED") {
+    await releaseRemixRequest(request.user, request.usagePeriodStart);
+  }
+
+  if (TEMPLATES[status]) {
+    sendRemixEmail(updated, TEMPLATES[status]).catch((err) =>
+      console.error(`[REMIX] ${status} email failed for request ${requestId}:`, err?.message || err)
+    );
+  }
+
+  return updated;
+}
+
+/* =========================================================
+   EMAIL
+   ========================================================= */
+
+async function sendRemixEmail(request, { key, buildSubject, buildHtml }) {
+  if (!request.user?.email) return;
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:8080";
+
+  const vars = {
+    CUSTOMER_NAME: request.user.name || "there",
+    PRODUCT_TITLE: request.product?.title || "your track",
+    REJECTION_REASON: request.rejectionReason || "",
+    LIBRARY_URL: `${clientUrl}/library`,
+    REQUEST_URL: `${clientUrl}/remix-requests/${request._id}`,
+  };
+
+  const template = await getActiveTemplate(key);
+
+  const { subject, html } = renderEmail(template, vars, { buildSubject, buildHtml });
+
+  await sendEmail({ to: request.user.email, subject, html });
+}
@@ -0,0 +1,116 @@
+// services/sale.service.js
+import Sale from "../models/Sale.model.js";
+import { round2 } from "../utils/money.js";
+
+/*
+ * Scheduled sales are applied on read: the catalog and the pricing engine ask
+ * for the sale price here instead of anyone editing Product.price.
+ */
+
+const CACHE_TTL = 60 * 1000;
+
+let cache = { loadedAt: 0, sales: [] };
+
+// Admin writes call this so changes show up immediately
+export function invalidateSalesCache() {
+  cache = { loadedAt: 0, sales: [] };
+}
+
+/**
+ * Sales running at `now`. The cache also holds sales starting within the TTL,
+ * and the window is checked per call, so sales start/end on the second.
+ */
+export async function getActiveSales(now = new Date()) {
+  if (Date.now() - cache.loadedAt > CACHE_TTL) {
+    const horizon = new Date(Date.now() + CACHE_TTL);
+    const sales = await Sale.find({
+      isActive: true,
+      startsAt: { $lte: horizon },
+      endsAt: { $gt: new Date() },
+    }).lean();
+
+    cache = { loadedAt: Date.now(), sales };
+  }
+
+  return cache.sales.filter((sale) => sale.startsAt <= now && sale.endsAt > now);
+}
+
+function saleTargets(sale, product) {
+  if (sale.sitewide) return true;
+
+  if ((sale.products || []).some((id) => id.toString() === product._id.toString())) {
+    return true;
+  }
+
+  const lower = (v) => String(v).toLowerCase();
+
+  if (product.category && (sale.categories || []).map(lower).includes(lower(product.category))) {
+    return true;
+  }
+
+  const productTags = new Set((product.tags || []).map(lower));
+  return (sale.tags || []).some((tag) => productTags.has(lower(tag)));
+}
+
+function discountedPrice(sale, price) {
+  if (sale.discountType === "percent") {
+    return round2(Math.max(0, price * (1 - sale.discountValue / 100)));
+  }
+  return round2(Math.max(0, price - sale.discountValue));
+}
+
+/**
+ * Best (lowest) sale price for a product among `sales`, or null when no sale
+ * applies. `mrp` is what the sale price is shown against.
+ *
+ * @returns {{ price: number, mrp: number, sale: { id, name, endsAt, discountPercent } } | null}
+ */
+export function resolveSalePrice(product, sales) {
+  if (typeof product?.price !== "number" || product.price <= 0) return null;
+
+  let best = null;
+  for (const sale of sales) {
+    if (!saleTargets(sale, product)) continue;
+
+    const price = discountedPrice(sale, product.price);
+    if (price >= product.price) continue;
+    if (!best || price < best.price) best = { price, sale };
+  }
+
+  if (!best) return null;
+
+  const mrp = Math.max(product.mrp || product.price, product.price);
+
+  return {
+    price: best.price,
+    mrp,
+    sale: {
+      id: best.sale._id,
+      name: best.sale.name,
+      endsAt: best.sale.endsAt,
+      discountPercent: Math.round(((mrp - best.price) / mrp) * 100),
+    },
+  };
+}
+
+/**
+ * Returns copies of (lean) products with sale prices applied. Products on
+ * sale get `listPrice` (the regular price) and `sale` set.
+ */
+export async function applySalePricing(products, now = new Date()) {
+  const sales = await getActiveSales(now);
+  if (sales.length === 0) return products;
+
+  return products.map((product) => {
+    const onSale = resolveSalePrice(product, sales);
+    if (!onSale) return product;
+
+    return {
+      ...product,
+      listPrice: product.price,
+      price: onSale.price,
+      mrp: onSale.mrp,
+      sale: onSale.sale,
+    };
+  });
+}
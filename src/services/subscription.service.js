@@ -0,0 +1,374 @@
+// services/subscription.service.js
+import crypto from "node:crypto";
+import Order from "../models/Order.model.js";
+import User from "../models/User.model.js";
+import MembershipPlan from "../models/MembershipPlan.model.js";
+import razorpay from "./razorpayClient.js";
+import {
+  billingSnapshot,
+  fetchUserSecurely,
+  markOrderPaidAndGrantAccess,
+} from "./order.service.js";
+import { getTaxConfig, placeOfSupply, taxLine, taxBreakdown } from "./tax.service.js";
+import { sendOrderPaidEmails } from "./orderEmail.service.js";
+import { applySubscriptionStatus, membershipState } from "./membership.service.js";
+import { round2 } from "../utils/money.js";
+
+/*
+ * Auto-renewing memberships on Razorpay Subscriptions. Each MembershipPlan
+ * with a `razorpayPlanId` can be subscribed to; Razorpay bills it monthly and
+ * every charge (subscription.charged) becomes a paid one-month membership
+ * Order, so renewals get the usual invoice, receipt and membership extension.
+ *
+ * User.subscription mirrors the Razorpay subscription. Cancelling stops
+ * billing at once; the period already paid for stays valid. Resuming starts
+ * a new subscription whose first charge falls when that period ends.
+ */
+
+// Razorpay requires a cycle count; 120 monthly cycles = 10 years
+const TOTAL_COUNT = Number(process.env.RAZORPAY_SUBSCRIPTION_TOTAL_COUNT || 120);
+
+// Statuses in which Razorpay may still charge the customer
+export const LIVE_SUBSCRIPTION_STATUSES = ["created", "authenticated", "active", "pending"];
+
+function subscriptionError(message, code) {
+  const error = new Error(message);
+  error.subscriptionError = true;
+  error.code = code;
+  return error;
+}
+
+function fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+function isLive(subscription) {
+  return Boolean(
+    subscription?.razorpaySubscriptionId &&
+      LIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)
+  );
+}
+
+// Plan the subscription bills now; it changes when a scheduled plan change lands
+async function subscriptionPlanKey(subscription, fallback) {
+  if (subscription.plan_id) {
+    const plan = await MembershipPlan.findOne({ razorpayPlanId: subscription.plan_id })
+      .select("key")
+      .lean();
+    if (plan) return plan.key;
+  }
+  return subscription.notes?.planKey || fallback;
+}
+
+export function toPublicSubscription(subscription) {
+  if (!subscription?.razorpaySubscriptionId) return null;
+
+  return {
+    id: subscription.razorpaySubscriptionId,
+    planKey: subscription.planKey,
+    status: subscription.status,
+    autoRenew: isLive(subscription),
+    currentPeriodEnd: subscription.currentPeriodEnd,
+    cancelledAt: subscription.cancelledAt,
+  };
+}
+
+/* =========================================================
+   START
+   ========================================================= */
+
+/**
+ * Creates the Razorpay subscription for `planKey`; the buyer authorises it in
+ * Checkout with the returned id. If the same plan is already paid up, the
+ * first charge is scheduled for when it runs out.
+ */
+export async function startSubscription(userId, planKey) {
+  await fetchUserSecurely(userId);
+
+  const key = String(planKey || "").trim().toUpperCase();
+  const plan = await MembershipPlan.findOne({ key, isActive: true }).lean();
+  if (!plan) {
+    throw new Error("Membership plan not found");
+  }
+
+  if (!plan.razorpayPlanId) {
+    throw subscriptionError(
+      "This plan cannot be billed automatically",
+      "SUBSCRIPTION_UNAVAILABLE"
+    );
+  }
+
+  const user = await User.findById(userId).select("membership subscription").lean();
+  const current = user.subscription;
+
+  if (isLive(current) && current.status !== "created") {
+    throw subscriptionError("You already have an active subscription", "SUBSCRIPTION_EXISTS");
+  }
+
+  const membership = user.membership || {};
+  const paidUntil = ["ACTIVE", "CANCELLED"].includes(membershipState(membership))
+    ? new Date(membership.expiresAt)
+    : null;
+
+  if (paidUntil && membership.planKey !== key) {
+    throw subscriptionError(
+      "You already have a different active membership plan",
+      "SUBSCRIPTION_PLAN_CONFLICT"
+    );
+  }
+
+  // Never authorised: replace it rather than leave two behind
+  if (current?.status === "created") {
+    await razorpay.subscriptions.cancel(current.razorpaySubscriptionId, false).catch((err) =>
+      console.warn("[SUBSCRIPTION] stale cancel failed:", err?.error?.description || err?.message)
+    );
+  }
+
+  const subscription = await razorpay.subscriptions.create({
+    plan_id: plan.razorpayPlanId,
+    total_count: TOTAL_COUNT,
+    customer_notify: 1,
+    ...(paidUntil ? { start_at: Math.floor(paidUntil.getTime() / 1000) } : {}),
+    notes: {
+      userId: String(userId),
+      planKey: key,
+    },
+  });
+
+  const saved = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { "subscription.status": { $nin: LIVE_SUBSCRIPTION_STATUSES } },
+        { "subscription.razorpaySubscriptionId": current?.razorpaySubscriptionId ?? null },
+      ],
+    },
+    {
+      $set: {
+        subscription: {
+          razorpaySubscriptionId: subscription.id,
+          planKey: key,
+          status: subscription.status,
+          currentPeriodEnd: paidUntil,
+          cancelledAt: null,
+        },
+      },
+    }
+  );
+
+  // Lost a race with a parallel checkout
+  if (saved.modifiedCount === 0) {
+    await razorpay.subscriptions.cancel(subscription.id, false).catch(() => {});
+    throw subscriptionError("You already have an active subscription", "SUBSCRIPTION_EXISTS");
+  }
+
+  console.log(`[SUBSCRIPTION] created ${subscription.id} (${key}) for user ${userId}`);
+
+  return { subscription, plan, startAt: paidUntil };
+}
+
+/* =========================================================
+   CHARGES
+   ========================================================= */
+
+/**
+ * Turns one subscription payment into a paid one-month membership Order and
+ * extends the membership. Idempotent per payment: the webhook and the
+ * Checkout verify call can both deliver it.
+ *
+ * @returns {Promise<Object|null>} the paid order
+ */
+export async function recordSubscriptionCharge(subscription, payment) {
+  const user = await User.findOne({
+    "subscription.razorpaySubscriptionId": subscription.id,
+  }).select("name billing subscription");
+
+  if (!user) {
+    console.warn(`[SUBSCRIPTION] charge for unknown subscription ${subscription.id}`);
+    return null;
+  }
+
+  const planKey = await subscriptionPlanKey(subscription, user.subscription.planKey);
+  const amount = round2(payment.amount / 100);
+
+  let order = await Order.findOne({ subscriptionId: subscription.id, paymentId: payment.id });
+
+  if (!order) {
+    // Plan amounts are what the card is charged, so GST is always carved out
+    const config = await getTaxConfig();
+    const inclusive = config ? { ...config, pricesIncludeTax: true } : null;
+    const supply = inclusive ? placeOfSupply(inclusive, user.billing) : null;
+    const line = inclusive
+      ? taxLine(amount, inclusive, supply)
+      : { taxableValue: amount, tax: 0, total: amount };
+
+    try {
+      order = await Order.create({
+        user: user._id,
+        items: [],
+        currency: payment.currency || "INR",
+        subtotal: amount,
+        tax: line.tax,
+        taxBreakdown: inclusive ? taxBreakdown(inclusive, supply, line) : undefined,
+        billing: billingSnapshot(user),
+        convenienceFee: 0,
+        total: amount,
+        status: "PENDING",
+        paymentProvider: "razorpay",
+        // paymentId keeps the auto-cancel job away while it is PENDING
+        paymentId: payment.id,
+        paymentOrderId: payment.order_id,
+        subscriptionId: subscription.id,
+        membershipPlanKey: planKey,
+        membershipMonths: 1,
+      });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      order = await Order.findOne({ subscriptionId: subscription.id, paymentId: payment.id });
+    }
+  }
+
+  const paid = await markOrderPaidAndGrantAccess({
+    orderId: order._id.toString(),
+    paymentId: payment.id,
+    paymentSignature: "razorpay-subscription",
+    paymentRaw: {
+      source: "razorpay-subscription",
+      subscriptionId: subscription.id,
+      payload: payment,
+    },
+  });
+
+  await syncSubscriptionStatus(subscription);
+  sendOrderPaidEmails(paid);
+
+  return paid;
+}
+
+/* =========================================================
+   STATUS
+   ========================================================= */
+
+/**
+ * Mirrors a Razorpay subscription entity onto its user and lets the
+ * membership follow (see membership.service applySubscriptionStatus).
+ */
+export async function syncSubscriptionStatus(subscription) {
+  const user = await User.findOne({
+    "subscription.razorpaySubscriptionId": subscription.id,
+  }).select("subscription");
+
+  if (!user) return null;
+
+  // Late events never reopen an ended subscription (resuming creates a new one)
+  const ended = ["cancelled", "completed"];
+  if (ended.includes(user.subscription.status) && !ended.includes(subscription.status)) {
+    return user.subscription;
+  }
+
+  user.subscription.status = subscription.status;
+  user.subscription.planKey = await subscriptionPlanKey(subscription, user.subscription.planKey);
+  if (subscription.current_end) {
+    user.subscription.currentPeriodEnd = fromUnix(subscription.current_end);
+  }
+
+  if (subscription.status === "cancelled") {
+    user.subscription.cancelledAt = fromUnix(subscription.ended_at) || new Date();
+  }
+
+  await user.save();
+  await applySubscriptionStatus(user._id, user.subscription.planKey, subscription.status);
+
+  return user.subscription;
+}
+
+/* =========================================================
+   CANCEL / RESUME
+   ========================================================= */
+
+export async function getSubscriptionState(userId) {
+  const user = await User.findById(userId).select("subscription").lean();
+  return user?.subscription || null;
+}
+
+/**
+ * Cancels billing immediately. Membership time already paid for is kept.
+ */
+export async function cancelSubscription(userId) {
+  const current = await getSubscriptionState(userId);
+
+  if (!isLive(current)) {
+    throw subscriptionError("No active subscription to cancel", "SUBSCRIPTION_NOT_ACTIVE");
+  }
+
+  const subscription = await razorpay.subscriptions.cancel(
+    current.razorpaySubscriptionId,
+    false
+  );
+
+  console.log(`[SUBSCRIPTION] cancelled ${subscription.id} for user ${userId}`);
+
+  return syncSubscriptionStatus(subscription);
+}
+
+/**
+ * Restarts billing on the plan of the last subscription. Returns the new
+ * subscription, which the buyer authorises in Checkout.
+ */
+export async function resumeSubscription(userId) {
+  const current = await getSubscriptionState(userId);
+
+  if (!current?.planKey) {
+    throw subscriptionError("No subscription to resume", "SUBSCRIPTION_NOT_FOUND");
+  }
+
+  if (isLive(current) && current.status !== "created") {
+    throw subscriptionError("Subscription is already active", "SUBSCRIPTION_EXISTS");
+  }
+
+  return startSubscription(userId, current.planKey);
+}
+
+/* =========================================================
+   CHECKOUT VERIFY
+   ========================================================= */
+
+/**
+ * Checks the Checkout signature for a subscription authorisation and, if
+ * that payment was already a charge, records it without waiting for the
+ * webhook.
+ */
+export async function verifySubscriptionCheckout(
+  userId,
+  { razorpaySubscriptionId, razorpayPaymentId, razorpaySignature }
+) {
+  const expected = crypto
+    .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+    .update(`${razorpayPaymentId}|${razorpaySubscriptionId}`)
+    .digest("hex");
+
+  if (expected !== razorpaySignature) {
+    throw subscriptionError("Invalid payment signature", "SUBSCRIPTION_SIGNATURE_INVALID");
+  }
+
+  const current = await getSubscriptionState(userId);
+  if (current?.razorpaySubscriptionId !== razorpaySubscriptionId) {
+    throw subscriptionError("Subscription not found", "SUBSCRIPTION_NOT_FOUND");
+  }
+
+  const [subscription, payment] = await Promise.all([
+    razorpay.subscriptions.fetch(razorpaySubscriptionId),
+    razorpay.payments.fetch(razorpayPaymentId),
+  ]);
+
+  // A deferred start only authorises the card; the first charge comes later
+  const isCharge = subscription.paid_count > 0 && payment.status === "captured";
+
+  const order = isCharge
+    ? await recordSubscriptionCharge(subscription, payment)
+    : null;
+
+  const state = order ? await getSubscriptionState(userId) : await syncSubscriptionStatus(subscription);
+
+  return { subscription: state, order };
+}
@@ -0,0 +1,157 @@
+// services/tax.service.js
+import SiteSettings from "../models/SiteSettings.model.js";
+import { round2 } from "../utils/money.js";
+
+/*
+ * GST for orders, configured in SiteSettings.tax. The pricing engine asks
+ * here for the tax on each line; the place of supply is the buyer's state
+ * (billing.stateCode), falling back to the supplier's state when unknown.
+ * Same state => CGST + SGST, other state => IGST, outside India => no GST
+ * (export of services).
+ */
+
+export const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+export const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+  "97": "Other Territory",
+};
+
+const CACHE_TTL = 60 * 1000;
+
+let cache = { loadedAt: 0, config: null };
+
+// Settings updates call this so a new rate applies immediately
+export function invalidateTaxConfigCache() {
+  cache = { loadedAt: 0, config: null };
+}
+
+/**
+ * Active tax configuration, or null when GST is switched off.
+ */
+export async function getTaxConfig() {
+  if (Date.now() - cache.loadedAt > CACHE_TTL) {
+    const settings = await SiteSettings.findOne({ key: "global" }).select("tax").lean();
+    const tax = settings?.tax;
+
+    const config = tax?.enabled && tax.gstin
+      ? {
+          gstin: tax.gstin,
+          legalName: tax.legalName || "",
+          supplierStateCode: tax.gstin.slice(0, 2),
+          rate: Number(tax.rate) || 0,
+          pricesIncludeTax: tax.pricesIncludeTax !== false,
+          sacCode: tax.sacCode || "",
+        }
+      : null;
+
+    cache = { loadedAt: Date.now(), config };
+  }
+
+  return cache.config;
+}
+
+/**
+ * Place of supply for a buyer (User.billing).
+ * @returns {{ stateCode: string|null, interState: boolean, exempt: boolean }}
+ */
+export function placeOfSupply(config, billing = {}) {
+  const country = (billing?.country || "IN").toUpperCase();
+  if (country !== "IN") {
+    return { stateCode: null, interState: false, exempt: true };
+  }
+
+  const stateCode = GST_STATE_CODES[billing?.stateCode]
+    ? billing.stateCode
+    : config.supplierStateCode;
+
+  return {
+    stateCode,
+    interState: stateCode !== config.supplierStateCode,
+    exempt: false,
+  };
+}
+
+/**
+ * GST on one line's payable amount (after promo). With inclusive pricing the
+ * tax is carved out of `amount`; otherwise it is added on top.
+ *
+ * @returns {{ taxableValue: number, tax: number, total: number }}
+ */
+export function taxLine(amount, config, supply) {
+  if (!config || supply.exempt || config.rate <= 0 || amount <= 0) {
+    return { taxableValue: round2(amount), tax: 0, total: round2(amount) };
+  }
+
+  const rate = config.rate / 100;
+
+  if (config.pricesIncludeTax) {
+    const taxableValue = round2(amount / (1 + rate));
+    return { taxableValue, tax: round2(amount - taxableValue), total: round2(amount) };
+  }
+
+  const tax = round2(amount * rate);
+  return { taxableValue: round2(amount), tax, total: round2(amount + tax) };
+}
+
+/**
+ * Order level breakdown for `tax` (the sum of line taxes).
+ */
+export function taxBreakdown(config, supply, { taxableValue, tax }) {
+  if (!config) return null;
+
+  const base = {
+    rate: supply.exempt ? 0 : config.rate,
+    pricesIncludeTax: config.pricesIncludeTax,
+    supplierGstin: config.gstin,
+    placeOfSupply: supply.stateCode,
+    interState: supply.interState,
+    exempt: supply.exempt,
+    taxableValue: round2(taxableValue),
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+  };
+
+  if (supply.exempt || tax <= 0) return base;
+
+  if (supply.interState) return { ...base, igst: round2(tax) };
+
+  const cgst = round2(tax / 2);
+  return { ...base, cgst, sgst: round2(tax - cgst) };
+}
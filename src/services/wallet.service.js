@@ -0,0 +1,165 @@
+// services/wallet.service.js
+import mongoose from "mongoose";
+import User from "../models/User.model.js";
+import Order from "../models/Order.model.js";
+import WalletTransaction from "../models/WalletTransaction.model.js";
+import { round2 } from "../utils/money.js";
+
+/*
+ * Store credit. User.walletBalance is the spendable balance and every change
+ * to it is written together with a WalletTransaction row in one transaction,
+ * so the ledger always adds up to the balance.
+ */
+
+export const WALLET_CURRENCY = "INR";
+
+function walletError(message, code) {
+  const error = new Error(message);
+  error.walletError = true;
+  error.code = code;
+  return error;
+}
+
+async function inTransaction(session, fn) {
+  if (session) return fn(session);
+
+  const own = await mongoose.startSession();
+  own.startTransaction();
+
+  try {
+    const result = await fn(own);
+    await own.commitTransaction();
+    return result;
+  } catch (error) {
+    await own.abortTransaction();
+    throw error;
+  } finally {
+    own.endSession();
+  }
+}
+
+/**
+ * Applies one ledger entry. Returns null when the (order, reason) entry
+ * already exists, i.e. the operation was done before.
+ */
+async function applyEntry(userId, entry, session) {
+  const amount = round2(entry.amount);
+  if (!(amount > 0)) {
+    throw walletError("Amount must be greater than zero", "WALLET_INVALID_AMOUNT");
+  }
+
+  try {
+    return await inTransaction(session, async (s) => {
+      const isDebit = entry.type === "DEBIT";
+
+      const user = await User.findOneAndUpdate(
+        isDebit ? { _id: userId, walletBalance: { $gte: amount } } : { _id: userId },
+        { $inc: { walletBalance: isDebit ? -amount : amount } },
+        { new: true, session: s, projection: { walletBalance: 1 } }
+      );
+
+      if (!user) {
+        if (isDebit && (await User.exists({ _id: userId }).session(s))) {
+          throw walletError("Insufficient wallet balance", "WALLET_INSUFFICIENT");
+        }
+        throw new Error("User not found");
+      }
+
+      const [transaction] = await WalletTransaction.create(
+        [
+          {
+            user: userId,
+            type: entry.type,
+            amount,
+            currency: WALLET_CURRENCY,
+            reason: entry.reason,
+            order: entry.order || null,
+            note: entry.note || "",
+            createdBy: entry.createdBy || null,
+            balanceAfter: round2(Math.max(user.walletBalance, 0)),
+          },
+        ],
+        { session: s }
+      );
+
+      return { transaction, balance: round2(user.walletBalance) };
+    });
+  } catch (err) {
+    // Only our own transaction can be retried safely; a caller's is aborted
+    if (err?.code === 11000 && !session) return null;
+    throw err;
+  }
+}
+
+export function creditWallet(userId, amount, { reason, order, note, createdBy, session } = {}) {
+  return applyEntry(userId, { type: "CREDIT", amount, reason, order, note, createdBy }, session);
+}
+
+export function debitWallet(userId, amount, { reason, order, note, session } = {}) {
+  return applyEntry(userId, { type: "DEBIT", amount, reason, order, note }, session);
+}
+
+export async function getWalletBalance(userId) {
+  const user = await User.findById(userId).select("walletBalance").lean();
+  return round2(user?.walletBalance || 0);
+}
+
+/* =========================================================
+   UNPAID ORDERS
+   ========================================================= */
+
+/**
+ * Returns the wallet part of an order that was never paid (cancelled or
+ * failed). Claimed through walletReleasedAt, so it runs once per order.
+ */
+export async function releaseOrderWallet(orderId) {
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      status: { $in: ["CANCELLED", "FAILED"] },
+      walletApplied: { $gt: 0 },
+      walletReleasedAt: null,
+    },
+    { $set: { walletReleasedAt: new Date() } },
+    { new: true, projection: { user: 1, walletApplied: 1 } }
+  ).lean();
+
+  if (!order) return null;
+
+  try {
+    return await creditWallet(order.user, order.walletApplied, {
+      reason: "ORDER_REVERSAL",
+      order: order._id,
+      note: "Order was not completed",
+    });
+  } catch (err) {
+    await Order.updateOne({ _id: order._id }, { $set: { walletReleasedAt: null } });
+    throw err;
+  }
+}
+
+/**
+ * Sweeps cancelled / failed orders whose wallet part is still held.
+ * Run after the auto-cancel job.
+ */
+export async function releaseCancelledWalletHolds(limit = 100) {
+  const orders = await Order.find({
+    status: { $in: ["CANCELLED", "FAILED"] },
+    walletApplied: { $gt: 0 },
+    walletReleasedAt: null,
+  })
+    .select("_id")
+    .limit(limit)
+    .lean();
+
+  let released = 0;
+  for (const order of orders) {
+    try {
+      if (await releaseOrderWallet(order._id)) released += 1;
+    } catch (err) {
+      console.error(`[WALLET] release failed for order ${order._id}:`, err?.message || err);
+    }
+  }
+
+  return released;
+}
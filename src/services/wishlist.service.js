@@ -0,0 +1,102 @@
+// services/wishlist.service.js
+import mongoose from "mongoose";
+import WishlistItem from "../models/WishlistItem.model.js";
+import Product, { LISTED_VISIBILITIES } from "../models/Product.model.js";
+
+const DUPLICATE_KEY_CODE = 11000;
+
+/**
+ * Adds a public product to the user's wishlist.
+ * `favoriteCount` is only incremented when a new entry was actually inserted,
+ * so repeated / concurrent adds never double count.
+ *
+ * @returns {Promise<{ added: boolean }>}
+ */
+export async function addToWishlist(userId, productId) {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new Error("Invalid product id");
+  }
+
+  const exists = await Product.exists({ _id: productId, visibility: { $in: LISTED_VISIBILITIES } });
+  if (!exists) {
+    throw new Error("Product not available");
+  }
+
+  let inserted = false;
+  try {
+    const result = await WishlistItem.updateOne(
+      { user: userId, product: productId },
+      { $setOnInsert: { user: userId, product: productId } },
+      { upsert: true }
+    );
+    inserted = result.upsertedCount === 1;
+  } catch (err) {
+    // Lost an upsert race against the unique index - already wishlisted
+    if (err?.code !== DUPLICATE_KEY_CODE) throw err;
+  }
+
+  if (inserted) {
+    await Product.updateOne({ _id: productId }, { $inc: { favoriteCount: 1 } });
+  }
+
+  return { added: inserted };
+}
+
+/**
+ * @returns {Promise<{ removed: boolean }>}
+ */
+export async function removeFromWishlist(userId, productId) {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new Error("Invalid product id");
+  }
+
+  const deleted = await WishlistItem.findOneAndDelete({
+    user: userId,
+    product: productId,
+  }).lean();
+
+  if (deleted) {
+    await Product.updateOne(
+      { _id: productId, favoriteCount: { $gt: 0 } },
+      { $inc: { favoriteCount: -1 } }
+    );
+  }
+
+  return { removed: Boolean(deleted) };
+}
+
+export async function listWishlist(userId, { page = 1, limit = 20 } = {}) {
+  const skip = (page - 1) * limit;
+  const filter = { user: userId };
+
+  const [items, total] = await Promise.all([
+    WishlistItem.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({
+        path: "product",
+        select: "title slug thumbnail price mrp currency category genre visibility averageRating favoriteCount",
+      })
+      .lean(),
+    WishlistItem.countDocuments(filter),
+  ]);
+
+  return { items, total };
+}
+
+/**
+ * Flags wishlist entries as converted after a paid order. Best-effort.
+ */
+export async function markWishlistPurchased(userId, productIds) {
+  if (!productIds?.length) return;
+
+  try {
+    await WishlistItem.updateMany(
+      { user: userId, product: { $in: productIds }, purchasedAt: null },
+      { $set: { purchasedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error("Error marking wishlist items as purchased:", error);
+  }
+}
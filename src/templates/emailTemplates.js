@@ -523,3 +523,684 @@ export function buildOrderCompleteEmailHtml(vars = {}) {
 </div>
 `;
 }
+
+/* ========================= ABANDONED CHECKOUT ========================= */
+
+export function buildAbandonedCheckoutSubject(vars = {}) {
+  const promoCode = vars.PROMO_CODE || vars.promoCode || "";
+  return promoCode
+    ? "You left something behind – here's a little extra to finish up"
+    : "You left something behind at Kumar Music";
+}
+
+export function buildAbandonedCheckoutEmailHtml(vars = {}) {
+  const customerName =
+    vars.CUSTOMER_NAME || vars.customerName || "there";
+
+  const itemsHtml = vars.ITEMS_HTML || vars.itemsHtml || "";
+  const checkoutUrl = vars.CHECKOUT_URL || vars.checkoutUrl || "#";
+  const unsubscribeUrl = vars.UNSUBSCRIBE_URL || vars.unsubscribeUrl || "";
+  const currency = vars.ORDER_CURRENCY || vars.currency || "INR";
+  const total = vars.ORDER_TOTAL || vars.total || "";
+
+  const promoCode = vars.PROMO_CODE || vars.promoCode || "";
+  const promoPercent = vars.PROMO_PERCENT || vars.promoPercent || "";
+  const promoExpiresAt = vars.PROMO_EXPIRES_AT || vars.promoExpiresAt || "";
+
+  const promoHtml = promoCode
+    ? `
+    <div style="
+      background:#eef2ff;
+      border-radius:16px;
+      padding:16px 18px;
+      border:1px dashed #a855f7;
+      margin-bottom:20px;
+    ">
+      <p style="margin:0 0 6px; font-size:13px; color:#4b5563;">
+        Use this one-time code for ${promoPercent ? `${promoPercent}% off` : "a discount"}:
+      </p>
+      <p style="
+        margin:0;
+        font-size:20px;
+        font-weight:700;
+        letter-spacing:2px;
+        color:#7c3aed;
+        font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace;
+      ">
+        ${promoCode}
+      </p>
+      ${
+        promoExpiresAt
+          ? `<p style="margin:6px 0 0; font-size:12px; color:#6b7280;">Valid until ${promoExpiresAt}</p>`
+          : ""
+      }
+    </div>
+    `
+    : "";
+
+  const unsubscribeHtml = unsubscribeUrl
+    ? `
+    <p style="
+      color:#9ca3af;
+      font-size:11px;
+      margin: 8px 0 0;
+    ">
+      Don't want these reminders? <a href="${unsubscribeUrl}" style="color:#9ca3af;">Unsubscribe</a>
+    </p>
+    `
+    : "";
+
+  return `
+<div style="
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+  background: #f5f7fb;
+  padding: 40px 0;
+  text-align: center;
+">
+  <div style="
+    max-width: 640px;
+    margin: 0 auto;
+    background: #ffffff;
+    padding: 32px 28px;
+    border-radius: 24px;
+    border: 1px solid #e5e7eb;
+    box-shadow: 0 16px 36px rgba(15, 23, 42, 0.08);
+  ">
+
+    <div style="margin-bottom: 16px;">
+      <div style="
+        font-size: 18px;
+        font-weight: 700;
+        color: #111827;
+      ">
+        Kumar Music
+      </div>
+    </div>
+
+    <h1 style="
+      color:#111827;
+      font-size:24px;
+      font-weight:700;
+      margin: 0 0 12px;
+    ">
+      Still thinking it over?
+    </h1>
+
+    <p style="
+      color:#4b5563;
+      font-size:14px;
+      line-height:1.6;
+      margin: 0 0 20px;
+    ">
+      Hi ${customerName},<br/>
+      Your checkout didn't go through, but the tracks you picked are still waiting for you.
+    </p>
+
+    <div style="
+      background:#f9fafb;
+      border-radius:16px;
+      padding:16px 18px;
+      text-align:left;
+      border:1px solid #e5e7eb;
+      margin-bottom:20px;
+    ">
+      <ul style="margin:0; padding-left:18px; font-size:13px; color:#4b5563;">
+        ${itemsHtml}
+      </ul>
+      ${
+        total
+          ? `<p style="margin:10px 0 0; font-size:13px; color:#4b5563;"><strong>Total:</strong> ${currency} ${total}</p>`
+          : ""
+      }
+    </div>
+
+    ${promoHtml}
+
+    <a href="${checkoutUrl}" style="
+      display:inline-block;
+      background:linear-gradient(135deg, #7c3aed, #a855f7);
+      color:#ffffff;
+      text-decoration:none;
+      font-size:14px;
+      font-weight:600;
+      padding:12px 28px;
+      border-radius:9999px;
+    ">
+      Complete your purchase
+    </a>
+
+    <hr style="
+      margin: 24px 0 16px;
+      border: 0;
+      border-top: 1px solid #e5e7eb;
+    ">
+
+    <p style="
+      color:#9ca3af;
+      font-size:11px;
+      margin: 0;
+    ">
+      Sent from <strong>Kumar Music</strong>.
+    </p>
+
+    ${unsubscribeHtml}
+
+  </div>
+
+  <p style="
+    color:#9ca3af;
+    font-size:11px;
+    margin-top:16px;
+  ">
+    © ${new Date().getFullYear()} Kumar Music · All rights reserved
+  </p>
+</div>
+`;
+}
+
+/* ========================= PRE-ORDER RELEASED ========================= */
+
+export function buildPreorderReleasedSubject(vars = {}) {
+  const title = vars.PRODUCT_TITLE || vars.productTitle || "Your pre-order";
+  return `${title} is out now – ready to download`;
+}
+
+export function buildPreorderReleasedEmailHtml(vars = {}) {
+  const customerName =
+    vars.CUSTOMER_NAME || vars.customerName || "there";
+  const title = vars.PRODUCT_TITLE || vars.productTitle || "Your pre-order";
+  const libraryUrl = vars.LIBRARY_URL || vars.libraryUrl || "#";
+
+  return `
+<div style="
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+  background: #f5f7fb;
+  padding: 40px 0;
+  text-align: center;
+">
+  <div style="
+    max-width: 640px;
+    margin: 0 auto;
+    background: #ffffff;
+    padding: 32px 28px;
+    border-radius: 24px;
+    border: 1px solid #e5e7eb;
+    box-shadow: 0 16px 36px rgba(15, 23, 42, 0.08);
+  ">
+
+    <div style="margin-bottom: 16px;">
+      <div style="
+        font-size: 18px;
+        font-weight: 700;
+        color: #111827;
+      ">
+        Kumar Music
+      </div>
+      <div style="
+        font-size: 13px;
+        color: #6b7280;
+      ">
+        Pre-order released
+      </div>
+    </div>
+
+    <h1 style="
+      color:#111827;
+      font-size:24px;
+      font-weight:700;
+      margin: 0 0 12px;
+    ">
+      It's here!
+    </h1>
+
+    <p style="
+      color:#4b5563;
+      font-size:14px;
+      line-height:1.6;
+      margin: 0 0 20px;
+    ">
+      Hi ${customerName},<br/>
+      <strong>${title}</strong>, which you pre-ordered, has just been released.
+      It's waiting for you in your library.
+    </p>
+
+    <a href="${libraryUrl}" style="
+      display:inline-block;
+      background:linear-gradient(135deg, #7c3aed, #a855f7);
+      color:#ffffff;
+      text-decoration:none;
+      font-size:14px;
+      font-weight:600;
+      padding:12px 28px;
+      border-radius:9999px;
+    ">
+      Download now
+    </a>
+
+    <hr style="
+      margin: 24px 0 16px;
+      border: 0;
+      border-top: 1px solid #e5e7eb;
+    ">
+
+    <p style="
+      color:#9ca3af;
+      font-size:11px;
+      margin: 0;
+    ">
+      Sent from <strong>Kumar Music</strong>.
+    </p>
+
+  </div>
+
+  <p style="
+    color:#9ca3af;
+    font-size:11px;
+    margin-top:16px;
+  ">
+    © ${new Date().getFullYear()} Kumar Music · All rights reserved
+  </p>
+</div>
+`;
+}
+
+/* ========================= GIFT RECEIVED ========================= */
+
+export function buildGiftReceivedSubject(vars = {}) {
+  const sender = vars.SENDER_NAME || vars.senderName || "Someone";
+  return `${sender} sent you a gift on Kumar Music`;
+}
+
+// Expects vars to be HTML-escaped already (the buyer's message is user input)
+export function buildGiftReceivedEmailHtml(vars = {}) {
+  const recipientName = vars.RECIPIENT_NAME || vars.recipientName || "there";
+  const sender = vars.SENDER_NAME || vars.senderName || "Someone";
+  const giftTitle = vars.GIFT_TITLE || vars.giftTitle || "a gift";
+  const message = vars.GIFT_MESSAGE || vars.giftMessage || "";
+  const code = vars.GIFT_CODE || vars.giftCode || "";
+  const redeemUrl = vars.REDEEM_URL || vars.redeemUrl || "#";
+  const expiresOn = vars.EXPIRES_ON || vars.expiresOn || "";
+
+  return `
+<div style="
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+  background: #f5f7fb;
+  padding: 40px 0;
+  text-align: center;
+">
+  <div style="
+    max-width: 640px;
+    margin: 0 auto;
+    background: #ffffff;
+    padding: 32px 28px;
+    border-radius: 24px;
+    border: 1px solid #e5e7eb;
+    box-shadow: 0 16px 36px rgba(15, 23, 42, 0.08);
+  ">
+
+    <div style="margin-bottom: 16px;">
+      <div style="
+        font-size: 18px;
+        font-weight: 700;
+        color: #111827;
+      ">
+        Kumar Music
+      </div>
+      <div style="
+        font-size: 13px;
+        color: #6b7280;
+      ">
+        You've received a gift
+      </div>
+    </div>
+
+    <h1 style="
+      color:#111827;
+      font-size:24px;
+      font-weight:700;
+      margin: 0 0 12px;
+    ">
+      A gift from ${sender}
+    </h1>
+
+    <p style="
+      color:#4b5563;
+      font-size:14px;
+      line-height:1.6;
+      margin: 0 0 20px;
+    ">
+      Hi ${recipientName},<br/>
+      ${sender} has gifted you <strong>${giftTitle}</strong>.
+    </p>
+
+    ${message ? `
+    <blockquote style="
+      margin: 0 auto 20px;
+      max-width: 480px;
+      padding: 12px 16px;
+      background: #f9fafb;
+      border-left: 3px solid #a855f7;
+      border-radius: 8px;
+      color:#374151;
+      font-size:14px;
+      font-style: italic;
+      line-height:1.6;
+      text-align: left;
+      white-space: pre-line;
+    ">${message}</blockquote>
+    ` : ""}
+
+    <div style="
+      display:inline-block;
+      margin: 0 0 20px;
+      padding: 12px 20px;
+      border: 1px dashed #a855f7;
+      border-radius: 12px;
+      font-family: 'SFMono-Regular', Menlo, Consolas, monospace;
+      font-size: 18px;
+      font-weight: 700;
+      letter-spacing: 2px;
+      color:#111827;
+    ">
+      ${code}
+    </div>
+
+    <div>
+      <a href="${redeemUrl}" style="
+        display:inline-block;
+        background:linear-gradient(135deg, #7c3aed, #a855f7);
+        color:#ffffff;
+        text-decoration:none;
+        font-size:14px;
+        font-weight:600;
+        padding:12px 28px;
+        border-radius:9999px;
+      ">
+        Redeem your gift
+      </a>
+    </div>
+
+    ${expiresOn ? `
+    <p style="
+      color:#6b7280;
+      font-size:12px;
+      margin: 16px 0 0;
+    ">
+      Redeem before ${expiresOn}.
+    </p>
+    ` : ""}
+
+    <hr style="
+      margin: 24px 0 16px;
+      border: 0;
+      border-top: 1px solid #e5e7eb;
+    ">
+
+    <p style="
+      color:#9ca3af;
+      font-size:11px;
+      margin: 0;
+    ">
+      Sent from <strong>Kumar Music</strong> on behalf of ${sender}.
+    </p>
+
+  </div>
+
+  <p style="
+    color:#9ca3af;
+    font-size:11px;
+    margin-top:16px;
+  ">
+    © ${new Date().getFullYear()} Kumar Music · All rights reserved
+  </p>
+</div>
+`;
+}
+
+/* ========================= ACCOUNT NOTICES ========================= */
+
+// Shared card for the short account notices below (membership, refunds)
+function noticeCard({ eyebrow, heading, bodyHtml, ctaText, ctaUrl }) {
+  return `
+<div style="
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+  background: #f5f7fb;
+  padding: 40px 0;
+  text-align: center;
+">
+  <div style="
+    max-width: 640px;
+    margin: 0 auto;
+    background: #ffffff;
+    padding: 32px 28px;
+    border-radius: 24px;
+    border: 1px solid #e5e7eb;
+    box-shadow: 0 16px 36px rgba(15, 23, 42, 0.08);
+  ">
+
+    <div style="margin-bottom: 16px;">
+      <div style="
+        font-size: 18px;
+        font-weight: 700;
+        color: #111827;
+      ">
+        Kumar Music
+      </div>
+      <div style="
+        font-size: 13px;
+        color: #6b7280;
+      ">
+        ${eyebrow}
+      </div>
+    </div>
+
+    <h1 style="
+      color:#111827;
+      font-size:24px;
+      font-weight:700;
+      margin: 0 0 12px;
+    ">
+      ${heading}
+    </h1>
+
+    <p style="
+      color:#4b5563;
+      font-size:14px;
+      line-height:1.6;
+      margin: 0 0 20px;
+    ">
+      ${bodyHtml}
+    </p>
+
+    ${ctaUrl ? `
+    <a href="${ctaUrl}" style="
+      display:inline-block;
+      background:linear-gradient(135deg, #7c3aed, #a855f7);
+      color:#ffffff;
+      text-decoration:none;
+      font-size:14px;
+      font-weight:600;
+      padding:12px 28px;
+      border-radius:9999px;
+    ">
+      ${ctaText}
+    </a>
+    ` : ""}
+
+    <hr style="
+      margin: 24px 0 16px;
+      border: 0;
+      border-top: 1px solid #e5e7eb;
+    ">
+
+    <p style="
+      color:#9ca3af;
+      font-size:11px;
+      margin: 0;
+    ">
+      Sent from <strong>Kumar Music</strong>.
+    </p>
+
+  </div>
+
+  <p style="
+    color:#9ca3af;
+    font-size:11px;
+    margin-top:16px;
+  ">
+    © ${new Date().getFullYear()} Kumar Music · All rights reserved
+  </p>
+</div>
+`;
+}
+
+/* ========================= MEMBERSHIP ACTIVATED ========================= */
+
+export function buildMembershipActivatedSubject(vars = {}) {
+  const plan = vars.MEMBERSHIP_PLAN || vars.membershipPlan || "membership";
+  return `Your Kumar Music ${plan} membership is active`;
+}
+
+export function buildMembershipActivatedEmailHtml(vars = {}) {
+  const customerName = vars.CUSTOMER_NAME || vars.customerName || "there";
+  const plan = vars.MEMBERSHIP_PLAN || vars.membershipPlan || "Membership";
+  const expiresOn = vars.MEMBERSHIP_EXPIRES_ON || vars.membershipExpiresOn || "";
+  const libraryUrl = vars.LIBRARY_URL || vars.libraryUrl || "#";
+
+  return noticeCard({
+    eyebrow: "Membership activated",
+    heading: `Welcome to ${plan}`,
+    bodyHtml: `Hi ${customerName},<br/>
+      Your <strong>${plan}</strong> membership is now active${expiresOn ? ` until <strong>${expiresOn}</strong>` : ""}.
+      Your member downloads are available in your library.`,
+    ctaText: "Start downloading",
+    ctaUrl: libraryUrl,
+  });
+}
+
+/* ========================= MEMBERSHIP EXPIRING ========================= */
+
+export function buildMembershipExpiringSubject(vars = {}) {
+  const days = Number(vars.DAYS_LEFT ?? vars.daysLeft);
+  if (days === 0) return "Your Kumar Music membership expires today";
+  if (days === 1) return "Your Kumar Music membership expires tomorrow";
+  return `Your Kumar Music membership expires in ${days || "a few"} days`;
+}
+
+export function buildMembershipExpiringEmailHtml(vars = {}) {
+  const customerName = vars.CUSTOMER_NAME || vars.customerName || "there";
+  const plan = vars.MEMBERSHIP_PLAN || vars.membershipPlan || "Membership";
+  const expiresOn = vars.MEMBERSHIP_EXPIRES_ON || vars.membershipExpiresOn || "";
+  const renewUrl = vars.RENEW_URL || vars.renewUrl || "#";
+
+  return noticeCard({
+    eyebrow: "Membership expiring",
+    heading: "Keep your member access",
+    bodyHtml: `Hi ${customerName},<br/>
+      Your <strong>${plan}</strong> membership ends on <strong>${expiresOn}</strong>.
+      Renew before then to keep downloading without interruption.`,
+    ctaText: "Renew membership",
+    ctaUrl: renewUrl,
+  });
+}
+
+/* ========================= MEMBERSHIP EXPIRED ========================= */
+
+export function buildMembershipExpiredSubject() {
+  return "Your Kumar Music membership has ended";
+}
+
+export function buildMembershipExpiredEmailHtml(vars = {}) {
+  const customerName = vars.CUSTOMER_NAME || vars.customerName || "there";
+  const plan = vars.MEMBERSHIP_PLAN || vars.membershipPlan || "Membership";
+  const renewUrl = vars.RENEW_URL || vars.renewUrl || "#";
+
+  return noticeCard({
+    eyebrow: "Membership ended",
+    heading: "We'd love to have you back",
+    bodyHtml: `Hi ${customerName},<br/>
+      Your <strong>${plan}</strong> membership has ended, so member downloads are paused.
+      Anything you bought separately stays in your library.`,
+    ctaText: "Renew membership",
+    ctaUrl: renewUrl,
+  });
+}
+
+/* ========================= ORDER REFUNDED ========================= */
+
+export function buildOrderRefundedSubject(vars = {}) {
+  const code = vars.ORDER_CODE || vars.orderCode || "";
+  return `Refund for your Kumar Music order ${code}`.trim();
+}
+
+export function buildOrderRefundedEmailHtml(vars = {}) {
+  const customerName = vars.CUSTOMER_NAME || vars.customerName || "there";
+  const code = vars.ORDER_CODE || vars.orderCode || "";
+  const currency = vars.ORDER_CURRENCY || vars.currency || "INR";
+  const cardAmount = Number(vars.REFUND_CARD_AMOUNT ?? vars.refundCardAmount ?? 0);
+  const walletAmount = Number(vars.REFUND_WALLET_AMOUNT ?? vars.refundWalletAmount ?? 0);
+
+  const parts = [];
+  if (cardAmount > 0) {
+    parts.push(`<strong>${currency} ${cardAmount.toFixed(2)}</strong> to your original payment method (usually within 5–7 working days)`);
+  }
+  if (walletAmount > 0) {
+    parts.push(`<strong>${currency} ${walletAmount.toFixed(2)}</strong> to your Kumar Music wallet`);
+  }
+
+  return noticeCard({
+    eyebrow: "Refund",
+    heading: "Your refund is on its way",
+    bodyHtml: `Hi ${customerName},<br/>
+      We've refunded order <strong>${code}</strong>${parts.length ? `: ${parts.join(" and ")}` : ""}.
+      Access to the items in this order has been removed.`,
+  });
+}
+
+/* ========================= REMIX DELIVERED ========================= */
+
+export function buildRemixDeliveredSubject(vars = {}) {
+  const title = vars.PRODUCT_TITLE || vars.productTitle || "";
+  return `Your remix of ${title || "your track"} is ready`;
+}
+
+export function buildRemixDeliveredEmailHtml(vars = {}) {
+  const customerName = vars.CUSTOMER_NAME || vars.customerName || "there";
+  const title = vars.PRODUCT_TITLE || vars.productTitle || "your track";
+  const libraryUrl = vars.LIBRARY_URL || vars.libraryUrl || "#";
+
+  return noticeCard({
+    eyebrow: "Remix request",
+    heading: "Your remix is ready",
+    bodyHtml: `Hi ${customerName},<br/>
+      The remix of <strong>${title}</strong> you asked for is done.
+      You'll find it in your library, ready to download.`,
+    ctaText: "Go to my library",
+    ctaUrl: libraryUrl,
+  });
+}
+
+/* ========================= REMIX REJECTED ========================= */
+
+export function buildRemixRejectedSubject(vars = {}) {
+  const title = vars.PRODUCT_TITLE || vars.productTitle || "";
+  return `Update on your remix request for ${title || "your track"}`;
+}
+
+export function buildRemixRejectedEmailHtml(vars = {}) {
+  const customerName = vars.CUSTOMER_NAME || vars.customerName || "there";
+  const title = vars.PRODUCT_TITLE || vars.productTitle || "your track";
+  const reason = vars.REJECTION_REASON || vars.rejectionReason || "";
+  const requestUrl = vars.REQUEST_URL || vars.requestUrl || "#";
+
+  return noticeCard({
+    eyebrow: "Remix request",
+    heading: "We can't take on this remix",
+    bodyHtml: `Hi ${customerName},<br/>
+      We're sorry, but we can't do the remix of <strong>${title}</strong> you asked for.
+      ${reason ? `<br/><br/>${reason}<br/><br/>` : ""}
+      If it was counted in this month's allowance, you have that request back.`,
+    ctaText: "View request",
+    ctaUrl: requestUrl,
+  });
+}
@@ -0,0 +1,62 @@
+import EmailTemplate from "../models/EmailTemplate.model.js";
+
+/**
+ * Fills {{VAR}} placeholders; a key matches as written or upper-cased.
+ */
+export function renderTemplate(template, vars = {}) {
+  if (!template) return "";
+
+  return template.replaceAll(/{{\s*(\w+)\s*}}/g, (_, key) => {
+    const v = vars[key] ?? vars[key.toUpperCase()] ?? "";
+    return String(v);
+  });
+}
+
+/**
+ * Admin-edited template stored under `key`, or null when missing or disabled.
+ */
+export async function getActiveTemplate(key) {
+  if (!key) return null;
+  const tpl = await EmailTemplate.findOne({ key }).lean();
+  if (!tpl || tpl.isActive === false) return null;
+  return tpl;
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+// Vars named *_HTML / *Html hold markup the sender built (and escaped) itself
+const MARKUP_VAR = /(_HTML|Html)$/;
+
+function escapeVars(vars) {
+  return Object.fromEntries(
+    Object.entries(vars).map(([key, value]) => [
+      key,
+      typeof value === "string" && !MARKUP_VAR.test(key) ? escapeHtml(value) : value,
+    ])
+  );
+}
+
+/**
+ * Subject and HTML body from the admin `template`, or from the built-in
+ * `buildSubject` / `buildHtml` when there is none. `vars` are plain text:
+ * they are escaped for the body only, so subjects show them as written.
+ */
+export function renderEmail(template, vars, { buildSubject, buildHtml }) {
+  const htmlVars = escapeVars(vars);
+
+  if (template) {
+    return {
+      subject: renderTemplate(template.subjectTemplate, vars),
+      html: renderTemplate(template.bodyHtml, htmlVars),
+    };
+  }
+
+  return { subject: buildSubject(vars), html: buildHtml(htmlVars) };
+}
@@ -1,11 +1,17 @@
 import jwt from "jsonwebtoken";
 import crypto from "node:crypto";
 
+// Only tokens carrying this audience are accepted as API logins
+const ACCESS_TOKEN_AUDIENCE = "api-access";
+
 export function signAccessToken(payload) {
   return jwt.sign(
     payload,
     process.env.JWT_ACCESS_SECRET,
-    { expiresIn: process.env.JWT_ACCESS_EXPIRES || "15m" }
+    {
+      expiresIn: process.env.JWT_ACCESS_EXPIRES || "15m",
+      audience: ACCESS_TOKEN_AUDIENCE,
+    }
   );
 }
 
@@ -18,7 +24,9 @@ export function signRefreshToken(payload) {
 }
 
 export function verifyAccessToken(token) {
-  return jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  return jwt.verify(token, process.env.JWT_ACCESS_SECRET, {
+    audience: ACCESS_TOKEN_AUDIENCE,
+  });
 }
 
 export function verifyRefreshToken(token) {
@@ -28,3 +36,41 @@ export function verifyRefreshToken(token) {
 export function hashToken(token) {
   return crypto.createHash("sha256").update(String(token)).digest("hex");
 }
+
+/* ---------- Signed download links ---------- */
+
+const DOWNLOAD_TOKEN_AUDIENCE = "product-download";
+
+// Own secret (required at startup): links end up in browser history and logs
+export function signDownloadToken(payload) {
+  return jwt.sign(payload, process.env.DOWNLOAD_TOKEN_SECRET, {
+    expiresIn: process.env.DOWNLOAD_LINK_EXPIRES || "5m",
+    audience: DOWNLOAD_TOKEN_AUDIENCE,
+    jwtid: crypto.randomBytes(8).toString("hex"),
+  });
+}
+
+export function verifyDownloadToken(token) {
+  return jwt.verify(token, process.env.DOWNLOAD_TOKEN_SECRET, {
+    audience: DOWNLOAD_TOKEN_AUDIENCE,
+  });
+}
+
+/* ---------- Email unsubscribe links ---------- */
+
+const UNSUBSCRIBE_TOKEN_AUDIENCE = "email-unsubscribe";
+
+// Own secret (required at startup), and the user goes in a claim of its own:
+// these links sit in inboxes for months and must never pass for a login
+export function signUnsubscribeToken(userId) {
+  return jwt.sign({ unsubscribe: userId.toString() }, process.env.UNSUBSCRIBE_TOKEN_SECRET, {
+    expiresIn: process.env.UNSUBSCRIBE_LINK_EXPIRES || "180d",
+    audience: UNSUBSCRIBE_TOKEN_AUDIENCE,
+  });
+}
+
+export function verifyUnsubscribeToken(token) {
+  return jwt.verify(token, process.env.UNSUBSCRIBE_TOKEN_SECRET, {
+    audience: UNSUBSCRIBE_TOKEN_AUDIENCE,
+  });
+}
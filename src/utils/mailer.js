@@ -26,7 +26,7 @@ const transporter = createTransporter();
 /**
  * Send email with DB-defined support email override.
  */
-export async function sendEmail({ to, subject, html, replyTo }) {
+export async function sendEmail({ to, subject, html, replyTo, attachments }) {
   if (!to || !subject) {
     throw new Error("Missing required email fields (to, subject)");
   }
@@ -48,6 +48,7 @@ export async function sendEmail({ to, subject, html, replyTo }) {
       subject,
       html,
       ...(finalReplyTo ? { replyTo: finalReplyTo } : {}),
+      ...(attachments?.length ? { attachments } : {}),
     });
 
     console.log(`Email sent → ${info.messageId}`);
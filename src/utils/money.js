@@ -0,0 +1,6 @@
+/**
+ * Rounds an amount to paise (two decimals).
+ */
+export function round2(n) {
+  return Number(n.toFixed(2));
+}